@@ -2,86 +2,20 @@
 /* eslint-disable quotes */
 require("dotenv").config();
 const { onRequest } = require("firebase-functions/v2/https");
-const express = require("express");
-const cors = require("cors");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 
-// Each of these files should `module.exports = router`
-const connectExpressRouter = require("./routes/connectExpress.js");
-const connectStandardRouter = require("./routes/connectStandard");
-const paymentsRouter = require("./routes/payments");
-const webhooksRouter = require("./routes/webhooks");
-const stripeDataRouter = require("./routes/dashboard");
+// The API app from src/, copied into ./api by the build (npm run build), so the function serves
+// the same routes, authentication and policy checks as the API server
+const app = require("./api/app");
+const { sweepExpiredHolds } = require("./api/services/seatHoldSweeper");
+const { retryDueEvents } = require("./api/services/webhookQueue");
+const { retryDueDeliveries } = require("./api/services/sellerWebhooks");
 
-// New CRUD route modules
-const usersRouter = require("./routes/users");
-const productionsRouter = require("./routes/productions");
-const performancesRouter = require("./routes/performances");
-const venuesRouter = require("./routes/venues");
-const seatmapsRouter = require("./routes/seatmaps");
-const ordersRouter = require("./routes/orders");
-const ticketsRouter = require("./routes/tickets");
-const uploadPhotoRouter = require("./routes/uploadPhoto");
-const subscriptionsRouter = require("./routes/subscriptions");
-const emailsRouter = require("./routes/emails");
 // Load Firestore triggers
 require("./triggers/usersOnCreate");
+const { onUserWrittenSyncClaims } = require("./triggers/usersOnWrite");
 
-const app = express();
-const path = require("path");
-
-// Enable trust proxy for Cloud Run
-app.enable('trust proxy');
-
-// CORS
-const corsOptions = {
-  origin: ["http://localhost:5173","http://127.0.0.1:5173","http://localhost:4242","http://127.0.0.1:4242","https://www.stagepasspro.com","https://stage-pass-b1d9b.web.app","https://project-theatre-ticketing-system-with-crm-integration-440.magicpatterns.app"],
-  credentials: true,
-  methods: ["GET","POST","PUT","PATCH","DELETE","OPTIONS"],
-  allowedHeaders: ["Content-Type","Authorization"],
-};
-app.use(cors(corsOptions));
-
-// Serve static assets (logos, images, etc.)
-// Path goes up one level from functions/ to access root assets/ folder
-app.use("/assets", express.static(path.join(__dirname, "..", "assets")));
-
-// Serve the token helper page
-app.get("/get-token", (req, res) => {
-  res.sendFile(path.join(__dirname, "..", "get-token.html"));
-});
-
-// --- Webhooks MUST be mounted before JSON parsing ---
-app.use("/webhooks", express.raw({ type: "application/json" }), webhooksRouter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
-
-// Photo upload endpoint - simple path
-app.use("/api/uploadPhoto", uploadPhotoRouter);
-
-// Feature routers
-app.use("/connect/express", connectExpressRouter);
-app.use("/connect/standard", connectStandardRouter);
-app.use("/payments", paymentsRouter);
-app.use("/stripe-data", stripeDataRouter);
-
-// CRUD API routers
-app.use("/api/users", usersRouter);
-app.use("/api/productions", productionsRouter);
-app.use("/api/productions", performancesRouter); // performances are subcollection of productions
-app.use("/api/performances", performancesRouter); // global performances endpoint
-app.use("/api/venues", venuesRouter);
-app.use("/api/venues", seatmapsRouter); // seatmaps are subcollection of venues
-app.use("/api/orders", ordersRouter);
-app.use("/api/orders", ticketsRouter); // tickets are subcollection of orders
-app.use("/api/subscriptions", subscriptionsRouter);
-app.use("/api/emails", emailsRouter);
-
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
+exports.onUserWrittenSyncClaims = onUserWrittenSyncClaims;
 
 // Export as Firebase Function (Gen 2)
 exports.api = onRequest({
@@ -90,3 +24,14 @@ exports.api = onRequest({
   maxInstances: 20
 }, app);
 
+// Functions can't run the API server's background workers, so they run on a schedule instead:
+// release expired seat holds and promo code reservations, and retry failed webhook events and
+// seller webhook deliveries
+exports.apiMaintenance = onSchedule({
+  schedule: "every 1 minutes",
+  timeoutSeconds: 300
+}, async () => {
+  await sweepExpiredHolds();
+  await retryDueEvents();
+  await retryDueDeliveries();
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Copy the API from ../src into ./api, so the `api` function serves the same app as the API server
+ *
+ * Only the functions directory is uploaded on deploy, so shared code can't be required from
+ * ../src at runtime. The copy is build output (git-ignored): edit the originals in src/.
+ * Runs as the build script, which firebase.json's predeploy step runs before every deploy.
+ *
+ * Usage: npm run build (from functions/)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const srcDir = path.join(__dirname, '..', '..', 'src');
+const apiDir = path.join(__dirname, '..', 'api');
+
+// Start from a clean copy so modules removed from src/ don't linger
+fs.rmSync(apiDir, { recursive: true, force: true });
+
+function copyDir(from, to, relativeDir) {
+  fs.mkdirSync(to, { recursive: true });
+  for (const entry of fs.readdirSync(from, { withFileTypes: true })) {
+    const relativePath = path.join(relativeDir, entry.name);
+    if (entry.isDirectory()) {
+      copyDir(path.join(from, entry.name), path.join(to, entry.name), relativePath);
+      continue;
+    }
+    const contents = fs.readFileSync(path.join(from, entry.name), 'utf8');
+    const banner = entry.name.endsWith('.js')
+      ? `// Generated by functions/scripts/copy-shared-modules.js from src/${relativePath}. Do not edit.\n\n`
+      : '';
+    fs.writeFileSync(path.join(to, entry.name), banner + contents);
+  }
+}
+
+copyDir(srcDir, apiDir, '');
+console.log('Copied src/ -> functions/api/');
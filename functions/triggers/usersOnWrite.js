@@ -0,0 +1,27 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const logger = require('firebase-functions/logger');
+const { claimsChanged, syncUserClaims } = require('../api/services/customClaims');
+
+// Firestore trigger: keep custom claims in step with a user's role and organisation roles,
+// including writes made outside the API (console edits, scripts)
+exports.onUserWrittenSyncClaims = onDocumentWritten({ document: 'users/{uid}', retry: true }, async (event) => {
+  const uid = event.params.uid;
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+  // Ignore writes that don't touch claims, including the claimsUpdatedAt stamp from the sync itself
+  if (!claimsChanged(before, after)) {
+    return;
+  }
+
+  try {
+    const result = await syncUserClaims(uid, after);
+    if (!result.success) {
+      logger.warn(`Custom claims not synced for user ${uid}: ${result.reason}`);
+    }
+  } catch (error) {
+    // Rethrow so the trigger is retried
+    logger.error(`Failed to sync custom claims for user ${uid}`, error);
+    throw error;
+  }
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Script to write role custom claims for every existing user
+ *
+ * Claims are normally synced when a user's role or organisation roles change; run this once after
+ * deploying the claims sync so existing users get them too. Users without a Firebase Auth account
+ * are skipped. Safe to re-run: users whose claims are already current are left alone.
+ *
+ * Usage: node scripts/backfill-custom-claims.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { db } = require('../src/firebase');
+const { buildClaims, syncUserClaims } = require('../src/services/customClaims');
+
+const PAGE_SIZE = 300;
+
+async function backfillCustomClaims({ dryRun = false } = {}) {
+  let updated = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let errors = 0;
+  let lastDoc = null;
+
+  console.log(dryRun ? 'Dry run: no claims will be written' : 'Backfilling custom claims...');
+
+  for (;;) {
+    let query = db.collection('users').orderBy('__name__').limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      const user = doc.data();
+      if (dryRun) {
+        console.log(`- ${doc.id}: ${JSON.stringify(buildClaims(doc.id, user))}`);
+        continue;
+      }
+      try {
+        const result = await syncUserClaims(doc.id, user);
+        if (!result.success) {
+          console.log(`- Skipped ${doc.id} (${result.reason})`);
+          skipped++;
+        } else if (result.updated) {
+          console.log(`✓ Updated ${doc.id} (${user.role || 'customer'})`);
+          updated++;
+        } else {
+          unchanged++;
+        }
+      } catch (error) {
+        console.error(`✗ Error processing ${doc.id}:`, error.message);
+        errors++;
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  if (!dryRun) {
+    console.log('\n=== Summary ===');
+    console.log(`Updated: ${updated}`);
+    console.log(`Already current: ${unchanged}`);
+    console.log(`Skipped (no auth account): ${skipped}`);
+    console.log(`Errors: ${errors}`);
+  }
+
+  return errors;
+}
+
+backfillCustomClaims({ dryRun: process.argv.includes('--dry-run') })
+  .then((errors) => {
+    console.log('\nDone!');
+    process.exit(errors > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Script to generate sample Apple Wallet and Google Wallet passes without touching Firestore
+ *
+ * Uses the configured wallet keys, or temporary test keys when none are set (outside production),
+ * then checks the .pkpass manifest and signature and decodes the Google save link.
+ *
+ * Usage: node scripts/generate-test-wallet-pass.js [output.pkpass]
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+const jwt = require('jsonwebtoken');
+const { readZip } = require('../src/utils/zip');
+const {
+  getAppleConfig,
+  getGoogleConfig,
+  buildApplePass,
+  buildGoogleSaveUrl
+} = require('../src/services/walletPasses');
+
+const sampleContext = {
+  order: {
+    id: 'testorder0001',
+    productionId: 'testproduction',
+    performanceId: 'testperformance',
+    customerName: 'Test Customer'
+  },
+  production: { title: 'Sample Production' },
+  performance: { id: 'testperformance', date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() },
+  venue: { name: 'Sample Theater', address: '1 Main St', city: 'Springfield', state: 'IL' },
+  seller: { companyName: 'Sample Theater Company' }
+};
+
+const sampleTicket = {
+  id: 'testticket0001',
+  section: 'Orchestra',
+  row: 'C',
+  seatNumber: '5',
+  price: 4500,
+  status: 'valid',
+  transferCount: 0
+};
+
+// Check every file hash in manifest.json and the detached PKCS #7 signature over it
+function verifyApplePass(buffer, config) {
+  const files = readZip(buffer);
+  const manifest = JSON.parse(files['manifest.json'].toString('utf8'));
+
+  for (const [name, hash] of Object.entries(manifest)) {
+    const actual = crypto.createHash('sha1').update(files[name] || '').digest('hex');
+    if (actual !== hash) {
+      throw new Error(`Manifest hash mismatch for ${name}`);
+    }
+  }
+
+  const p7 = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(files['signature'].toString('binary')));
+  const { authenticatedAttributes, signature } = p7.rawCapture;
+
+  // The signed attributes must carry the manifest digest
+  const messageDigestOid = forge.asn1.oidToDer(forge.pki.oids.messageDigest).getBytes();
+  const digestAttribute = authenticatedAttributes.find(attr => attr.value[0].value === messageDigestOid);
+  const signedDigest = Buffer.from(digestAttribute.value[1].value[0].value, 'binary');
+  const manifestDigest = crypto.createHash('sha256').update(files['manifest.json']).digest();
+  if (!signedDigest.equals(manifestDigest)) {
+    throw new Error('Signature does not cover manifest.json');
+  }
+
+  // Signature is over the DER encoding of the attributes as a SET
+  const attributesSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, authenticatedAttributes);
+  const signedBytes = Buffer.from(forge.asn1.toDer(attributesSet).getBytes(), 'binary');
+  const verified = crypto.verify(
+    'sha256',
+    signedBytes,
+    config.certificatePem,
+    Buffer.from(signature, 'binary')
+  );
+  if (!verified) {
+    throw new Error('Signature verification failed');
+  }
+
+  return { files: Object.keys(files), pass: JSON.parse(files['pass.json'].toString('utf8')) };
+}
+
+function main() {
+  const outputPath = path.resolve(process.argv[2] || 'test-ticket.pkpass');
+
+  const appleConfig = getAppleConfig();
+  const { buffer, serialNumber } = buildApplePass(sampleContext, sampleTicket);
+  fs.writeFileSync(outputPath, buffer);
+
+  const { files, pass } = verifyApplePass(buffer, appleConfig);
+  console.log(`✅ Apple Wallet pass written to ${outputPath} (${buffer.length} bytes)`);
+  console.log(`   Serial number: ${serialNumber}`);
+  console.log(`   Files: ${files.join(', ')}`);
+  console.log(`   Barcode: ${pass.barcodes ? 'present' : 'none'}, voided: ${pass.voided}`);
+  console.log('   Manifest hashes and signature verified');
+
+  const googleConfig = getGoogleConfig();
+  const { saveUrl, token, objectId } = buildGoogleSaveUrl(sampleContext, sampleTicket);
+  const publicKey = crypto.createPublicKey(googleConfig.privateKey);
+  const payload = jwt.verify(token, publicKey, { algorithms: ['RS256'] });
+  console.log(`\n✅ Google Wallet save link (${saveUrl.length} chars) for object ${objectId}`);
+  console.log(`   Issuer: ${payload.iss}`);
+  console.log(`   Objects: ${payload.payload.eventTicketObjects.length}, state: ${payload.payload.eventTicketObjects[0].state}`);
+  console.log('   JWT signature verified');
+
+  if (appleConfig.isTest || googleConfig.isTest) {
+    console.log('\nℹ️  Test keys were used; the passes cannot be added to a real wallet.');
+  }
+}
+
+try {
+  main();
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Failed to generate wallet passes:', error.message);
+  process.exit(1);
+}
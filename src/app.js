@@ -0,0 +1,114 @@
+// The Express app for the API. Started by src/index.js and served by the `api` Cloud Function.
+const express = require("express");
+const cors = require("cors");
+
+// Each of these files should `module.exports = router`
+const connectExpressRouter = require("./routes/connectExpress.js");
+const connectStandardRouter = require("./routes/connectStandard");
+const paymentsRouter = require("./routes/payments");
+const webhooksRouter = require("./routes/webhooks");
+const stripeDataRouter = require("./routes/dashboard");
+
+// New CRUD route modules
+const usersRouter = require("./routes/users");
+const productionsRouter = require("./routes/productions");
+const performancesRouter = require("./routes/performances");
+const performanceSeriesRouter = require("./routes/performanceSeries");
+const venuesRouter = require("./routes/venues");
+const seatmapsRouter = require("./routes/seatmaps");
+const ordersRouter = require("./routes/orders");
+const ticketsRouter = require("./routes/tickets");
+const uploadPhotoRouter = require("./routes/uploadPhoto");
+const subscriptionsRouter = require("./routes/subscriptions");
+const emailsRouter = require("./routes/emails");
+const holdsRouter = require("./routes/holds");
+const disputesRouter = require("./routes/disputes");
+const webhookEventsRouter = require("./routes/webhookEvents");
+const promoCodesRouter = require("./routes/promoCodes");
+const taxRatesRouter = require("./routes/taxRates");
+const ticketVerificationRouter = require("./routes/ticketVerification");
+const scanningRouter = require("./routes/scanning");
+const ticketTransfersRouter = require("./routes/ticketTransfers");
+const exchangesRouter = require("./routes/exchanges");
+const walletPassesRouter = require("./routes/walletPasses");
+const calendarsRouter = require("./routes/calendars");
+const organizationsRouter = require("./routes/organizations");
+const apiKeysRouter = require("./routes/apiKeys");
+const webhookEndpointsRouter = require("./routes/webhookEndpoints");
+const { loadSigningKeys } = require("./services/ticketSigning");
+
+// Fail at startup, not at checkout, when the ticket signing key is missing or invalid
+loadSigningKeys();
+
+const app = express();
+const path = require("path");
+
+// Enable trust proxy for Cloud Run
+app.enable('trust proxy');
+
+// CORS
+const corsOptions = {
+  origin: ["http://localhost:5173","http://127.0.0.1:5173","http://localhost:4242","http://127.0.0.1:4242","https://www.stagepasspro.com","https://stage-pass-b1d9b.web.app","https://project-theatre-ticketing-system-with-crm-integration-440.magicpatterns.app"],
+  credentials: true,
+  methods: ["GET","POST","PUT","PATCH","DELETE","OPTIONS"],
+  allowedHeaders: ["Content-Type","Authorization","X-API-Key"],
+};
+app.use(cors(corsOptions));
+
+// Serve static assets (logos, images, etc.)
+app.use("/assets", express.static(path.join(__dirname, "..", "assets")));
+
+// Serve the token helper page
+app.get("/get-token", (req, res) => {
+  res.sendFile(path.join(__dirname, "..", "get-token.html"));
+});
+
+// --- Webhooks MUST be mounted before JSON parsing ---
+app.use("/webhooks", express.raw({ type: "application/json" }), webhooksRouter);
+
+// Body parsing middleware
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ limit: '50mb', extended: true }));
+
+// Photo upload endpoint - simple path
+app.use("/api/uploadPhoto", uploadPhotoRouter);
+
+// Feature routers
+app.use("/connect/express", connectExpressRouter);
+app.use("/connect/standard", connectStandardRouter);
+app.use("/payments", paymentsRouter);
+app.use("/stripe-data", stripeDataRouter);
+
+// CRUD API routers
+app.use("/api/users", usersRouter);
+app.use("/api/productions", productionsRouter);
+app.use("/api/productions", performancesRouter); // performances are subcollection of productions
+app.use("/api/productions", performanceSeriesRouter); // recurring performance schedules
+app.use("/api/performances", performancesRouter); // global performances endpoint
+app.use("/api/venues", venuesRouter);
+app.use("/api/venues", seatmapsRouter); // seatmaps are subcollection of venues
+app.use("/api/orders", ordersRouter);
+app.use("/api/orders", ticketsRouter); // tickets are subcollection of orders
+app.use("/api/orders", exchangesRouter); // ticket exchanges between performances
+app.use("/api/subscriptions", subscriptionsRouter);
+app.use("/api/emails", emailsRouter);
+app.use("/api/holds", holdsRouter);
+app.use("/api/disputes", disputesRouter);
+app.use("/api/promo-codes", promoCodesRouter);
+app.use("/api/tax-rates", taxRatesRouter);
+app.use("/api/tickets", ticketVerificationRouter);
+app.use("/api/scanning", scanningRouter);
+app.use("/api/transfers", ticketTransfersRouter);
+app.use("/api/wallet", walletPassesRouter);
+app.use("/api/calendars", calendarsRouter);
+app.use("/api/organizations", organizationsRouter);
+app.use("/api/api-keys", apiKeysRouter);
+app.use("/api/webhook-endpoints", webhookEndpointsRouter);
+app.use("/api/admin/webhook-events", webhookEventsRouter);
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+module.exports = app;
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { db, docToObject, docsToObjects, generateId, applyPagination } = require('../BaseController');
+
+// Seller-issued API keys for integrations. Keys look like spk_<secret>; only their hash is stored.
+class ApiKeysController {
+  constructor() {
+    this.collection = 'apiKeys';
+    this.keyPrefix = 'spk_';
+  }
+
+  // API keys are only stored hashed
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  // Whether a credential is shaped like one of our API keys (rather than a Firebase ID token)
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(this.keyPrefix);
+  }
+
+  // Strip the key hash before returning a key to clients
+  toPublicApiKey(apiKey) {
+    if (!apiKey) return null;
+    const { keyHash, ...publicApiKey } = apiKey;
+    return publicApiKey;
+  }
+
+  // Build a new key document. Returns { apiKeyData, key }; the plain key is only available here.
+  buildApiKey(apiKey) {
+    const id = generateId();
+    const key = `${this.keyPrefix}${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date().toISOString();
+    const apiKeyData = {
+      expiresAt: null,
+      ...apiKey,
+      id,
+      keyHash: this.hashKey(key),
+      // Enough of the key for people to tell their keys apart
+      displayPrefix: key.slice(0, this.keyPrefix.length + 6),
+      status: 'active',
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      revokedBy: null,
+      rotatedFrom: apiKey.rotatedFrom || null,
+      rotatedTo: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    return { apiKeyData, key };
+  }
+
+  // Create an API key. Returns { apiKey, key }; the plain key is only available here.
+  async createApiKey(apiKey) {
+    try {
+      const { apiKeyData, key } = this.buildApiKey(apiKey);
+      await db.collection(this.collection).doc(apiKeyData.id).set(apiKeyData);
+      return { apiKey: this.toPublicApiKey(apiKeyData), key };
+    } catch (error) {
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  // Get API key by ID
+  async getApiKeyById(apiKeyId) {
+    try {
+      const apiKeyDoc = await db.collection(this.collection).doc(apiKeyId).get();
+      return docToObject(apiKeyDoc);
+    } catch (error) {
+      throw new Error(`Failed to get API key by ID: ${error.message}`);
+    }
+  }
+
+  // Find the key document for a plain API key
+  async getApiKeyByKey(key) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('keyHash', '==', this.hashKey(key))
+        .limit(1)
+        .get();
+      return snapshot.empty ? null : docToObject(snapshot.docs[0]);
+    } catch (error) {
+      throw new Error(`Failed to get API key by key: ${error.message}`);
+    }
+  }
+
+  // Whether a key may still be used
+  isApiKeyActive(apiKey, now = new Date()) {
+    if (!apiKey || apiKey.status !== 'active') return false;
+    return !apiKey.expiresAt || new Date(apiKey.expiresAt) > now;
+  }
+
+  // Get a seller's API keys, newest first
+  async getApiKeysBySellerId(sellerId, filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection).where('sellerId', '==', sellerId);
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      const snapshot = await query.get();
+      const apiKeys = docsToObjects(snapshot.docs)
+        .map(apiKey => this.toPublicApiKey(apiKey))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(apiKeys, pagination.limit, pagination.offset);
+      }
+
+      return apiKeys;
+    } catch (error) {
+      throw new Error(`Failed to get API keys: ${error.message}`);
+    }
+  }
+
+  // Update API key (name, scopes)
+  async updateApiKey(apiKeyId, updateData) {
+    try {
+      const updates = { ...updateData, updatedAt: new Date().toISOString() };
+      await db.collection(this.collection).doc(apiKeyId).update(updates);
+      return { id: apiKeyId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to update API key: ${error.message}`);
+    }
+  }
+
+  // Record that a key was used
+  async recordUsage(apiKeyId, ip = null) {
+    try {
+      const now = new Date().toISOString();
+      await db.collection(this.collection).doc(apiKeyId).update({ lastUsedAt: now, lastUsedIp: ip });
+    } catch (error) {
+      throw new Error(`Failed to record API key usage: ${error.message}`);
+    }
+  }
+
+  // Revoke a key immediately
+  async revokeApiKey(apiKeyId, revokedBy) {
+    try {
+      const apiKeyRef = db.collection(this.collection).doc(apiKeyId);
+      return await db.runTransaction(async (transaction) => {
+        const apiKeyDoc = await transaction.get(apiKeyRef);
+        if (!apiKeyDoc.exists) {
+          return { success: false, reason: 'not_found' };
+        }
+        const apiKey = apiKeyDoc.data();
+        if (apiKey.status !== 'active') {
+          return { success: false, reason: `API key is already ${apiKey.status}` };
+        }
+
+        const now = new Date().toISOString();
+        const updates = { status: 'revoked', revokedAt: now, revokedBy, updatedAt: now };
+        transaction.update(apiKeyRef, updates);
+        return { success: true, apiKey: this.toPublicApiKey({ ...apiKey, ...updates }) };
+      });
+    } catch (error) {
+      throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+  }
+
+  // Replace a key with a new one with the same name and scopes. The old key keeps working for
+  // graceHours so integrations can switch over, then expires.
+  // Returns { success: true, apiKey, key, previous } or { success: false, reason }.
+  async rotateApiKey(apiKeyId, { graceHours = 0, rotatedBy = null } = {}) {
+    try {
+      const apiKeyRef = db.collection(this.collection).doc(apiKeyId);
+      return await db.runTransaction(async (transaction) => {
+        const apiKeyDoc = await transaction.get(apiKeyRef);
+        if (!apiKeyDoc.exists) {
+          return { success: false, reason: 'not_found' };
+        }
+        const previous = apiKeyDoc.data();
+        if (!this.isApiKeyActive(previous)) {
+          return { success: false, reason: 'Only active API keys can be rotated' };
+        }
+        if (previous.rotatedTo) {
+          return { success: false, reason: 'API key has already been rotated' };
+        }
+
+        const { apiKeyData, key } = this.buildApiKey({
+          sellerId: previous.sellerId,
+          name: previous.name,
+          scopes: previous.scopes,
+          expiresAt: previous.expiresAt,
+          createdBy: rotatedBy,
+          rotatedFrom: apiKeyId
+        });
+        transaction.set(db.collection(this.collection).doc(apiKeyData.id), apiKeyData);
+
+        const now = new Date();
+        const graceEnd = new Date(now.getTime() + graceHours * 60 * 60 * 1000);
+        const expiresAt = previous.expiresAt && new Date(previous.expiresAt) < graceEnd
+          ? previous.expiresAt
+          : graceEnd.toISOString();
+        const updates = { rotatedTo: apiKeyData.id, expiresAt, updatedAt: now.toISOString() };
+        transaction.update(apiKeyRef, updates);
+
+        return {
+          success: true,
+          apiKey: this.toPublicApiKey(apiKeyData),
+          key,
+          previous: this.toPublicApiKey({ ...previous, ...updates })
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to rotate API key: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ApiKeysController();
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { db, docToObject, docsToObjects, generateId, applyPagination } = require('../BaseController');
+
+class CheckInSessionsController {
+  constructor() {
+    this.collection = 'checkInSessions';
+  }
+
+  // Session tokens are only stored hashed
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Strip the token hash before returning a session to clients
+  toPublicSession(session) {
+    if (!session) return null;
+    const { tokenHash, ...publicSession } = session;
+    return publicSession;
+  }
+
+  // Create a check-in session for a scanner device.
+  // Returns { session, token }; the plain token is only available here.
+  async createSession(session) {
+    try {
+      const id = generateId();
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date().toISOString();
+      const sessionData = {
+        ...session,
+        id,
+        tokenHash: this.hashToken(token),
+        status: 'active',
+        revokedAt: null,
+        lastSeenAt: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      await db.collection(this.collection).doc(id).set(sessionData);
+      return { session: this.toPublicSession(sessionData), token };
+    } catch (error) {
+      throw new Error(`Failed to create check-in session: ${error.message}`);
+    }
+  }
+
+  // Get session by ID
+  async getSessionById(sessionId) {
+    try {
+      const sessionDoc = await db.collection(this.collection).doc(sessionId).get();
+      return docToObject(sessionDoc);
+    } catch (error) {
+      throw new Error(`Failed to get check-in session by ID: ${error.message}`);
+    }
+  }
+
+  // Find the session a device token belongs to
+  async getSessionByToken(token) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('tokenHash', '==', this.hashToken(token))
+        .limit(1)
+        .get();
+      return snapshot.empty ? null : docToObject(snapshot.docs[0]);
+    } catch (error) {
+      throw new Error(`Failed to get check-in session by token: ${error.message}`);
+    }
+  }
+
+  // Whether a session may still be used to scan
+  isSessionActive(session, now = new Date()) {
+    if (!session || session.status !== 'active') return false;
+    return !session.expiresAt || new Date(session.expiresAt) > now;
+  }
+
+  // Get a seller's sessions, optionally for one performance
+  async getSessionsBySellerId(sellerId, filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection).where('sellerId', '==', sellerId);
+      if (filters.performanceId) {
+        query = query.where('performanceId', '==', filters.performanceId);
+      }
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      const snapshot = await query.get();
+      const sessions = docsToObjects(snapshot.docs)
+        .map(session => this.toPublicSession(session))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(sessions, pagination.limit, pagination.offset);
+      }
+
+      return sessions;
+    } catch (error) {
+      throw new Error(`Failed to get check-in sessions: ${error.message}`);
+    }
+  }
+
+  // Record that a device used its session
+  async touchSession(sessionId) {
+    try {
+      await db.collection(this.collection).doc(sessionId).update({
+        lastSeenAt: new Date().toISOString()
+      });
+    } catch (error) {
+      throw new Error(`Failed to update check-in session: ${error.message}`);
+    }
+  }
+
+  // Revoke a session so its device can no longer scan
+  async revokeSession(sessionId, revokedBy = null) {
+    try {
+      const now = new Date().toISOString();
+      const updates = { status: 'revoked', revokedAt: now, revokedBy, updatedAt: now };
+      await db.collection(this.collection).doc(sessionId).update(updates);
+      return { id: sessionId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to revoke check-in session: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CheckInSessionsController();
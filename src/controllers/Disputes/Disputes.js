@@ -0,0 +1,79 @@
+const { db, docToObject, docsToObjects, addTimestamps, applyPagination } = require('../BaseController');
+
+class DisputesController {
+  constructor() {
+    this.collection = 'disputes';
+  }
+
+  // Create or update a dispute (document ID is the Stripe dispute ID)
+  async upsertDispute(dispute) {
+    try {
+      const disputeRef = db.collection(this.collection).doc(dispute.id);
+      const existing = await disputeRef.get();
+      const disputeData = addTimestamps(dispute, existing.exists);
+      await disputeRef.set(disputeData, { merge: true });
+      return disputeData;
+    } catch (error) {
+      throw new Error(`Failed to upsert dispute: ${error.message}`);
+    }
+  }
+
+  // Get dispute by ID
+  async getDisputeById(disputeId) {
+    try {
+      const disputeDoc = await db.collection(this.collection).doc(disputeId).get();
+      return docToObject(disputeDoc);
+    } catch (error) {
+      throw new Error(`Failed to get dispute by ID: ${error.message}`);
+    }
+  }
+
+  // Get disputes for a seller, optionally filtered by status
+  async getDisputesBySellerId(sellerId, filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection).where('sellerId', '==', sellerId);
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      const snapshot = await query.get();
+      const disputes = docsToObjects(snapshot.docs);
+      // Sort in memory so no composite index is needed
+      disputes.sort((a, b) => (b.stripeCreatedAt || 0) - (a.stripeCreatedAt || 0));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(disputes, pagination.limit, pagination.offset);
+      }
+
+      return disputes;
+    } catch (error) {
+      throw new Error(`Failed to get disputes by seller ID: ${error.message}`);
+    }
+  }
+
+  // Get disputes linked to an order
+  async getDisputesByOrderId(orderId) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('orderId', '==', orderId)
+        .get();
+      return docsToObjects(snapshot.docs);
+    } catch (error) {
+      throw new Error(`Failed to get disputes by order ID: ${error.message}`);
+    }
+  }
+
+  // Update dispute
+  async updateDispute(disputeId, updateData) {
+    try {
+      const disputeRef = db.collection(this.collection).doc(disputeId);
+      const updateDataWithTimestamp = addTimestamps(updateData, true);
+      await disputeRef.update(updateDataWithTimestamp);
+      return { id: disputeId, ...updateDataWithTimestamp };
+    } catch (error) {
+      throw new Error(`Failed to update dispute: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DisputesController();
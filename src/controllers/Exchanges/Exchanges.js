@@ -0,0 +1,86 @@
+const { db, docToObject, docsToObjects, generateId } = require('../BaseController');
+
+class ExchangesController {
+  constructor() {
+    this.collection = 'exchanges';
+  }
+
+  // Create an exchange record
+  async createExchange(exchange) {
+    try {
+      const id = exchange.id || generateId();
+      const now = new Date().toISOString();
+      const exchangeData = {
+        ...exchange,
+        id,
+        createdAt: now,
+        updatedAt: now
+      };
+      await db.collection(this.collection).doc(id).set(exchangeData);
+      return exchangeData;
+    } catch (error) {
+      throw new Error(`Failed to create exchange: ${error.message}`);
+    }
+  }
+
+  // Get exchange by ID
+  async getExchangeById(exchangeId) {
+    try {
+      const exchangeDoc = await db.collection(this.collection).doc(exchangeId).get();
+      return docToObject(exchangeDoc);
+    } catch (error) {
+      throw new Error(`Failed to get exchange by ID: ${error.message}`);
+    }
+  }
+
+  // Get exchanges made from an order, newest first
+  async getExchangesByOrderId(orderId) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('orderId', '==', orderId)
+        .get();
+      return docsToObjects(snapshot.docs)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new Error(`Failed to get exchanges by order ID: ${error.message}`);
+    }
+  }
+
+  // Update exchange
+  async updateExchange(exchangeId, updateData) {
+    try {
+      const updates = { ...updateData, updatedAt: new Date().toISOString() };
+      await db.collection(this.collection).doc(exchangeId).update(updates);
+      return { id: exchangeId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to update exchange: ${error.message}`);
+    }
+  }
+
+  // Move an exchange into 'processing' if it is in one of the given statuses, so a retried
+  // webhook or a double submit can't complete it twice. Returns the exchange, or null if claimed elsewhere.
+  async claimExchange(exchangeId, fromStatuses = ['pending']) {
+    try {
+      const exchangeRef = db.collection(this.collection).doc(exchangeId);
+      return await db.runTransaction(async (transaction) => {
+        const exchangeDoc = await transaction.get(exchangeRef);
+        if (!exchangeDoc.exists) {
+          throw new Error('Exchange not found');
+        }
+
+        const exchange = docToObject(exchangeDoc);
+        if (!fromStatuses.includes(exchange.status)) {
+          return null;
+        }
+
+        const updates = { status: 'processing', updatedAt: new Date().toISOString() };
+        transaction.update(exchangeRef, updates);
+        return { ...exchange, ...updates };
+      });
+    } catch (error) {
+      throw new Error(`Failed to claim exchange: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ExchangesController();
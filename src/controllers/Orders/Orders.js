@@ -48,47 +48,61 @@ class OrdersController {
   // Get orders by user ID
   async getOrdersByUserId(userId, filters = {}, pagination = {}) {
     try {
-      const ordersRef = db.collection(this.collection);
-      let query = ordersRef.where('userId', '==', userId);
-      
-      // Apply additional filters
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null && value !== '') {
-          query = query.where(key, '==', value);
-        }
-      });
-      
-      // Try to use orderBy with index, fallback to in-memory sort if index not ready
-      let orders;
-      try {
-        const snapshot = await query.orderBy('createdAt', 'desc').get();
-        orders = docsToObjects(snapshot.docs);
-      } catch (indexError) {
-        // If index is not ready yet, fetch without orderBy and sort in memory
-        if (indexError.message && indexError.message.includes('index')) {
-          const snapshot = await query.get();
-          orders = docsToObjects(snapshot.docs);
-          // Sort in memory by createdAt descending
-          orders.sort((a, b) => {
-            const aTime = a.createdAt?.toDate ? a.createdAt.toDate().getTime() : new Date(a.createdAt || 0).getTime();
-            const bTime = b.createdAt?.toDate ? b.createdAt.toDate().getTime() : new Date(b.createdAt || 0).getTime();
-            return bTime - aTime;
-          });
-        } else {
-          throw indexError;
-        }
-      }
-      
-      if (pagination.limit || pagination.offset) {
-        return applyPagination(orders, pagination.limit, pagination.offset);
-      }
-      
-      return orders;
+      return await this.getOrdersWhere('userId', userId, filters, pagination);
     } catch (error) {
       throw new Error(`Failed to get orders by user ID: ${error.message}`);
     }
   }
 
+  // Get the orders a customer bought while signed in
+  async getOrdersByBuyerId(buyerId, filters = {}, pagination = {}) {
+    try {
+      return await this.getOrdersWhere('buyerId', buyerId, filters, pagination);
+    } catch (error) {
+      throw new Error(`Failed to get orders by buyer ID: ${error.message}`);
+    }
+  }
+
+  // Orders with a field equal to a value, newest first
+  async getOrdersWhere(field, value, filters = {}, pagination = {}) {
+    const ordersRef = db.collection(this.collection);
+    let query = ordersRef.where(field, '==', value);
+    
+    // Apply additional filters
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query = query.where(key, '==', value);
+      }
+    });
+    
+    // Try to use orderBy with index, fallback to in-memory sort if index not ready
+    let orders;
+    try {
+      const snapshot = await query.orderBy('createdAt', 'desc').get();
+      orders = docsToObjects(snapshot.docs);
+    } catch (indexError) {
+      // If index is not ready yet, fetch without orderBy and sort in memory
+      if (indexError.message && indexError.message.includes('index')) {
+        const snapshot = await query.get();
+        orders = docsToObjects(snapshot.docs);
+        // Sort in memory by createdAt descending
+        orders.sort((a, b) => {
+          const aTime = a.createdAt?.toDate ? a.createdAt.toDate().getTime() : new Date(a.createdAt || 0).getTime();
+          const bTime = b.createdAt?.toDate ? b.createdAt.toDate().getTime() : new Date(b.createdAt || 0).getTime();
+          return bTime - aTime;
+        });
+      } else {
+        throw indexError;
+      }
+    }
+    
+    if (pagination.limit || pagination.offset) {
+      return applyPagination(orders, pagination.limit, pagination.offset);
+    }
+    
+    return orders;
+  }
+
   // Get orders by seller ID
   async getOrdersBySellerId(sellerId, filters = {}, pagination = {}) {
     try {
@@ -151,6 +165,54 @@ class OrdersController {
     }
   }
 
+  // Get order by Stripe PaymentIntent ID
+  async getOrderByPaymentIntentId(paymentIntentId) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('stripePaymentIntentId', '==', paymentIntentId)
+        .limit(1)
+        .get();
+      return snapshot.empty ? null : docToObject(snapshot.docs[0]);
+    } catch (error) {
+      throw new Error(`Failed to get order by payment intent ID: ${error.message}`);
+    }
+  }
+
+  // Record a Stripe refund on an order and update its refund totals.
+  // Returns null when the refund was already recorded, so callers can skip side effects.
+  async recordRefund(orderId, refund) {
+    try {
+      const orderRef = db.collection(this.collection).doc(orderId);
+
+      return await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+          throw new Error('Order not found');
+        }
+
+        const order = docToObject(orderDoc);
+        const refunds = order.refunds || [];
+        if (refunds.some(r => r.id === refund.id)) {
+          return null;
+        }
+
+        const refundedAmount = (order.refundedAmount || 0) + refund.amount;
+        const fullyRefunded = refund.fullRefund || refundedAmount >= (order.totalAmount || 0);
+        const updates = addTimestamps({
+          refunds: [...refunds, refund],
+          refundedAmount,
+          paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+          ...(fullyRefunded && { status: 'refunded' })
+        }, true);
+        transaction.update(orderRef, updates);
+
+        return { ...order, ...updates };
+      });
+    } catch (error) {
+      throw new Error(`Failed to record refund: ${error.message}`);
+    }
+  }
+
   // Get orders by status
   async getOrdersByStatus(status, pagination = {}) {
     try {
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const { db, admin, docToObject, docsToObjects, generateId, applyPagination } = require('../BaseController');
+const { syncUserClaimsSafely } = require('../../services/customClaims');
+
+// Seller organisations. An organisation's ID is its owning seller's user ID, so the sellerId on
+// productions, venues and orders names the organisation. Staff are kept in a members subcollection
+// and mirrored onto each user as organizationRoles: { [organizationId]: role } and into their custom
+// claims for the auth middleware.
+class OrganizationsController {
+  constructor() {
+    this.collection = 'organizations';
+    this.usersCollection = 'users';
+  }
+
+  organizationRef(organizationId) {
+    return db.collection(this.collection).doc(organizationId);
+  }
+
+  membersRef(organizationId) {
+    return this.organizationRef(organizationId).collection('members');
+  }
+
+  invitationsRef(organizationId) {
+    return this.organizationRef(organizationId).collection('invitations');
+  }
+
+  auditLogRef(organizationId) {
+    return this.organizationRef(organizationId).collection('auditLog');
+  }
+
+  // Invitation tokens are only stored hashed
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Strip the token hash before returning an invitation to clients
+  toPublicInvitation(invitation) {
+    if (!invitation) return null;
+    const { tokenHash, ...publicInvitation } = invitation;
+    return publicInvitation;
+  }
+
+  // Whether a plain invitation token matches the invitation
+  isTokenValid(invitation, token) {
+    if (!invitation?.tokenHash || !token) return false;
+    const expected = Buffer.from(invitation.tokenHash, 'hex');
+    const actual = Buffer.from(this.hashToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Write a member record and the user's organizationRoles mirror in one batch
+  setMemberInBatch(batch, organizationId, member) {
+    const now = new Date().toISOString();
+    batch.set(this.membersRef(organizationId).doc(member.userId), { ...member, updatedAt: now }, { merge: true });
+    batch.set(db.collection(this.usersCollection).doc(member.userId), {
+      organizationRoles: { [organizationId]: member.role },
+      updatedAt: now
+    }, { merge: true });
+  }
+
+  // Create an organisation with its owner as the first member
+  async createOrganization(organization, owner) {
+    try {
+      const now = new Date().toISOString();
+      const organizationData = {
+        ...organization,
+        ownerId: owner.userId,
+        createdAt: now,
+        updatedAt: now
+      };
+      const batch = db.batch();
+      batch.set(this.organizationRef(organization.id), organizationData);
+      this.setMemberInBatch(batch, organization.id, {
+        ...owner,
+        role: 'owner',
+        invitedBy: null,
+        joinedAt: now
+      });
+      await batch.commit();
+      await syncUserClaimsSafely(owner.userId);
+      return organizationData;
+    } catch (error) {
+      throw new Error(`Failed to create organization: ${error.message}`);
+    }
+  }
+
+  // Get organisation by ID
+  async getOrganizationById(organizationId) {
+    try {
+      const organizationDoc = await this.organizationRef(organizationId).get();
+      return docToObject(organizationDoc);
+    } catch (error) {
+      throw new Error(`Failed to get organization by ID: ${error.message}`);
+    }
+  }
+
+  // Get the organisations with the given IDs, skipping any that no longer exist
+  async getOrganizationsByIds(organizationIds) {
+    try {
+      if (organizationIds.length === 0) return [];
+      const docs = await db.getAll(...organizationIds.map(id => this.organizationRef(id)));
+      return docsToObjects(docs).filter(Boolean);
+    } catch (error) {
+      throw new Error(`Failed to get organizations: ${error.message}`);
+    }
+  }
+
+  // Update organisation
+  async updateOrganization(organizationId, updateData) {
+    try {
+      const updates = { ...updateData, updatedAt: new Date().toISOString() };
+      await this.organizationRef(organizationId).update(updates);
+      return { id: organizationId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to update organization: ${error.message}`);
+    }
+  }
+
+  // Get all members of an organisation, owners first
+  async getMembers(organizationId) {
+    try {
+      const snapshot = await this.membersRef(organizationId).get();
+      return docsToObjects(snapshot.docs)
+        .sort((a, b) => (a.role === 'owner' ? 0 : 1) - (b.role === 'owner' ? 0 : 1) ||
+          new Date(a.joinedAt) - new Date(b.joinedAt));
+    } catch (error) {
+      throw new Error(`Failed to get organization members: ${error.message}`);
+    }
+  }
+
+  // Get a member by user ID
+  async getMember(organizationId, userId) {
+    try {
+      const memberDoc = await this.membersRef(organizationId).doc(userId).get();
+      return docToObject(memberDoc);
+    } catch (error) {
+      throw new Error(`Failed to get organization member: ${error.message}`);
+    }
+  }
+
+  // Change a member's role
+  async updateMemberRole(organizationId, userId, role) {
+    try {
+      const batch = db.batch();
+      this.setMemberInBatch(batch, organizationId, { userId, role });
+      await batch.commit();
+      await syncUserClaimsSafely(userId);
+      return await this.getMember(organizationId, userId);
+    } catch (error) {
+      throw new Error(`Failed to update organization member: ${error.message}`);
+    }
+  }
+
+  // Remove a member and their organizationRoles entry
+  async removeMember(organizationId, userId) {
+    try {
+      const batch = db.batch();
+      batch.delete(this.membersRef(organizationId).doc(userId));
+      batch.update(db.collection(this.usersCollection).doc(userId), {
+        [`organizationRoles.${organizationId}`]: admin.firestore.FieldValue.delete(),
+        updatedAt: new Date().toISOString()
+      });
+      await batch.commit();
+      await syncUserClaimsSafely(userId);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to remove organization member: ${error.message}`);
+    }
+  }
+
+  // Create an invitation. Returns { invitation, token }; the plain token only goes into the invite link.
+  async createInvitation(organizationId, invitation) {
+    try {
+      const id = generateId();
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date().toISOString();
+      const invitationData = {
+        ...invitation,
+        id,
+        organizationId,
+        tokenHash: this.hashToken(token),
+        status: 'pending',
+        acceptedAt: null,
+        acceptedBy: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.invitationsRef(organizationId).doc(id).set(invitationData);
+      return { invitation: this.toPublicInvitation(invitationData), token };
+    } catch (error) {
+      throw new Error(`Failed to create organization invitation: ${error.message}`);
+    }
+  }
+
+  // Get invitation by ID (includes tokenHash for verification)
+  async getInvitationById(organizationId, invitationId) {
+    try {
+      const invitationDoc = await this.invitationsRef(organizationId).doc(invitationId).get();
+      return docToObject(invitationDoc);
+    } catch (error) {
+      throw new Error(`Failed to get organization invitation by ID: ${error.message}`);
+    }
+  }
+
+  // Get an organisation's invitations, newest first
+  async getInvitations(organizationId, filters = {}) {
+    try {
+      let query = this.invitationsRef(organizationId);
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+      if (filters.email) {
+        query = query.where('email', '==', filters.email.trim().toLowerCase());
+      }
+      const snapshot = await query.get();
+      return docsToObjects(snapshot.docs)
+        .map(invitation => this.toPublicInvitation(invitation))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new Error(`Failed to get organization invitations: ${error.message}`);
+    }
+  }
+
+  // Revoke a pending invitation
+  async revokeInvitation(organizationId, invitationId, revokedBy) {
+    try {
+      const invitationRef = this.invitationsRef(organizationId).doc(invitationId);
+      return await db.runTransaction(async (transaction) => {
+        const invitationDoc = await transaction.get(invitationRef);
+        if (!invitationDoc.exists) {
+          return { success: false, reason: 'not_found' };
+        }
+        const invitation = invitationDoc.data();
+        if (invitation.status !== 'pending') {
+          return { success: false, reason: `Invitation is already ${invitation.status}` };
+        }
+
+        const now = new Date().toISOString();
+        const updates = { status: 'revoked', revokedAt: now, revokedBy, updatedAt: now };
+        transaction.update(invitationRef, updates);
+        return { success: true, invitation: this.toPublicInvitation({ ...invitation, ...updates }) };
+      });
+    } catch (error) {
+      throw new Error(`Failed to revoke organization invitation: ${error.message}`);
+    }
+  }
+
+  // Accept an invitation: add the user as a member with the invited role and close the invitation.
+  // Returns { success: true, invitation, member } or { success: false, reason }.
+  async acceptInvitation(organizationId, invitationId, user) {
+    try {
+      const invitationRef = this.invitationsRef(organizationId).doc(invitationId);
+      const memberRef = this.membersRef(organizationId).doc(user.userId);
+
+      const result = await db.runTransaction(async (transaction) => {
+        const invitationDoc = await transaction.get(invitationRef);
+        const memberDoc = await transaction.get(memberRef);
+        if (!invitationDoc.exists) {
+          return { success: false, reason: 'not_found' };
+        }
+
+        const invitation = invitationDoc.data();
+        if (invitation.status !== 'pending') {
+          return { success: false, reason: `Invitation is already ${invitation.status}` };
+        }
+
+        const now = new Date().toISOString();
+        if (new Date(invitation.expiresAt) <= new Date(now)) {
+          transaction.update(invitationRef, { status: 'expired', updatedAt: now });
+          return { success: false, reason: 'Invitation has expired' };
+        }
+        if (memberDoc.exists && memberDoc.data().role === 'owner') {
+          return { success: false, reason: 'You are already an owner of this organization' };
+        }
+
+        const member = {
+          userId: user.userId,
+          email: user.email,
+          displayName: user.displayName || null,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          joinedAt: memberDoc.exists ? memberDoc.data().joinedAt : now,
+          updatedAt: now
+        };
+        transaction.set(memberRef, member);
+        transaction.set(db.collection(this.usersCollection).doc(user.userId), {
+          organizationRoles: { [organizationId]: invitation.role },
+          updatedAt: now
+        }, { merge: true });
+
+        const invitationUpdates = {
+          status: 'accepted',
+          acceptedAt: now,
+          acceptedBy: user.userId,
+          updatedAt: now
+        };
+        transaction.update(invitationRef, invitationUpdates);
+
+        return {
+          success: true,
+          invitation: this.toPublicInvitation({ ...invitation, ...invitationUpdates }),
+          member
+        };
+      });
+
+      if (result.success) {
+        await syncUserClaimsSafely(user.userId);
+      }
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to accept organization invitation: ${error.message}`);
+    }
+  }
+
+  // Append a staff action to the organisation's audit log
+  async recordAuditEntry(organizationId, entry) {
+    try {
+      const id = generateId();
+      const auditEntry = {
+        actorId: null,
+        actorRole: null,
+        action: null,
+        targetType: null,
+        targetId: null,
+        details: null,
+        ...entry,
+        id,
+        organizationId,
+        createdAt: new Date().toISOString()
+      };
+      await this.auditLogRef(organizationId).doc(id).set(auditEntry);
+      return auditEntry;
+    } catch (error) {
+      throw new Error(`Failed to record audit entry: ${error.message}`);
+    }
+  }
+
+  // Get an organisation's audit log, newest first
+  async getAuditLog(organizationId, filters = {}, pagination = {}) {
+    try {
+      let query = this.auditLogRef(organizationId);
+      if (filters.actorId) {
+        query = query.where('actorId', '==', filters.actorId);
+      }
+      if (filters.targetType) {
+        query = query.where('targetType', '==', filters.targetType);
+      }
+
+      const snapshot = await query.get();
+      const entries = docsToObjects(snapshot.docs)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(entries, pagination.limit, pagination.offset);
+      }
+
+      return entries;
+    } catch (error) {
+      throw new Error(`Failed to get audit log: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OrganizationsController();
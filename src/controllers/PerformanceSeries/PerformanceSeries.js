@@ -0,0 +1,68 @@
+const { db, docToObject, docsToObjects, generateId } = require('../BaseController');
+
+// Recurring schedules that generated a production's performances; each performance keeps its seriesId
+class PerformanceSeriesController {
+  constructor() {
+    this.parentCollection = 'productions';
+    this.subcollection = 'performanceSeries';
+  }
+
+  seriesRef(productionId) {
+    return db.collection(this.parentCollection)
+      .doc(productionId)
+      .collection(this.subcollection);
+  }
+
+  // Create a series record
+  async createSeries(productionId, series) {
+    try {
+      const id = series.id || generateId();
+      const now = new Date().toISOString();
+      const seriesData = {
+        ...series,
+        id,
+        productionId,
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.seriesRef(productionId).doc(id).set(seriesData);
+      return seriesData;
+    } catch (error) {
+      throw new Error(`Failed to create performance series: ${error.message}`);
+    }
+  }
+
+  // Get series by ID
+  async getSeriesById(productionId, seriesId) {
+    try {
+      const seriesDoc = await this.seriesRef(productionId).doc(seriesId).get();
+      return docToObject(seriesDoc);
+    } catch (error) {
+      throw new Error(`Failed to get performance series by ID: ${error.message}`);
+    }
+  }
+
+  // Get all series for a production, oldest first
+  async getSeriesByProduction(productionId) {
+    try {
+      const snapshot = await this.seriesRef(productionId).get();
+      return docsToObjects(snapshot.docs)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    } catch (error) {
+      throw new Error(`Failed to get performance series: ${error.message}`);
+    }
+  }
+
+  // Update series
+  async updateSeries(productionId, seriesId, updateData) {
+    try {
+      const updates = { ...updateData, updatedAt: new Date().toISOString() };
+      await this.seriesRef(productionId).doc(seriesId).update(updates);
+      return { id: seriesId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to update performance series: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PerformanceSeriesController();
@@ -72,6 +72,21 @@ class PerformancesController {
     }
   }
 
+  // Get the performances generated by a recurring series, by date
+  async getPerformancesBySeriesId(productionId, seriesId) {
+    try {
+      const snapshot = await db.collection(this.parentCollection)
+        .doc(productionId)
+        .collection(this.subcollection)
+        .where('seriesId', '==', seriesId)
+        .get();
+      return docsToObjects(snapshot.docs)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    } catch (error) {
+      throw new Error(`Failed to get performances by series: ${error.message}`);
+    }
+  }
+
   // Get performances by status
   async getPerformancesByStatus(productionId, status, pagination = {}) {
     try {
@@ -0,0 +1,384 @@
+const { db, docToObject, docsToObjects, addTimestamps, generateId, applyPagination } = require('../BaseController');
+
+class PromoCodesController {
+  constructor() {
+    this.collection = 'promoCodes';
+    this.redemptionsSubcollection = 'redemptions';
+    this.customersSubcollection = 'customers';
+  }
+
+  // Codes are matched case-insensitively
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  // Key used for per-customer limits: the signed-in buyer's user ID. Customer emails are supplied
+  // by the client, so a new address would get a fresh allowance.
+  buildCustomerKey({ userId } = {}) {
+    return userId ? `user:${userId}` : null;
+  }
+
+  // Create a new promo code
+  async createPromoCode(promoCode) {
+    try {
+      const id = promoCode.id || generateId();
+      const promoData = addTimestamps({
+        ...promoCode,
+        id,
+        code: this.normalizeCode(promoCode.code),
+        redemptionCount: 0
+      });
+      await db.collection(this.collection).doc(id).set(promoData);
+      return promoData;
+    } catch (error) {
+      throw new Error(`Failed to create promo code: ${error.message}`);
+    }
+  }
+
+  // Get promo code by ID
+  async getPromoCodeById(promoCodeId) {
+    try {
+      const promoDoc = await db.collection(this.collection).doc(promoCodeId).get();
+      return docToObject(promoDoc);
+    } catch (error) {
+      throw new Error(`Failed to get promo code by ID: ${error.message}`);
+    }
+  }
+
+  // Get a seller's promo code by its code
+  async getPromoCodeByCode(sellerId, code) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('sellerId', '==', sellerId)
+        .where('code', '==', this.normalizeCode(code))
+        .limit(1)
+        .get();
+      return snapshot.empty ? null : docToObject(snapshot.docs[0]);
+    } catch (error) {
+      throw new Error(`Failed to get promo code: ${error.message}`);
+    }
+  }
+
+  // Get all promo codes for a seller
+  async getPromoCodesBySellerId(sellerId, filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection).where('sellerId', '==', sellerId);
+      if (filters.active !== undefined) {
+        query = query.where('active', '==', filters.active);
+      }
+
+      const snapshot = await query.get();
+      const promoCodes = docsToObjects(snapshot.docs)
+        .sort((a, b) => a.code.localeCompare(b.code));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(promoCodes, pagination.limit, pagination.offset);
+      }
+
+      return promoCodes;
+    } catch (error) {
+      throw new Error(`Failed to get promo codes by seller ID: ${error.message}`);
+    }
+  }
+
+  // Update promo code
+  async updatePromoCode(promoCodeId, updateData) {
+    try {
+      const promoRef = db.collection(this.collection).doc(promoCodeId);
+      const data = { ...updateData };
+      if (data.code !== undefined) {
+        data.code = this.normalizeCode(data.code);
+      }
+      // Redemption counts are only changed by reservations and redemptions
+      delete data.redemptionCount;
+      const updateDataWithTimestamp = addTimestamps(data, true);
+      await promoRef.update(updateDataWithTimestamp);
+      return { id: promoCodeId, ...updateDataWithTimestamp };
+    } catch (error) {
+      throw new Error(`Failed to update promo code: ${error.message}`);
+    }
+  }
+
+  // Delete promo code
+  async deletePromoCode(promoCodeId) {
+    try {
+      await db.collection(this.collection).doc(promoCodeId).delete();
+      return { success: true, message: 'Promo code deleted successfully' };
+    } catch (error) {
+      throw new Error(`Failed to delete promo code: ${error.message}`);
+    }
+  }
+
+  // Check a promo code against an order and compute the discount.
+  // Returns { valid: false, reason } or { valid: true, discountAmount, eligibleSubtotal, subtotal }.
+  evaluatePromoCode(promo, { productionId, performanceId, tickets = [], now = new Date() } = {}) {
+    if (!promo || promo.active === false) {
+      return { valid: false, reason: 'Promo code is not active' };
+    }
+    if (promo.startsAt && new Date(promo.startsAt) > now) {
+      return { valid: false, reason: 'Promo code is not valid yet' };
+    }
+    if (promo.endsAt && new Date(promo.endsAt) <= now) {
+      return { valid: false, reason: 'Promo code has expired' };
+    }
+    if (promo.maxRedemptions != null && (promo.redemptionCount || 0) >= promo.maxRedemptions) {
+      return { valid: false, reason: 'Promo code has reached its usage limit' };
+    }
+    if (promo.productionIds?.length > 0 && !promo.productionIds.includes(productionId)) {
+      return { valid: false, reason: 'Promo code does not apply to this production' };
+    }
+    if (promo.performanceIds?.length > 0 && !promo.performanceIds.includes(performanceId)) {
+      return { valid: false, reason: 'Promo code does not apply to this performance' };
+    }
+
+    const priceOf = (ticket) => parseInt(ticket.price) || 0;
+    const subtotal = tickets.reduce((sum, ticket) => sum + priceOf(ticket), 0);
+
+    // Price category restrictions match the ticket's category, falling back to its section
+    const eligibleTickets = promo.priceCategories?.length > 0
+      ? tickets.filter(ticket => promo.priceCategories.includes(ticket.priceCategory || ticket.section))
+      : tickets;
+    const eligibleSubtotal = eligibleTickets.reduce((sum, ticket) => sum + priceOf(ticket), 0);
+
+    if (eligibleSubtotal <= 0) {
+      return { valid: false, reason: 'Promo code does not apply to the selected tickets' };
+    }
+    if (promo.minOrderAmount && subtotal < promo.minOrderAmount) {
+      return { valid: false, reason: 'Order does not meet the minimum amount for this promo code' };
+    }
+
+    const discountAmount = promo.discountType === 'percent'
+      ? Math.round(eligibleSubtotal * Math.min(promo.discountValue, 100) / 100)
+      : Math.min(promo.discountValue, eligibleSubtotal);
+
+    return { valid: true, discountAmount, eligibleSubtotal, subtotal };
+  }
+
+  // Number of times a customer has redeemed a promo code
+  async getCustomerRedemptionCount(promoCodeId, customerKey) {
+    try {
+      const customerDoc = await db.collection(this.collection)
+        .doc(promoCodeId)
+        .collection(this.customersSubcollection)
+        .doc(customerKey.replace(/\//g, '_'))
+        .get();
+      return customerDoc.exists ? (customerDoc.data().count || 0) : 0;
+    } catch (error) {
+      throw new Error(`Failed to get customer redemption count: ${error.message}`);
+    }
+  }
+
+  // Look up a seller's code and check it against an order, including the per-customer cap.
+  // Returns the evaluation result with the matching promo code attached.
+  async checkPromoCode(sellerId, code, context = {}) {
+    try {
+      const promo = await this.getPromoCodeByCode(sellerId, code);
+      if (!promo) {
+        return { valid: false, reason: 'Promo code not found' };
+      }
+
+      const result = this.evaluatePromoCode(promo, context);
+      if (!result.valid) {
+        return { ...result, promo };
+      }
+
+      if (promo.maxRedemptionsPerCustomer != null) {
+        const customerKey = this.buildCustomerKey(context);
+        if (!customerKey) {
+          return { valid: false, reason: 'Sign in to use this promo code', promo };
+        }
+        const count = await this.getCustomerRedemptionCount(promo.id, customerKey);
+        if (count >= promo.maxRedemptionsPerCustomer) {
+          return { valid: false, reason: 'You have already used this promo code the maximum number of times', promo };
+        }
+      }
+
+      return { ...result, promo };
+    } catch (error) {
+      throw new Error(`Failed to check promo code: ${error.message}`);
+    }
+  }
+
+  // Reason a new redemption would exceed the code's usage caps, or null when it is allowed
+  checkRedemptionLimits(promo, customerKey, customerCount) {
+    if (promo.maxRedemptions != null && (promo.redemptionCount || 0) >= promo.maxRedemptions) {
+      return 'Promo code has reached its usage limit';
+    }
+    if (promo.maxRedemptionsPerCustomer != null) {
+      if (!customerKey) {
+        return 'Sign in to use this promo code';
+      }
+      if (customerCount >= promo.maxRedemptionsPerCustomer) {
+        return 'You have already used this promo code the maximum number of times';
+      }
+    }
+    return null;
+  }
+
+  // Read a redemption and the documents its counters live in, inside a transaction.
+  // An existing redemption keeps counting against the customer it was made for.
+  async getRedemptionState(transaction, promoCodeId, redemptionId, customerKey) {
+    const promoRef = db.collection(this.collection).doc(promoCodeId);
+    const redemptionRef = promoRef.collection(this.redemptionsSubcollection).doc(redemptionId);
+
+    const [promoDoc, redemptionDoc] = await Promise.all([
+      transaction.get(promoRef),
+      transaction.get(redemptionRef)
+    ]);
+    if (!promoDoc.exists) {
+      throw new Error('Promo code not found');
+    }
+
+    const redemption = redemptionDoc.exists ? redemptionDoc.data() : null;
+    const key = redemption ? redemption.customerKey : customerKey;
+    const customerRef = key
+      ? promoRef.collection(this.customersSubcollection).doc(key.replace(/\//g, '_'))
+      : null;
+    const customerDoc = customerRef ? await transaction.get(customerRef) : null;
+
+    return {
+      promoRef,
+      redemptionRef,
+      customerRef,
+      customerKey: key || null,
+      promo: promoDoc.data(),
+      redemption,
+      customerCount: customerDoc?.exists ? (customerDoc.data().count || 0) : 0
+    };
+  }
+
+  // Add (delta 1) or give back (delta -1) one use of a code in its usage counters
+  countRedemption(transaction, state, delta, now) {
+    transaction.update(state.promoRef, {
+      redemptionCount: Math.max((state.promo.redemptionCount || 0) + delta, 0),
+      updatedAt: now
+    });
+    if (state.customerRef) {
+      transaction.set(state.customerRef, { count: Math.max(state.customerCount + delta, 0), updatedAt: now });
+    }
+  }
+
+  // Hold one use of a code for a checkout before payment is taken. Reservations are keyed by the
+  // checkout's PaymentIntent ID, or by the order ID for orders created before payment, and expire
+  // with the checkout's seat hold. The use counts towards the caps until the reservation is
+  // confirmed, released or expires.
+  // Idempotent per reservation. Returns { success: false, reason } when a usage cap is reached.
+  async reservePromoCode(promoCodeId, { reservationId, paymentIntentId = null, orderId = null, customerKey = null, discountAmount, expiresAt }) {
+    try {
+      return await db.runTransaction(async (transaction) => {
+        const state = await this.getRedemptionState(transaction, promoCodeId, reservationId, customerKey);
+        if (state.redemption && state.redemption.status !== 'released') {
+          return { success: true, alreadyReserved: true };
+        }
+
+        const limitReason = this.checkRedemptionLimits(state.promo, state.customerKey, state.customerCount);
+        if (limitReason) {
+          return { success: false, reason: limitReason };
+        }
+
+        const now = new Date().toISOString();
+        this.countRedemption(transaction, state, 1, now);
+        transaction.set(state.redemptionRef, {
+          orderId,
+          paymentIntentId,
+          customerKey: state.customerKey,
+          discountAmount,
+          status: 'reserved',
+          reservedAt: now,
+          expiresAt
+        });
+
+        return { success: true, alreadyReserved: false };
+      });
+    } catch (error) {
+      throw new Error(`Failed to reserve promo code: ${error.message}`);
+    }
+  }
+
+  // Turn a reservation into a redemption for the order that was paid for. Idempotent.
+  // The customer has already paid the discounted amount, so if the reservation was released or
+  // expired in the meantime the use is counted again even over the caps, and flagged overLimit.
+  async confirmPromoReservation(promoCodeId, { reservationId, paymentIntentId = null, orderId, customerKey = null, discountAmount }) {
+    try {
+      return await db.runTransaction(async (transaction) => {
+        const state = await this.getRedemptionState(transaction, promoCodeId, reservationId, customerKey);
+        const now = new Date().toISOString();
+
+        if (state.redemption?.status === 'redeemed') {
+          return { success: true, alreadyRedeemed: true, overLimit: !!state.redemption.overLimit };
+        }
+        if (state.redemption?.status === 'reserved') {
+          transaction.update(state.redemptionRef, {
+            orderId,
+            ...(paymentIntentId && { paymentIntentId }),
+            status: 'redeemed',
+            redeemedAt: now
+          });
+          return { success: true, alreadyRedeemed: false, overLimit: false };
+        }
+
+        const overLimit = !!this.checkRedemptionLimits(state.promo, state.customerKey, state.customerCount);
+        this.countRedemption(transaction, state, 1, now);
+        transaction.set(state.redemptionRef, {
+          orderId,
+          paymentIntentId: paymentIntentId || state.redemption?.paymentIntentId || null,
+          customerKey: state.customerKey,
+          discountAmount,
+          status: 'redeemed',
+          overLimit,
+          redeemedAt: now
+        });
+        return { success: true, alreadyRedeemed: false, overLimit };
+      });
+    } catch (error) {
+      throw new Error(`Failed to confirm promo code reservation: ${error.message}`);
+    }
+  }
+
+  // Give back the use held by a checkout that failed, was cancelled or expired. Idempotent;
+  // confirmed redemptions are left alone.
+  async releasePromoReservation(promoCodeId, { reservationId, reason = null }) {
+    try {
+      return await db.runTransaction(async (transaction) => {
+        const state = await this.getRedemptionState(transaction, promoCodeId, reservationId, null);
+        if (state.redemption?.status !== 'reserved') {
+          return { released: false };
+        }
+
+        const now = new Date().toISOString();
+        this.countRedemption(transaction, state, -1, now);
+        transaction.update(state.redemptionRef, { status: 'released', releaseReason: reason, releasedAt: now });
+        return { released: true };
+      });
+    } catch (error) {
+      throw new Error(`Failed to release promo code reservation: ${error.message}`);
+    }
+  }
+
+  // Release every reservation whose checkout expired without being paid or cancelled
+  async releaseExpiredReservations(now = new Date()) {
+    try {
+      const snapshot = await db.collectionGroup(this.redemptionsSubcollection)
+        .where('status', '==', 'reserved')
+        .where('expiresAt', '<=', now.toISOString())
+        .get();
+
+      let released = 0;
+      for (const doc of snapshot.docs) {
+        const promoCodeId = doc.ref.parent.parent.id;
+        try {
+          const result = await this.releasePromoReservation(promoCodeId, { reservationId: doc.id, reason: 'expired' });
+          if (result.released) released++;
+        } catch (releaseError) {
+          console.error(`Failed to release expired promo code reservation ${doc.id}:`, releaseError.message);
+        }
+      }
+
+      return { scanned: snapshot.size, released };
+    } catch (error) {
+      throw new Error(`Failed to release expired promo code reservations: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PromoCodesController();
@@ -0,0 +1,75 @@
+const { db, docToObject, docsToObjects, generateId, applyPagination } = require('../BaseController');
+
+class ScanLogsController {
+  constructor() {
+    this.collection = 'scanLogs';
+  }
+
+  // Append a scan attempt to the audit log. Pass entry.id to make the write idempotent.
+  async recordScan(entry) {
+    try {
+      const id = entry.id || generateId();
+      const logEntry = {
+        sessionId: null,
+        sellerId: null,
+        performanceId: null,
+        gate: null,
+        deviceName: null,
+        ticketId: null,
+        orderId: null,
+        action: 'check_in',
+        reason: null,
+        ...entry,
+        id,
+        scannedAt: entry.scannedAt || new Date().toISOString()
+      };
+      await db.collection(this.collection).doc(id).set(logEntry);
+      return logEntry;
+    } catch (error) {
+      throw new Error(`Failed to record scan: ${error.message}`);
+    }
+  }
+
+  // Get scan log entry by ID
+  async getScanById(scanId) {
+    try {
+      const scanDoc = await db.collection(this.collection).doc(scanId).get();
+      return docToObject(scanDoc);
+    } catch (error) {
+      throw new Error(`Failed to get scan by ID: ${error.message}`);
+    }
+  }
+
+  // Get scan attempts for a performance, newest first
+  async getScansByPerformanceId(performanceId, filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection).where('performanceId', '==', performanceId);
+      if (filters.sellerId) {
+        query = query.where('sellerId', '==', filters.sellerId);
+      }
+      if (filters.result) {
+        query = query.where('result', '==', filters.result);
+      }
+      if (filters.sessionId) {
+        query = query.where('sessionId', '==', filters.sessionId);
+      }
+      if (filters.ticketId) {
+        query = query.where('ticketId', '==', filters.ticketId);
+      }
+
+      const snapshot = await query.get();
+      const scans = docsToObjects(snapshot.docs)
+        .sort((a, b) => new Date(b.scannedAt) - new Date(a.scannedAt));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(scans, pagination.limit, pagination.offset);
+      }
+
+      return scans;
+    } catch (error) {
+      throw new Error(`Failed to get scans by performance ID: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ScanLogsController();
@@ -0,0 +1,259 @@
+const { db, docToObject, docsToObjects, addTimestamps, generateId } = require('../BaseController');
+const SeatInventoryController = require('../SeatInventory/SeatInventory');
+
+// Default hold lifetime while a buyer completes checkout
+const DEFAULT_HOLD_TTL_SECONDS = parseInt(process.env.SEAT_HOLD_TTL_SECONDS) || 600;
+const MAX_HOLD_TTL_SECONDS = parseInt(process.env.SEAT_HOLD_MAX_TTL_SECONDS) || 1800;
+
+class SeatHoldsController {
+  constructor() {
+    this.collection = 'seatHolds';
+  }
+
+  // Resolve the TTL for a new hold, clamped to the configured maximum
+  resolveTtlSeconds(ttlSeconds) {
+    const requested = parseInt(ttlSeconds);
+    if (!requested || requested <= 0) {
+      return DEFAULT_HOLD_TTL_SECONDS;
+    }
+    return Math.min(requested, MAX_HOLD_TTL_SECONDS);
+  }
+
+  // Atomically reserve seats for a performance.
+  // Returns { success: true, hold } or { success: false, unavailableSeats }. Seats missing from the
+  // performance's inventory are unavailable, with status not_found.
+  async createHold(productionId, performanceId, seats = [], options = {}) {
+    try {
+      const holdId = generateId();
+      const ttlSeconds = this.resolveTtlSeconds(options.ttlSeconds);
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlSeconds * 1000).toISOString();
+
+      const heldSeats = seats.map(seat => ({
+        seatKey: SeatInventoryController.buildSeatKey(seat),
+        seatId: seat.seatId || null,
+        section: seat.section || null,
+        row: seat.row || null,
+        seatNumber: seat.seatNumber || null
+      }));
+
+      const seatKeys = heldSeats.map(seat => seat.seatKey);
+      if (new Set(seatKeys).size !== seatKeys.length) {
+        throw new Error('Duplicate seats in hold request');
+      }
+
+      const seatsRef = SeatInventoryController.seatsRef(productionId, performanceId);
+      const holdRef = db.collection(this.collection).doc(holdId);
+
+      const hold = {
+        id: holdId,
+        productionId,
+        performanceId,
+        seats: heldSeats,
+        status: 'active',
+        expiresAt,
+        ttlSeconds,
+        userId: options.userId || null,
+        sessionId: options.sessionId || null,
+        orderId: null,
+        paymentIntentId: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      };
+
+      const unavailableSeats = await db.runTransaction(async (transaction) => {
+        const [inventorySnapshot, ...seatDocs] = await Promise.all([
+          transaction.get(seatsRef.limit(1)),
+          ...heldSeats.map(seat => transaction.get(seatsRef.doc(seat.seatKey)))
+        ]);
+
+        // When the performance has an inventory, only its seats can be held
+        const conflicts = [];
+        seatDocs.forEach((seatDoc, idx) => {
+          const state = seatDoc.exists ? seatDoc.data() : null;
+          if (!state && !inventorySnapshot.empty) {
+            conflicts.push({ ...heldSeats[idx], status: 'not_found' });
+          } else if (!SeatInventoryController.isSeatAvailable(state, now)) {
+            conflicts.push({ ...heldSeats[idx], status: state.status });
+          }
+        });
+
+        if (conflicts.length > 0) {
+          return conflicts;
+        }
+
+        heldSeats.forEach(seat => {
+          transaction.set(seatsRef.doc(seat.seatKey), {
+            ...seat,
+            status: 'held',
+            holdId,
+            expiresAt,
+            orderId: null,
+            updatedAt: now.toISOString()
+          }, { merge: true });
+        });
+        transaction.set(holdRef, hold);
+
+        return [];
+      });
+
+      if (unavailableSeats.length > 0) {
+        return { success: false, unavailableSeats };
+      }
+
+      return { success: true, hold };
+    } catch (error) {
+      throw new Error(`Failed to create seat hold: ${error.message}`);
+    }
+  }
+
+  // Get hold by ID
+  async getHoldById(holdId) {
+    try {
+      const holdDoc = await db.collection(this.collection).doc(holdId).get();
+      return docToObject(holdDoc);
+    } catch (error) {
+      throw new Error(`Failed to get seat hold by ID: ${error.message}`);
+    }
+  }
+
+  // Update hold metadata (orderId, paymentIntentId, ...)
+  async updateHold(holdId, updateData) {
+    try {
+      const holdRef = db.collection(this.collection).doc(holdId);
+      const updateDataWithTimestamp = addTimestamps(updateData, true);
+      await holdRef.update(updateDataWithTimestamp);
+      return { id: holdId, ...updateDataWithTimestamp };
+    } catch (error) {
+      throw new Error(`Failed to update seat hold: ${error.message}`);
+    }
+  }
+
+  // Release an active hold and return any seats it still owns to the available pool
+  async releaseHold(holdId, reason = null) {
+    try {
+      const holdRef = db.collection(this.collection).doc(holdId);
+      const now = new Date().toISOString();
+
+      return await db.runTransaction(async (transaction) => {
+        const holdDoc = await transaction.get(holdRef);
+        if (!holdDoc.exists) {
+          return null;
+        }
+
+        const hold = docToObject(holdDoc);
+        if (hold.status !== 'active') {
+          return hold;
+        }
+
+        const seatsRef = SeatInventoryController.seatsRef(hold.productionId, hold.performanceId);
+        const seatDocs = await Promise.all(
+          hold.seats.map(seat => transaction.get(seatsRef.doc(seat.seatKey)))
+        );
+
+        seatDocs.forEach(seatDoc => {
+          const state = seatDoc.exists ? seatDoc.data() : null;
+          if (state && state.status === 'held' && state.holdId === holdId) {
+            transaction.update(seatDoc.ref, {
+              status: 'available',
+              holdId: null,
+              expiresAt: null,
+              updatedAt: now
+            });
+          }
+        });
+
+        const status = reason === 'expired' ? 'expired' : 'released';
+        const updates = { status, releasedAt: now, releaseReason: reason, updatedAt: now };
+        transaction.update(holdRef, updates);
+
+        return { ...hold, ...updates };
+      });
+    } catch (error) {
+      throw new Error(`Failed to release seat hold: ${error.message}`);
+    }
+  }
+
+  // Convert a hold into sold seats for an order.
+  // Seats taken by someone else after the hold lapsed are reported as conflicts.
+  async convertHold(holdId, orderId) {
+    try {
+      const holdRef = db.collection(this.collection).doc(holdId);
+      const now = new Date().toISOString();
+
+      return await db.runTransaction(async (transaction) => {
+        const holdDoc = await transaction.get(holdRef);
+        if (!holdDoc.exists) {
+          throw new Error('Seat hold not found');
+        }
+
+        const hold = docToObject(holdDoc);
+        if (hold.status === 'converted') {
+          return { hold, conflicts: [] };
+        }
+
+        const seatsRef = SeatInventoryController.seatsRef(hold.productionId, hold.performanceId);
+        const seatDocs = await Promise.all(
+          hold.seats.map(seat => transaction.get(seatsRef.doc(seat.seatKey)))
+        );
+
+        const conflicts = [];
+        seatDocs.forEach((seatDoc, idx) => {
+          const seat = hold.seats[idx];
+          const state = seatDoc.exists ? seatDoc.data() : null;
+          const ownedElsewhere = state && state.holdId !== holdId &&
+            !SeatInventoryController.isSeatAvailable(state);
+
+          if (ownedElsewhere) {
+            conflicts.push({ ...seat, status: state.status });
+            return;
+          }
+
+          transaction.set(seatDoc.ref, {
+            ...seat,
+            status: 'sold',
+            holdId,
+            orderId,
+            expiresAt: null,
+            soldAt: now,
+            updatedAt: now
+          }, { merge: true });
+        });
+
+        const updates = { status: 'converted', orderId, convertedAt: now, updatedAt: now };
+        transaction.update(holdRef, updates);
+
+        return { hold: { ...hold, ...updates }, conflicts };
+      });
+    } catch (error) {
+      throw new Error(`Failed to convert seat hold: ${error.message}`);
+    }
+  }
+
+  // Release every active hold whose expiry has passed
+  async releaseExpiredHolds(now = new Date()) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('status', '==', 'active')
+        .where('expiresAt', '<=', now.toISOString())
+        .get();
+      const holds = docsToObjects(snapshot.docs);
+
+      let released = 0;
+      for (const hold of holds) {
+        try {
+          await this.releaseHold(hold.id, 'expired');
+          released++;
+        } catch (releaseError) {
+          console.error(`Failed to release expired hold ${hold.id}:`, releaseError.message);
+        }
+      }
+
+      return { scanned: holds.length, released };
+    } catch (error) {
+      throw new Error(`Failed to release expired seat holds: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SeatHoldsController();
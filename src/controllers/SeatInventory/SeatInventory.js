@@ -0,0 +1,335 @@
+const { db, docsToObjects } = require('../BaseController');
+
+function isExpired(expiresAt, now = new Date()) {
+  return !!expiresAt && new Date(expiresAt) <= now;
+}
+
+class SeatInventoryController {
+  constructor() {
+    this.parentCollection = 'productions';
+    this.performancesSubcollection = 'performances';
+    this.subcollection = 'seats';
+  }
+
+  // Build a Firestore-safe key that identifies a seat within a performance
+  buildSeatKey(seat = {}) {
+    const raw = seat.seatId
+      ? String(seat.seatId)
+      : [seat.section, seat.row, seat.seatNumber]
+        .filter(part => part !== undefined && part !== null && part !== '')
+        .join('-');
+    return raw.replace(/[/\s]+/g, '_');
+  }
+
+  // Reference to a performance's seat inventory subcollection
+  seatsRef(productionId, performanceId) {
+    return db.collection(this.parentCollection)
+      .doc(productionId)
+      .collection(this.performancesSubcollection)
+      .doc(performanceId)
+      .collection(this.subcollection);
+  }
+
+  // Whether a seat can be claimed by a new hold or sale
+  isSeatAvailable(state, now = new Date()) {
+    if (!state) return true;
+    if (state.status === 'sold' || state.status === 'blocked') return false;
+    if (state.status === 'held') return isExpired(state.expiresAt, now);
+    return true;
+  }
+
+  // Flatten a venue seatmap into inventory seat records.
+  // Supports the top-level `seats` array and per-section `seats` maps.
+  seatsFromSeatmap(seatmap = {}) {
+    const seatsByKey = new Map();
+    const addSeat = (seat) => {
+      const seatKey = this.buildSeatKey(seat);
+      if (seatKey && !seatsByKey.has(seatKey)) {
+        seatsByKey.set(seatKey, { seatKey, ...seat });
+      }
+    };
+
+    (Array.isArray(seatmap.seats) ? seatmap.seats : []).forEach(seat => {
+      addSeat({
+        seatId: seat.id || seat.seatId || null,
+        section: seat.section || null,
+        row: seat.row || null,
+        seatNumber: seat.seatNumber || seat.number || null,
+        price: seat.price != null ? parseInt(seat.price) : null,
+        priceCategory: seat.priceCategory || seat.category || null
+      });
+    });
+
+    (Array.isArray(seatmap.sections) ? seatmap.sections : []).forEach(section => {
+      if (!section?.seats || typeof section.seats !== 'object') return;
+      Object.entries(section.seats).forEach(([seatNumber, seat]) => {
+        addSeat({
+          seatId: seat?.id || seat?.seatId || null,
+          section: section.name || null,
+          row: seat?.row || null,
+          seatNumber: seat?.seatNumber || seatNumber,
+          price: seat?.price != null ? parseInt(seat.price) : null,
+          priceCategory: seat?.priceCategory || section.priceCategory || null
+        });
+      });
+    });
+
+    return [...seatsByKey.values()];
+  }
+
+  // Seed a performance's inventory from its seatmap.
+  // Existing seats (held or sold) are left untouched, so this is safe to re-run.
+  async seedFromSeatmap(productionId, performanceId, seatmap) {
+    try {
+      const seats = this.seatsFromSeatmap(seatmap);
+      const seatsRef = this.seatsRef(productionId, performanceId);
+      const existing = await seatsRef.get();
+      const existingKeys = new Set(existing.docs.map(doc => doc.id));
+      const now = new Date().toISOString();
+
+      const newSeats = seats.filter(seat => !existingKeys.has(seat.seatKey));
+
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < newSeats.length; i += 500) {
+        const batch = db.batch();
+        newSeats.slice(i, i + 500).forEach(seat => {
+          batch.set(seatsRef.doc(seat.seatKey), {
+            ...seat,
+            status: 'available',
+            holdId: null,
+            orderId: null,
+            expiresAt: null,
+            createdAt: now,
+            updatedAt: now
+          });
+        });
+        await batch.commit();
+      }
+
+      return { total: seats.length, created: newSeats.length };
+    } catch (error) {
+      throw new Error(`Failed to seed seat inventory: ${error.message}`);
+    }
+  }
+
+  // Get all inventory seats for a performance with a status summary
+  async getInventory(productionId, performanceId, filters = {}) {
+    try {
+      let query = this.seatsRef(productionId, performanceId);
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+      if (filters.section) {
+        query = query.where('section', '==', filters.section);
+      }
+
+      const snapshot = await query.get();
+      const now = new Date();
+      const seats = docsToObjects(snapshot.docs).map(seat => (
+        // Lapsed holds are reported as available until the sweeper cleans them up
+        seat.status === 'held' && isExpired(seat.expiresAt, now)
+          ? { ...seat, status: 'available' }
+          : seat
+      ));
+
+      const summary = {
+        total: seats.length,
+        available: seats.filter(s => s.status === 'available').length,
+        held: seats.filter(s => s.status === 'held').length,
+        sold: seats.filter(s => s.status === 'sold').length,
+        blocked: seats.filter(s => s.status === 'blocked').length
+      };
+
+      return { seats, summary };
+    } catch (error) {
+      throw new Error(`Failed to get seat inventory: ${error.message}`);
+    }
+  }
+
+  // Whether a performance has a seat inventory (seeded from its venue's seatmap)
+  async hasInventory(productionId, performanceId) {
+    try {
+      const snapshot = await this.seatsRef(productionId, performanceId).limit(1).get();
+      return !snapshot.empty;
+    } catch (error) {
+      throw new Error(`Failed to check seat inventory: ${error.message}`);
+    }
+  }
+
+  // Get inventory records for specific seats, keyed by seat key (missing seats are omitted)
+  async getSeats(productionId, performanceId, seats = []) {
+    try {
+      const seatKeys = [...new Set(seats.map(seat => this.buildSeatKey(seat)).filter(Boolean))];
+      if (seatKeys.length === 0) {
+        return {};
+      }
+
+      const seatsRef = this.seatsRef(productionId, performanceId);
+      const seatDocs = await db.getAll(...seatKeys.map(seatKey => seatsRef.doc(seatKey)));
+      return Object.fromEntries(
+        seatDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()])
+      );
+    } catch (error) {
+      throw new Error(`Failed to get seats: ${error.message}`);
+    }
+  }
+
+  // Atomically mark seats as sold for an order (used when no hold exists).
+  // Returns { success, conflicts }; nothing is written when any seat is taken.
+  async markSeatsSold(productionId, performanceId, seats = [], orderId) {
+    try {
+      const seatsRef = this.seatsRef(productionId, performanceId);
+      const soldSeats = seats.map(seat => ({
+        seatKey: this.buildSeatKey(seat),
+        seatId: seat.seatId || null,
+        section: seat.section || null,
+        row: seat.row || null,
+        seatNumber: seat.seatNumber || null
+      })).filter(seat => seat.seatKey);
+
+      return await db.runTransaction(async (transaction) => {
+        const now = new Date();
+        const seatDocs = await Promise.all(
+          soldSeats.map(seat => transaction.get(seatsRef.doc(seat.seatKey)))
+        );
+
+        const conflicts = [];
+        seatDocs.forEach((seatDoc, idx) => {
+          const state = seatDoc.exists ? seatDoc.data() : null;
+          const ownedByOrder = state && state.orderId === orderId;
+          if (!ownedByOrder && !this.isSeatAvailable(state, now)) {
+            conflicts.push({ ...soldSeats[idx], status: state.status });
+          }
+        });
+
+        if (conflicts.length > 0) {
+          return { success: false, conflicts };
+        }
+
+        soldSeats.forEach(seat => {
+          transaction.set(seatsRef.doc(seat.seatKey), {
+            ...seat,
+            status: 'sold',
+            holdId: null,
+            orderId,
+            expiresAt: null,
+            soldAt: now.toISOString(),
+            updatedAt: now.toISOString()
+          }, { merge: true });
+        });
+
+        return { success: true, conflicts: [] };
+      });
+    } catch (error) {
+      throw new Error(`Failed to mark seats as sold: ${error.message}`);
+    }
+  }
+
+  // Return sold seats to the available pool (cancelled or refunded tickets).
+  // Only seats sold to the given order are released.
+  async releaseSeats(productionId, performanceId, seats = [], orderId) {
+    try {
+      const seatsRef = this.seatsRef(productionId, performanceId);
+      const seatKeys = seats.map(seat => this.buildSeatKey(seat)).filter(Boolean);
+
+      return await db.runTransaction(async (transaction) => {
+        const seatDocs = await Promise.all(
+          seatKeys.map(seatKey => transaction.get(seatsRef.doc(seatKey)))
+        );
+
+        const now = new Date().toISOString();
+        let released = 0;
+        seatDocs.forEach(seatDoc => {
+          const state = seatDoc.exists ? seatDoc.data() : null;
+          if (state && state.status === 'sold' && state.orderId === orderId) {
+            transaction.update(seatDoc.ref, {
+              status: 'available',
+              holdId: null,
+              orderId: null,
+              soldAt: null,
+              releasedAt: now,
+              updatedAt: now
+            });
+            released++;
+          }
+        });
+
+        return { released };
+      });
+    } catch (error) {
+      throw new Error(`Failed to release seats: ${error.message}`);
+    }
+  }
+
+  // Move an order's seats to another performance in one transaction (ticket exchanges).
+  // New seats must be available or held by holdId; they are sold to newOrderId and the old seats
+  // sold to fromOrderId are released. Returns { success, conflicts }; nothing is written on conflict.
+  async swapSeats({ productionId, fromPerformanceId, fromOrderId, releaseSeats = [], toPerformanceId, newOrderId, claimSeats = [], holdId = null }) {
+    try {
+      const fromSeatsRef = this.seatsRef(productionId, fromPerformanceId);
+      const toSeatsRef = this.seatsRef(productionId, toPerformanceId);
+      const releaseKeys = releaseSeats.map(seat => this.buildSeatKey(seat)).filter(Boolean);
+      const claimedSeats = claimSeats.map(seat => ({
+        seatKey: this.buildSeatKey(seat),
+        seatId: seat.seatId || null,
+        section: seat.section || null,
+        row: seat.row || null,
+        seatNumber: seat.seatNumber || null
+      })).filter(seat => seat.seatKey);
+
+      return await db.runTransaction(async (transaction) => {
+        const now = new Date();
+        const [claimDocs, releaseDocs] = await Promise.all([
+          Promise.all(claimedSeats.map(seat => transaction.get(toSeatsRef.doc(seat.seatKey)))),
+          Promise.all(releaseKeys.map(seatKey => transaction.get(fromSeatsRef.doc(seatKey))))
+        ]);
+
+        const conflicts = [];
+        claimDocs.forEach((seatDoc, idx) => {
+          const state = seatDoc.exists ? seatDoc.data() : null;
+          const heldForExchange = holdId && state?.status === 'held' && state.holdId === holdId;
+          const ownedByOrder = state && state.orderId === newOrderId;
+          if (!heldForExchange && !ownedByOrder && !this.isSeatAvailable(state, now)) {
+            conflicts.push({ ...claimedSeats[idx], status: state.status });
+          }
+        });
+
+        if (conflicts.length > 0) {
+          return { success: false, conflicts };
+        }
+
+        claimedSeats.forEach(seat => {
+          transaction.set(toSeatsRef.doc(seat.seatKey), {
+            ...seat,
+            status: 'sold',
+            holdId: holdId || null,
+            orderId: newOrderId,
+            expiresAt: null,
+            soldAt: now.toISOString(),
+            updatedAt: now.toISOString()
+          }, { merge: true });
+        });
+
+        releaseDocs.forEach(seatDoc => {
+          const state = seatDoc.exists ? seatDoc.data() : null;
+          if (state && state.status === 'sold' && state.orderId === fromOrderId) {
+            transaction.update(seatDoc.ref, {
+              status: 'available',
+              holdId: null,
+              orderId: null,
+              soldAt: null,
+              releasedAt: now.toISOString(),
+              updatedAt: now.toISOString()
+            });
+          }
+        });
+
+        return { success: true, conflicts: [] };
+      });
+    } catch (error) {
+      throw new Error(`Failed to swap seats: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SeatInventoryController();
@@ -244,7 +244,8 @@ class SeatmapsController {
     }
   }
 
-  // Update seat availability
+  // Update seat availability on the venue seatmap template.
+  // Per-performance seat state lives in SeatInventoryController; sales no longer call this.
   async updateSeatAvailability(venueId, seatmapId, sectionName, seatNumber, isAvailable) {
     try {
       const seatmap = await this.getSeatmapById(venueId, seatmapId);
@@ -0,0 +1,123 @@
+const { db, docToObject, docsToObjects, addTimestamps, generateId, applyPagination } = require('../BaseController');
+
+class TaxRatesController {
+  constructor() {
+    this.collection = 'taxRates';
+  }
+
+  // States are stored as upper-case codes (e.g. 'NY'); ZIP codes as their 5-digit prefix
+  normalizeState(state) {
+    return String(state || '').trim().toUpperCase();
+  }
+
+  normalizeZipCode(zipCode) {
+    if (zipCode === undefined || zipCode === null || zipCode === '') return null;
+    return String(zipCode).trim().slice(0, 5);
+  }
+
+  // Create a new tax rate
+  async createTaxRate(taxRate) {
+    try {
+      const id = taxRate.id || generateId();
+      const taxRateData = addTimestamps({
+        ...taxRate,
+        id,
+        state: this.normalizeState(taxRate.state),
+        zipCode: this.normalizeZipCode(taxRate.zipCode)
+      });
+      await db.collection(this.collection).doc(id).set(taxRateData);
+      return taxRateData;
+    } catch (error) {
+      throw new Error(`Failed to create tax rate: ${error.message}`);
+    }
+  }
+
+  // Get tax rate by ID
+  async getTaxRateById(taxRateId) {
+    try {
+      const taxRateDoc = await db.collection(this.collection).doc(taxRateId).get();
+      return docToObject(taxRateDoc);
+    } catch (error) {
+      throw new Error(`Failed to get tax rate by ID: ${error.message}`);
+    }
+  }
+
+  // Get all tax rates, optionally filtered by state, ZIP code or active flag
+  async getTaxRates(filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection);
+      if (filters.state) {
+        query = query.where('state', '==', this.normalizeState(filters.state));
+      }
+      if (filters.zipCode) {
+        query = query.where('zipCode', '==', this.normalizeZipCode(filters.zipCode));
+      }
+      if (filters.active !== undefined) {
+        query = query.where('active', '==', filters.active);
+      }
+
+      const snapshot = await query.get();
+      const taxRates = docsToObjects(snapshot.docs).sort((a, b) =>
+        a.state.localeCompare(b.state) || (a.zipCode || '').localeCompare(b.zipCode || '')
+      );
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(taxRates, pagination.limit, pagination.offset);
+      }
+
+      return taxRates;
+    } catch (error) {
+      throw new Error(`Failed to get tax rates: ${error.message}`);
+    }
+  }
+
+  // Active rates that apply to a venue: state-wide rates plus any rates for its ZIP code
+  async getTaxRatesForJurisdiction(state, zipCode = null) {
+    try {
+      const normalizedState = this.normalizeState(state);
+      if (!normalizedState) {
+        return [];
+      }
+
+      const snapshot = await db.collection(this.collection)
+        .where('state', '==', normalizedState)
+        .where('active', '==', true)
+        .get();
+      const normalizedZip = this.normalizeZipCode(zipCode);
+
+      return docsToObjects(snapshot.docs).filter(rate => !rate.zipCode || rate.zipCode === normalizedZip);
+    } catch (error) {
+      throw new Error(`Failed to get tax rates for jurisdiction: ${error.message}`);
+    }
+  }
+
+  // Update tax rate
+  async updateTaxRate(taxRateId, updateData) {
+    try {
+      const data = { ...updateData };
+      if (data.state !== undefined) {
+        data.state = this.normalizeState(data.state);
+      }
+      if (data.zipCode !== undefined) {
+        data.zipCode = this.normalizeZipCode(data.zipCode);
+      }
+      const updateDataWithTimestamp = addTimestamps(data, true);
+      await db.collection(this.collection).doc(taxRateId).update(updateDataWithTimestamp);
+      return { id: taxRateId, ...updateDataWithTimestamp };
+    } catch (error) {
+      throw new Error(`Failed to update tax rate: ${error.message}`);
+    }
+  }
+
+  // Delete tax rate
+  async deleteTaxRate(taxRateId) {
+    try {
+      await db.collection(this.collection).doc(taxRateId).delete();
+      return { success: true, message: 'Tax rate deleted successfully' };
+    } catch (error) {
+      throw new Error(`Failed to delete tax rate: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TaxRatesController();
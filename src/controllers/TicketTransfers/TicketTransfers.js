@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { db, docToObject, docsToObjects, generateId, applyPagination } = require('../BaseController');
+const TicketsController = require('../Tickets/Tickets');
+
+class TicketTransfersController {
+  constructor() {
+    this.collection = 'ticketTransfers';
+  }
+
+  // Acceptance tokens are only stored hashed
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Strip the token hash before returning a transfer to clients
+  toPublicTransfer(transfer) {
+    if (!transfer) return null;
+    const { tokenHash, ...publicTransfer } = transfer;
+    return publicTransfer;
+  }
+
+  // Whether a plain acceptance token matches the transfer
+  isTokenValid(transfer, token) {
+    if (!transfer?.tokenHash || !token) return false;
+    const expected = Buffer.from(transfer.tokenHash, 'hex');
+    const actual = Buffer.from(this.hashToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Start a transfer. Returns { transfer, token }; the plain token only goes into the recipient's link.
+  async createTransfer(transfer) {
+    try {
+      const id = generateId();
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date().toISOString();
+      const transferData = {
+        ...transfer,
+        id,
+        tokenHash: this.hashToken(token),
+        status: 'pending',
+        acceptedAt: null,
+        acceptedBy: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      await db.collection(this.collection).doc(id).set(transferData);
+      return { transfer: this.toPublicTransfer(transferData), token };
+    } catch (error) {
+      throw new Error(`Failed to create ticket transfer: ${error.message}`);
+    }
+  }
+
+  // Get transfer by ID (includes tokenHash for verification)
+  async getTransferById(transferId) {
+    try {
+      const transferDoc = await db.collection(this.collection).doc(transferId).get();
+      return docToObject(transferDoc);
+    } catch (error) {
+      throw new Error(`Failed to get ticket transfer by ID: ${error.message}`);
+    }
+  }
+
+  // Get the open transfer for a ticket, if any
+  async getPendingTransferForTicket(orderId, ticketId) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('orderId', '==', orderId)
+        .where('ticketId', '==', ticketId)
+        .where('status', '==', 'pending')
+        .get();
+      const now = new Date();
+      const pending = docsToObjects(snapshot.docs).find(transfer => new Date(transfer.expiresAt) > now);
+      return pending || null;
+    } catch (error) {
+      throw new Error(`Failed to get pending ticket transfer: ${error.message}`);
+    }
+  }
+
+  // Get transfers sent by a user or addressed to an email, newest first
+  async getTransfers(filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection);
+      if (filters.fromUserId) {
+        query = query.where('fromUserId', '==', filters.fromUserId);
+      }
+      if (filters.toEmail) {
+        query = query.where('toEmail', '==', filters.toEmail.trim().toLowerCase());
+      }
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      const snapshot = await query.get();
+      const transfers = docsToObjects(snapshot.docs)
+        .map(transfer => this.toPublicTransfer(transfer))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(transfers, pagination.limit, pagination.offset);
+      }
+
+      return transfers;
+    } catch (error) {
+      throw new Error(`Failed to get ticket transfers: ${error.message}`);
+    }
+  }
+
+  // Close a pending transfer without moving the ticket ('cancelled' by the holder, 'declined' by the recipient)
+  async closeTransfer(transferId, status, closedBy = null) {
+    try {
+      const transferRef = db.collection(this.collection).doc(transferId);
+      return await db.runTransaction(async (transaction) => {
+        const transferDoc = await transaction.get(transferRef);
+        if (!transferDoc.exists) {
+          return { success: false, reason: 'not_found' };
+        }
+        const transfer = transferDoc.data();
+        if (transfer.status !== 'pending') {
+          return { success: false, reason: `Transfer is already ${transfer.status}` };
+        }
+
+        const now = new Date().toISOString();
+        const updates = { status, closedAt: now, closedBy, updatedAt: now };
+        transaction.update(transferRef, updates);
+        return { success: true, transfer: this.toPublicTransfer({ ...transfer, ...updates }) };
+      });
+    } catch (error) {
+      throw new Error(`Failed to close ticket transfer: ${error.message}`);
+    }
+  }
+
+  // Accept a transfer: reissue the ticket to the recipient with the new QR payload and close the transfer.
+  // Returns { success: true, transfer, ticket } or { success: false, reason }.
+  async acceptTransfer(transferId, { recipient, qrCode }) {
+    try {
+      const transferRef = db.collection(this.collection).doc(transferId);
+
+      return await db.runTransaction(async (transaction) => {
+        const transferDoc = await transaction.get(transferRef);
+        if (!transferDoc.exists) {
+          return { success: false, reason: 'not_found' };
+        }
+
+        const transfer = transferDoc.data();
+        const ticketRef = db.collection(TicketsController.parentCollection)
+          .doc(transfer.orderId)
+          .collection(TicketsController.subcollection)
+          .doc(transfer.ticketId);
+        const ticketDoc = await transaction.get(ticketRef);
+
+        if (transfer.status !== 'pending') {
+          return { success: false, reason: `Transfer is already ${transfer.status}` };
+        }
+
+        const now = new Date().toISOString();
+        if (new Date(transfer.expiresAt) <= new Date(now)) {
+          transaction.update(transferRef, { status: 'expired', updatedAt: now });
+          return { success: false, reason: 'Transfer has expired' };
+        }
+
+        if (!ticketDoc.exists) {
+          return { success: false, reason: 'Ticket no longer exists' };
+        }
+
+        const ticket = { id: ticketDoc.id, orderId: transfer.orderId, ...ticketDoc.data() };
+        // The ticket may have been used, cancelled or reissued since the transfer started
+        if (ticket.status !== 'valid') {
+          return { success: false, reason: `Ticket can no longer be transferred (${ticket.status})` };
+        }
+        if (transfer.ticketQrCodeHash && this.hashToken(ticket.qrCode || '') !== transfer.ticketQrCodeHash) {
+          return { success: false, reason: 'Ticket has been reissued since this transfer was started' };
+        }
+
+        const updates = TicketsController.reissueTicket(transaction, ticketRef, ticket, {
+          owner: {
+            ownerId: recipient.userId || null,
+            ownerName: recipient.name || transfer.toName || null,
+            ownerEmail: transfer.toEmail
+          },
+          qrCode,
+          performedBy: recipient.userId || transfer.toEmail,
+          transferId
+        });
+
+        const transferUpdates = {
+          status: 'accepted',
+          acceptedAt: now,
+          acceptedBy: recipient.userId || null,
+          updatedAt: now
+        };
+        transaction.update(transferRef, transferUpdates);
+
+        return {
+          success: true,
+          transfer: this.toPublicTransfer({ ...transfer, ...transferUpdates }),
+          ticket: { ...ticket, ...updates }
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to accept ticket transfer: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TicketTransfersController();
@@ -1,9 +1,32 @@
 const { db, docToObject, docsToObjects, addTimestamps, generateId, applyPagination, buildQuery } = require('../BaseController');
+const { isTicketToken } = require('../../utils/ticketToken');
+
+// Ticket fields changed by door scans
+const SCAN_FIELDS = [
+  'status',
+  'checkedInAt',
+  'checkedInGate',
+  'lastCheckedInAt',
+  'lastCheckedInGate',
+  'checkedOutAt',
+  'checkedOutGate',
+  'reentryCount',
+  'validatedAt',
+  'validatedBy',
+  'validationLocation'
+];
+
+// History actions that undoLastScan can reverse
+const SCAN_ACTIONS = ['check_in', 're_entry', 'check_out'];
+
+// Order payment statuses whose tickets can be admitted
+const ADMITTING_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
 
 class TicketsController {
   constructor() {
     this.parentCollection = 'orders';
     this.subcollection = 'tickets';
+    this.historySubcollection = 'history';
   }
 
   // Create or update a ticket
@@ -150,32 +173,367 @@ class TicketsController {
     }
   }
 
-  // Validate ticket
-  async validateTicket(orderId, ticketId) {
+  // Validate ticket (check it in). Throws unless the ticket is admitted.
+  async validateTicket(orderId, ticketId, { validatedBy = null, validationLocation = null } = {}) {
     try {
-      const ticket = await this.getTicketById(orderId, ticketId);
-      
-      if (!ticket) {
+      const outcome = await this.checkInTicket(orderId, ticketId, {
+        gate: validationLocation,
+        performedBy: validatedBy
+      });
+
+      if (outcome.result === 'not_found') {
         throw new Error('Ticket not found');
       }
-      
-      if (ticket.status !== 'valid') {
+
+      if (!outcome.admitted) {
         throw new Error('Ticket is not valid');
       }
-      
-      // Mark as used
-      await this.updateTicketStatus(orderId, ticketId, 'used');
-      
+
       return {
         valid: true,
-        ticket: ticket,
-        validatedAt: new Date()
+        ticket: outcome.ticket,
+        validatedAt: outcome.ticket.validatedAt
       };
     } catch (error) {
       throw new Error(`Failed to validate ticket: ${error.message}`);
     }
   }
 
+  // Ticket fields a scan can change, saved with each history entry so the scan can be undone
+  getScanSnapshot(ticket) {
+    return Object.fromEntries(SCAN_FIELDS.map(field => [field, ticket[field] !== undefined ? ticket[field] : null]));
+  }
+
+  // Queue a history entry for a ticket transition inside a transaction
+  addHistoryEntry(transaction, ticketRef, entry) {
+    const historyRef = ticketRef.collection(this.historySubcollection).doc(generateId());
+    const historyData = {
+      id: historyRef.id,
+      performedBy: null,
+      sessionId: null,
+      gate: null,
+      undone: false,
+      ...entry,
+      at: new Date().toISOString()
+    };
+    transaction.set(historyRef, historyData);
+    return historyData;
+  }
+
+  // Re-entries allowed for an order's production (0 when the production doesn't allow re-entry)
+  async getMaxReentries(transaction, order) {
+    if (!order.productionId) return 0;
+    const productionDoc = await transaction.get(db.collection('productions').doc(order.productionId));
+    const maxReentries = productionDoc.exists ? productionDoc.data().maxReentries : null;
+    return Number.isInteger(maxReentries) && maxReentries > 0 ? maxReentries : 0;
+  }
+
+  // Admit a ticket at the door. Runs in a transaction so two scanners can't admit the same ticket.
+  // A checked-out ticket is readmitted while it has re-entries left under its production's maxReentries.
+  // Returns { result, admitted, ticket, firstScan? } where result is one of 'admitted', 'readmitted',
+  // 'already_scanned', 'reentry_limit_reached', 'wrong_performance', 'cancelled', 'refunded',
+  // 'invalid' or 'not_found'.
+  // When qrCode is given, a ticket whose stored signed payload differs (it was reissued) is 'invalid'.
+  // scannedAt records when an offline scan happened. With firstScanWins, an already-admitted ticket whose
+  // recorded first scan is later than scannedAt takes this scan as its first (returned as replacedFirstScan).
+  async checkInTicket(orderId, ticketId, {
+    performanceId,
+    gate = null,
+    performedBy = null,
+    sessionId = null,
+    qrCode = null,
+    scannedAt = null,
+    firstScanWins = false
+  } = {}) {
+    try {
+      const orderRef = db.collection(this.parentCollection).doc(orderId);
+      const ticketRef = orderRef.collection(this.subcollection).doc(ticketId);
+
+      return await db.runTransaction(async (transaction) => {
+        const [orderDoc, ticketDoc] = await Promise.all([
+          transaction.get(orderRef),
+          transaction.get(ticketRef)
+        ]);
+
+        if (!orderDoc.exists || !ticketDoc.exists) {
+          return { result: 'not_found', admitted: false, ticket: null };
+        }
+
+        const order = orderDoc.data();
+        const ticket = { id: ticketDoc.id, orderId, ...ticketDoc.data() };
+        const reject = (result, extra = {}) => ({ result, admitted: false, ticket, ...extra });
+
+        if (performanceId && order.performanceId !== performanceId) {
+          return reject('wrong_performance', { performanceId: order.performanceId || null });
+        }
+
+        // Only paid orders admit; unpaid, failed and refunded orders never do
+        if (!ADMITTING_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+          return reject('invalid', { reason: 'unpaid', paymentStatus: order.paymentStatus || null });
+        }
+
+        if (qrCode && isTicketToken(ticket.qrCode) && ticket.qrCode !== qrCode) {
+          return reject('invalid', { reason: 'superseded' });
+        }
+
+        if (ticket.status === 'used') {
+          const firstScan = {
+            scannedAt: ticket.checkedInAt || ticket.validatedAt || null,
+            gate: ticket.checkedInGate || ticket.validationLocation || null
+          };
+          const recordedAt = new Date(firstScan.scannedAt).getTime();
+
+          if (firstScanWins && scannedAt && recordedAt && new Date(scannedAt).getTime() < recordedAt) {
+            const updates = addTimestamps({
+              checkedInAt: scannedAt,
+              checkedInGate: gate,
+              validatedAt: scannedAt,
+              validatedBy: performedBy || 'scanner',
+              validationLocation: gate || 'unknown'
+            }, true);
+            transaction.update(ticketRef, updates);
+
+            this.addHistoryEntry(transaction, ticketRef, {
+              action: 'first_scan_corrected',
+              fromStatus: ticket.status,
+              toStatus: ticket.status,
+              performedBy,
+              sessionId,
+              gate,
+              scannedAt,
+              replacedFirstScan: firstScan
+            });
+
+            return reject('already_scanned', {
+              ticket: { ...ticket, ...updates },
+              firstScan: { scannedAt, gate },
+              replacedFirstScan: firstScan
+            });
+          }
+
+          return reject('already_scanned', { firstScan });
+        }
+
+        if (ticket.status === 'refunded' ||
+            (ticket.status === 'cancelled' && ticket.cancellationReason === 'refunded')) {
+          return reject('refunded');
+        }
+
+        if (ticket.status === 'cancelled') {
+          return reject('cancelled');
+        }
+
+        if (ticket.status !== 'valid' && ticket.status !== 'checked_out') {
+          return reject('invalid', { reason: ticket.status || 'unknown_status' });
+        }
+
+        const isReentry = ticket.status === 'checked_out';
+        const reentryCount = ticket.reentryCount || 0;
+        if (isReentry) {
+          const maxReentries = await this.getMaxReentries(transaction, order);
+          if (reentryCount >= maxReentries) {
+            return reject('reentry_limit_reached', { reentryCount, maxReentries });
+          }
+        }
+
+        const now = scannedAt || new Date().toISOString();
+        const updates = addTimestamps({
+          status: 'used',
+          // checkedInAt keeps the first admission; lastCheckedInAt moves with each re-entry
+          ...(!isReentry && {
+            checkedInAt: now,
+            checkedInGate: gate,
+            validatedAt: now,
+            validatedBy: performedBy || 'scanner',
+            validationLocation: gate || 'unknown'
+          }),
+          lastCheckedInAt: now,
+          lastCheckedInGate: gate,
+          reentryCount: isReentry ? reentryCount + 1 : reentryCount
+        }, true);
+        transaction.update(ticketRef, updates);
+
+        this.addHistoryEntry(transaction, ticketRef, {
+          action: isReentry ? 're_entry' : 'check_in',
+          fromStatus: ticket.status,
+          toStatus: 'used',
+          performedBy,
+          sessionId,
+          gate,
+          ...(scannedAt && { scannedAt }),
+          previous: this.getScanSnapshot(ticket)
+        });
+
+        return {
+          result: isReentry ? 'readmitted' : 'admitted',
+          admitted: true,
+          ticket: { ...ticket, ...updates }
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to check in ticket: ${error.message}`);
+    }
+  }
+
+  // Check a ticket out so it can be scanned back in (intermissions, outdoor stages).
+  // Only allowed while the ticket has re-entries left, so nobody is let out who can't get back in.
+  // Returns { result, ticket } where result is 'checked_out', 'not_checked_in',
+  // 'reentry_not_allowed', 'wrong_performance' or 'not_found'.
+  async checkOutTicket(orderId, ticketId, { performanceId, gate = null, performedBy = null, sessionId = null, scannedAt = null } = {}) {
+    try {
+      const orderRef = db.collection(this.parentCollection).doc(orderId);
+      const ticketRef = orderRef.collection(this.subcollection).doc(ticketId);
+
+      return await db.runTransaction(async (transaction) => {
+        const [orderDoc, ticketDoc] = await Promise.all([
+          transaction.get(orderRef),
+          transaction.get(ticketRef)
+        ]);
+
+        if (!orderDoc.exists || !ticketDoc.exists) {
+          return { result: 'not_found', ticket: null };
+        }
+
+        const order = orderDoc.data();
+        const ticket = { id: ticketDoc.id, orderId, ...ticketDoc.data() };
+
+        if (performanceId && order.performanceId !== performanceId) {
+          return { result: 'wrong_performance', ticket, performanceId: order.performanceId || null };
+        }
+
+        if (ticket.status !== 'used') {
+          return { result: 'not_checked_in', ticket };
+        }
+
+        const reentryCount = ticket.reentryCount || 0;
+        const maxReentries = await this.getMaxReentries(transaction, order);
+        if (reentryCount >= maxReentries) {
+          return { result: 'reentry_not_allowed', ticket, reentryCount, maxReentries };
+        }
+
+        const now = scannedAt || new Date().toISOString();
+        const updates = addTimestamps({
+          status: 'checked_out',
+          checkedOutAt: now,
+          checkedOutGate: gate
+        }, true);
+        transaction.update(ticketRef, updates);
+
+        this.addHistoryEntry(transaction, ticketRef, {
+          action: 'check_out',
+          fromStatus: ticket.status,
+          toStatus: 'checked_out',
+          performedBy,
+          sessionId,
+          gate,
+          ...(scannedAt && { scannedAt }),
+          previous: this.getScanSnapshot(ticket)
+        });
+
+        return {
+          result: 'checked_out',
+          ticket: { ...ticket, ...updates },
+          reentriesRemaining: maxReentries - reentryCount
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to check out ticket: ${error.message}`);
+    }
+  }
+
+  // Undo the ticket's most recent check-in, re-entry or check-out (a mistaken scan).
+  // Returns { result, ticket, undoneEntry? } where result is 'undone', 'nothing_to_undo',
+  // 'status_changed' (the ticket moved on since that scan), 'wrong_performance' or 'not_found'.
+  async undoLastScan(orderId, ticketId, { performanceId, gate = null, performedBy = null, sessionId = null } = {}) {
+    try {
+      const orderRef = db.collection(this.parentCollection).doc(orderId);
+      const ticketRef = orderRef.collection(this.subcollection).doc(ticketId);
+      const historyQuery = ticketRef.collection(this.historySubcollection)
+        .orderBy('at', 'desc')
+        .limit(50);
+
+      return await db.runTransaction(async (transaction) => {
+        const [orderDoc, ticketDoc, historySnapshot] = await Promise.all([
+          transaction.get(orderRef),
+          transaction.get(ticketRef),
+          transaction.get(historyQuery)
+        ]);
+
+        if (!orderDoc.exists || !ticketDoc.exists) {
+          return { result: 'not_found', ticket: null };
+        }
+
+        const order = orderDoc.data();
+        const ticket = { id: ticketDoc.id, orderId, ...ticketDoc.data() };
+
+        if (performanceId && order.performanceId !== performanceId) {
+          return { result: 'wrong_performance', ticket, performanceId: order.performanceId || null };
+        }
+
+        const lastScan = docsToObjects(historySnapshot.docs)
+          .find(entry => SCAN_ACTIONS.includes(entry.action) && !entry.undone);
+        if (!lastScan) {
+          return { result: 'nothing_to_undo', ticket };
+        }
+
+        if (ticket.status !== lastScan.toStatus) {
+          return { result: 'status_changed', ticket };
+        }
+
+        const updates = addTimestamps({ ...lastScan.previous }, true);
+        transaction.update(ticketRef, updates);
+
+        const now = new Date().toISOString();
+        transaction.update(ticketRef.collection(this.historySubcollection).doc(lastScan.id), {
+          undone: true,
+          undoneAt: now,
+          undoneBy: performedBy
+        });
+
+        this.addHistoryEntry(transaction, ticketRef, {
+          action: 'undo',
+          fromStatus: ticket.status,
+          toStatus: lastScan.previous.status,
+          performedBy,
+          sessionId,
+          gate,
+          undoOf: lastScan.id,
+          undoneAction: lastScan.action
+        });
+
+        return {
+          result: 'undone',
+          ticket: { ...ticket, ...updates },
+          undoneEntry: { ...lastScan, undone: true, undoneAt: now, undoneBy: performedBy }
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to undo scan: ${error.message}`);
+    }
+  }
+
+  // Get a ticket's check-in history, newest first
+  async getTicketHistory(orderId, ticketId, pagination = {}) {
+    try {
+      const snapshot = await db.collection(this.parentCollection)
+        .doc(orderId)
+        .collection(this.subcollection)
+        .doc(ticketId)
+        .collection(this.historySubcollection)
+        .orderBy('at', 'desc')
+        .get();
+      const history = docsToObjects(snapshot.docs);
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(history, pagination.limit, pagination.offset);
+      }
+
+      return history;
+    } catch (error) {
+      throw new Error(`Failed to get ticket history: ${error.message}`);
+    }
+  }
+
   // Cancel ticket
   async cancelTicket(orderId, ticketId, reason = null) {
     try {
@@ -190,16 +548,120 @@ class TicketsController {
     }
   }
 
-  // Transfer ticket
-  async transferTicket(orderId, ticketId, newOwnerId, newOwnerName) {
+  // Mark tickets pending_refund in one transaction before their refund is issued, so two refunds
+  // can't both include them. isRefundable(ticket) decides which tickets can be refunded. Returns
+  // { success: false, ticketIds } listing missing or unrefundable tickets, and changes nothing then.
+  async markTicketsPendingRefund(orderId, ticketIds, isRefundable) {
     try {
-      const updateData = { 
-        ownerId: newOwnerId,
-        ownerName: newOwnerName,
-        transferredAt: new Date(),
-        status: 'transferred'
-      };
-      return await this.updateTicket(orderId, ticketId, updateData);
+      const ticketsRef = db.collection(this.parentCollection).doc(orderId).collection(this.subcollection);
+
+      return await db.runTransaction(async (transaction) => {
+        const ticketDocs = await Promise.all(ticketIds.map(ticketId => transaction.get(ticketsRef.doc(ticketId))));
+        const unavailable = ticketDocs.filter(doc => !doc.exists || !isRefundable(doc.data())).map(doc => doc.id);
+        if (unavailable.length > 0) {
+          return { success: false, ticketIds: unavailable };
+        }
+
+        const now = new Date().toISOString();
+        for (const ticketDoc of ticketDocs) {
+          transaction.update(ticketDoc.ref, addTimestamps({
+            status: 'pending_refund',
+            statusBeforeRefund: ticketDoc.data().status,
+            pendingRefundAt: now
+          }, true));
+        }
+        return { success: true };
+      });
+    } catch (error) {
+      throw new Error(`Failed to mark tickets pending refund: ${error.message}`);
+    }
+  }
+
+  // Put tickets still pending_refund back to their previous status after their refund failed
+  async restoreTicketsAfterFailedRefund(orderId, ticketIds) {
+    try {
+      const ticketsRef = db.collection(this.parentCollection).doc(orderId).collection(this.subcollection);
+
+      return await db.runTransaction(async (transaction) => {
+        const ticketDocs = await Promise.all(ticketIds.map(ticketId => transaction.get(ticketsRef.doc(ticketId))));
+        const pending = ticketDocs.filter(doc => doc.exists && doc.data().status === 'pending_refund');
+        for (const ticketDoc of pending) {
+          transaction.update(ticketDoc.ref, addTimestamps({
+            status: ticketDoc.data().statusBeforeRefund || 'valid',
+            statusBeforeRefund: null,
+            pendingRefundAt: null
+          }, true));
+        }
+        return pending.length;
+      });
+    } catch (error) {
+      throw new Error(`Failed to restore tickets after failed refund: ${error.message}`);
+    }
+  }
+
+  // Queue a ticket's reissue to a new holder inside a transaction. The new QR payload replaces the
+  // stored one, so scans of the previous holder's copy come back as superseded.
+  reissueTicket(transaction, ticketRef, ticket, { owner, qrCode, performedBy = null, transferId = null }) {
+    const now = new Date().toISOString();
+    const updates = addTimestamps({
+      ownerId: owner.ownerId || null,
+      ownerName: owner.ownerName || null,
+      ownerEmail: owner.ownerEmail || null,
+      qrCode,
+      reissuedAt: now,
+      transferredAt: now,
+      transferCount: (ticket.transferCount || 0) + 1
+    }, true);
+    transaction.update(ticketRef, updates);
+
+    this.addHistoryEntry(transaction, ticketRef, {
+      action: 'transfer',
+      fromStatus: ticket.status,
+      toStatus: ticket.status,
+      performedBy,
+      transferId,
+      previousOwner: {
+        ownerId: ticket.ownerId || null,
+        ownerName: ticket.ownerName || null,
+        ownerEmail: ticket.ownerEmail || null
+      },
+      newOwner: {
+        ownerId: updates.ownerId,
+        ownerName: updates.ownerName,
+        ownerEmail: updates.ownerEmail
+      }
+    });
+
+    return updates;
+  }
+
+  // Transfer ticket to a new holder and reissue it with a new QR payload.
+  // newOwner is { ownerId, ownerName, ownerEmail }; only valid tickets can be transferred.
+  async transferTicket(orderId, ticketId, newOwner, { qrCode, performedBy = null } = {}) {
+    try {
+      if (!qrCode) {
+        throw new Error('A new QR payload is required to reissue the ticket');
+      }
+
+      const ticketRef = db.collection(this.parentCollection)
+        .doc(orderId)
+        .collection(this.subcollection)
+        .doc(ticketId);
+
+      return await db.runTransaction(async (transaction) => {
+        const ticketDoc = await transaction.get(ticketRef);
+        if (!ticketDoc.exists) {
+          throw new Error('Ticket not found');
+        }
+
+        const ticket = { id: ticketDoc.id, ...ticketDoc.data() };
+        if (ticket.status !== 'valid') {
+          throw new Error(`Ticket cannot be transferred while ${ticket.status}`);
+        }
+
+        const updates = this.reissueTicket(transaction, ticketRef, ticket, { owner: newOwner, qrCode, performedBy });
+        return { ...ticket, ...updates };
+      });
     } catch (error) {
       throw new Error(`Failed to transfer ticket: ${error.message}`);
     }
@@ -268,7 +730,8 @@ class TicketsController {
         const ticketsWithOrder = tickets.map(ticket => ({
           ...ticket,
           orderId: orderDoc.id,
-          orderStatus: orderDoc.data().status
+          orderStatus: orderDoc.data().status,
+          orderPaymentStatus: orderDoc.data().paymentStatus || null
         }));
         
         allTickets = allTickets.concat(ticketsWithOrder);
@@ -1,10 +1,18 @@
 const { db, docToObject, docsToObjects, addTimestamps, generateId, applyPagination, buildQuery } = require('../BaseController');
+const { syncUserClaimsSafely } = require('../../services/customClaims');
 
 class UsersController {
   constructor() {
     this.collection = 'users';
   }
 
+  // Roles are mirrored into Firebase custom claims; resync them after a write that touches them
+  async syncClaimsIfNeeded(userId, data) {
+    if ('role' in data || 'organizationRoles' in data) {
+      await syncUserClaimsSafely(userId);
+    }
+  }
+
   // Create or update a user
   async upsertUser(user) {
     try {
@@ -12,6 +20,7 @@ class UsersController {
       const userData = addTimestamps(userDataWithoutId, !!id);
       const userRef = db.collection(this.collection).doc(id);
       await userRef.set(userData, { merge: true });
+      await this.syncClaimsIfNeeded(id, userDataWithoutId);
       return userData;
     } catch (error) {
       throw new Error(`Failed to upsert user: ${error.message}`);
@@ -61,6 +70,7 @@ class UsersController {
       const userRef = db.collection(this.collection).doc(userId);
       const updateDataWithTimestamp = addTimestamps(updateData, true);
       await userRef.update(updateDataWithTimestamp);
+      await this.syncClaimsIfNeeded(userId, updateData);
       return { id: userId, ...updateDataWithTimestamp };
     } catch (error) {
       throw new Error(`Failed to update user: ${error.message}`);
@@ -71,6 +81,7 @@ class UsersController {
   async deleteUser(userId) {
     try {
       await db.collection(this.collection).doc(userId).delete();
+      await syncUserClaimsSafely(userId, null);
       return true;
     } catch (error) {
       throw new Error(`Failed to delete user: ${error.message}`);
@@ -0,0 +1,133 @@
+const { db, docsToObjects } = require('../BaseController');
+
+class WalletRegistrationsController {
+  constructor() {
+    this.collection = 'walletRegistrations';
+  }
+
+  // One document per device and pass
+  registrationId(deviceLibraryIdentifier, passTypeIdentifier, serialNumber) {
+    return `${deviceLibraryIdentifier}_${passTypeIdentifier}_${serialNumber}`;
+  }
+
+  // Register a device for pass update pushes. Returns { created } (false when it was already registered).
+  async registerDevice({ deviceLibraryIdentifier, passTypeIdentifier, serialNumber, pushToken, orderId, ticketId }) {
+    try {
+      const id = this.registrationId(deviceLibraryIdentifier, passTypeIdentifier, serialNumber);
+      const registrationRef = db.collection(this.collection).doc(id);
+
+      return await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(registrationRef);
+        const now = new Date().toISOString();
+        if (existing.exists) {
+          transaction.update(registrationRef, { pushToken, updatedAt: now });
+          return { created: false };
+        }
+
+        transaction.set(registrationRef, {
+          id,
+          deviceLibraryIdentifier,
+          passTypeIdentifier,
+          serialNumber,
+          pushToken,
+          orderId,
+          ticketId,
+          passUpdatedAt: now,
+          createdAt: now,
+          updatedAt: now
+        });
+        return { created: true };
+      });
+    } catch (error) {
+      throw new Error(`Failed to register wallet device: ${error.message}`);
+    }
+  }
+
+  // Stop sending updates for a pass to a device. Returns false if it wasn't registered.
+  async unregisterDevice(deviceLibraryIdentifier, passTypeIdentifier, serialNumber) {
+    try {
+      const id = this.registrationId(deviceLibraryIdentifier, passTypeIdentifier, serialNumber);
+      const registrationRef = db.collection(this.collection).doc(id);
+      const registrationDoc = await registrationRef.get();
+      if (!registrationDoc.exists) {
+        return false;
+      }
+      await registrationRef.delete();
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to unregister wallet device: ${error.message}`);
+    }
+  }
+
+  // Devices that hold a pass
+  async getRegistrationsForPass(passTypeIdentifier, serialNumber) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('passTypeIdentifier', '==', passTypeIdentifier)
+        .where('serialNumber', '==', serialNumber)
+        .get();
+      return docsToObjects(snapshot.docs);
+    } catch (error) {
+      throw new Error(`Failed to get wallet registrations for pass: ${error.message}`);
+    }
+  }
+
+  // Devices that hold any pass for a ticket (every reissue of it)
+  async getRegistrationsForTicket(orderId, ticketId) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('orderId', '==', orderId)
+        .where('ticketId', '==', ticketId)
+        .get();
+      return docsToObjects(snapshot.docs);
+    } catch (error) {
+      throw new Error(`Failed to get wallet registrations for ticket: ${error.message}`);
+    }
+  }
+
+  // Serial numbers on a device changed after `updatedSince` (ISO string, optional).
+  // Returns { serialNumbers, lastUpdated }.
+  async getUpdatedSerialNumbers(deviceLibraryIdentifier, passTypeIdentifier, updatedSince = null) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('deviceLibraryIdentifier', '==', deviceLibraryIdentifier)
+        .where('passTypeIdentifier', '==', passTypeIdentifier)
+        .get();
+
+      const since = updatedSince ? new Date(updatedSince) : null;
+      const registrations = docsToObjects(snapshot.docs)
+        .filter(registration => !since || isNaN(since.getTime()) || new Date(registration.passUpdatedAt) > since);
+
+      const lastUpdated = registrations.reduce(
+        (latest, registration) => (!latest || registration.passUpdatedAt > latest ? registration.passUpdatedAt : latest),
+        null
+      );
+
+      return {
+        serialNumbers: registrations.map(registration => registration.serialNumber),
+        lastUpdated
+      };
+    } catch (error) {
+      throw new Error(`Failed to get updated wallet passes: ${error.message}`);
+    }
+  }
+
+  // Record that the passes in these registrations changed, so devices fetch them again
+  async markPassesUpdated(registrations = [], updatedAt = new Date().toISOString()) {
+    try {
+      if (registrations.length === 0) return;
+      const batch = db.batch();
+      registrations.forEach(registration => {
+        batch.update(db.collection(this.collection).doc(registration.id), {
+          passUpdatedAt: updatedAt,
+          updatedAt
+        });
+      });
+      await batch.commit();
+    } catch (error) {
+      throw new Error(`Failed to mark wallet passes updated: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new WalletRegistrationsController();
@@ -0,0 +1,157 @@
+const { db, admin, docToObject, docsToObjects, applyPagination } = require('../BaseController');
+
+// A claimed delivery that has been "delivering" this long is assumed to have crashed mid-request
+const STALE_DELIVERING_MS = 5 * 60 * 1000;
+
+// One outbound webhook event sent to one seller endpoint, with a log of every attempt
+class WebhookDeliveriesController {
+  constructor() {
+    this.collection = 'webhookDeliveries';
+  }
+
+  // Store a delivery (document ID is `${eventId}_${endpointId}`).
+  // Returns { created: false, record } when the event was already queued for this endpoint.
+  async createDelivery(delivery) {
+    try {
+      const deliveryRef = db.collection(this.collection).doc(delivery.id);
+      const now = new Date().toISOString();
+
+      return await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(deliveryRef);
+        if (existing.exists) {
+          return { created: false, record: docToObject(existing) };
+        }
+
+        const record = {
+          ...delivery,
+          status: 'pending',
+          attempts: 0,
+          attemptLog: [],
+          lastResponseCode: null,
+          lastError: null,
+          // Due immediately; the retry worker picks it up if the first attempt never runs
+          nextAttemptAt: now,
+          processingStartedAt: null,
+          deliveredAt: null,
+          createdAt: now,
+          updatedAt: now
+        };
+        transaction.set(deliveryRef, record);
+
+        return { created: true, record };
+      });
+    } catch (error) {
+      throw new Error(`Failed to create webhook delivery: ${error.message}`);
+    }
+  }
+
+  // Get delivery by ID
+  async getDeliveryById(deliveryId) {
+    try {
+      const deliveryDoc = await db.collection(this.collection).doc(deliveryId).get();
+      return docToObject(deliveryDoc);
+    } catch (error) {
+      throw new Error(`Failed to get webhook delivery by ID: ${error.message}`);
+    }
+  }
+
+  // Get an endpoint's deliveries, most recent first (payload omitted)
+  async getDeliveriesByEndpointId(endpointId, filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection).where('endpointId', '==', endpointId);
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+      if (filters.eventType) {
+        query = query.where('eventType', '==', filters.eventType);
+      }
+
+      const snapshot = await query.get();
+      const deliveries = docsToObjects(snapshot.docs)
+        .map(({ payload, ...delivery }) => delivery)
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(deliveries, pagination.limit, pagination.offset);
+      }
+
+      return deliveries;
+    } catch (error) {
+      throw new Error(`Failed to get webhook deliveries: ${error.message}`);
+    }
+  }
+
+  // Atomically claim a delivery so the first attempt, the retry worker and manual redeliveries
+  // never send it concurrently. Returns the claimed record, or null if it already succeeded
+  // (unless forced) or is in progress.
+  async claimDelivery(deliveryId, { force = false } = {}) {
+    try {
+      const deliveryRef = db.collection(this.collection).doc(deliveryId);
+      const now = new Date();
+
+      return await db.runTransaction(async (transaction) => {
+        const deliveryDoc = await transaction.get(deliveryRef);
+        if (!deliveryDoc.exists) {
+          return null;
+        }
+
+        const record = docToObject(deliveryDoc);
+        const stale = record.status === 'delivering' && record.processingStartedAt &&
+          now - new Date(record.processingStartedAt) > STALE_DELIVERING_MS;
+
+        if (record.status === 'succeeded' && !force) return null;
+        if (record.status === 'delivering' && !stale) return null;
+
+        const updates = {
+          status: 'delivering',
+          attempts: (record.attempts || 0) + 1,
+          processingStartedAt: now.toISOString(),
+          updatedAt: now.toISOString()
+        };
+        transaction.update(deliveryRef, updates);
+
+        return { ...record, ...updates };
+      });
+    } catch (error) {
+      throw new Error(`Failed to claim webhook delivery: ${error.message}`);
+    }
+  }
+
+  // Record the outcome of an attempt. A failed delivery with a null nextAttemptAt has run out of retries.
+  async recordAttempt(deliveryId, attempt, { succeeded, nextAttemptAt = null }) {
+    try {
+      const now = new Date().toISOString();
+      const updates = {
+        status: succeeded ? 'succeeded' : 'failed',
+        lastResponseCode: attempt.responseCode,
+        lastError: succeeded ? null : attempt.error,
+        nextAttemptAt: succeeded ? null : nextAttemptAt,
+        ...(succeeded && { deliveredAt: now }),
+        updatedAt: now
+      };
+      await db.collection(this.collection).doc(deliveryId).update({
+        ...updates,
+        attemptLog: admin.firestore.FieldValue.arrayUnion(attempt)
+      });
+      return { id: deliveryId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to record webhook delivery attempt: ${error.message}`);
+    }
+  }
+
+  // Get pending or failed deliveries whose next attempt is due
+  async getDeliveriesDueForRetry(now = new Date(), limit = 25) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('status', 'in', ['pending', 'failed'])
+        .where('nextAttemptAt', '<=', now.toISOString())
+        .limit(limit)
+        .get();
+      return docsToObjects(snapshot.docs);
+    } catch (error) {
+      throw new Error(`Failed to get webhook deliveries due for retry: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new WebhookDeliveriesController();
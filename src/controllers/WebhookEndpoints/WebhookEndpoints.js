@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { db, docToObject, docsToObjects, generateId } = require('../BaseController');
+
+// URLs registered by sellers to receive outbound webhooks. Each endpoint has its own signing secret,
+// which is kept in plain text because deliveries are signed with it.
+class WebhookEndpointsController {
+  constructor() {
+    this.collection = 'webhookEndpoints';
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  // Strip the signing secret before returning an endpoint to clients
+  toPublicEndpoint(endpoint) {
+    if (!endpoint) return null;
+    const { secret, ...publicEndpoint } = endpoint;
+    return publicEndpoint;
+  }
+
+  // Register an endpoint. Returns { endpoint, secret }; the secret is only returned here and on rotation.
+  async createEndpoint(endpoint) {
+    try {
+      const id = generateId();
+      const secret = this.generateSecret();
+      const now = new Date().toISOString();
+      const endpointData = {
+        description: null,
+        ...endpoint,
+        id,
+        secret,
+        status: 'active',
+        createdAt: now,
+        updatedAt: now
+      };
+      await db.collection(this.collection).doc(id).set(endpointData);
+      return { endpoint: this.toPublicEndpoint(endpointData), secret };
+    } catch (error) {
+      throw new Error(`Failed to create webhook endpoint: ${error.message}`);
+    }
+  }
+
+  // Get endpoint by ID (includes the secret for signing)
+  async getEndpointById(endpointId) {
+    try {
+      const endpointDoc = await db.collection(this.collection).doc(endpointId).get();
+      return docToObject(endpointDoc);
+    } catch (error) {
+      throw new Error(`Failed to get webhook endpoint by ID: ${error.message}`);
+    }
+  }
+
+  // Get a seller's endpoints, newest first
+  async getEndpointsBySellerId(sellerId, filters = {}) {
+    try {
+      let query = db.collection(this.collection).where('sellerId', '==', sellerId);
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+      const snapshot = await query.get();
+      return docsToObjects(snapshot.docs)
+        .map(endpoint => this.toPublicEndpoint(endpoint))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new Error(`Failed to get webhook endpoints: ${error.message}`);
+    }
+  }
+
+  // Active endpoints of a seller subscribed to an event type ('*' subscribes to every type)
+  async getActiveEndpointsForEvent(sellerId, eventType) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('sellerId', '==', sellerId)
+        .where('status', '==', 'active')
+        .get();
+      return docsToObjects(snapshot.docs)
+        .filter(endpoint => (endpoint.events || []).some(type => type === '*' || type === eventType));
+    } catch (error) {
+      throw new Error(`Failed to get webhook endpoints for event: ${error.message}`);
+    }
+  }
+
+  // Update endpoint (url, description, events, status)
+  async updateEndpoint(endpointId, updateData) {
+    try {
+      const updates = { ...updateData, updatedAt: new Date().toISOString() };
+      await db.collection(this.collection).doc(endpointId).update(updates);
+      return { id: endpointId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to update webhook endpoint: ${error.message}`);
+    }
+  }
+
+  // Replace the signing secret. Deliveries sent from now on use the new secret.
+  async rotateSecret(endpointId) {
+    try {
+      const secret = this.generateSecret();
+      const now = new Date().toISOString();
+      await db.collection(this.collection).doc(endpointId).update({
+        secret,
+        secretRotatedAt: now,
+        updatedAt: now
+      });
+      return secret;
+    } catch (error) {
+      throw new Error(`Failed to rotate webhook endpoint secret: ${error.message}`);
+    }
+  }
+
+  // Delete endpoint. Its delivery log is kept.
+  async deleteEndpoint(endpointId) {
+    try {
+      await db.collection(this.collection).doc(endpointId).delete();
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete webhook endpoint: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new WebhookEndpointsController();
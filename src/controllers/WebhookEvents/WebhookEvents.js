@@ -0,0 +1,162 @@
+const { db, docToObject, docsToObjects, applyPagination } = require('../BaseController');
+
+// A claimed event that has been "processing" this long is assumed to have crashed mid-run
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+class WebhookEventsController {
+  constructor() {
+    this.collection = 'webhookEvents';
+  }
+
+  // Persist a verified Stripe event (document ID is the Stripe event ID).
+  // Returns { created: false, record } when the event was already stored.
+  async recordEvent(event) {
+    try {
+      const eventRef = db.collection(this.collection).doc(event.id);
+      const now = new Date().toISOString();
+
+      return await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(eventRef);
+        if (existing.exists) {
+          return { created: false, record: docToObject(existing) };
+        }
+
+        const record = {
+          id: event.id,
+          type: event.type,
+          account: event.account || null,
+          livemode: !!event.livemode,
+          // Stored as JSON: Stripe payloads can contain values Firestore cannot store (e.g. nested arrays)
+          payload: JSON.stringify(event),
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: null,
+          processingStartedAt: null,
+          processedAt: null,
+          stripeCreatedAt: event.created || null,
+          receivedAt: now,
+          updatedAt: now
+        };
+        transaction.set(eventRef, record);
+
+        return { created: true, record };
+      });
+    } catch (error) {
+      throw new Error(`Failed to record webhook event: ${error.message}`);
+    }
+  }
+
+  // Get event by ID
+  async getEventById(eventId) {
+    try {
+      const eventDoc = await db.collection(this.collection).doc(eventId).get();
+      return docToObject(eventDoc);
+    } catch (error) {
+      throw new Error(`Failed to get webhook event by ID: ${error.message}`);
+    }
+  }
+
+  // Atomically claim an event for processing so redeliveries, the retry worker
+  // and manual replays never run the same event concurrently.
+  // Returns the claimed record, or null if it is already processed or in progress.
+  async claimEvent(eventId, { force = false } = {}) {
+    try {
+      const eventRef = db.collection(this.collection).doc(eventId);
+      const now = new Date();
+
+      return await db.runTransaction(async (transaction) => {
+        const eventDoc = await transaction.get(eventRef);
+        if (!eventDoc.exists) {
+          return null;
+        }
+
+        const record = docToObject(eventDoc);
+        const stale = record.status === 'processing' && record.processingStartedAt &&
+          now - new Date(record.processingStartedAt) > STALE_PROCESSING_MS;
+
+        if (record.status === 'processed' && !force) return null;
+        if (record.status === 'processing' && !stale) return null;
+
+        const updates = {
+          status: 'processing',
+          attempts: (record.attempts || 0) + 1,
+          processingStartedAt: now.toISOString(),
+          updatedAt: now.toISOString()
+        };
+        transaction.update(eventRef, updates);
+
+        return { ...record, ...updates };
+      });
+    } catch (error) {
+      throw new Error(`Failed to claim webhook event: ${error.message}`);
+    }
+  }
+
+  // Mark an event as successfully processed
+  async markProcessed(eventId) {
+    try {
+      const now = new Date().toISOString();
+      const updates = { status: 'processed', lastError: null, nextAttemptAt: null, processedAt: now, updatedAt: now };
+      await db.collection(this.collection).doc(eventId).update(updates);
+      return { id: eventId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to mark webhook event processed: ${error.message}`);
+    }
+  }
+
+  // Mark an event as failed. A null nextAttemptAt means retries are exhausted.
+  async markFailed(eventId, errorMessage, nextAttemptAt = null) {
+    try {
+      const updates = {
+        status: 'failed',
+        lastError: errorMessage,
+        nextAttemptAt,
+        updatedAt: new Date().toISOString()
+      };
+      await db.collection(this.collection).doc(eventId).update(updates);
+      return { id: eventId, ...updates };
+    } catch (error) {
+      throw new Error(`Failed to mark webhook event failed: ${error.message}`);
+    }
+  }
+
+  // Get failed events, most recent first (payload omitted)
+  async getFailedEvents(filters = {}, pagination = {}) {
+    try {
+      let query = db.collection(this.collection).where('status', '==', 'failed');
+      if (filters.type) {
+        query = query.where('type', '==', filters.type);
+      }
+
+      const snapshot = await query.get();
+      const events = docsToObjects(snapshot.docs)
+        .map(({ payload, ...event }) => event)
+        .sort((a, b) => (b.receivedAt || '').localeCompare(a.receivedAt || ''));
+
+      if (pagination.limit || pagination.offset) {
+        return applyPagination(events, pagination.limit, pagination.offset);
+      }
+
+      return events;
+    } catch (error) {
+      throw new Error(`Failed to get failed webhook events: ${error.message}`);
+    }
+  }
+
+  // Get failed events whose next retry is due
+  async getEventsDueForRetry(now = new Date(), limit = 25) {
+    try {
+      const snapshot = await db.collection(this.collection)
+        .where('status', '==', 'failed')
+        .where('nextAttemptAt', '<=', now.toISOString())
+        .limit(limit)
+        .get();
+      return docsToObjects(snapshot.docs);
+    } catch (error) {
+      throw new Error(`Failed to get webhook events due for retry: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new WebhookEventsController();
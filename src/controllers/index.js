@@ -7,6 +7,22 @@ const PerformancesController = require('./Performances/Performances');
 const SeatmapsController = require('./Seatmaps/Seatmaps');
 const TicketsController = require('./Tickets/Tickets');
 const SubscriptionsController = require('./Subscriptions/Subscriptions');
+const SeatHoldsController = require('./SeatHolds/SeatHolds');
+const SeatInventoryController = require('./SeatInventory/SeatInventory');
+const DisputesController = require('./Disputes/Disputes');
+const WebhookEventsController = require('./WebhookEvents/WebhookEvents');
+const PromoCodesController = require('./PromoCodes/PromoCodes');
+const TaxRatesController = require('./TaxRates/TaxRates');
+const CheckInSessionsController = require('./CheckInSessions/CheckInSessions');
+const ScanLogsController = require('./ScanLogs/ScanLogs');
+const TicketTransfersController = require('./TicketTransfers/TicketTransfers');
+const ExchangesController = require('./Exchanges/Exchanges');
+const WalletRegistrationsController = require('./WalletRegistrations/WalletRegistrations');
+const PerformanceSeriesController = require('./PerformanceSeries/PerformanceSeries');
+const OrganizationsController = require('./Organizations/Organizations');
+const ApiKeysController = require('./ApiKeys/ApiKeys');
+const WebhookEndpointsController = require('./WebhookEndpoints/WebhookEndpoints');
+const WebhookDeliveriesController = require('./WebhookDeliveries/WebhookDeliveries');
 
 module.exports = {
   UsersController,
@@ -16,5 +32,21 @@ module.exports = {
   PerformancesController,
   SeatmapsController,
   TicketsController,
-  SubscriptionsController
+  SubscriptionsController,
+  SeatHoldsController,
+  SeatInventoryController,
+  DisputesController,
+  WebhookEventsController,
+  PromoCodesController,
+  TaxRatesController,
+  CheckInSessionsController,
+  ScanLogsController,
+  TicketTransfersController,
+  ExchangesController,
+  WalletRegistrationsController,
+  PerformanceSeriesController,
+  OrganizationsController,
+  ApiKeysController,
+  WebhookEndpointsController,
+  WebhookDeliveriesController
 };
@@ -1,5 +1,33 @@
 const { auth } = require("../firebase");
 
+// Read the role claims written by services/customClaims from a decoded ID token. Returns null for
+// tokens issued before the claims were set, or whose memberships didn't fit in the claims; callers
+// then read the user profile instead.
+function readRoleClaims(decodedToken) {
+  if (!decodedToken || typeof decodedToken.role !== "string" || decodedToken.organizationsTruncated) {
+    return null;
+  }
+  return {
+    role: decodedToken.role,
+    isAdmin: decodedToken.admin === true,
+    sellerId: decodedToken.sellerId || null,
+    organizationRoles: decodedToken.organizations || {}
+  };
+}
+
+// Build req.user from a decoded ID token, including its role claims when present
+function userFromToken(decoded) {
+  const claims = readRoleClaims(decoded);
+  return {
+    uid: decoded.uid,
+    id: decoded.uid,
+    email: decoded.email || null,
+    emailVerified: decoded.email_verified === true,
+    decodedToken: decoded,
+    ...(claims && { role: claims.role, organizationRoles: claims.organizationRoles })
+  };
+}
+
 async function verifyFirebaseIdToken(req, res, next) {
   try {
     const header = req.headers.authorization || "";
@@ -8,8 +36,9 @@ async function verifyFirebaseIdToken(req, res, next) {
       return res.status(401).json({ error: "Missing Authorization Bearer token" });
     }
     const idToken = match[1];
-    const decoded = await auth.verifyIdToken(idToken);
-    req.user = { uid: decoded.uid, email: decoded.email || null, decodedToken: decoded };
+    // checkRevoked: tokens issued before a revocation (e.g. a role was taken away) are rejected
+    const decoded = await auth.verifyIdToken(idToken, true);
+    req.user = userFromToken(decoded);
     next();
   } catch (err) {
     return res.status(401).json({ error: "Invalid or expired token" });
@@ -24,8 +53,8 @@ async function optionalAuth(req, res, next) {
     if (match) {
       const idToken = match[1];
       try {
-        const decoded = await auth.verifyIdToken(idToken);
-        req.user = { uid: decoded.uid, id: decoded.uid, email: decoded.email || null, decodedToken: decoded };
+        const decoded = await auth.verifyIdToken(idToken, true);
+        req.user = userFromToken(decoded);
       } catch (err) {
         // Token invalid, but continue without authentication
       }
@@ -37,7 +66,52 @@ async function optionalAuth(req, res, next) {
   }
 }
 
-module.exports = { verifyFirebaseIdToken, optionalAuth };
+// Require an admin user - use after verifyFirebaseIdToken
+async function requireAdmin(req, res, next) {
+  try {
+    if (!req.user?.uid) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    const claims = readRoleClaims(req.user.decodedToken);
+    if (claims) {
+      if (!claims.isAdmin) {
+        return res.status(403).json({ error: "Admin access required" });
+      }
+      return next();
+    }
+    // Lazy require to avoid loading Firestore controllers for routes that never need them
+    const { UsersController } = require("../controllers");
+    const user = await UsersController.getUserById(req.user.uid);
+    if (user?.role !== 'admin') {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    next();
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to verify admin access" });
+  }
+}
+
+// Authenticate a door scanner by its check-in session token (X-Scanner-Token header).
+// Sets req.scannerSession to the active session.
+async function verifyScannerSession(req, res, next) {
+  try {
+    const token = req.headers["x-scanner-token"];
+    if (!token) {
+      return res.status(401).json({ error: "Missing X-Scanner-Token header" });
+    }
+    const { CheckInSessionsController } = require("../controllers");
+    const session = await CheckInSessionsController.getSessionByToken(token);
+    if (!CheckInSessionsController.isSessionActive(session)) {
+      return res.status(401).json({ error: "Invalid, expired or revoked scanner session" });
+    }
+    req.scannerSession = session;
+    next();
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to verify scanner session" });
+  }
+}
+
+module.exports = { verifyFirebaseIdToken, optionalAuth, requireAdmin, verifyScannerSession, readRoleClaims, userFromToken };
 
 
 
@@ -0,0 +1,339 @@
+// Authorization policies for the API routers.
+//
+// The caller's role comes from their profile (users/{uid}.role): 'customer', 'seller' or 'admin';
+// users without a profile are customers. Admins pass every policy. A resource's sellerId names
+// the seller organisation it belongs to: the seller account itself owns it, and staff act on it
+// with the permissions of their organisation role (users/{uid}.organizationRoles). Customers may
+// only read their own orders: those they bought signed in, or placed with their verified email
+// address. Every denial is a 403 with the same body: { error: 'Forbidden', message }.
+// Changes made through an organisation permission are recorded in its audit log.
+//
+// Integrations can authenticate with a seller-issued API key instead of an ID token (as the Bearer
+// token or an X-API-Key header). A key acts for its seller organisation with exactly the
+// permissions in its scopes, so the same policies apply to it.
+
+const { auth } = require("../firebase");
+const { userFromToken } = require("./auth");
+const { roleHasPermission, recordStaffAction } = require("../services/organizations");
+const { isViewTokenExpired } = require("../utils/viewTokens");
+const {
+  UsersController,
+  ProductionsController,
+  VenuesController,
+  OrdersController,
+  PromoCodesController,
+  ApiKeysController
+} = require("../controllers");
+
+// How often an API key's lastUsedAt is written; requests in between don't touch the key document
+const API_KEY_USAGE_INTERVAL_MS = 60 * 1000;
+
+function forbidden(res, message = "You do not have permission to perform this action") {
+  return res.status(403).json({ error: "Forbidden", message });
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer (.+)$/i);
+  return match ? match[1] : null;
+}
+
+// The API key sent with the request, if any
+function getApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (header) return header;
+  const bearer = getBearerToken(req);
+  return ApiKeysController.isApiKey(bearer) ? bearer : null;
+}
+
+// Set req.user from a verified ID token. The role comes from the token's custom claims when it
+// has them; otherwise from the caller's profile. Revoked tokens are rejected, so claims taken
+// away by a sync stop working before the token expires.
+async function identify(req, idToken) {
+  const decoded = await auth.verifyIdToken(idToken, true);
+  req.user = userFromToken(decoded);
+  if (!req.user.role) {
+    const profile = await UsersController.getUserById(decoded.uid);
+    req.user.role = profile?.role || "customer";
+    req.user.organizationRoles = profile?.organizationRoles || {};
+    req.user.profile = profile;
+  }
+}
+
+// Set req.user from an API key; throws when the key is unknown, expired or revoked
+async function identifyApiKey(req, key) {
+  const apiKey = await ApiKeysController.getApiKeyByKey(key);
+  if (!ApiKeysController.isApiKeyActive(apiKey)) {
+    throw new Error("API key is invalid, expired or revoked");
+  }
+  req.user = {
+    uid: `apikey:${apiKey.id}`,
+    email: null,
+    role: "api_key",
+    organizationRoles: {},
+    profile: null,
+    apiKey: { id: apiKey.id, name: apiKey.name, sellerId: apiKey.sellerId, scopes: apiKey.scopes || [] }
+  };
+
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed >= API_KEY_USAGE_INTERVAL_MS) {
+    ApiKeysController.recordUsage(apiKey.id, req.ip || null)
+      .catch(err => console.error(`Failed to record usage of API key ${apiKey.id}:`, err.message));
+  }
+}
+
+// Identify the caller from an API key or ID token, whichever the request carries
+function identifyRequest(req) {
+  const apiKey = getApiKey(req);
+  return apiKey ? identifyApiKey(req, apiKey) : identify(req, getBearerToken(req));
+}
+
+// The caller's user profile, read on demand when their role came from token claims
+async function loadProfile(req) {
+  if (req.user.profile === undefined) {
+    req.user.profile = await UsersController.getUserById(req.user.uid);
+  }
+  return req.user.profile;
+}
+
+// Require a valid Firebase ID token or API key; sets req.user with the caller's role
+async function authenticate(req, res, next) {
+  if (req.user?.role) return next();
+  if (!getApiKey(req) && !getBearerToken(req)) {
+    return res.status(401).json({ error: "Missing Authorization Bearer token" });
+  }
+  try {
+    await identifyRequest(req);
+  } catch (err) {
+    return res.status(401).json({
+      error: getApiKey(req) ? "Invalid, expired or revoked API key" : "Invalid or expired token"
+    });
+  }
+  next();
+}
+
+// Like authenticate, but callers without a (valid) token continue anonymously
+async function optionalUser(req, res, next) {
+  if ((getApiKey(req) || getBearerToken(req)) && !req.user?.role) {
+    try {
+      await identifyRequest(req);
+    } catch (err) {
+      // Token invalid, but continue without authentication
+    }
+  }
+  next();
+}
+
+function isAdmin(req) {
+  return req.user?.role === "admin";
+}
+
+// Whether the caller is the given user (or an admin)
+function canActAs(req, userId) {
+  return !!req.user && (isAdmin(req) || (!!userId && req.user.uid === userId));
+}
+
+// The seller organisation the caller acts for when a request doesn't name one: an API key's
+// seller, otherwise the caller's own seller account
+function actingSellerId(req) {
+  return req.user?.apiKey ? req.user.apiKey.sellerId : req.user?.uid;
+}
+
+// Whether the caller holds a permission in a seller organisation. A seller account holds every
+// permission in its own organisation; staff hold those of their role, and API keys their scopes.
+function hasPermission(req, organizationId, permission) {
+  if (!req.user || !organizationId) return false;
+  if (req.user.apiKey) {
+    return organizationId === req.user.apiKey.sellerId && req.user.apiKey.scopes.includes(permission);
+  }
+  if (isAdmin(req)) return true;
+  if (organizationId === req.user.uid) return req.user.role === "seller";
+  return roleHasPermission(req.user.organizationRoles?.[organizationId], permission);
+}
+
+// Whether the caller bought the order: the signed-in buyer (order.buyerId), or a caller whose
+// verified email address is the order's customer email
+function isOrderBuyer(req, order) {
+  if (!req.user || req.user.apiKey || !order) return false;
+  if (order.buyerId && order.buyerId === req.user.uid) return true;
+  return !!req.user.emailVerified && !!req.user.email && !!order.customerEmail &&
+    req.user.email.toLowerCase() === order.customerEmail.toLowerCase();
+}
+
+// Whether the order's viewToken was supplied and is still valid
+function hasValidViewToken(order, token) {
+  if (!token || !order.viewToken || order.viewToken !== token) return false;
+  return !isViewTokenExpired(order);
+}
+
+// Whether the caller currently holds the ticket: its signed-in owner, or for a ticket that was never
+// transferred, the buyer (signed in, or with the order's viewToken)
+function isTicketHolder(req, order, ticket, viewToken) {
+  const uid = req.user?.uid;
+  // An email only identifies the holder once its owner has verified it
+  const email = req.user?.email && req.user.emailVerified && !req.user.apiKey ? req.user.email.toLowerCase() : null;
+  if (ticket.ownerId) return !!uid && uid === ticket.ownerId;
+  if (ticket.ownerEmail) return !!email && email === String(ticket.ownerEmail).toLowerCase();
+  return isOrderBuyer(req, order) || hasValidViewToken(order, viewToken);
+}
+
+// Audit a change made within an organisation once the handler has succeeded
+function auditOnSuccess(req, res, organizationId, targetType = null, targetId = null) {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return;
+  res.on("finish", () => {
+    if (res.statusCode >= 400) return;
+    recordStaffAction(organizationId, req, {
+      action: `${req.method} ${req.baseUrl}${req.route?.path || ""}`,
+      targetType,
+      targetId,
+      details: { path: req.originalUrl, statusCode: res.statusCode }
+    });
+  });
+}
+
+// Require one of the given roles (admins always pass) - use after authenticate
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    if (!isAdmin(req) && !roles.includes(req.user.role)) {
+      return forbidden(res, `This action requires the ${roles.join(" or ")} role`);
+    }
+    next();
+  };
+}
+
+function requireAdminRole(req, res, next) {
+  return requireRole("admin")(req, res, next);
+}
+
+// Require the caller to be the user named by a route parameter - use after authenticate
+function requireSelf(param = "userId") {
+  return (req, res, next) => {
+    if (!canActAs(req, req.params[param])) {
+      return forbidden(res, "You can only access your own account");
+    }
+    next();
+  };
+}
+
+// Require a permission in the organisation named by a route parameter, or else by the body's
+// sellerId; without either the caller acts for their own seller account (or an API key's seller)
+// - use after authenticate
+function requireSellerPermission(permission, param = null) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    const organizationId = (param && req.params[param]) || req.body?.sellerId || actingSellerId(req);
+    if (!hasPermission(req, organizationId, permission)) {
+      return forbidden(res, `You need the ${permission} permission for this seller`);
+    }
+    auditOnSuccess(req, res, organizationId);
+    next();
+  };
+}
+
+// Build a policy that loads a resource and checks the caller holds a permission in the
+// organisation it belongs to (or passes allow). Sends 404 when it is missing. A sellerId in the
+// body that moves the resource must name an organisation with the same permission. The loaded
+// resource is kept on req.authorized for the handler.
+function requireResource({ name, load, permission, allow = null, message }) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    try {
+      const resource = await load(req);
+      if (!resource) {
+        return res.status(404).json({ error: `${name} not found` });
+      }
+      if (!hasPermission(req, resource.sellerId, permission) && !(allow && allow(req, resource))) {
+        return forbidden(res, message);
+      }
+      const sellerId = req.body?.sellerId;
+      if (sellerId !== undefined && sellerId !== resource.sellerId && !hasPermission(req, sellerId, permission)) {
+        return forbidden(res, `You can only move a ${name.toLowerCase()} to a seller you manage`);
+      }
+      req.authorized = resource;
+      auditOnSuccess(req, res, resource.sellerId, name.toLowerCase(), resource.id);
+      next();
+    } catch (err) {
+      res.status(500).json({ error: "Failed to check permissions", message: err.message });
+    }
+  };
+}
+
+// Productions and everything under them (performances, series, inventory)
+const requireProductionOwner = requireResource({
+  name: "Production",
+  load: req => ProductionsController.getProductionById(req.params.productionId),
+  permission: "productions:write",
+  message: "You can only manage your own productions"
+});
+
+// Venues and their seatmaps
+const requireVenueOwner = requireResource({
+  name: "Venue",
+  load: req => VenuesController.getVenueById(req.params.venueId),
+  permission: "venues:write",
+  message: "You can only manage your own venues"
+});
+
+// Changes to an order or its tickets: the seller it was sold for
+const requireOrderSeller = requireResource({
+  name: "Order",
+  load: req => OrdersController.getOrderById(req.params.orderId),
+  permission: "orders:write",
+  message: "You can only manage orders for your own events"
+});
+
+// Checking tickets in and out at the door
+const requireOrderCheckIn = requireResource({
+  name: "Order",
+  load: req => OrdersController.getOrderById(req.params.orderId),
+  permission: "tickets:check_in",
+  message: "You can only check in tickets for your own events"
+});
+
+// Reading an order or its tickets: the buyer or the seller
+const requireOrderAccess = requireResource({
+  name: "Order",
+  load: req => OrdersController.getOrderById(req.params.orderId),
+  permission: "orders:read",
+  allow: isOrderBuyer,
+  message: "You can only view your own orders"
+});
+
+const requirePromoCodeOwner = requireResource({
+  name: "Promo code",
+  load: req => PromoCodesController.getPromoCodeById(req.params.promoCodeId),
+  permission: "promo_codes:write",
+  message: "You can only manage your own promo codes"
+});
+
+module.exports = {
+  forbidden,
+  authenticate,
+  optionalUser,
+  loadProfile,
+  isAdmin,
+  canActAs,
+  actingSellerId,
+  hasPermission,
+  isOrderBuyer,
+  hasValidViewToken,
+  isTicketHolder,
+  requireRole,
+  requireAdminRole,
+  requireSelf,
+  requireSellerPermission,
+  requireResource,
+  requireProductionOwner,
+  requireVenueOwner,
+  requireOrderSeller,
+  requireOrderCheckIn,
+  requireOrderAccess,
+  requirePromoCodeOwner
+};
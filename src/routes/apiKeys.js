@@ -0,0 +1,251 @@
+const express = require("express");
+const router = express.Router();
+const { ApiKeysController, UsersController } = require("../controllers");
+const {
+  authenticate,
+  actingSellerId,
+  hasPermission,
+  forbidden,
+  requireSellerPermission,
+  requireResource
+} = require("../middleware/policy");
+const { API_KEY_SCOPES } = require("../services/organizations");
+
+const MAX_EXPIRES_IN_DAYS = 730;
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 168;
+
+// Managing a seller's API keys needs the staff:manage permission, which keys themselves never have
+router.use(authenticate);
+
+const requireApiKeyManager = requireResource({
+  name: "API key",
+  load: req => ApiKeysController.getApiKeyById(req.params.apiKeyId),
+  permission: "staff:manage",
+  message: "You can only manage your own API keys"
+});
+
+// Validate a key name and scopes. Returns an error message, or null when valid.
+function validateApiKeyFields({ name, scopes }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return 'name is required and must be at most 100 characters';
+    }
+  }
+  if (scopes !== undefined || !partial) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return 'scopes must be a non-empty array';
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return `Unknown scopes: ${unknown.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// CREATE - Issue an API key for a seller (the caller's own unless sellerId names another they manage).
+// The key is only returned in this response.
+router.post("/", requireSellerPermission('staff:manage'), async (req, res) => {
+  try {
+    const sellerId = req.body.sellerId || actingSellerId(req);
+    const { name, scopes, expiresInDays } = req.body;
+
+    const validationError = validateApiKeyFields({ name, scopes });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_IN_DAYS) {
+        return res.status(400).json({
+          error: `expiresInDays must be a whole number between 1 and ${MAX_EXPIRES_IN_DAYS}`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const seller = await UsersController.getUserById(sellerId);
+    if (!seller || seller.role !== 'seller') {
+      return res.status(400).json({
+        error: "API keys can only be issued for seller accounts"
+      });
+    }
+
+    const { apiKey, key } = await ApiKeysController.createApiKey({
+      sellerId,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      createdBy: req.user.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      apiKey,
+      key
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+// READ - Scopes that can be granted to an API key
+router.get("/scopes", (req, res) => {
+  res.json({
+    success: true,
+    scopes: API_KEY_SCOPES
+  });
+});
+
+// READ - A seller's API keys (the caller's own unless sellerId names another they manage)
+router.get("/", async (req, res) => {
+  try {
+    const { status, limit, offset, sellerId = actingSellerId(req) } = req.query;
+
+    if (!hasPermission(req, sellerId, 'staff:manage')) {
+      return forbidden(res, 'You can only view your own API keys');
+    }
+
+    const apiKeys = await ApiKeysController.getApiKeysBySellerId(
+      sellerId,
+      { status },
+      { limit: limit ? parseInt(limit) : undefined, offset: offset ? parseInt(offset) : undefined }
+    );
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.data || apiKeys,
+      ...(apiKeys.pagination && { pagination: apiKeys.pagination })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve API keys',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get an API key
+router.get("/:apiKeyId", requireApiKeyManager, (req, res) => {
+  res.json({
+    success: true,
+    apiKey: ApiKeysController.toPublicApiKey(req.authorized)
+  });
+});
+
+// UPDATE - Rename an API key or change its scopes. Takes effect on the key's next request.
+router.patch("/:apiKeyId", requireApiKeyManager, async (req, res) => {
+  try {
+    const { apiKeyId } = req.params;
+    const { name, scopes } = req.body;
+
+    if (!ApiKeysController.isApiKeyActive(req.authorized)) {
+      return res.status(409).json({
+        error: "Only active API keys can be updated"
+      });
+    }
+    if (name === undefined && scopes === undefined) {
+      return res.status(400).json({
+        error: "Provide name or scopes to update"
+      });
+    }
+
+    const validationError = validateApiKeyFields({ name, scopes }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (scopes !== undefined) updates.scopes = [...new Set(scopes)];
+
+    await ApiKeysController.updateApiKey(apiKeyId, updates);
+    const apiKey = await ApiKeysController.getApiKeyById(apiKeyId);
+
+    res.json({
+      success: true,
+      apiKey: ApiKeysController.toPublicApiKey(apiKey)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update API key',
+      message: error.message
+    });
+  }
+});
+
+// UPDATE - Rotate an API key: issue a replacement with the same name and scopes. The old key keeps
+// working for graceHours (default 24, 0 to expire it now). The new key is only returned here.
+router.post("/:apiKeyId/rotate", requireApiKeyManager, async (req, res) => {
+  try {
+    const { apiKeyId } = req.params;
+    const { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = req.body || {};
+
+    const hours = Number(graceHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > MAX_ROTATION_GRACE_HOURS) {
+      return res.status(400).json({
+        error: `graceHours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}`
+      });
+    }
+
+    const result = await ApiKeysController.rotateApiKey(apiKeyId, {
+      graceHours: hours,
+      rotatedBy: req.user.uid
+    });
+    if (!result.success) {
+      return res.status(result.reason === 'not_found' ? 404 : 409).json({
+        error: result.reason === 'not_found' ? 'API key not found' : result.reason
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      apiKey: result.apiKey,
+      key: result.key,
+      previous: result.previous
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to rotate API key',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Revoke an API key. It stops working immediately; the record is kept for the audit trail.
+router.delete("/:apiKeyId", requireApiKeyManager, async (req, res) => {
+  try {
+    const { apiKeyId } = req.params;
+
+    const result = await ApiKeysController.revokeApiKey(apiKeyId, req.user.uid);
+    if (!result.success) {
+      return res.status(result.reason === 'not_found' ? 404 : 409).json({
+        error: result.reason === 'not_found' ? 'API key not found' : result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey: result.apiKey
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+const { getProductionCalendar, getSellerCalendar } = require("../services/calendar");
+
+// Calendar apps poll subscribed feeds; let them and any proxy reuse a copy for a while
+function sendCalendar(res, calendar, filename) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'public, max-age=900'
+  });
+  res.send(calendar);
+}
+
+// READ - iCalendar feed of a production's performances
+router.get("/productions/:productionId.ics", async (req, res) => {
+  try {
+    const result = await getProductionCalendar(req.params.productionId);
+    if (!result) {
+      return res.status(404).json({ error: 'Production not found' });
+    }
+    sendCalendar(res, result.calendar, `production-${result.production.id}.ics`);
+  } catch (error) {
+    console.error('Error building production calendar:', error);
+    res.status(500).json({ error: 'Failed to build production calendar', message: error.message });
+  }
+});
+
+// READ - iCalendar feed of all of a seller's published productions
+router.get("/sellers/:sellerId.ics", async (req, res) => {
+  try {
+    const result = await getSellerCalendar(req.params.sellerId);
+    if (!result) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+    sendCalendar(res, result.calendar, `seller-${req.params.sellerId}.ics`);
+  } catch (error) {
+    console.error('Error building seller calendar:', error);
+    res.status(500).json({ error: 'Failed to build seller calendar', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,13 +2,25 @@ const express = require("express");
 const router = express.Router();
 const Stripe = require("stripe");
 const { VenuesController, UsersController } = require("../controllers");
+const { authenticate, loadProfile, isAdmin, canActAs, forbidden, requireAdminRole } = require("../middleware/policy");
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2024-06-20",
 });
 
+router.use(authenticate);
+
+// The theaterId (the seller's user ID) in the body or query must be the caller's own
+function requireOwnTheater(req, res, next) {
+  const theaterId = req.body?.theaterId || req.query?.theaterId;
+  if (theaterId && !canActAs(req, theaterId)) {
+    return forbidden(res, "You can only manage your own Stripe account");
+  }
+  next();
+}
+
 // Delete a connected account (accepts accountId or theaterId)
-router.delete("/account", async (req, res) => {
+router.delete("/account", requireAdminRole, async (req, res) => {
   try {
     const { accountId } = req.body || {};
     const theaterId = req.body?.theaterId || req.query?.theaterId;
@@ -40,7 +52,7 @@ router.delete("/account", async (req, res) => {
 });
 
 // Create Express connected account
-router.post("/create-account", async (req, res) => {
+router.post("/create-account", requireOwnTheater, async (req, res) => {
   try {
     const { theaterId, name } = req.body;
     if (!theaterId) return res.status(400).json({ error: "Missing theaterId" });
@@ -71,6 +83,9 @@ router.post("/create-account", async (req, res) => {
 router.post("/onboard-link", async (req, res) => {
   try {
     const { accountId } = req.body;
+    if (!isAdmin(req) && (await loadProfile(req))?.stripeAccountId !== accountId) {
+      return forbidden(res, "You can only manage your own Stripe account");
+    }
     const link = await stripe.accountLinks.create({
       account: accountId,
       type: "account_onboarding",
@@ -85,7 +100,7 @@ router.post("/onboard-link", async (req, res) => {
 });
 
 // Check onboarding status
-router.get("/status", async (req, res) => {
+router.get("/status", requireOwnTheater, async (req, res) => {
   try {
     const { theaterId } = req.query;
     if (!theaterId) return res.status(400).json({ error: "Missing theaterId" });
@@ -112,7 +127,7 @@ router.get("/status", async (req, res) => {
 });
 
 // Express Dashboard login link
-router.post("/login-link", async (req, res) => {
+router.post("/login-link", requireOwnTheater, async (req, res) => {
   try {
     const { theaterId } = req.body;
     if (!theaterId) return res.status(400).json({ error: "Missing theaterId" });
@@ -129,7 +144,7 @@ router.post("/login-link", async (req, res) => {
 });
 
 // Delete ALL Express accounts
-router.delete("/accounts/all", async (req, res) => {
+router.delete("/accounts/all", requireAdminRole, async (req, res) => {
   try {
     // Get all connected accounts from Stripe
     const accounts = await stripe.accounts.list({
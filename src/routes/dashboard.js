@@ -2,11 +2,25 @@ const express = require("express");
 const router = express.Router();
 const Stripe = require("stripe");
 const { VenuesController } = require("../controllers");
+const { authenticate, requireAdminRole } = require("../middleware/policy");
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2024-06-20",
 });
 
+// Platform-wide Stripe data: admins only
+router.use(authenticate, requireAdminRole);
+
+// Booking fees charged to the buyer (recorded in PaymentIntent metadata at checkout)
+function getServiceFeeAmount(charge) {
+  return parseInt(charge.metadata?.feeAmount) || 0;
+}
+
+// Platform application fee kept from the seller's transfer
+function getApplicationFeeAmount(charge) {
+  return charge.application_fee_amount || 0;
+}
+
 // Get all connected accounts dashboard data
 router.get("/accounts", async (req, res) => {
   try {
@@ -343,7 +357,9 @@ router.get("/payments", async (req, res) => {
           failedPayments: 0,
           totalAmount: 0,
           totalRefunded: 0,
-          netAmount: 0
+          netAmount: 0,
+          totalServiceFees: 0,
+          totalApplicationFees: 0
         },
         payments: []
       });
@@ -360,6 +376,8 @@ router.get("/payments", async (req, res) => {
       customer: charge.customer,
       payment_intent: charge.payment_intent,
       receipt_url: charge.receipt_url,
+      service_fee_amount: getServiceFeeAmount(charge),
+      application_fee_amount: getApplicationFeeAmount(charge),
       refunded: charge.refunded,
       refunds: (charge.refunds?.data || []).map(refund => ({
         id: refund.id,
@@ -382,6 +400,7 @@ router.get("/payments", async (req, res) => {
     const totalAmount = charges.data.reduce((sum, charge) => sum + charge.amount, 0);
     const totalRefunded = charges.data.reduce((sum, charge) => sum + charge.amount_refunded, 0);
     const successfulPayments = charges.data.filter(charge => charge.status === 'succeeded').length;
+    const succeededCharges = charges.data.filter(charge => charge.status === 'succeeded');
 
     res.json({
       summary: {
@@ -390,7 +409,9 @@ router.get("/payments", async (req, res) => {
         failedPayments: charges.data.filter(charge => charge.status === 'failed').length,
         totalAmount,
         totalRefunded,
-        netAmount: totalAmount - totalRefunded
+        netAmount: totalAmount - totalRefunded,
+        totalServiceFees: succeededCharges.reduce((sum, charge) => sum + getServiceFeeAmount(charge), 0),
+        totalApplicationFees: succeededCharges.reduce((sum, charge) => sum + getApplicationFeeAmount(charge), 0)
       },
       payments: paymentsData
     });
@@ -603,7 +624,13 @@ router.get("/overview", async (req, res) => {
         total: paymentsData.data.length,
         successful: paymentsData.data.filter(p => p.status === 'succeeded').length,
         totalAmount: paymentsData.data.reduce((sum, p) => sum + p.amount, 0),
-        totalRefunded: paymentsData.data.reduce((sum, p) => sum + p.amount_refunded, 0)
+        totalRefunded: paymentsData.data.reduce((sum, p) => sum + p.amount_refunded, 0),
+        totalServiceFees: paymentsData.data
+          .filter(p => p.status === 'succeeded')
+          .reduce((sum, p) => sum + getServiceFeeAmount(p), 0),
+        totalApplicationFees: paymentsData.data
+          .filter(p => p.status === 'succeeded')
+          .reduce((sum, p) => sum + getApplicationFeeAmount(p), 0)
       },
       customers: {
         total: customersData.data.length,
@@ -0,0 +1,124 @@
+const express = require("express");
+const router = express.Router();
+const { DisputesController } = require("../controllers");
+const { authenticate, actingSellerId, hasPermission, forbidden } = require("../middleware/policy");
+const { buildEvidence, submitEvidence, EVIDENCE_TEXT_FIELDS } = require("../services/disputes");
+
+// Disputes are only visible to the seller who received the payment, their staff with the
+// reports:read permission, and admins
+router.use(authenticate);
+
+// READ - Get disputes for the signed-in seller
+router.get("/", async (req, res) => {
+  try {
+    const { status, limit = 100, offset = 0, sellerId = actingSellerId(req) } = req.query;
+
+    if (!hasPermission(req, sellerId, 'reports:read')) {
+      return forbidden(res, 'You do not have access to these disputes');
+    }
+
+    const disputes = await DisputesController.getDisputesBySellerId(
+      sellerId,
+      { status },
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.json({
+      success: true,
+      disputes: disputes.data || disputes,
+      ...(disputes.pagination && { pagination: disputes.pagination })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve disputes',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get dispute by ID, with the evidence that would be submitted
+router.get("/:disputeId", async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+
+    const dispute = await DisputesController.getDisputeById(disputeId);
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'Dispute not found'
+      });
+    }
+
+    if (!hasPermission(req, dispute.sellerId, 'reports:read')) {
+      return forbidden(res, 'You do not have access to this dispute');
+    }
+
+    const suggestedEvidence = await buildEvidence(dispute);
+
+    res.json({
+      success: true,
+      dispute,
+      suggestedEvidence
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve dispute',
+      message: error.message
+    });
+  }
+});
+
+// UPDATE - Submit (or stage) evidence for a dispute
+router.post("/:disputeId/evidence", async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const { evidence = {}, submit = true } = req.body;
+
+    const dispute = await DisputesController.getDisputeById(disputeId);
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'Dispute not found'
+      });
+    }
+
+    // Evidence goes to Stripe on the seller's behalf, so it needs write access, not just reporting
+    if (!hasPermission(req, dispute.sellerId, 'orders:write')) {
+      return forbidden(res, 'You do not have permission to submit evidence for this dispute');
+    }
+
+    if (typeof evidence !== 'object' || Array.isArray(evidence)) {
+      return res.status(400).json({
+        error: "evidence must be an object"
+      });
+    }
+
+    const unknownFields = Object.keys(evidence).filter(key => !EVIDENCE_TEXT_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        error: `Unsupported evidence fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    if (!['needs_response', 'warning_needs_response'].includes(dispute.status)) {
+      return res.status(400).json({
+        error: `Evidence can no longer be submitted (status: ${dispute.status})`
+      });
+    }
+
+    const updatedDispute = await submitEvidence(dispute, { evidence, submit: submit !== false });
+
+    res.json({
+      success: true,
+      dispute: { ...dispute, ...updatedDispute }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to submit dispute evidence',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require("express");
+const router = express.Router();
+const { OrdersController, ExchangesController } = require("../controllers");
+const {
+  optionalUser,
+  hasPermission,
+  isOrderBuyer,
+  hasValidViewToken,
+  isTicketHolder
+} = require("../middleware/policy");
+const { quoteExchange, startExchange } = require("../services/exchanges");
+
+// The seller and their staff with orders:write can exchange any ticket on the order
+function isSeller(req, order) {
+  return hasPermission(req, order.sellerId, 'orders:write');
+}
+
+// Which of the order's tickets the caller may exchange: any for the seller, otherwise only the
+// tickets they currently hold, so the buyer can't exchange tickets they transferred away
+function ticketExchangeCheck(req, order) {
+  const viewToken = req.body?.viewToken || req.query.token;
+  return ticket => isSeller(req, order) || isTicketHolder(req, order, ticket, viewToken);
+}
+
+// Status for a quote that failed
+function quoteErrorStatus(quote) {
+  if (quote.notHeld) return 403;
+  return quote.unavailableSeats ? 409 : 400;
+}
+
+// Load the order and check the caller may exchange its tickets: the seller, the signed-in buyer,
+// or anyone holding the order's viewToken. Sends the error response and returns null otherwise.
+async function getExchangeableOrder(req, res) {
+  const order = await OrdersController.getOrderById(req.params.orderId);
+  if (!order) {
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+
+  const viewToken = req.body?.viewToken || req.query.token;
+  if (!isSeller(req, order) && !isOrderBuyer(req, order) && !hasValidViewToken(order, viewToken)) {
+    res.status(403).json({ error: 'Not authorized to exchange tickets on this order' });
+    return null;
+  }
+  return order;
+}
+
+// Quote fields returned to clients
+function toQuoteResponse(quote) {
+  return {
+    performanceId: quote.performanceId,
+    ticketIds: quote.oldTickets.map(ticket => ticket.id),
+    newTickets: quote.newTickets.map(({ seatId, section, row, seatNumber, priceCategory, price }) => ({
+      seatId: seatId || null,
+      section: section || null,
+      row: row || null,
+      seatNumber: seatNumber || null,
+      priceCategory: priceCategory || null,
+      price
+    })),
+    oldAmount: quote.oldAmount,
+    newAmount: quote.newAmount,
+    difference: quote.difference,
+    amountDue: Math.max(quote.difference, 0),
+    creditAmount: quote.difference < 0 ? -quote.difference : 0
+  };
+}
+
+// READ - Price an exchange without changing anything
+router.post("/:orderId/exchanges/quote", optionalUser, async (req, res) => {
+  try {
+    const order = await getExchangeableOrder(req, res);
+    if (!order) return;
+
+    const { ticketIds, performanceId, seats } = req.body;
+    if (!performanceId) {
+      return res.status(400).json({ error: 'performanceId is required' });
+    }
+
+    const quote = await quoteExchange(order, { ticketIds, performanceId, seats }, {
+      canExchange: ticketExchangeCheck(req, order)
+    });
+    if (!quote.valid) {
+      const { valid, notHeld, ...details } = quote;
+      return res.status(quoteErrorStatus(quote)).json({ error: details.reason, ...details });
+    }
+
+    res.json({ success: true, quote: toQuoteResponse(quote) });
+  } catch (error) {
+    console.error('Error quoting exchange:', error);
+    res.status(500).json({ error: 'Failed to quote exchange', message: error.message });
+  }
+});
+
+// CREATE - Exchange tickets for seats on another performance of the same production
+router.post("/:orderId/exchanges", optionalUser, async (req, res) => {
+  try {
+    const order = await getExchangeableOrder(req, res);
+    if (!order) return;
+
+    const { ticketIds, performanceId, seats, waiveDifference = false } = req.body;
+    if (!performanceId) {
+      return res.status(400).json({ error: 'performanceId is required' });
+    }
+    if (typeof waiveDifference !== 'boolean') {
+      return res.status(400).json({ error: 'waiveDifference must be a boolean' });
+    }
+    if (waiveDifference && !isSeller(req, order)) {
+      return res.status(403).json({ error: 'Only the seller can waive the price difference' });
+    }
+
+    const quote = await quoteExchange(order, { ticketIds, performanceId, seats }, {
+      canExchange: ticketExchangeCheck(req, order)
+    });
+    if (!quote.valid) {
+      const { valid, notHeld, ...details } = quote;
+      return res.status(quoteErrorStatus(quote)).json({ error: details.reason, ...details });
+    }
+
+    const result = await startExchange(order, quote, {
+      seats,
+      requestedBy: req.user?.uid || null,
+      waiveDifference
+    });
+    if (!result.success) {
+      return res.status(result.unavailableSeats ? 409 : 400).json({
+        error: result.reason,
+        unavailableSeats: result.unavailableSeats
+      });
+    }
+
+    // Price difference due: the client confirms the PaymentIntent and the webhook completes the exchange
+    if (result.clientSecret) {
+      return res.status(202).json({
+        success: true,
+        requiresPayment: true,
+        exchange: result.exchange,
+        clientSecret: result.clientSecret,
+        paymentIntentId: result.paymentIntentId,
+        stripeAccountId: result.stripeAccountId,
+        holdExpiresAt: result.holdExpiresAt
+      });
+    }
+
+    const completion = result.result;
+    if (!completion.success) {
+      return res.status(409).json({
+        error: completion.reason,
+        exchange: completion.exchange
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      requiresPayment: false,
+      exchange: completion.exchange,
+      order: {
+        id: completion.order.id,
+        performanceId: completion.order.performanceId,
+        viewToken: completion.order.viewToken
+      },
+      tickets: completion.tickets,
+      emailSent: completion.emailSent
+    });
+  } catch (error) {
+    console.error('Error creating exchange:', error);
+    res.status(500).json({ error: 'Failed to create exchange', message: error.message });
+  }
+});
+
+// READ - List exchanges made from an order
+router.get("/:orderId/exchanges", optionalUser, async (req, res) => {
+  try {
+    const order = await getExchangeableOrder(req, res);
+    if (!order) return;
+
+    const exchanges = await ExchangesController.getExchangesByOrderId(order.id);
+    res.json({ success: true, exchanges });
+  } catch (error) {
+    console.error('Error fetching exchanges:', error);
+    res.status(500).json({ error: 'Failed to fetch exchanges', message: error.message });
+  }
+});
+
+// READ - Get a single exchange
+router.get("/:orderId/exchanges/:exchangeId", optionalUser, async (req, res) => {
+  try {
+    const order = await getExchangeableOrder(req, res);
+    if (!order) return;
+
+    const exchange = await ExchangesController.getExchangeById(req.params.exchangeId);
+    if (!exchange || exchange.orderId !== order.id) {
+      return res.status(404).json({ error: 'Exchange not found' });
+    }
+
+    res.json({ success: true, exchange });
+  } catch (error) {
+    console.error('Error fetching exchange:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require("express");
+const router = express.Router();
+const { SeatHoldsController, PerformancesController, PromoCodesController } = require("../controllers");
+const { authenticate, canActAs, forbidden, requireAdminRole } = require("../middleware/policy");
+
+// Load the hold named by the route. Only the user who created it (or an admin) may read or release
+// it. Sends the error response and returns null otherwise.
+async function getOwnHold(req, res) {
+  const hold = await SeatHoldsController.getHoldById(req.params.holdId);
+  if (!hold) {
+    res.status(404).json({
+      error: 'Seat hold not found'
+    });
+    return null;
+  }
+  if (!canActAs(req, hold.userId)) {
+    forbidden(res, 'You can only access your own seat holds');
+    return null;
+  }
+  return hold;
+}
+
+// CREATE - Hold seats for a performance while the buyer checks out. The hold belongs to the caller.
+router.post("/", authenticate, async (req, res) => {
+  try {
+    const {
+      productionId,
+      performanceId,
+      seats = [],
+      ttlSeconds,
+      sessionId
+    } = req.body;
+
+    // Validate required fields
+    if (!productionId || !performanceId) {
+      return res.status(400).json({
+        error: "productionId and performanceId are required"
+      });
+    }
+
+    if (!Array.isArray(seats) || seats.length === 0) {
+      return res.status(400).json({
+        error: "seats must be a non-empty array"
+      });
+    }
+
+    const invalidSeat = seats.find(seat => !seat || (!seat.seatId && !seat.seatNumber));
+    if (invalidSeat !== undefined) {
+      return res.status(400).json({
+        error: "each seat requires a seatId or a seatNumber"
+      });
+    }
+
+    // Check if performance exists and is still on sale
+    const performance = await PerformancesController.getPerformanceById(productionId, performanceId);
+    if (!performance) {
+      return res.status(404).json({
+        error: 'Performance not found'
+      });
+    }
+
+    if (['canceled', 'cancelled', 'completed'].includes(performance.status)) {
+      return res.status(400).json({
+        error: `Performance is ${performance.status}`
+      });
+    }
+
+    const result = await SeatHoldsController.createHold(productionId, performanceId, seats, {
+      ttlSeconds,
+      userId: req.user.uid,
+      sessionId
+    });
+
+    if (!result.success) {
+      return res.status(409).json({
+        error: 'Some seats are no longer available',
+        unavailableSeats: result.unavailableSeats
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      hold: result.hold
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to hold seats',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get hold by ID
+router.get("/:holdId", authenticate, async (req, res) => {
+  try {
+    const hold = await getOwnHold(req, res);
+    if (!hold) return;
+
+    res.json({
+      success: true,
+      hold
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve seat hold',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Release a hold (buyer abandoned or cancelled checkout)
+router.delete("/:holdId", authenticate, async (req, res) => {
+  try {
+    if (!await getOwnHold(req, res)) return;
+
+    const hold = await SeatHoldsController.releaseHold(req.params.holdId, 'cancelled');
+
+    if (!hold) {
+      return res.status(404).json({
+        error: 'Seat hold not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      hold
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to release seat hold',
+      message: error.message
+    });
+  }
+});
+
+// MAINTENANCE - Release expired holds and promo code reservations (for Cloud Scheduler or manual runs)
+router.post("/release-expired", authenticate, requireAdminRole, async (req, res) => {
+  try {
+    const result = await SeatHoldsController.releaseExpiredHolds();
+    const promoReservations = await PromoCodesController.releaseExpiredReservations();
+
+    res.json({
+      success: true,
+      ...result,
+      promoReservations
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to release expired seat holds',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
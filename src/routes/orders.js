@@ -1,36 +1,123 @@
 const express = require("express");
 const router = express.Router();
-const crypto = require("crypto");
-const { OrdersController, TicketsController, PerformancesController, SeatmapsController } = require("../controllers");
-const { optionalAuth } = require("../middleware/auth");
+const { OrdersController, TicketsController, SeatHoldsController, SeatInventoryController, PromoCodesController } = require("../controllers");
+const {
+  authenticate,
+  optionalUser,
+  isAdmin,
+  canActAs,
+  actingSellerId,
+  hasPermission,
+  isOrderBuyer,
+  forbidden,
+  requireSelf,
+  requireSellerPermission,
+  requireOrderSeller
+} = require("../middleware/policy");
+const { refundOrder, isRefundableTicket, refundPaymentIntentId } = require("../services/refunds");
+const { emitSellerEvent, toEventOrder } = require("../services/sellerWebhooks");
+const { calculateOrderPricing, amountMatches } = require("../services/pricing");
+const { buildTaxReport, taxReportToCsv } = require("../services/tax");
+const { isViewTokenExpired } = require("../utils/viewTokens");
+const { loadPassContext } = require("../services/walletPasses");
+const { renderTicketsPdf, renderReceiptPdf } = require("../services/pdfDocuments");
 
 // Generate unique ID
 function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-// Generate secure random token for order viewing (32 bytes, base64 encoded)
-function generateViewToken() {
-  return crypto.randomBytes(32).toString('base64url'); // base64url is URL-safe
+// Whether a ticket has been transferred to someone other than the buyer
+function isTransferredAway(order, ticket) {
+  if (!ticket.transferCount) return false;
+  if (ticket.ownerId) return ticket.ownerId !== order.buyerId;
+  return (ticket.ownerEmail || '') !== (order.customerEmail || '').toLowerCase();
 }
 
-// Calculate token expiration (2 years from now)
-function calculateTokenExpiration() {
-  const twoYearsFromNow = new Date();
-  twoYearsFromNow.setFullYear(twoYearsFromNow.getFullYear() + 2);
-  return twoYearsFromNow.toISOString();
+// Order fields sellers can change with PATCH. Ownership, payment references, refund totals and
+// view tokens are only set by the API itself.
+const EDITABLE_ORDER_FIELDS = [
+  'status',
+  'paymentStatus',
+  'paymentMethod',
+  'totalAmount',
+  'customerEmail',
+  'venueName',
+  'venueAddress',
+  'venueCity',
+  'venueState',
+  'venueZipCode',
+  'performanceDate',
+  'performanceTime'
+];
+
+// Tickets that can still be printed
+const PRINTABLE_TICKET_STATUSES = ['valid', 'used', 'checked_out'];
+
+// Load an order for a PDF download, with the same access rules as the order read: the signed-in
+// buyer, the seller or their staff, an admin, or the order's viewToken. Sends the error response
+// and returns null otherwise.
+async function getDocumentOrder(req, res) {
+  const order = await OrdersController.getOrderById(req.params.orderId);
+  if (!order) {
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+
+  const isSeller = hasPermission(req, order.sellerId, 'orders:read');
+  if (isSeller || isOrderBuyer(req, order)) {
+    return { order, isSeller };
+  }
+
+  const { token } = req.query;
+  if (!token) {
+    res.status(401).json({ error: 'Authentication required or valid token needed to view this order' });
+    return null;
+  }
+  if (order.viewToken !== token) {
+    res.status(403).json({ error: 'Invalid token' });
+    return null;
+  }
+  if (isViewTokenExpired(order)) {
+    res.status(403).json({ error: 'Token has expired. Please sign in to view this order.' });
+    return null;
+  }
+  return { order, isSeller: false };
+}
+
+function sendPdf(req, res, buffer, filename) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(buffer);
+}
+
+// Return an order's sold seats to the performance inventory
+async function releaseOrderSeats(order) {
+  if (!order.productionId || !order.performanceId) return;
+  try {
+    const tickets = await TicketsController.getAllTickets(order.id);
+    const seatedTickets = tickets.filter(t => t.seatId || t.seatNumber);
+    if (seatedTickets.length > 0) {
+      await SeatInventoryController.releaseSeats(order.productionId, order.performanceId, seatedTickets, order.id);
+    }
+  } catch (inventoryError) {
+    console.error('Failed to release seat inventory:', inventoryError.message);
+  }
 }
 
-// CREATE - Create a new order
-router.post("/", async (req, res) => {
+// CREATE - Create a new order. Orders start unpaid; only the Stripe webhook marks them paid.
+router.post("/", authenticate, async (req, res) => {
   try {
     const {
       sellerId, // sellerId is the userId (no separate userId needed)
       productionId,
       performanceId,
       totalAmount,
-      status = 'pending',
-      paymentStatus = 'pending',
+      status,
+      paymentStatus,
       paymentMethod,
       customerEmail, // Customer email (separate from sellerId)
       baseUrl, // Frontend-provided base URL for QR codes (e.g., localhost:5173 in dev, stagepasspro.com in prod)
@@ -43,14 +130,18 @@ router.post("/", async (req, res) => {
       // Performance date/time (sent from frontend)
       performanceDate,
       performanceTime,
-      // Tickets - can be array of ticket objects OR array of ticket IDs
+      // Seat hold created via POST /api/holds
+      holdId,
+      // Promo code entered at checkout
+      promoCode,
+      // Tickets - array of seat objects (priced server-side)
       tickets = []
     } = req.body;
 
-    // Validate required fields
-    if (!sellerId || !productionId || !performanceId || !totalAmount) {
+    // Validate required fields (totalAmount is calculated server-side from the tickets)
+    if (!sellerId || !productionId || !performanceId) {
       return res.status(400).json({ 
-        error: "sellerId, productionId, performanceId, and totalAmount are required" 
+        error: "sellerId, productionId, and performanceId are required" 
       });
     }
 
@@ -68,31 +159,103 @@ router.post("/", async (req, res) => {
       });
     }
 
-    // Tickets can be either:
-    // 1. Array of ticket objects: [{ section, row, seatNumber, price, ... }]
-    // 2. Array of ticket IDs (strings): ["ticket-id-1", "ticket-id-2"]
-    // We'll handle both cases
+    // Tickets are seat objects: [{ section, row, seatNumber, seatId, priceCategory }]
+    // Prices are looked up server-side, so any client-sent price is ignored
 
-    // Validate status
-    if (!['pending', 'completed', 'canceled', 'refunded'].includes(status)) {
+    // New orders are always pending; payment confirmation from Stripe is what marks them paid
+    if ((status !== undefined && status !== 'pending') || (paymentStatus !== undefined && paymentStatus !== 'pending')) {
       return res.status(400).json({ 
-        error: "status must be one of: 'pending', 'completed', 'canceled', 'refunded'" 
+        error: "Orders are created with status and paymentStatus 'pending'; they are marked paid when Stripe confirms the payment" 
       });
     }
 
-    // Validate payment status
-    if (!['pending', 'paid', 'refunded', 'failed'].includes(paymentStatus)) {
+    // Validate the seat hold before creating the order
+    let hold = null;
+    if (holdId) {
+      hold = await SeatHoldsController.getHoldById(holdId);
+      if (!hold) {
+        return res.status(404).json({ 
+          error: 'Seat hold not found' 
+        });
+      }
+      if (!canActAs(req, hold.userId)) {
+        return forbidden(res, 'You can only check out with your own seat hold');
+      }
+      if (hold.performanceId !== performanceId) {
+        return res.status(400).json({ 
+          error: 'Seat hold does not belong to this performance' 
+        });
+      }
+      if (hold.status !== 'active' || new Date(hold.expiresAt) <= new Date()) {
+        return res.status(409).json({ 
+          error: 'Seat hold has expired. Please select your seats again.' 
+        });
+      }
+    }
+
+    // Price the tickets from the performance's price categories; client prices are not trusted
+    const pricing = await calculateOrderPricing({
+      sellerId,
+      productionId,
+      performanceId,
+      tickets,
+      promoCode,
+      userId: req.user.apiKey ? null : req.user.uid
+    });
+    if (!pricing.valid) {
+      return res.status(400).json({ 
+        error: pricing.reason,
+        ...(pricing.unpriced && { unpricedSeats: pricing.unpriced }),
+        ...(pricing.unknown && { unknownSeats: pricing.unknown })
+      });
+    }
+    if (!amountMatches(totalAmount, pricing.totalAmount)) {
       return res.status(400).json({ 
-        error: "paymentStatus must be one of: 'pending', 'paid', 'refunded', 'failed'" 
+        error: "totalAmount does not match the order total",
+        expectedAmount: pricing.totalAmount
       });
     }
 
+    // Without a hold, hold the seats now: they are only sold once the payment succeeds, and the hold
+    // releases them if it never does
+    const seatedTickets = pricing.tickets.filter(t => t.seatId || t.seatNumber);
+    if (!hold && seatedTickets.length > 0) {
+      const holdResult = await SeatHoldsController.createHold(productionId, performanceId, seatedTickets, {
+        userId: req.user.uid
+      });
+      if (!holdResult.success) {
+        return res.status(409).json({ 
+          error: 'Some seats are no longer available',
+          unavailableSeats: holdResult.unavailableSeats
+        });
+      }
+      hold = holdResult.hold;
+    }
+
     const orderId = generateId();
     const now = new Date().toISOString();
-    
-    // Generate secure view token for public order access
-    const viewToken = generateViewToken();
-    const viewTokenExpiresAt = calculateTokenExpiration();
+
+    // Reserve one use of the promo code before the order exists, so usage caps are never exceeded.
+    // It becomes a redemption when the order is paid, and expires with the seat hold otherwise.
+    if (pricing.promo) {
+      const reservation = await PromoCodesController.reservePromoCode(pricing.promo.id, {
+        reservationId: orderId,
+        orderId,
+        customerKey: PromoCodesController.buildCustomerKey({ userId: req.user.apiKey ? null : req.user.uid }),
+        discountAmount: pricing.discountAmount,
+        expiresAt: hold
+          ? hold.expiresAt
+          : new Date(Date.now() + SeatHoldsController.resolveTtlSeconds() * 1000).toISOString()
+      });
+      if (!reservation.success) {
+        if (hold && !holdId) {
+          await SeatHoldsController.releaseHold(hold.id, 'promo_code_rejected');
+        }
+        return res.status(409).json({ 
+          error: reservation.reason 
+        });
+      }
+    }
 
     const order = {
       id: orderId,
@@ -100,13 +263,25 @@ router.post("/", async (req, res) => {
       sellerId, // sellerId is the userId
       productionId,
       performanceId,
-      totalAmount: parseInt(totalAmount),
-      status,
-      paymentStatus,
+      totalAmount: pricing.totalAmount,
+      // Price breakdown (amounts in cents)
+      subtotalAmount: pricing.subtotal,
+      discountAmount: pricing.discountAmount,
+      fees: pricing.fees,
+      feeAmount: pricing.feeAmount,
+      taxes: pricing.taxes,
+      taxAmount: pricing.taxAmount,
+      taxJurisdiction: pricing.taxJurisdiction,
+      applicationFeeAmount: pricing.applicationFeeAmount,
+      promoCodeId: pricing.promo ? pricing.promo.id : null,
+      promoCode: pricing.promo ? pricing.promo.code : null,
+      promoReservationId: pricing.promo ? orderId : null,
+      status: 'pending',
+      paymentStatus: 'pending',
       paymentMethod: paymentMethod || null,
+      buyerId: req.user.apiKey ? null : req.user.uid, // The signed-in customer placing the order
       customerEmail: customerEmail || null, // Store customer email separately
-      viewToken, // Secure token for public order viewing
-      viewTokenExpiresAt, // Token expires 2 years from creation
+      // The view token for guest access is issued with the tickets, once the order is paid
       baseUrl: baseUrl || process.env.APP_BASE_URL || "https://www.stagepasspro.com", // Base URL for QR codes
       // Store venue/location data from frontend (same as payment intent)
       venueName: venueName || null,
@@ -117,6 +292,7 @@ router.post("/", async (req, res) => {
       // Store performance date/time from frontend (same as payment intent)
       performanceDate: performanceDate || null,
       performanceTime: performanceTime || null,
+      holdId: hold ? hold.id : null,
       createdAt: now,
       updatedAt: now,
       tickets: [] // Will be populated with ticket IDs after creating tickets
@@ -124,80 +300,45 @@ router.post("/", async (req, res) => {
 
     const createdOrder = await OrdersController.upsertOrder(order);
 
-    // Get performance to find venueId and seatmapId for seatmap updates
-    let performance = null;
-    let venueId = null;
-    let seatmapId = null;
-    try {
-      performance = await PerformancesController.getPerformanceById(productionId, performanceId);
-      if (performance) {
-        venueId = performance.venueId;
-        seatmapId = performance.seatmapId;
-      }
-    } catch (perfError) {
-      // Continue without seatmap update if performance not found
+    // Link the hold to the order; seats become sold once payment is confirmed
+    if (hold) {
+      await SeatHoldsController.updateHold(hold.id, { orderId });
     }
 
-    // Create tickets if provided as objects
+    // Create tickets at their calculated prices. They stay pending, with no QR code, until the
+    // payment succeeds; the payment webhook makes them valid and signs them.
     const ticketIds = [];
-    if (tickets && tickets.length > 0) {
-      // Check if tickets are objects or IDs
-      const isTicketObjects = tickets[0] && typeof tickets[0] === 'object' && tickets[0].section;
-      
-      if (isTicketObjects) {
-        // Create tickets from objects
-        const orderUrl = `${order.baseUrl}/orders/${orderId}?token=${encodeURIComponent(viewToken)}`;
-        
-        for (const ticketData of tickets) {
-          try {
-            const ticketId = generateId();
-            const ticket = {
-              id: ticketId,
-              seatId: ticketData.seatId || null,
-              section: ticketData.section || null,
-              row: ticketData.row || null,
-              seatNumber: ticketData.seatNumber || null,
-              price: parseInt(ticketData.price) || 0,
-              status: 'valid',
-              qrCode: orderUrl,
-              createdAt: now
-            };
-
-            await TicketsController.upsertTicket(orderId, ticket);
-            ticketIds.push(ticketId);
-
-            // Update seatmap availability if we have the required info
-            if (venueId && seatmapId && ticketData.section && ticketData.seatNumber) {
-              try {
-                await SeatmapsController.updateSeatAvailability(
-                  venueId,
-                  seatmapId,
-                  ticketData.section,
-                  ticketData.seatNumber,
-                  false // Mark seat as unavailable
-                );
-              } catch (seatmapError) {
-                // Log but don't fail ticket creation if seatmap update fails
-                console.error('Failed to update seatmap availability:', seatmapError.message);
-              }
-            }
-          } catch (ticketError) {
-          }
-        }
-        
-        // Update order with ticket IDs
-        if (ticketIds.length > 0) {
-          await OrdersController.updateOrder(orderId, { tickets: ticketIds });
-        }
-      } else {
-        // Tickets are already IDs, just store them
-        ticketIds.push(...tickets.filter(id => typeof id === 'string'));
-        if (ticketIds.length > 0) {
-          await OrdersController.updateOrder(orderId, { tickets: ticketIds });
-        }
+    for (const ticketData of pricing.tickets) {
+      const ticketId = generateId();
+      try {
+        const ticket = {
+          id: ticketId,
+          seatId: ticketData.seatId || null,
+          section: ticketData.section || null,
+          row: ticketData.row || null,
+          seatNumber: ticketData.seatNumber || null,
+          priceCategory: ticketData.priceCategory || null,
+          price: ticketData.price,
+          status: 'pending',
+          qrCode: null,
+          createdAt: now
+        };
+
+        await TicketsController.upsertTicket(orderId, ticket);
+        ticketIds.push(ticketId);
+      } catch (ticketError) {
       }
     }
 
+    // Update order with ticket IDs
+    if (ticketIds.length > 0) {
+      await OrdersController.updateOrder(orderId, { tickets: ticketIds });
+    }
+
+    await emitSellerEvent(sellerId, 'order.created', {
+      order: toEventOrder({ ...createdOrder, tickets: ticketIds })
+    }, { idempotencyKey: `order.created:${orderId}` });
+
     res.status(201).json({
       success: true,
       order: createdOrder
@@ -212,9 +353,9 @@ router.post("/", async (req, res) => {
 });
 
 // READ - Get all orders
-router.get("/", async (req, res) => {
+router.get("/", authenticate, async (req, res) => {
   try {
-    const { 
+    let { 
       userId, 
       sellerId,
       status,
@@ -224,6 +365,24 @@ router.get("/", async (req, res) => {
       limit = 100, 
       offset = 0 
     } = req.query;
+
+    // Admins may list any orders; sellers and their staff only the organisation's sales, and
+    // customers only their own purchases
+    if (!isAdmin(req)) {
+      if (!sellerId && !userId && (req.user.role === 'seller' || req.user.apiKey)) {
+        sellerId = actingSellerId(req);
+      }
+      if (sellerId && !userId) {
+        if (!hasPermission(req, sellerId, 'orders:read')) {
+          return forbidden(res, 'You can only list orders for your own events');
+        }
+      } else {
+        if (sellerId || (userId && userId !== req.user.uid)) {
+          return forbidden(res, 'You can only list your own orders');
+        }
+        userId = req.user.uid;
+      }
+    }
     
     let orders;
     
@@ -231,7 +390,7 @@ router.get("/", async (req, res) => {
     if (userId) {
       // Debug logging
       
-      // Use getOrdersByUserId which is optimized for userId queries
+      // userId lists the orders that user bought
       const filters = { status, paymentStatus, productionId, performanceId };
       // Remove undefined/null/empty values from filters
       Object.keys(filters).forEach(key => {
@@ -240,7 +399,7 @@ router.get("/", async (req, res) => {
         }
       });
       
-      orders = await OrdersController.getOrdersByUserId(userId, filters);
+      orders = await OrdersController.getOrdersByBuyerId(userId, filters);
       
       // Debug logging
       if (orders.length === 0) {
@@ -302,11 +461,10 @@ router.get("/", async (req, res) => {
 });
 
 // READ - Get order by ID (requires authentication or token)
-router.get("/:orderId", optionalAuth, async (req, res) => {
+router.get("/:orderId", optionalUser, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { token } = req.query; // Token from query parameter
-    const userId = req.user?.id || req.user?.uid; // From authentication middleware if present
     
     const order = await OrdersController.getOrderById(orderId);
     
@@ -317,7 +475,7 @@ router.get("/:orderId", optionalAuth, async (req, res) => {
     }
 
     // Check if user is authenticated and owns the order
-    const isOwner = userId && (order.userId === userId || order.sellerId === userId);
+    const isOwner = isOrderBuyer(req, order) || hasPermission(req, order.sellerId, 'orders:read');
     
     // If authenticated owner, return full order details
     if (isOwner) {
@@ -337,7 +495,7 @@ router.get("/:orderId", optionalAuth, async (req, res) => {
       }
 
       // Check if token is expired
-      if (order.viewTokenExpiresAt && new Date(order.viewTokenExpiresAt) < new Date()) {
+      if (isViewTokenExpired(order)) {
         return res.status(403).json({ 
           error: 'Token has expired. Please sign in to view this order.' 
         });
@@ -366,7 +524,9 @@ router.get("/:orderId", optionalAuth, async (req, res) => {
           seatNumber: t.seatNumber,
           price: t.price,
           status: t.status,
-          qrCode: t.qrCode,
+          // Tickets transferred to someone else no longer show their QR code to the buyer
+          qrCode: isTransferredAway(order, t) ? null : t.qrCode,
+          transferred: isTransferredAway(order, t),
           // Exclude sensitive ticket data if any
         })),
         // Exclude sensitive data: userId, sellerId, paymentMethod, email, etc.
@@ -394,6 +554,49 @@ router.get("/:orderId", optionalAuth, async (req, res) => {
   }
 });
 
+// READ - Printable tickets, one page per ticket (requires authentication or token)
+router.get("/:orderId/tickets.pdf", optionalUser, async (req, res) => {
+  try {
+    const access = await getDocumentOrder(req, res);
+    if (!access) return;
+    const { order, isSeller } = access;
+
+    // The buyer can't print tickets they have transferred to someone else; the box office can
+    const tickets = (await TicketsController.getAllTickets(order.id))
+      .filter(t => PRINTABLE_TICKET_STATUSES.includes(t.status || 'valid'))
+      .filter(t => isSeller || !isTransferredAway(order, t));
+    if (tickets.length === 0) {
+      return res.status(404).json({ error: 'No printable tickets on this order' });
+    }
+
+    const context = await loadPassContext(order);
+    sendPdf(req, res, renderTicketsPdf({ ...context, tickets }), `tickets-${order.id}.pdf`);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to generate tickets PDF',
+      message: error.message
+    });
+  }
+});
+
+// READ - Order receipt PDF (requires authentication or token)
+router.get("/:orderId/receipt.pdf", optionalUser, async (req, res) => {
+  try {
+    const access = await getDocumentOrder(req, res);
+    if (!access) return;
+    const { order } = access;
+
+    const tickets = await TicketsController.getAllTickets(order.id);
+    const context = await loadPassContext(order);
+    sendPdf(req, res, renderReceiptPdf({ ...context, tickets }), `receipt-${order.id}.pdf`);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to generate receipt PDF',
+      message: error.message
+    });
+  }
+});
+
 // READ - Public order access with token (explicit public endpoint)
 router.get("/:orderId/public", async (req, res) => {
   try {
@@ -423,7 +626,7 @@ router.get("/:orderId/public", async (req, res) => {
     }
 
     // Check if token is expired
-    if (order.viewTokenExpiresAt && new Date(order.viewTokenExpiresAt) < new Date()) {
+    if (isViewTokenExpired(order)) {
       return res.status(403).json({ 
         error: 'Token has expired',
         message: 'Please sign in to view this order or contact support'
@@ -453,7 +656,9 @@ router.get("/:orderId/public", async (req, res) => {
         seatNumber: t.seatNumber,
         price: t.price,
         status: t.status,
-        qrCode: t.qrCode,
+        // Tickets transferred to someone else no longer show their QR code to the buyer
+        qrCode: isTransferredAway(order, t) ? null : t.qrCode,
+        transferred: isTransferredAway(order, t),
         // Exclude sensitive ticket data if any
       })),
       // Note: Excludes userId, sellerId, paymentMethod, email, and other sensitive data
@@ -475,7 +680,7 @@ router.get("/:orderId/public", async (req, res) => {
 });
 
 // READ - Get orders by user ID
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", authenticate, requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { 
@@ -485,7 +690,7 @@ router.get("/user/:userId", async (req, res) => {
       offset = 0 
     } = req.query;
     
-    const orders = await OrdersController.getOrdersByUserId(userId, { status, paymentStatus });
+    const orders = await OrdersController.getOrdersByBuyerId(userId, { status, paymentStatus });
     
     // Apply pagination
     const startIndex = parseInt(offset);
@@ -511,8 +716,55 @@ router.get("/user/:userId", async (req, res) => {
   }
 });
 
+// READ - Tax report for a seller's orders in a date range (JSON or CSV)
+router.get("/seller/:sellerId/tax-report", authenticate, requireSellerPermission('reports:read', 'sellerId'), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const { from, to, format = 'json' } = req.query;
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ 
+        error: "from and to must be valid dates" 
+      });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ 
+        error: "format must be one of: 'json', 'csv'" 
+      });
+    }
+
+    // A date-only `to` covers the whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const orders = await OrdersController.getOrdersBySellerId(sellerId);
+    const report = buildTaxReport(orders, { from: fromDate, to: toDate });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="tax-report-${sellerId}.csv"`);
+      return res.send(taxReportToCsv(report));
+    }
+
+    res.json({
+      success: true,
+      sellerId,
+      report
+    });
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to generate tax report',
+      message: error.message 
+    });
+  }
+});
+
 // READ - Get orders by seller ID
-router.get("/seller/:sellerId", async (req, res) => {
+router.get("/seller/:sellerId", authenticate, requireSellerPermission('orders:read', 'sellerId'), async (req, res) => {
   try {
     const { sellerId } = req.params;
     const { 
@@ -549,7 +801,7 @@ router.get("/seller/:sellerId", async (req, res) => {
 });
 
 // UPDATE - Update order by ID
-router.put("/:orderId", async (req, res) => {
+router.put("/:orderId", authenticate, requireOrderSeller, async (req, res) => {
   try {
     const { orderId } = req.params;
     const {
@@ -579,9 +831,9 @@ router.put("/:orderId", async (req, res) => {
     }
 
     // Validate payment status if provided
-    if (paymentStatus && !['pending', 'paid', 'refunded', 'failed'].includes(paymentStatus)) {
+    if (paymentStatus && !['pending', 'paid', 'partially_refunded', 'refunded', 'failed'].includes(paymentStatus)) {
       return res.status(400).json({ 
-        error: "paymentStatus must be one of: 'pending', 'paid', 'refunded', 'failed'" 
+        error: "paymentStatus must be one of: 'pending', 'paid', 'partially_refunded', 'refunded', 'failed'" 
       });
     }
 
@@ -601,6 +853,22 @@ router.put("/:orderId", async (req, res) => {
 
     const result = await OrdersController.upsertOrder(updatedOrder);
 
+    // Cancelling an unpaid order frees any seats and promo code use still held for it
+    if (status === 'canceled' && existingOrder.holdId) {
+      await SeatHoldsController.releaseHold(existingOrder.holdId, 'order_canceled');
+    }
+    if (status === 'canceled' && existingOrder.promoReservationId) {
+      await PromoCodesController.releasePromoReservation(existingOrder.promoCodeId, {
+        reservationId: existingOrder.promoReservationId,
+        reason: 'order_canceled'
+      });
+    }
+
+    // Cancelled or refunded orders give their seats back to the inventory
+    if (['canceled', 'refunded'].includes(status) && !['canceled', 'refunded'].includes(existingOrder.status)) {
+      await releaseOrderSeats(existingOrder);
+    }
+
     res.json({
       success: true,
       order: result
@@ -615,10 +883,17 @@ router.put("/:orderId", async (req, res) => {
 });
 
 // PATCH - Partially update order by ID
-router.patch("/:orderId", async (req, res) => {
+router.patch("/:orderId", authenticate, requireOrderSeller, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
+
+    const lockedFields = Object.keys(updates).filter(field => !EDITABLE_ORDER_FIELDS.includes(field));
+    if (lockedFields.length > 0) {
+      return res.status(400).json({ 
+        error: `These fields cannot be changed: ${lockedFields.join(', ')}` 
+      });
+    }
 
     // Check if order exists
     const existingOrder = await OrdersController.getOrderById(orderId);
@@ -636,9 +911,9 @@ router.patch("/:orderId", async (req, res) => {
     }
 
     // Validate payment status if provided
-    if (updates.paymentStatus && !['pending', 'paid', 'refunded', 'failed'].includes(updates.paymentStatus)) {
+    if (updates.paymentStatus && !['pending', 'paid', 'partially_refunded', 'refunded', 'failed'].includes(updates.paymentStatus)) {
       return res.status(400).json({ 
-        error: "paymentStatus must be one of: 'pending', 'paid', 'refunded', 'failed'" 
+        error: "paymentStatus must be one of: 'pending', 'paid', 'partially_refunded', 'refunded', 'failed'" 
       });
     }
 
@@ -660,6 +935,22 @@ router.patch("/:orderId", async (req, res) => {
 
     const result = await OrdersController.upsertOrder(updatedOrder);
 
+    // Cancelling an unpaid order frees any seats and promo code use still held for it
+    if (cleanUpdates.status === 'canceled' && existingOrder.holdId) {
+      await SeatHoldsController.releaseHold(existingOrder.holdId, 'order_canceled');
+    }
+    if (cleanUpdates.status === 'canceled' && existingOrder.promoReservationId) {
+      await PromoCodesController.releasePromoReservation(existingOrder.promoCodeId, {
+        reservationId: existingOrder.promoReservationId,
+        reason: 'order_canceled'
+      });
+    }
+
+    // Cancelled or refunded orders give their seats back to the inventory
+    if (['canceled', 'refunded'].includes(cleanUpdates.status) && !['canceled', 'refunded'].includes(existingOrder.status)) {
+      await releaseOrderSeats(existingOrder);
+    }
+
     res.json({
       success: true,
       order: result
@@ -673,8 +964,86 @@ router.patch("/:orderId", async (req, res) => {
   }
 });
 
+// REFUND - Refund an order in full, or only the given tickets
+router.post("/:orderId/refund", authenticate, requireOrderSeller, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { ticketIds, reason } = req.body;
+
+    // Check if order exists
+    const order = await OrdersController.getOrderById(orderId);
+    if (!order) {
+      return res.status(404).json({ 
+        error: 'Order not found' 
+      });
+    }
+
+    if (!refundPaymentIntentId(order)) {
+      return res.status(400).json({ 
+        error: 'Order has no Stripe payment to refund' 
+      });
+    }
+
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      return res.status(400).json({ 
+        error: `Order cannot be refunded (paymentStatus: ${order.paymentStatus})` 
+      });
+    }
+
+    if (ticketIds !== undefined && (!Array.isArray(ticketIds) || ticketIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ 
+        error: "ticketIds must be an array of ticket IDs" 
+      });
+    }
+
+    if (reason && !['duplicate', 'fraudulent', 'requested_by_customer'].includes(reason)) {
+      return res.status(400).json({ 
+        error: "reason must be one of: 'duplicate', 'fraudulent', 'requested_by_customer'" 
+      });
+    }
+
+    // Partial refunds may only include tickets on this order that are still active
+    if (ticketIds && ticketIds.length > 0) {
+      const tickets = await TicketsController.getAllTickets(orderId);
+      const refundable = new Set(tickets.filter(isRefundableTicket).map(t => t.id));
+      const invalidIds = ticketIds.filter(id => !refundable.has(id));
+      if (invalidIds.length > 0) {
+        return res.status(400).json({ 
+          error: 'Some tickets cannot be refunded',
+          ticketIds: invalidIds
+        });
+      }
+    }
+
+    const result = await refundOrder(order, { ticketIds, reason });
+    if (!result.success) {
+      return res.status(409).json({ 
+        error: result.reason,
+        ticketIds: result.ticketIds
+      });
+    }
+
+    res.json({
+      success: true,
+      refund: {
+        id: result.refund.id,
+        amount: result.refund.amount,
+        status: result.refund.status
+      },
+      order: result.order,
+      refundedTickets: result.tickets.map(t => t.id)
+    });
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to refund order',
+      message: error.message 
+    });
+  }
+});
+
 // DELETE - Delete order by ID
-router.delete("/:orderId", async (req, res) => {
+router.delete("/:orderId", authenticate, requireOrderSeller, async (req, res) => {
   try {
     const { orderId } = req.params;
     
@@ -0,0 +1,554 @@
+const express = require("express");
+const router = express.Router();
+const { OrganizationsController, UsersController } = require("../controllers");
+const { authenticate, loadProfile, isAdmin, hasPermission, forbidden, requireSellerPermission } = require("../middleware/policy");
+const { STAFF_ROLES, ROLE_LABELS, ROLE_PERMISSIONS, recordStaffAction } = require("../services/organizations");
+const { sendStaffInvitationEmail } = require("../services/email");
+
+const INVITATION_TTL_DAYS = 7;
+
+// Simple email validation
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+// Link the invitee follows to accept the invitation
+function buildInvitationUrl(organizationId, invitationId, token) {
+  const baseUrl = (process.env.APP_BASE_URL || 'https://www.stagepasspro.com').replace(/\/$/, '');
+  return `${baseUrl}/organizations/${organizationId}/invitations/${invitationId}?token=${encodeURIComponent(token)}`;
+}
+
+// The caller's role in an organisation, or null
+function getCallerRole(req, organizationId) {
+  if (organizationId === req.user.uid && req.user.role === 'seller') return 'owner';
+  return req.user.organizationRoles?.[organizationId] || null;
+}
+
+// Require the caller to belong to the organisation (any role) - use after authenticate
+function requireMember(req, res, next) {
+  if (!isAdmin(req) && !getCallerRole(req, req.params.organizationId)) {
+    return forbidden(res, "You are not a member of this organization");
+  }
+  next();
+}
+
+// Require the staff:manage permission. Staff management routes write their own audit entries.
+function requireStaffManager(req, res, next) {
+  if (!hasPermission(req, req.params.organizationId, 'staff:manage')) {
+    return forbidden(res, "You need the staff:manage permission for this organization");
+  }
+  next();
+}
+
+// Load the organisation for a route. Sends a 404 and returns null when it doesn't exist.
+async function getOrganization(req, res) {
+  const organization = await OrganizationsController.getOrganizationById(req.params.organizationId);
+  if (!organization) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  return organization;
+}
+
+// CREATE - Create the organisation for a seller account (the caller's own unless an admin passes sellerId)
+router.post("/", authenticate, requireSellerPermission('staff:manage'), async (req, res) => {
+  try {
+    const sellerId = req.body.sellerId || req.user.uid;
+    const { name, email } = req.body;
+
+    const seller = await UsersController.getUserById(sellerId);
+    if (!seller || seller.role !== 'seller') {
+      return res.status(400).json({
+        error: "Organizations can only be created for seller accounts"
+      });
+    }
+
+    const existing = await OrganizationsController.getOrganizationById(sellerId);
+    if (existing) {
+      return res.status(409).json({
+        error: "This seller already has an organization",
+        organizationId: existing.id
+      });
+    }
+
+    if (email !== undefined && email !== null && !isValidEmail(email)) {
+      return res.status(400).json({
+        error: "email must be a valid email address"
+      });
+    }
+
+    const organization = await OrganizationsController.createOrganization({
+      id: sellerId,
+      name: name ? String(name).trim() : (seller.companyName || seller.displayName || seller.email),
+      email: email ? email.trim().toLowerCase() : (seller.email || null)
+    }, {
+      userId: sellerId,
+      email: seller.email || null,
+      displayName: seller.displayName || null
+    });
+
+    res.status(201).json({
+      success: true,
+      organization
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create organization',
+      message: error.message
+    });
+  }
+});
+
+// READ - Organisations the signed-in user belongs to, with their role in each
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const roles = { ...req.user.organizationRoles };
+    if (req.user.role === 'seller') {
+      roles[req.user.uid] = 'owner';
+    }
+
+    const organizations = await OrganizationsController.getOrganizationsByIds(Object.keys(roles));
+
+    res.json({
+      success: true,
+      organizations: organizations.map(organization => ({
+        ...organization,
+        role: roles[organization.id],
+        permissions: ROLE_PERMISSIONS[roles[organization.id]] || []
+      }))
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve organizations',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get an organisation
+router.get("/:organizationId", authenticate, requireMember, async (req, res) => {
+  try {
+    const organization = await getOrganization(req, res);
+    if (!organization) return;
+
+    const role = getCallerRole(req, organization.id);
+
+    res.json({
+      success: true,
+      organization,
+      role,
+      permissions: isAdmin(req) ? ROLE_PERMISSIONS.owner : (ROLE_PERMISSIONS[role] || [])
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve organization',
+      message: error.message
+    });
+  }
+});
+
+// PATCH - Update an organisation's name or contact email
+router.patch("/:organizationId", authenticate, requireStaffManager, async (req, res) => {
+  try {
+    const { name, email } = req.body;
+
+    const organization = await getOrganization(req, res);
+    if (!organization) return;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: "name cannot be empty" });
+    }
+    if (email !== undefined && email !== null && !isValidEmail(email)) {
+      return res.status(400).json({ error: "email must be a valid email address" });
+    }
+
+    const updates = {
+      ...(name !== undefined && { name: String(name).trim() }),
+      ...(email !== undefined && { email: email ? email.trim().toLowerCase() : null })
+    };
+    const updated = await OrganizationsController.updateOrganization(organization.id, updates);
+
+    await recordStaffAction(organization.id, req, {
+      action: 'organization.updated',
+      targetType: 'organization',
+      targetId: organization.id,
+      details: updates
+    });
+
+    res.json({
+      success: true,
+      organization: { ...organization, ...updated }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update organization',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get an organisation's members
+router.get("/:organizationId/members", authenticate, requireMember, async (req, res) => {
+  try {
+    const organization = await getOrganization(req, res);
+    if (!organization) return;
+
+    const members = await OrganizationsController.getMembers(organization.id);
+
+    res.json({
+      success: true,
+      members
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve organization members',
+      message: error.message
+    });
+  }
+});
+
+// PATCH - Change a member's role
+router.patch("/:organizationId/members/:userId", authenticate, requireStaffManager, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${STAFF_ROLES.map(r => `'${r}'`).join(', ')}`
+      });
+    }
+
+    const organization = await getOrganization(req, res);
+    if (!organization) return;
+
+    if (userId === organization.ownerId) {
+      return res.status(409).json({
+        error: "The seller account's role can't be changed"
+      });
+    }
+
+    const member = await OrganizationsController.getMember(organization.id, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const updated = await OrganizationsController.updateMemberRole(organization.id, userId, role);
+
+    await recordStaffAction(organization.id, req, {
+      action: 'member.role_changed',
+      targetType: 'member',
+      targetId: userId,
+      details: { from: member.role, to: role }
+    });
+
+    res.json({
+      success: true,
+      member: updated
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update organization member',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Remove a member (or leave the organisation)
+router.delete("/:organizationId/members/:userId", authenticate, requireMember, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.user.uid && !hasPermission(req, req.params.organizationId, 'staff:manage')) {
+      return forbidden(res, "You need the staff:manage permission for this organization");
+    }
+
+    const organization = await getOrganization(req, res);
+    if (!organization) return;
+
+    if (userId === organization.ownerId) {
+      return res.status(409).json({
+        error: "The seller account can't be removed from its organization"
+      });
+    }
+
+    const member = await OrganizationsController.getMember(organization.id, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await OrganizationsController.removeMember(organization.id, userId);
+
+    await recordStaffAction(organization.id, req, {
+      action: userId === req.user.uid ? 'member.left' : 'member.removed',
+      targetType: 'member',
+      targetId: userId,
+      details: { role: member.role, email: member.email || null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to remove organization member',
+      message: error.message
+    });
+  }
+});
+
+// CREATE - Invite someone by email to join with a role
+router.post("/:organizationId/invitations", authenticate, requireStaffManager, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        error: "A valid email is required"
+      });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${STAFF_ROLES.map(r => `'${r}'`).join(', ')}`
+      });
+    }
+
+    const organization = await getOrganization(req, res);
+    if (!organization) return;
+
+    const inviteeEmail = email.trim().toLowerCase();
+
+    const members = await OrganizationsController.getMembers(organization.id);
+    if (members.some(member => (member.email || '').toLowerCase() === inviteeEmail)) {
+      return res.status(409).json({
+        error: "This person is already a member of the organization"
+      });
+    }
+
+    const pending = await OrganizationsController.getInvitations(organization.id, { status: 'pending', email: inviteeEmail });
+    const openInvitation = pending.find(invitation => new Date(invitation.expiresAt) > new Date());
+    if (openInvitation) {
+      return res.status(409).json({
+        error: "This email already has a pending invitation",
+        invitationId: openInvitation.id
+      });
+    }
+
+    const inviter = await loadProfile(req);
+    const { invitation, token } = await OrganizationsController.createInvitation(organization.id, {
+      email: inviteeEmail,
+      role,
+      invitedBy: req.user.uid,
+      invitedByName: inviter?.displayName || req.user.email || null,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    await recordStaffAction(organization.id, req, {
+      action: 'invitation.created',
+      targetType: 'invitation',
+      targetId: invitation.id,
+      details: { email: inviteeEmail, role }
+    });
+
+    let emailSent = false;
+    try {
+      await sendStaffInvitationEmail({
+        to: inviteeEmail,
+        organization,
+        invitation,
+        acceptUrl: buildInvitationUrl(organization.id, invitation.id, token),
+        roleLabel: ROLE_LABELS[role]
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send staff invitation email:', emailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      invitation,
+      emailSent,
+      message: emailSent
+        ? `Invitation sent to ${inviteeEmail}`
+        : 'Invitation created, but the email could not be sent'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create invitation',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get an organisation's invitations
+router.get("/:organizationId/invitations", authenticate, requireStaffManager, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const organization = await getOrganization(req, res);
+    if (!organization) return;
+
+    const invitations = await OrganizationsController.getInvitations(organization.id, { status });
+
+    res.json({
+      success: true,
+      invitations
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve invitations',
+      message: error.message
+    });
+  }
+});
+
+// READ - Show an invitation to the person holding its link
+router.get("/:organizationId/invitations/:invitationId", async (req, res) => {
+  try {
+    const { organizationId, invitationId } = req.params;
+    const { token } = req.query;
+
+    const invitation = await OrganizationsController.getInvitationById(organizationId, invitationId);
+    if (!invitation || !OrganizationsController.isTokenValid(invitation, token)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const organization = await OrganizationsController.getOrganizationById(organizationId);
+
+    res.json({
+      success: true,
+      invitation: {
+        ...OrganizationsController.toPublicInvitation(invitation),
+        roleLabel: ROLE_LABELS[invitation.role],
+        expired: new Date(invitation.expiresAt) <= new Date()
+      },
+      organization: organization ? { id: organization.id, name: organization.name } : null
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve invitation',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Revoke a pending invitation
+router.delete("/:organizationId/invitations/:invitationId", authenticate, requireStaffManager, async (req, res) => {
+  try {
+    const { organizationId, invitationId } = req.params;
+
+    const result = await OrganizationsController.revokeInvitation(organizationId, invitationId, req.user.uid);
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+      return res.status(409).json({ error: result.reason });
+    }
+
+    await recordStaffAction(organizationId, req, {
+      action: 'invitation.revoked',
+      targetType: 'invitation',
+      targetId: invitationId,
+      details: { email: result.invitation.email, role: result.invitation.role }
+    });
+
+    res.json({
+      success: true,
+      invitation: result.invitation
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to revoke invitation',
+      message: error.message
+    });
+  }
+});
+
+// UPDATE - Accept an invitation as the signed-in user (the invited email address)
+router.post("/:organizationId/invitations/:invitationId/accept", authenticate, async (req, res) => {
+  try {
+    const { organizationId, invitationId } = req.params;
+    const { token } = req.body || {};
+
+    const invitation = await OrganizationsController.getInvitationById(organizationId, invitationId);
+    if (!invitation || !OrganizationsController.isTokenValid(invitation, token)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if ((req.user.email || '').toLowerCase() !== invitation.email) {
+      return forbidden(res, `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`);
+    }
+
+    const profile = await loadProfile(req);
+    const result = await OrganizationsController.acceptInvitation(organizationId, invitationId, {
+      userId: req.user.uid,
+      email: invitation.email,
+      displayName: profile?.displayName || req.user.decodedToken?.name || null
+    });
+    if (!result.success) {
+      if (result.reason === 'not_found') {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+      return res.status(409).json({ error: result.reason });
+    }
+
+    await recordStaffAction(organizationId, req, {
+      action: 'member.joined',
+      targetType: 'member',
+      targetId: req.user.uid,
+      details: { role: result.member.role, invitationId },
+      actorRole: result.member.role
+    });
+
+    res.json({
+      success: true,
+      member: result.member,
+      invitation: result.invitation
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      message: error.message
+    });
+  }
+});
+
+// READ - Audit trail of staff actions
+router.get("/:organizationId/audit-log", authenticate, requireStaffManager, async (req, res) => {
+  try {
+    const { actorId, targetType, limit = 100, offset = 0 } = req.query;
+
+    const result = await OrganizationsController.getAuditLog(
+      req.params.organizationId,
+      { actorId, targetType },
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.json({
+      success: true,
+      entries: result.data || result,
+      ...(result.pagination && { pagination: result.pagination })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve audit log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,117 +1,189 @@
 const express = require("express");
 const router = express.Router();
 const Stripe = require("stripe");
-const { VenuesController, UsersController, SubscriptionsController } = require("../controllers");
+const {
+  VenuesController,
+  UsersController,
+  SubscriptionsController,
+  SeatHoldsController,
+  OrdersController,
+  TicketsController,
+  PromoCodesController
+} = require("../controllers");
+const { calculateOrderPricing, amountMatches } = require("../services/pricing");
+const { authenticate, canActAs, hasPermission, forbidden } = require("../middleware/policy");
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2024-06-20",
 });
 
+// Whether the caller may act on a PaymentIntent: the buyer who created it, or the seller's staff
+function canManagePaymentIntent(req, pi) {
+  return canActAs(req, pi.metadata?.buyerId) || hasPermission(req, pi.metadata?.sellerId, 'orders:write');
+}
+
+// Pricing for an existing order: it is charged exactly what was stored when it was created.
+// Its promo code use was already reserved then.
+async function pricingFromOrder(order) {
+  const tickets = await TicketsController.getAllTickets(order.id);
+  return {
+    valid: true,
+    tickets: (tickets.data || tickets).map(({ id, seatId, section, row, seatNumber, priceCategory, price }) => (
+      { id, seatId, section, row, seatNumber, priceCategory, price }
+    )),
+    subtotal: order.subtotalAmount ?? order.totalAmount,
+    discountAmount: order.discountAmount || 0,
+    fees: order.fees || [],
+    feeAmount: order.feeAmount || 0,
+    taxes: order.taxes || [],
+    taxAmount: order.taxAmount || 0,
+    taxJurisdiction: order.taxJurisdiction || null,
+    applicationFeeAmount: order.applicationFeeAmount || 0,
+    totalAmount: order.totalAmount,
+    promo: null
+  };
+}
+
 // Create PaymentIntent on the connected account (Direct charge)
-router.post("/create-intent", async (req, res) => {
+router.post("/create-intent", authenticate, async (req, res) => {
   try {
-    const { 
+    const {
       sellerId,  // Frontend sends sellerId (not theaterId)
       theaterId, // Keep for backward compatibility
-      amountCents, 
-      currency = "usd", 
-      orderId, 
-      baseUrl, 
-      // Frontend can send these directly or in metadata
+      amountCents,
+      currency = "usd",
+      orderId,
+      baseUrl, // Frontend can send this to use localhost in dev, production URL in prod
       productionId,
       performanceId,
       customerEmail,
-      venueName,
-      venueAddress,
-      venueCity,
-      venueState,
-      venueZipCode,
-      performanceDate,
-      performanceTime,
-      tickets, // Tickets array (will be stringified for Stripe metadata)
-      metadata: requestMetadata 
+      tickets, // Tickets array; priced server-side before it is stored
+      holdId, // Seat hold created via POST /api/holds
+      promoCode // Promo code entered at checkout
     } = req.body;
 
-    // Use metadata from request if provided, otherwise build from individual fields
-    // This allows frontend to send full metadata object or just individual fields
-    const metadata = requestMetadata || { 
-      sellerId: sellerId || theaterId, // Use sellerId, fallback to theaterId for backward compat
-      orderId: orderId || "" 
-    };
-
-    // Ensure orderId is in metadata even if not in top-level request
-    if (!metadata.orderId && orderId) {
-      metadata.orderId = orderId;
-    }
-
-    // Ensure sellerId is in metadata (frontend sends sellerId, not theaterId)
-    if (!metadata.sellerId) {
-      metadata.sellerId = sellerId || theaterId;
+    // Validate sellerId (frontend sends sellerId, not theaterId)
+    const sellerIdToUse = sellerId || theaterId;
+    if (!sellerIdToUse) {
+      return res.status(400).json({ error: "Missing sellerId or theaterId" });
     }
 
-    // Add baseUrl to metadata if provided (for QR code generation in emails)
-    // Frontend can send this to use localhost in dev, production URL in prod
-    if (baseUrl) {
-      metadata.baseUrl = baseUrl;
+    // Paying for an order created through POST /api/orders charges that order's stored total and
+    // tickets, never whatever tickets this request sends
+    let existingOrder = null;
+    if (orderId) {
+      existingOrder = await OrdersController.getOrderById(orderId);
+      if (!existingOrder) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      if (existingOrder.sellerId !== sellerIdToUse) {
+        return res.status(400).json({ error: "Order belongs to a different seller" });
+      }
+      if (existingOrder.paymentStatus !== 'pending') {
+        return res.status(409).json({ error: `Order cannot be paid (paymentStatus: ${existingOrder.paymentStatus})` });
+      }
     }
 
-    // Add production and performance IDs if provided
-    if (productionId && !metadata.productionId) {
-      metadata.productionId = productionId;
-    }
-    if (performanceId && !metadata.performanceId) {
-      metadata.performanceId = performanceId;
+    const checkoutProductionId = existingOrder ? existingOrder.productionId : productionId;
+    const checkoutPerformanceId = existingOrder ? existingOrder.performanceId : performanceId;
+    const checkoutHoldId = existingOrder ? existingOrder.holdId : holdId;
+    const checkoutEmail = existingOrder ? existingOrder.customerEmail : customerEmail;
+
+    // The charged amount is always calculated server-side from the performance's prices
+    const pricing = existingOrder
+      ? await pricingFromOrder(existingOrder)
+      : await calculateOrderPricing({
+        sellerId: sellerIdToUse,
+        productionId: checkoutProductionId,
+        performanceId: checkoutPerformanceId,
+        tickets,
+        promoCode,
+        userId: req.user.uid
+      });
+    if (!pricing.valid) {
+      return res.status(400).json({
+        error: pricing.reason,
+        ...(pricing.unpriced && { unpricedSeats: pricing.unpriced }),
+        ...(pricing.unknown && { unknownSeats: pricing.unknown })
+      });
     }
-
-    // Add customer email if provided
-    if (customerEmail && !metadata.customerEmail) {
-      metadata.customerEmail = customerEmail;
+    if (!amountMatches(amountCents, pricing.totalAmount)) {
+      return res.status(400).json({
+        error: "amountCents does not match the order total",
+        expectedAmount: pricing.totalAmount
+      });
     }
 
-    // Add venue/location data if provided from frontend (separate fields)
-    if (venueName && !metadata.venueName) {
-      metadata.venueName = venueName;
+    const amountToCharge = pricing.totalAmount;
+
+    // PaymentIntent metadata is built only from values checked or calculated here: the webhook
+    // creates the order, tickets, fees, taxes and promo redemption from it. Stripe metadata values
+    // must be strings.
+    const metadata = {
+      sellerId: sellerIdToUse,
+      orderId: existingOrder ? existingOrder.id : "",
+      buyerId: req.user.uid,
+      productionId: checkoutProductionId || "",
+      performanceId: checkoutPerformanceId || "",
+      subtotalAmount: String(pricing.subtotal),
+      discountAmount: String(pricing.discountAmount),
+      feeAmount: String(pricing.feeAmount),
+      applicationFeeAmount: String(pricing.applicationFeeAmount),
+      taxAmount: String(pricing.taxAmount)
+    };
+    if (checkoutEmail) {
+      metadata.customerEmail = String(checkoutEmail);
     }
-    if (venueAddress && !metadata.venueAddress) {
-      metadata.venueAddress = venueAddress;
+    // Used for links in emails (QR codes, order page)
+    if (baseUrl) {
+      metadata.baseUrl = String(baseUrl);
     }
-    if (venueCity && !metadata.venueCity) {
-      metadata.venueCity = venueCity;
+    if (checkoutHoldId) {
+      metadata.holdId = checkoutHoldId;
     }
-    if (venueState && !metadata.venueState) {
-      metadata.venueState = venueState;
+    // Store the server-priced tickets so the webhook creates tickets at these prices. An existing
+    // order already has its tickets.
+    if (!existingOrder) {
+      metadata.tickets = JSON.stringify(pricing.tickets);
     }
-    if (venueZipCode && !metadata.venueZipCode) {
-      metadata.venueZipCode = venueZipCode;
+    if (pricing.fees.length > 0) {
+      metadata.fees = JSON.stringify(pricing.fees.map(({ name, type, quantity, amount }) => ({ name, type, quantity, amount })));
     }
-
-    // Add performance date/time if provided from frontend
-    if (performanceDate && !metadata.performanceDate) {
-      metadata.performanceDate = performanceDate;
+    if (pricing.taxes.length > 0) {
+      metadata.taxes = JSON.stringify(pricing.taxes.map(({ taxRateId, name, state, zipCode, rate, taxableAmount, amount }) => (
+        { taxRateId, name, state, zipCode, rate, taxableAmount, amount }
+      )));
     }
-    if (performanceTime && !metadata.performanceTime) {
-      metadata.performanceTime = performanceTime;
+    if (pricing.taxJurisdiction) {
+      metadata.taxState = pricing.taxJurisdiction.state || "";
+      metadata.taxZipCode = pricing.taxJurisdiction.zipCode || "";
     }
-
-    // Add tickets data if provided (must be stringified for Stripe metadata)
-    // Frontend should send tickets as array, we'll stringify it for Stripe
-    if (tickets && !metadata.tickets) {
-      // Stringify tickets array for Stripe metadata (Stripe metadata values must be strings)
-      metadata.tickets = JSON.stringify(tickets);
+    if (pricing.promo) {
+      metadata.promoCodeId = pricing.promo.id;
+      metadata.promoCode = pricing.promo.code;
     }
-
-
-    if (!metadata.orderId) {
-
-    } else {
+    // Venue details for the order come from the performance's venue, not the request
+    if (pricing.venue) {
+      metadata.venueName = pricing.venue.name || "";
+      metadata.venueAddress = [pricing.venue.address, pricing.venue.city, pricing.venue.state, pricing.venue.zipCode]
+        .filter(Boolean).join(', ');
     }
 
-    // Validate sellerId (frontend sends sellerId, not theaterId)
-    const sellerIdToUse = sellerId || theaterId;
-    if (!sellerIdToUse) {
-      return res.status(400).json({ error: "Missing sellerId or theaterId" });
-    }
-    if (amountCents == null) {
-      return res.status(400).json({ error: "Missing amountCents" });
+    // Seats must still be held by this checkout before we take payment
+    let hold = null;
+    if (metadata.holdId) {
+      hold = await SeatHoldsController.getHoldById(metadata.holdId);
+      if (!hold) {
+        return res.status(404).json({ error: "Seat hold not found" });
+      }
+      if (!canActAs(req, hold.userId)) {
+        return forbidden(res, "You can only check out with your own seat hold");
+      }
+      if (hold.status !== 'active' || new Date(hold.expiresAt) <= new Date()) {
+        return res.status(409).json({ error: "Seat hold has expired. Please select your seats again." });
+      }
+      if (metadata.performanceId && hold.performanceId !== metadata.performanceId) {
+        return res.status(400).json({ error: "Seat hold does not belong to this performance" });
+      }
     }
 
     const venues = await VenuesController.getVenuesBySellerId(sellerIdToUse);
@@ -129,24 +201,58 @@ router.post("/create-intent", async (req, res) => {
       return res.status(404).json({ error: "Seller not found or not connected to Stripe" });
     }
 
-    // Create PaymentIntent on main account and transfer full amount to seller
-    // No transaction fees - theaters pay monthly subscription instead
+    // Create PaymentIntent on main account and transfer the amount to the seller.
+    // Booking fees go to the seller; the optional platform fee is kept as an application fee.
     // For Direct Charges (transfer_data), use explicit payment_method_types for better compatibility
     const pi = await stripe.paymentIntents.create({
-      amount: Number(amountCents),
+      amount: amountToCharge,
       currency,
       payment_method_types: ['card'], // Explicitly specify card for connected accounts
       metadata: metadata,
+      ...(pricing.applicationFeeAmount > 0 && { application_fee_amount: pricing.applicationFeeAmount }),
       transfer_data: {
         destination: seller.stripeAccountId,
       },
     });
 
+    // Hold one use of the promo code for this payment, so checkouts paying at the same time can't
+    // exceed its caps. Confirmed when the payment succeeds, released if it fails or is cancelled, and
+    // expires with the seat hold (or after the seat hold TTL) if the payment is abandoned.
+    if (pricing.promo) {
+      const reservation = await PromoCodesController.reservePromoCode(pricing.promo.id, {
+        reservationId: pi.id,
+        paymentIntentId: pi.id,
+        customerKey: PromoCodesController.buildCustomerKey({ userId: req.user.uid }),
+        discountAmount: pricing.discountAmount,
+        expiresAt: hold
+          ? hold.expiresAt
+          : new Date(Date.now() + SeatHoldsController.resolveTtlSeconds() * 1000).toISOString()
+      });
+      if (!reservation.success) {
+        await stripe.paymentIntents.cancel(pi.id).catch(cancelError => {
+          console.error(`Failed to cancel PaymentIntent ${pi.id}:`, cancelError.message);
+        });
+        return res.status(409).json({ error: reservation.reason });
+      }
+    }
+
+    if (hold) {
+      await SeatHoldsController.updateHold(hold.id, { paymentIntentId: pi.id });
+    }
 
     res.json({
       clientSecret: pi.client_secret,
       paymentIntentId: pi.id,
       stripeAccountId: seller.stripeAccountId,
+      amount: pi.amount,
+      subtotalAmount: pricing.subtotal,
+      discountAmount: pricing.discountAmount,
+      fees: pricing.fees,
+      feeAmount: pricing.feeAmount,
+      taxes: pricing.taxes,
+      taxAmount: pricing.taxAmount,
+      applicationFeeAmount: pricing.applicationFeeAmount,
+      tickets: pricing.tickets,
       warning: !metadata.orderId ? "No orderId in metadata; webhook will not update order or send receipt" : undefined
     });
   } catch (e) {
@@ -161,7 +267,7 @@ router.post("/create-intent", async (req, res) => {
 });
 
 // Cancel PaymentIntent
-router.post("/cancel-payment-intent", async (req, res) => {
+router.post("/cancel-payment-intent", authenticate, async (req, res) => {
   try {
     const { paymentIntentId, stripeAccountId } = req.body;
 
@@ -169,11 +275,47 @@ router.post("/cancel-payment-intent", async (req, res) => {
       return res.status(400).json({ error: "Missing paymentIntentId" });
     }
 
+    // Release the PaymentIntent's held seats and promo code use so other buyers can have them
+    const releaseHeldSeats = async (pi) => {
+      const holdToRelease = pi?.metadata?.holdId;
+      if (holdToRelease) {
+        try {
+          await SeatHoldsController.releaseHold(holdToRelease, 'payment_canceled');
+        } catch (releaseError) {
+          console.error('Failed to release seat hold:', releaseError.message);
+        }
+      }
+      if (pi?.metadata?.promoCodeId) {
+        try {
+          await PromoCodesController.releasePromoReservation(pi.metadata.promoCodeId, {
+            reservationId: pi.id,
+            reason: 'payment_canceled'
+          });
+        } catch (releaseError) {
+          console.error('Failed to release promo code reservation:', releaseError.message);
+        }
+      }
+    };
+
     // Cancel the PaymentIntent on the correct account
     const cancelOptions = stripeAccountId ? { stripeAccount: stripeAccountId } : {};
 
     try {
-      const canceledPi = await stripe.paymentIntents.cancel(paymentIntentId, cancelOptions);
+      const pi = await stripe.paymentIntents.retrieve(paymentIntentId, {}, cancelOptions);
+      if (!canManagePaymentIntent(req, pi)) {
+        return forbidden(res, "You can only cancel your own payments");
+      }
+      if (pi.status === 'succeeded' || pi.status === 'canceled') {
+        return res.json({
+          success: true,
+          paymentIntentId: pi.id,
+          status: 'already_handled',
+          message: 'PaymentIntent was already handled'
+        });
+      }
+
+      const canceledPi = await stripe.paymentIntents.cancel(paymentIntentId, {}, cancelOptions);
+      await releaseHeldSeats(canceledPi);
       res.json({
         success: true,
         paymentIntentId: canceledPi.id,
@@ -201,7 +343,7 @@ router.post("/cancel-payment-intent", async (req, res) => {
 });
 
 // Confirm PaymentIntent (for connected accounts)
-router.post("/confirm-payment-intent", async (req, res) => {
+router.post("/confirm-payment-intent", authenticate, async (req, res) => {
   try {
     const { paymentIntentId, stripeAccountId, cardToken } = req.body;
 
@@ -217,6 +359,11 @@ router.post("/confirm-payment-intent", async (req, res) => {
       return res.status(400).json({ error: "Missing cardToken" });
     }
 
+    const pi = await stripe.paymentIntents.retrieve(paymentIntentId, {}, { stripeAccount: stripeAccountId });
+    if (!canManagePaymentIntent(req, pi)) {
+      return forbidden(res, "You can only confirm your own payments");
+    }
+
     // Create PaymentMethod on the connected account
     const paymentMethod = await stripe.paymentMethods.create(
       {
@@ -248,7 +395,7 @@ router.post("/confirm-payment-intent", async (req, res) => {
 });
 
 // Create Stripe subscription
-router.post("/create-subscription", async (req, res) => {
+router.post("/create-subscription", authenticate, async (req, res) => {
   try {
     const { userId, planId, paymentMethodId, customerId } = req.body;
 
@@ -259,6 +406,10 @@ router.post("/create-subscription", async (req, res) => {
       });
     }
 
+    if (!canActAs(req, userId)) {
+      return forbidden(res, "You can only subscribe your own account");
+    }
+
     // Get the subscription plan
     const plan = await SubscriptionsController.getSubscriptionPlanById(planId);
     if (!plan) {
@@ -291,6 +442,9 @@ router.post("/create-subscription", async (req, res) => {
     let customer;
     if (customerId) {
       customer = await stripe.customers.retrieve(customerId);
+      if (customer.deleted || customer.metadata?.userId !== userId) {
+        return forbidden(res, "Stripe customer does not belong to this user");
+      }
     } else {
       const { getOrCreateStripeCustomer } = require('../utils/stripeCustomers');
       customer = await getOrCreateStripeCustomer(stripe, userId);
@@ -336,7 +490,7 @@ router.post("/create-subscription", async (req, res) => {
 });
 
 // Complete Stripe subscription (after payment confirmation)
-router.post("/complete-subscription", async (req, res) => {
+router.post("/complete-subscription", authenticate, async (req, res) => {
   try {
     const { subscriptionId, userId } = req.body;
 
@@ -346,8 +500,15 @@ router.post("/complete-subscription", async (req, res) => {
       });
     }
 
+    if (!canActAs(req, userId)) {
+      return forbidden(res, "You can only manage your own subscription");
+    }
+
     // Get subscription from Stripe
     const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    if (subscription.metadata?.userId !== userId) {
+      return forbidden(res, "Subscription does not belong to this user");
+    }
 
     if (subscription.status !== 'active') {
       return res.status(400).json({
@@ -397,7 +558,7 @@ router.post("/complete-subscription", async (req, res) => {
 });
 
 // Cancel Stripe subscription
-router.post("/cancel-subscription", async (req, res) => {
+router.post("/cancel-subscription", authenticate, async (req, res) => {
   try {
     const { subscriptionId, userId, cancelAtPeriodEnd = true } = req.body;
 
@@ -407,6 +568,15 @@ router.post("/cancel-subscription", async (req, res) => {
       });
     }
 
+    if (!canActAs(req, userId)) {
+      return forbidden(res, "You can only manage your own subscription");
+    }
+
+    const existingSubscription = await stripe.subscriptions.retrieve(subscriptionId);
+    if (existingSubscription.metadata?.userId !== userId) {
+      return forbidden(res, "Subscription does not belong to this user");
+    }
+
     // Cancel subscription in Stripe
     const subscription = await stripe.subscriptions.update(subscriptionId, {
       cancel_at_period_end: cancelAtPeriodEnd
@@ -436,11 +606,14 @@ router.post("/cancel-subscription", async (req, res) => {
 });
 
 // Get subscription status
-router.get("/subscription/:subscriptionId", async (req, res) => {
+router.get("/subscription/:subscriptionId", authenticate, async (req, res) => {
   try {
     const { subscriptionId } = req.params;
 
     const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    if (!canActAs(req, subscription.metadata?.userId)) {
+      return forbidden(res, "You can only view your own subscription");
+    }
 
     res.json({
       id: subscription.id,
@@ -465,11 +638,14 @@ router.get("/subscription/:subscriptionId", async (req, res) => {
 });
 
 // Get PaymentIntent status (for debugging)
-router.get("/payment-intent/:paymentIntentId", async (req, res) => {
+router.get("/payment-intent/:paymentIntentId", authenticate, async (req, res) => {
   try {
     const { paymentIntentId } = req.params;
 
     const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (!canManagePaymentIntent(req, pi)) {
+      return forbidden(res, "You can only view your own payments");
+    }
 
     res.json({
       id: pi.id,
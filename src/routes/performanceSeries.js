@@ -0,0 +1,219 @@
+const express = require("express");
+const router = express.Router();
+const { ProductionsController, PerformancesController, PerformanceSeriesController } = require("../controllers");
+const {
+  validateScheduleRule,
+  validateSeriesTemplate,
+  previewSchedule,
+  createSeries,
+  updateSeries,
+  cancelSeries
+} = require("../services/performanceSchedule");
+const { authenticate, requireProductionOwner } = require("../middleware/policy");
+
+// Load the production and series for a series route. Sends the error response and returns null
+// when either is missing.
+async function getSeries(req, res) {
+  const { productionId, seriesId } = req.params;
+  const production = await ProductionsController.getProductionById(productionId);
+  if (!production) {
+    res.status(404).json({ error: 'Production not found' });
+    return null;
+  }
+  const series = await PerformanceSeriesController.getSeriesById(productionId, seriesId);
+  if (!series) {
+    res.status(404).json({ error: 'Series not found' });
+    return null;
+  }
+  return { production, series };
+}
+
+// READ - Preview the performances a schedule rule would create
+router.post("/:productionId/series/preview", authenticate, requireProductionOwner, async (req, res) => {
+  try {
+    const { productionId } = req.params;
+    const { rule, venueId } = req.body;
+
+    const ruleError = validateScheduleRule(rule);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+
+    const production = await ProductionsController.getProductionById(productionId);
+    if (!production) {
+      return res.status(404).json({ error: 'Production not found' });
+    }
+
+    const preview = await previewSchedule(productionId, rule, { venueId });
+
+    res.json({
+      success: true,
+      ...preview
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to preview schedule',
+      message: error.message
+    });
+  }
+});
+
+// CREATE - Create a series of performances from a schedule rule
+router.post("/:productionId/series", authenticate, requireProductionOwner, async (req, res) => {
+  try {
+    const { productionId } = req.params;
+    const { rule, ...template } = req.body;
+
+    const ruleError = validateScheduleRule(rule);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+
+    const templateError = validateSeriesTemplate(template);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const production = await ProductionsController.getProductionById(productionId);
+    if (!production) {
+      return res.status(404).json({ error: 'Production not found' });
+    }
+
+    const result = await createSeries(productionId, { rule, template });
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create series',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get all series for a production
+router.get("/:productionId/series", async (req, res) => {
+  try {
+    const { productionId } = req.params;
+
+    const production = await ProductionsController.getProductionById(productionId);
+    if (!production) {
+      return res.status(404).json({ error: 'Production not found' });
+    }
+
+    const series = await PerformanceSeriesController.getSeriesByProduction(productionId);
+
+    res.json({
+      success: true,
+      productionId,
+      series
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve series',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get a series with its performances
+router.get("/:productionId/series/:seriesId", async (req, res) => {
+  try {
+    const found = await getSeries(req, res);
+    if (!found) return;
+
+    const performances = await PerformancesController.getPerformancesBySeriesId(req.params.productionId, found.series.id);
+
+    res.json({
+      success: true,
+      series: found.series,
+      performances
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve series',
+      message: error.message
+    });
+  }
+});
+
+// PATCH - Edit every upcoming performance in a series (shared fields and/or the schedule rule).
+// With preview: true only the planned changes are returned.
+router.patch("/:productionId/series/:seriesId", authenticate, requireProductionOwner, async (req, res) => {
+  try {
+    const { productionId } = req.params;
+    const { rule, preview = false, ...template } = req.body;
+
+    const found = await getSeries(req, res);
+    if (!found) return;
+
+    if (found.series.status === 'canceled') {
+      return res.status(409).json({ error: 'Series is canceled' });
+    }
+
+    const nextRule = rule ? { ...found.series.rule, ...rule } : null;
+    if (nextRule) {
+      const ruleError = validateScheduleRule(nextRule);
+      if (ruleError) {
+        return res.status(400).json({ error: ruleError });
+      }
+    }
+
+    const templateError = validateSeriesTemplate(template, { requireAll: false });
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const result = await updateSeries(productionId, found.series, { rule: nextRule, template, preview: preview === true });
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+
+    res.json({
+      ...result,
+      preview: preview === true
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update series',
+      message: error.message
+    });
+  }
+});
+
+// UPDATE - Cancel every upcoming performance in a series
+router.post("/:productionId/series/:seriesId/cancel", authenticate, requireProductionOwner, async (req, res) => {
+  try {
+    const { productionId } = req.params;
+    const { reason = null } = req.body || {};
+
+    const found = await getSeries(req, res);
+    if (!found) return;
+
+    if (found.series.status === 'canceled') {
+      return res.status(409).json({ error: 'Series is already canceled' });
+    }
+
+    const result = await cancelSeries(productionId, found.series, reason);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to cancel series',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,17 @@
 const express = require("express");
 const router = express.Router();
-const { PerformancesController, ProductionsController } = require("../controllers");
+const { PerformancesController, ProductionsController, SeatmapsController, SeatInventoryController } = require("../controllers");
+const { validateFeeRules } = require("../services/fees");
+const { authenticate, requireProductionOwner } = require("../middleware/policy");
+const { emitSellerEvent } = require("../services/sellerWebhooks");
+
+// Tell the seller's webhooks when an update cancels a performance
+async function emitIfCanceled(production, before, after) {
+  if (after.status !== 'canceled' || before.status === 'canceled') return;
+  await emitSellerEvent(production.sellerId || after.sellerId, 'performance.canceled', {
+    performance: { ...after, productionId: production.id }
+  });
+}
 
 // READ - Get all performances across all productions (for performances page)
 router.get("/", async (req, res) => {
@@ -48,8 +59,22 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+// Seed a performance's seat inventory from its venue seatmap
+async function seedPerformanceInventory(productionId, performance) {
+  if (!performance.venueId || !performance.seatmapId) return null;
+  try {
+    const seatmap = await SeatmapsController.getSeatmapById(performance.venueId, performance.seatmapId);
+    if (!seatmap) return null;
+    return await SeatInventoryController.seedFromSeatmap(productionId, performance.id, seatmap);
+  } catch (inventoryError) {
+    // Log but don't fail the performance write; inventory can be re-seeded later
+    console.error('Failed to seed seat inventory:', inventoryError.message);
+    return null;
+  }
+}
+
 // CREATE - Create a new performance for a production
-router.post("/:productionId/performances", async (req, res) => {
+router.post("/:productionId/performances", authenticate, requireProductionOwner, async (req, res) => {
   try {
     const { productionId } = req.params;
     const {
@@ -60,7 +85,8 @@ router.post("/:productionId/performances", async (req, res) => {
       status = 'scheduled',
       totalSeats,
       soldSeats = 0,
-      priceCategories = []
+      priceCategories = [],
+      feeRules
     } = req.body;
 
     // Validate required fields
@@ -85,6 +111,14 @@ router.post("/:productionId/performances", async (req, res) => {
       });
     }
 
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({ 
+        error: feeRulesError 
+      });
+    }
+
     const performanceId = generateId();
     const now = new Date().toISOString();
 
@@ -99,12 +133,17 @@ router.post("/:productionId/performances", async (req, res) => {
       totalSeats: totalSeats || 0,
       soldSeats,
       priceCategories,
+      // Booking fee rules; null inherits from the production or seller
+      feeRules: feeRules !== undefined ? feeRules : null,
       createdAt: now,
       updatedAt: now
     };
 
     const createdPerformance = await PerformancesController.upsertPerformance(productionId, performance);
 
+    // Each performance gets its own copy of the seatmap's seats
+    await seedPerformanceInventory(productionId, performance);
+
     res.status(201).json({
       success: true,
       performance: createdPerformance
@@ -200,7 +239,7 @@ router.get("/:productionId/performances/:performanceId", async (req, res) => {
 });
 
 // UPDATE - Update performance by ID
-router.put("/:productionId/performances/:performanceId", async (req, res) => {
+router.put("/:productionId/performances/:performanceId", authenticate, requireProductionOwner, async (req, res) => {
   try {
     const { productionId, performanceId } = req.params;
     const {
@@ -211,7 +250,8 @@ router.put("/:productionId/performances/:performanceId", async (req, res) => {
       status,
       totalSeats,
       soldSeats,
-      priceCategories
+      priceCategories,
+      feeRules
     } = req.body;
 
     // Check if production exists
@@ -237,6 +277,14 @@ router.put("/:productionId/performances/:performanceId", async (req, res) => {
       });
     }
 
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({ 
+        error: feeRulesError 
+      });
+    }
+
     // Update only provided fields
     const updatedPerformance = {
       ...existingPerformance,
@@ -248,11 +296,19 @@ router.put("/:productionId/performances/:performanceId", async (req, res) => {
       ...(totalSeats !== undefined && { totalSeats }),
       ...(soldSeats !== undefined && { soldSeats }),
       ...(priceCategories !== undefined && { priceCategories }),
+      ...(feeRules !== undefined && { feeRules }),
       updatedAt: new Date().toISOString()
     };
 
     const result = await PerformancesController.upsertPerformance(productionId, updatedPerformance);
 
+    // Pick up seats from a newly assigned seatmap; existing held/sold seats are kept
+    if (updatedPerformance.seatmapId && updatedPerformance.seatmapId !== existingPerformance.seatmapId) {
+      await seedPerformanceInventory(productionId, updatedPerformance);
+    }
+
+    await emitIfCanceled(production, existingPerformance, updatedPerformance);
+
     res.json({
       success: true,
       performance: result
@@ -267,7 +323,7 @@ router.put("/:productionId/performances/:performanceId", async (req, res) => {
 });
 
 // PATCH - Partially update performance by ID
-router.patch("/:productionId/performances/:performanceId", async (req, res) => {
+router.patch("/:productionId/performances/:performanceId", authenticate, requireProductionOwner, async (req, res) => {
   try {
     const { productionId, performanceId } = req.params;
     const updates = req.body;
@@ -295,6 +351,14 @@ router.patch("/:productionId/performances/:performanceId", async (req, res) => {
       });
     }
 
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(updates.feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({ 
+        error: feeRulesError 
+      });
+    }
+
     // Handle date conversion if provided
     if (updates.date) {
       updates.date = new Date(updates.date).toISOString();
@@ -313,6 +377,13 @@ router.patch("/:productionId/performances/:performanceId", async (req, res) => {
 
     const result = await PerformancesController.upsertPerformance(productionId, updatedPerformance);
 
+    // Pick up seats from a newly assigned seatmap; existing held/sold seats are kept
+    if (updatedPerformance.seatmapId && updatedPerformance.seatmapId !== existingPerformance.seatmapId) {
+      await seedPerformanceInventory(productionId, updatedPerformance);
+    }
+
+    await emitIfCanceled(production, existingPerformance, updatedPerformance);
+
     res.json({
       success: true,
       performance: result
@@ -326,8 +397,81 @@ router.patch("/:productionId/performances/:performanceId", async (req, res) => {
   }
 });
 
+// READ - Get seat inventory for a performance
+router.get("/:productionId/performances/:performanceId/inventory", async (req, res) => {
+  try {
+    const { productionId, performanceId } = req.params;
+    const { status, section } = req.query;
+
+    // Check if performance exists
+    const performance = await PerformancesController.getPerformanceById(productionId, performanceId);
+    if (!performance) {
+      return res.status(404).json({ 
+        error: 'Performance not found' 
+      });
+    }
+
+    const { seats, summary } = await SeatInventoryController.getInventory(productionId, performanceId, { status, section });
+
+    res.json({
+      success: true,
+      productionId,
+      performanceId,
+      seats,
+      summary
+    });
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to retrieve seat inventory',
+      message: error.message 
+    });
+  }
+});
+
+// CREATE - (Re)seed seat inventory from the performance's seatmap
+router.post("/:productionId/performances/:performanceId/inventory/seed", authenticate, requireProductionOwner, async (req, res) => {
+  try {
+    const { productionId, performanceId } = req.params;
+
+    // Check if performance exists
+    const performance = await PerformancesController.getPerformanceById(productionId, performanceId);
+    if (!performance) {
+      return res.status(404).json({ 
+        error: 'Performance not found' 
+      });
+    }
+
+    if (!performance.venueId || !performance.seatmapId) {
+      return res.status(400).json({ 
+        error: 'Performance has no seatmap assigned' 
+      });
+    }
+
+    const seatmap = await SeatmapsController.getSeatmapById(performance.venueId, performance.seatmapId);
+    if (!seatmap) {
+      return res.status(404).json({ 
+        error: 'Seatmap not found' 
+      });
+    }
+
+    const result = await SeatInventoryController.seedFromSeatmap(productionId, performanceId, seatmap);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to seed seat inventory',
+      message: error.message 
+    });
+  }
+});
+
 // DELETE - Delete performance by ID
-router.delete("/:productionId/performances/:performanceId", async (req, res) => {
+router.delete("/:productionId/performances/:performanceId", authenticate, requireProductionOwner, async (req, res) => {
   try {
     const { productionId, performanceId } = req.params;
     
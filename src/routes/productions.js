@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const { ProductionsController } = require("../controllers");
+const { validateFeeRules } = require("../services/fees");
+const { authenticate, requireSellerPermission, requireProductionOwner } = require("../middleware/policy");
 
 // Generate unique ID
 function generateId() {
@@ -8,7 +10,7 @@ function generateId() {
 }
 
 // CREATE - Create a new production
-router.post("/", async (req, res) => {
+router.post("/", authenticate, requireSellerPermission('productions:write'), async (req, res) => {
   try {
     const {
       title,
@@ -22,7 +24,11 @@ router.post("/", async (req, res) => {
       status = 'active',
       startDate,
       endDate,
-      director
+      director,
+      feeRules,
+      maxReentries,
+      transfersEnabled,
+      maxTransfersPerTicket
     } = req.body;
 
     // Validate required fields
@@ -39,6 +45,35 @@ router.post("/", async (req, res) => {
       });
     }
 
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({
+        error: feeRulesError
+      });
+    }
+
+    // Validate re-entry cap if provided
+    if (maxReentries !== undefined && maxReentries !== null && (!Number.isInteger(maxReentries) || maxReentries < 0)) {
+      return res.status(400).json({
+        error: "maxReentries must be a non-negative integer"
+      });
+    }
+
+    // Validate transfer settings if provided
+    if (transfersEnabled !== undefined && typeof transfersEnabled !== 'boolean') {
+      return res.status(400).json({
+        error: "transfersEnabled must be a boolean"
+      });
+    }
+
+    if (maxTransfersPerTicket !== undefined && maxTransfersPerTicket !== null &&
+        (!Number.isInteger(maxTransfersPerTicket) || maxTransfersPerTicket < 0)) {
+      return res.status(400).json({
+        error: "maxTransfersPerTicket must be a non-negative integer or null"
+      });
+    }
+
     const productionId = generateId();
     const now = new Date().toISOString();
 
@@ -56,6 +91,13 @@ router.post("/", async (req, res) => {
       startDate: startDate || null,
       endDate: endDate || null,
       director: director || null,
+      // Booking fee rules; null inherits from the seller
+      feeRules: feeRules !== undefined ? feeRules : null,
+      // Times a checked-out ticket may be scanned back in; 0 disables re-entry
+      maxReentries: maxReentries != null ? maxReentries : 0,
+      // Ticket holders can pass tickets on unless the seller turns transfers off or caps them
+      transfersEnabled: transfersEnabled !== undefined ? transfersEnabled : true,
+      maxTransfersPerTicket: maxTransfersPerTicket !== undefined ? maxTransfersPerTicket : null,
       createdAt: now,
       updatedAt: now,
       performances: {} // Initialize empty performances subcollection
@@ -173,7 +215,7 @@ router.get("/:productionId", async (req, res) => {
 });
 
 // UPDATE - Update production by ID
-router.put("/:productionId", async (req, res) => {
+router.put("/:productionId", authenticate, requireProductionOwner, async (req, res) => {
   try {
     const { productionId } = req.params;
     const {
@@ -188,7 +230,11 @@ router.put("/:productionId", async (req, res) => {
       status,
       startDate,
       endDate,
-      director
+      director,
+      feeRules,
+      maxReentries,
+      transfersEnabled,
+      maxTransfersPerTicket
     } = req.body;
 
     // Check if production exists
@@ -206,6 +252,35 @@ router.put("/:productionId", async (req, res) => {
       });
     }
 
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({
+        error: feeRulesError
+      });
+    }
+
+    // Validate re-entry cap if provided
+    if (maxReentries !== undefined && maxReentries !== null && (!Number.isInteger(maxReentries) || maxReentries < 0)) {
+      return res.status(400).json({
+        error: "maxReentries must be a non-negative integer"
+      });
+    }
+
+    // Validate transfer settings if provided
+    if (transfersEnabled !== undefined && typeof transfersEnabled !== 'boolean') {
+      return res.status(400).json({
+        error: "transfersEnabled must be a boolean"
+      });
+    }
+
+    if (maxTransfersPerTicket !== undefined && maxTransfersPerTicket !== null &&
+        (!Number.isInteger(maxTransfersPerTicket) || maxTransfersPerTicket < 0)) {
+      return res.status(400).json({
+        error: "maxTransfersPerTicket must be a non-negative integer or null"
+      });
+    }
+
     // Update only provided fields
     const updatedProduction = {
       ...existingProduction,
@@ -221,6 +296,10 @@ router.put("/:productionId", async (req, res) => {
       ...(startDate !== undefined && { startDate }),
       ...(endDate !== undefined && { endDate }),
       ...(director !== undefined && { director }),
+      ...(feeRules !== undefined && { feeRules }),
+      ...(maxReentries !== undefined && { maxReentries }),
+      ...(transfersEnabled !== undefined && { transfersEnabled }),
+      ...(maxTransfersPerTicket !== undefined && { maxTransfersPerTicket }),
       updatedAt: new Date().toISOString()
     };
 
@@ -240,7 +319,7 @@ router.put("/:productionId", async (req, res) => {
 });
 
 // PATCH - Partially update production by ID
-router.patch("/:productionId", async (req, res) => {
+router.patch("/:productionId", authenticate, requireProductionOwner, async (req, res) => {
   try {
     const { productionId } = req.params;
     const updates = req.body;
@@ -260,6 +339,35 @@ router.patch("/:productionId", async (req, res) => {
       });
     }
 
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(updates.feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({
+        error: feeRulesError
+      });
+    }
+
+    // Validate re-entry cap if provided
+    if (updates.maxReentries !== undefined && updates.maxReentries !== null && (!Number.isInteger(updates.maxReentries) || updates.maxReentries < 0)) {
+      return res.status(400).json({
+        error: "maxReentries must be a non-negative integer"
+      });
+    }
+
+    // Validate transfer settings if provided
+    if (updates.transfersEnabled !== undefined && typeof updates.transfersEnabled !== 'boolean') {
+      return res.status(400).json({
+        error: "transfersEnabled must be a boolean"
+      });
+    }
+
+    if (updates.maxTransfersPerTicket !== undefined && updates.maxTransfersPerTicket !== null &&
+        (!Number.isInteger(updates.maxTransfersPerTicket) || updates.maxTransfersPerTicket < 0)) {
+      return res.status(400).json({
+        error: "maxTransfersPerTicket must be a non-negative integer or null"
+      });
+    }
+
     // Remove undefined values and add updatedAt
     const cleanUpdates = Object.fromEntries(
       Object.entries(updates).filter(([_, value]) => value !== undefined)
@@ -287,7 +395,7 @@ router.patch("/:productionId", async (req, res) => {
 });
 
 // DELETE - Delete production by ID
-router.delete("/:productionId", async (req, res) => {
+router.delete("/:productionId", authenticate, requireProductionOwner, async (req, res) => {
   try {
     const { productionId } = req.params;
 
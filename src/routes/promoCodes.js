@@ -0,0 +1,361 @@
+const express = require("express");
+const router = express.Router();
+const { PromoCodesController } = require("../controllers");
+const {
+  authenticate,
+  optionalUser,
+  hasPermission,
+  forbidden,
+  requireSellerPermission,
+  requirePromoCodeOwner
+} = require("../middleware/policy");
+
+// Validate promo code fields shared by create and update. Returns an error message or null.
+function validatePromoFields(fields, { partial = false } = {}) {
+  const {
+    code,
+    discountType,
+    discountValue,
+    productionIds,
+    performanceIds,
+    priceCategories,
+    maxRedemptions,
+    maxRedemptionsPerCustomer,
+    minOrderAmount,
+    startsAt,
+    endsAt
+  } = fields;
+
+  if (!partial || code !== undefined) {
+    if (!code || !/^[A-Za-z0-9_-]{3,32}$/.test(String(code).trim())) {
+      return "code must be 3-32 letters, numbers, dashes or underscores";
+    }
+  }
+
+  if (!partial || discountType !== undefined) {
+    if (!['percent', 'fixed'].includes(discountType)) {
+      return "discountType must be one of: 'percent', 'fixed'";
+    }
+  }
+
+  if (!partial || discountValue !== undefined) {
+    const value = Number(discountValue);
+    if (!Number.isInteger(value) || value <= 0) {
+      return "discountValue must be a positive integer (percent, or cents for fixed)";
+    }
+    if (discountType === 'percent' && value > 100) {
+      return "discountValue cannot exceed 100 for percent discounts";
+    }
+  }
+
+  for (const [name, list] of Object.entries({ productionIds, performanceIds, priceCategories })) {
+    if (list !== undefined && list !== null && !Array.isArray(list)) {
+      return `${name} must be an array`;
+    }
+  }
+
+  for (const [name, value] of Object.entries({ maxRedemptions, maxRedemptionsPerCustomer, minOrderAmount })) {
+    if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+      return `${name} must be a non-negative integer`;
+    }
+  }
+
+  for (const [name, value] of Object.entries({ startsAt, endsAt })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return `${name} must be a valid date`;
+    }
+  }
+
+  if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+    return "endsAt must be after startsAt";
+  }
+
+  return null;
+}
+
+function toOptionalInt(value) {
+  return value === undefined || value === null || value === '' ? null : parseInt(value);
+}
+
+// CREATE - Create a new promo code for a seller
+router.post("/", authenticate, requireSellerPermission('promo_codes:write'), async (req, res) => {
+  try {
+    const {
+      sellerId,
+      code,
+      description,
+      discountType,
+      discountValue,
+      productionIds = [],
+      performanceIds = [],
+      priceCategories = [],
+      maxRedemptions,
+      maxRedemptionsPerCustomer,
+      minOrderAmount,
+      startsAt,
+      endsAt,
+      active = true
+    } = req.body;
+
+    // Validate required fields
+    if (!sellerId) {
+      return res.status(400).json({
+        error: "sellerId is required"
+      });
+    }
+
+    const validationError = validatePromoFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    // Codes are unique per seller
+    const existing = await PromoCodesController.getPromoCodeByCode(sellerId, code);
+    if (existing) {
+      return res.status(409).json({
+        error: 'A promo code with this code already exists'
+      });
+    }
+
+    const promoCode = await PromoCodesController.createPromoCode({
+      sellerId,
+      code,
+      description: description || null,
+      discountType,
+      discountValue: parseInt(discountValue),
+      productionIds,
+      performanceIds,
+      priceCategories,
+      maxRedemptions: toOptionalInt(maxRedemptions),
+      maxRedemptionsPerCustomer: toOptionalInt(maxRedemptionsPerCustomer),
+      minOrderAmount: toOptionalInt(minOrderAmount),
+      startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+      endsAt: endsAt ? new Date(endsAt).toISOString() : null,
+      active: active !== false
+    });
+
+    res.status(201).json({
+      success: true,
+      promoCode
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create promo code',
+      message: error.message
+    });
+  }
+});
+
+// VALIDATE - Check a code against a cart and preview the discount
+router.post("/validate", optionalUser, async (req, res) => {
+  try {
+    const {
+      sellerId,
+      code,
+      productionId,
+      performanceId,
+      tickets = []
+    } = req.body;
+
+    if (!sellerId || !code) {
+      return res.status(400).json({
+        error: "sellerId and code are required"
+      });
+    }
+
+    if (!Array.isArray(tickets) || tickets.length === 0) {
+      return res.status(400).json({
+        error: "tickets must be a non-empty array"
+      });
+    }
+
+    const result = await PromoCodesController.checkPromoCode(sellerId, code, {
+      productionId,
+      performanceId,
+      tickets,
+      // Per-customer limits are checked for the signed-in buyer
+      userId: req.user && !req.user.apiKey ? req.user.uid : null
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        valid: false,
+        error: result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      code: result.promo.code,
+      promoCodeId: result.promo.id,
+      subtotal: result.subtotal,
+      discountAmount: result.discountAmount,
+      totalAmount: result.subtotal - result.discountAmount
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to validate promo code',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get promo codes for a seller
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const { sellerId, active, limit = 100, offset = 0 } = req.query;
+
+    if (!sellerId) {
+      return res.status(400).json({
+        error: "sellerId is required"
+      });
+    }
+
+    if (!hasPermission(req, sellerId, 'promo_codes:write')) {
+      return forbidden(res, "You can only manage your own promo codes");
+    }
+
+    const filters = {
+      ...(active !== undefined && { active: active === 'true' })
+    };
+    const result = await PromoCodesController.getPromoCodesBySellerId(
+      sellerId,
+      filters,
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.json({
+      success: true,
+      promoCodes: result.data || result,
+      ...(result.pagination && { pagination: result.pagination })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve promo codes',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get promo code by ID
+router.get("/:promoCodeId", authenticate, requirePromoCodeOwner, async (req, res) => {
+  try {
+    const { promoCodeId } = req.params;
+
+    const promoCode = await PromoCodesController.getPromoCodeById(promoCodeId);
+    if (!promoCode) {
+      return res.status(404).json({
+        error: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      promoCode
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve promo code',
+      message: error.message
+    });
+  }
+});
+
+// PATCH - Partially update promo code by ID
+router.patch("/:promoCodeId", authenticate, requirePromoCodeOwner, async (req, res) => {
+  try {
+    const { promoCodeId } = req.params;
+    const { sellerId, redemptionCount, id, ...updates } = req.body;
+
+    const existingPromoCode = await PromoCodesController.getPromoCodeById(promoCodeId);
+    if (!existingPromoCode) {
+      return res.status(404).json({
+        error: 'Promo code not found'
+      });
+    }
+
+    const validationError = validatePromoFields(
+      { discountType: existingPromoCode.discountType, ...updates },
+      { partial: true }
+    );
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    if (updates.code !== undefined && PromoCodesController.normalizeCode(updates.code) !== existingPromoCode.code) {
+      const duplicate = await PromoCodesController.getPromoCodeByCode(existingPromoCode.sellerId, updates.code);
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'A promo code with this code already exists'
+        });
+      }
+    }
+
+    // Normalise numeric and date fields
+    ['discountValue'].forEach(key => {
+      if (updates[key] !== undefined) updates[key] = parseInt(updates[key]);
+    });
+    ['maxRedemptions', 'maxRedemptionsPerCustomer', 'minOrderAmount'].forEach(key => {
+      if (updates[key] !== undefined) updates[key] = toOptionalInt(updates[key]);
+    });
+    ['startsAt', 'endsAt'].forEach(key => {
+      if (updates[key] !== undefined) updates[key] = updates[key] ? new Date(updates[key]).toISOString() : null;
+    });
+
+    // Remove undefined values
+    const cleanUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([_, value]) => value !== undefined)
+    );
+
+    const result = await PromoCodesController.updatePromoCode(promoCodeId, cleanUpdates);
+
+    res.json({
+      success: true,
+      promoCode: { ...existingPromoCode, ...result }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update promo code',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Delete promo code by ID
+router.delete("/:promoCodeId", authenticate, requirePromoCodeOwner, async (req, res) => {
+  try {
+    const { promoCodeId } = req.params;
+
+    const existingPromoCode = await PromoCodesController.getPromoCodeById(promoCodeId);
+    if (!existingPromoCode) {
+      return res.status(404).json({
+        error: 'Promo code not found'
+      });
+    }
+
+    await PromoCodesController.deletePromoCode(promoCodeId);
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete promo code',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
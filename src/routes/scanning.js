@@ -0,0 +1,540 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const {
+  ProductionsController,
+  PerformancesController,
+  TicketsController,
+  CheckInSessionsController,
+  ScanLogsController
+} = require("../controllers");
+const { verifyScannerSession } = require("../middleware/auth");
+const { authenticate, actingSellerId, hasPermission, forbidden } = require("../middleware/policy");
+const { getPublicKeys, verifyTicketQrCode } = require("../services/ticketSigning");
+const { isTicketToken } = require("../utils/ticketToken");
+const { emitSellerEvent } = require("../services/sellerWebhooks");
+
+const DEFAULT_SESSION_HOURS = 12;
+const MAX_SESSION_HOURS = 72;
+
+const RESULT_MESSAGES = {
+  admitted: 'Admitted',
+  readmitted: 'Readmitted',
+  already_scanned: 'Ticket has already been scanned',
+  reentry_limit_reached: 'Ticket has no re-entries left',
+  wrong_performance: 'Ticket is for a different performance',
+  cancelled: 'Ticket has been cancelled',
+  refunded: 'Ticket has been refunded',
+  invalid: 'Ticket is not valid',
+  not_found: 'Ticket not found',
+  checked_out: 'Checked out; ticket can be scanned back in',
+  not_checked_in: 'Ticket is not checked in',
+  reentry_not_allowed: 'Re-entry is not allowed for this ticket',
+  undone: 'Last scan undone',
+  nothing_to_undo: 'Ticket has no scan to undo',
+  status_changed: 'Ticket status has changed since its last scan'
+};
+
+const ADMITTED_RESULTS = ['admitted', 'readmitted'];
+
+// Offline sync limits and outcomes
+const MAX_SYNC_BATCH = 500;
+const SYNC_ACTIONS = ['check_in', 'check_out'];
+const SYNC_APPLIED_RESULTS = ['admitted', 'readmitted', 'checked_out'];
+
+// Ticket fields shown on the scanner screen
+function toScanTicket(ticket) {
+  if (!ticket) return null;
+  return {
+    id: ticket.id,
+    orderId: ticket.orderId || null,
+    status: ticket.status,
+    section: ticket.section || null,
+    row: ticket.row || null,
+    seatNumber: ticket.seatNumber || null,
+    priceCategory: ticket.priceCategory || null,
+    ownerName: ticket.ownerName || null,
+    reentryCount: ticket.reentryCount || 0
+  };
+}
+
+// Tell the seller's webhooks about an admission. scanId is the scan log entry's ID.
+async function emitTicketScanned(session, scanId, outcome, { gate = null, scannedAt = null, offline = false } = {}) {
+  if (!ADMITTED_RESULTS.includes(outcome.result)) return;
+  await emitSellerEvent(session.sellerId, 'ticket.scanned', {
+    ticket: toScanTicket(outcome.ticket),
+    scan: {
+      id: scanId,
+      result: outcome.result,
+      performanceId: session.performanceId,
+      sessionId: session.id,
+      gate,
+      deviceName: session.deviceName || null,
+      offline,
+      scannedAt
+    }
+  }, { idempotencyKey: `ticket.scanned:${scanId}` });
+}
+
+// Manifest entry for offline scanning. qrCodeHash lets the device reject superseded payloads
+// without holding the payloads themselves.
+function toManifestTicket(ticket) {
+  return {
+    ...toScanTicket(ticket),
+    orderStatus: ticket.orderStatus || null,
+    orderPaymentStatus: ticket.orderPaymentStatus || null,
+    qrCodeHash: isTicketToken(ticket.qrCode)
+      ? crypto.createHash('sha256').update(ticket.qrCode).digest('hex')
+      : null,
+    checkedInAt: ticket.checkedInAt || null,
+    checkedInGate: ticket.checkedInGate || null
+  };
+}
+
+// Apply one offline scan and describe how it reconciled with the server state.
+// First scan wins: an offline admission earlier than the recorded first scan replaces it.
+async function reconcileOfflineScan(session, scan) {
+  const action = scan.action || 'check_in';
+  const scannedAt = new Date(scan.scannedAt).toISOString();
+  const logId = `offline_${session.id}_${String(scan.scanId).replace(/\//g, '_')}`;
+
+  // A retried upload returns the outcome recorded the first time
+  const existing = await ScanLogsController.getScanById(logId);
+  if (existing) {
+    return {
+      scanId: scan.scanId,
+      ticketId: existing.ticketId,
+      result: existing.result,
+      applied: false,
+      alreadySynced: true,
+      conflict: existing.conflict || null
+    };
+  }
+
+  const gate = scan.gate || session.gate || null;
+  let outcome;
+  const verification = verifyTicketQrCode(scan.qrCode);
+  if (!verification.valid) {
+    outcome = { result: 'invalid', reason: verification.reason, ticket: null };
+  } else if (verification.ticket.performanceId && verification.ticket.performanceId !== session.performanceId) {
+    outcome = { result: 'wrong_performance', ticket: { id: verification.ticket.ticketId, orderId: verification.ticket.orderId } };
+  } else {
+    const { orderId, ticketId } = verification.ticket;
+    const options = {
+      performanceId: session.performanceId,
+      gate,
+      performedBy: session.deviceName || session.id,
+      sessionId: session.id,
+      scannedAt
+    };
+    outcome = action === 'check_out'
+      ? await TicketsController.checkOutTicket(orderId, ticketId, options)
+      : await TicketsController.checkInTicket(orderId, ticketId, { ...options, qrCode: scan.qrCode, firstScanWins: true });
+  }
+
+  const applied = SYNC_APPLIED_RESULTS.includes(outcome.result);
+  let conflict = null;
+  if (outcome.result === 'already_scanned') {
+    conflict = outcome.replacedFirstScan
+      ? { type: 'earlier_offline_scan', winner: 'offline', firstScan: outcome.firstScan, replacedFirstScan: outcome.replacedFirstScan }
+      : { type: 'duplicate_scan', winner: 'server', firstScan: outcome.firstScan };
+  } else if (!applied) {
+    // The device let someone in (or out) that the server would have refused
+    conflict = { type: 'rejected_by_server', result: outcome.result, reason: outcome.reason || null };
+  }
+
+  await ScanLogsController.recordScan({
+    id: logId,
+    sessionId: session.id,
+    sellerId: session.sellerId,
+    performanceId: session.performanceId,
+    gate,
+    deviceName: session.deviceName || null,
+    action,
+    ticketId: outcome.ticket?.id || verification.ticket?.ticketId || null,
+    orderId: outcome.ticket?.orderId || verification.ticket?.orderId || null,
+    result: outcome.result,
+    reason: outcome.reason || null,
+    offline: true,
+    clientScanId: scan.scanId,
+    uploadedAt: new Date().toISOString(),
+    conflict,
+    scannedAt
+  });
+
+  await emitTicketScanned(session, logId, outcome, { gate, scannedAt, offline: true });
+
+  return {
+    scanId: scan.scanId,
+    ticketId: outcome.ticket?.id || verification.ticket?.ticketId || null,
+    result: outcome.result,
+    applied,
+    alreadySynced: false,
+    conflict
+  };
+}
+
+// CREATE - Start a check-in session for a scanner device
+router.post("/sessions", authenticate, async (req, res) => {
+  try {
+    const { productionId, performanceId, gate, deviceName, expiresInHours } = req.body;
+
+    if (!productionId || !performanceId) {
+      return res.status(400).json({
+        error: "productionId and performanceId are required"
+      });
+    }
+
+    const hours = expiresInHours !== undefined ? Number(expiresInHours) : DEFAULT_SESSION_HOURS;
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_SESSION_HOURS) {
+      return res.status(400).json({
+        error: `expiresInHours must be between 0 and ${MAX_SESSION_HOURS}`
+      });
+    }
+
+    const performance = await PerformancesController.getPerformanceById(productionId, performanceId);
+    if (!performance) {
+      return res.status(404).json({ error: 'Performance not found' });
+    }
+
+    if (!hasPermission(req, performance.sellerId, 'tickets:check_in')) {
+      return forbidden(res, "You can only start check-in sessions for your own performances");
+    }
+
+    const { session, token } = await CheckInSessionsController.createSession({
+      sellerId: performance.sellerId,
+      productionId,
+      performanceId,
+      gate: gate ? String(gate).trim() : null,
+      deviceName: deviceName ? String(deviceName).trim() : null,
+      createdBy: req.user.uid,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      session,
+      token,
+      message: 'Check-in session started. Store the token on the scanner; it is not shown again.'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create check-in session',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get the seller's check-in sessions
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const { performanceId, status, limit, offset, sellerId = actingSellerId(req) } = req.query;
+
+    if (!hasPermission(req, sellerId, 'tickets:check_in')) {
+      return forbidden(res, "You can only view your own check-in sessions");
+    }
+
+    const result = await CheckInSessionsController.getSessionsBySellerId(
+      sellerId,
+      { performanceId, status },
+      { limit, offset }
+    );
+
+    if (result.data) {
+      return res.json({
+        success: true,
+        sessions: result.data,
+        pagination: result.pagination
+      });
+    }
+
+    res.json({
+      success: true,
+      sessions: result,
+      count: result.length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve check-in sessions',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Revoke a check-in session
+router.delete("/sessions/:sessionId", authenticate, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await CheckInSessionsController.getSessionById(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Check-in session not found' });
+    }
+
+    if (!hasPermission(req, session.sellerId, 'tickets:check_in')) {
+      return forbidden(res, "You can only revoke your own check-in sessions");
+    }
+
+    const revoked = await CheckInSessionsController.revokeSession(sessionId, req.user.uid);
+
+    res.json({
+      success: true,
+      session: revoked,
+      message: 'Check-in session revoked'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to revoke check-in session',
+      message: error.message
+    });
+  }
+});
+
+// Verify a scanned QR payload, run a ticket transition for the scanner's session and write
+// the attempt to the scan log. `action` is 'check_in', 'check_out' or 'undo'.
+async function handleScan(req, res, action) {
+  const { qrCode } = req.body;
+  const session = req.scannerSession;
+
+  if (!qrCode || typeof qrCode !== 'string') {
+    return res.status(400).json({
+      error: "qrCode is required"
+    });
+  }
+
+  const scan = {
+    sessionId: session.id,
+    sellerId: session.sellerId,
+    performanceId: session.performanceId,
+    gate: session.gate || null,
+    deviceName: session.deviceName || null
+  };
+
+  let outcome;
+  const verification = verifyTicketQrCode(qrCode);
+  if (!verification.valid) {
+    outcome = { result: 'invalid', reason: verification.reason, ticket: null };
+  } else if (verification.ticket.performanceId && verification.ticket.performanceId !== session.performanceId) {
+    outcome = { result: 'wrong_performance', ticket: { id: verification.ticket.ticketId, orderId: verification.ticket.orderId } };
+  } else {
+    const { orderId, ticketId } = verification.ticket;
+    const options = {
+      performanceId: session.performanceId,
+      gate: scan.gate,
+      performedBy: session.deviceName || session.id,
+      sessionId: session.id
+    };
+    if (action === 'check_out') {
+      outcome = await TicketsController.checkOutTicket(orderId, ticketId, options);
+    } else if (action === 'undo') {
+      outcome = await TicketsController.undoLastScan(orderId, ticketId, options);
+    } else {
+      outcome = await TicketsController.checkInTicket(orderId, ticketId, { ...options, qrCode });
+    }
+  }
+
+  const logEntry = await ScanLogsController.recordScan({
+    ...scan,
+    action,
+    ticketId: outcome.ticket?.id || verification.ticket?.ticketId || null,
+    orderId: outcome.ticket?.orderId || verification.ticket?.orderId || null,
+    result: outcome.result,
+    reason: outcome.reason || null
+  });
+
+  if (action === 'check_in') {
+    await emitTicketScanned(session, logEntry.id, outcome, { gate: scan.gate, scannedAt: logEntry.scannedAt });
+  }
+
+  CheckInSessionsController.touchSession(session.id).catch(err => {
+    console.error('Failed to update check-in session last seen time:', err.message);
+  });
+
+  res.json({
+    success: true,
+    admitted: ADMITTED_RESULTS.includes(outcome.result),
+    result: outcome.result,
+    message: RESULT_MESSAGES[outcome.result],
+    ...(outcome.reason && { reason: outcome.reason }),
+    ...(outcome.firstScan && { firstScan: outcome.firstScan }),
+    ...(outcome.reentriesRemaining !== undefined && { reentriesRemaining: outcome.reentriesRemaining }),
+    ticket: toScanTicket(outcome.ticket),
+    scanId: logEntry.id,
+    scannedAt: logEntry.scannedAt
+  });
+}
+
+// SCAN - Check a ticket in (or back in after a check-out) by its QR payload
+router.post("/scan", verifyScannerSession, async (req, res) => {
+  try {
+    await handleScan(req, res, 'check_in');
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to scan ticket',
+      message: error.message
+    });
+  }
+});
+
+// CHECK OUT - Scan a ticket out so its holder can re-enter later
+router.post("/check-out", verifyScannerSession, async (req, res) => {
+  try {
+    await handleScan(req, res, 'check_out');
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to check out ticket',
+      message: error.message
+    });
+  }
+});
+
+// UNDO - Reverse a ticket's most recent scan (check-in, re-entry or check-out)
+router.post("/undo", verifyScannerSession, async (req, res) => {
+  try {
+    await handleScan(req, res, 'undo');
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to undo scan',
+      message: error.message
+    });
+  }
+});
+
+// READ - Ticket manifest for scanning offline
+router.get("/manifest", verifyScannerSession, async (req, res) => {
+  try {
+    const session = req.scannerSession;
+
+    const [tickets, production] = await Promise.all([
+      TicketsController.getTicketsByPerformance(session.performanceId),
+      ProductionsController.getProductionById(session.productionId)
+    ]);
+
+    res.json({
+      success: true,
+      performanceId: session.performanceId,
+      generatedAt: new Date().toISOString(),
+      maxReentries: production?.maxReentries || 0,
+      publicKeys: getPublicKeys(),
+      tickets: tickets.map(toManifestTicket),
+      count: tickets.length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to build ticket manifest',
+      message: error.message
+    });
+  }
+});
+
+// SYNC - Upload scans made offline and reconcile them with the server
+router.post("/sync", verifyScannerSession, async (req, res) => {
+  try {
+    const { scans } = req.body;
+    const session = req.scannerSession;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({
+        error: "scans must be a non-empty array"
+      });
+    }
+
+    if (scans.length > MAX_SYNC_BATCH) {
+      return res.status(400).json({
+        error: `A sync batch can contain at most ${MAX_SYNC_BATCH} scans`
+      });
+    }
+
+    for (const scan of scans) {
+      if (!scan || !scan.scanId || typeof scan.qrCode !== 'string' || !scan.scannedAt) {
+        return res.status(400).json({
+          error: "Each scan needs scanId, qrCode and scannedAt"
+        });
+      }
+      if (isNaN(new Date(scan.scannedAt).getTime())) {
+        return res.status(400).json({
+          error: `scannedAt is not a valid date for scan ${scan.scanId}`
+        });
+      }
+      if (scan.action !== undefined && !SYNC_ACTIONS.includes(scan.action)) {
+        return res.status(400).json({
+          error: `action must be one of: ${SYNC_ACTIONS.map(action => `'${action}'`).join(', ')}`
+        });
+      }
+    }
+
+    // Replay in the order the scans happened so check-outs and re-entries line up
+    const ordered = [...scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+    const results = [];
+
+    for (const scan of ordered) {
+      results.push(await reconcileOfflineScan(session, scan));
+    }
+
+    const conflicts = results.filter(result => result.conflict);
+
+    res.json({
+      success: true,
+      processed: results.length,
+      applied: results.filter(result => result.applied).length,
+      alreadySynced: results.filter(result => result.alreadySynced).length,
+      conflicts,
+      results
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to sync offline scans',
+      message: error.message
+    });
+  }
+});
+
+// READ - Scan audit log for a performance
+router.get("/logs", authenticate, async (req, res) => {
+  try {
+    const { performanceId, result, sessionId, ticketId, limit, offset, sellerId = actingSellerId(req) } = req.query;
+
+    if (!performanceId) {
+      return res.status(400).json({
+        error: "performanceId is required"
+      });
+    }
+
+    if (!hasPermission(req, sellerId, 'tickets:check_in')) {
+      return forbidden(res, "You can only view scans for your own performances");
+    }
+
+    const scans = await ScanLogsController.getScansByPerformanceId(
+      performanceId,
+      { sellerId, result, sessionId, ticketId },
+      { limit, offset }
+    );
+
+    if (scans.data) {
+      return res.json({
+        success: true,
+        scans: scans.data,
+        pagination: scans.pagination
+      });
+    }
+
+    res.json({
+      success: true,
+      scans,
+      count: scans.length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve scan log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { SeatmapsController, VenuesController } = require("../controllers");
+const { authenticate, requireVenueOwner } = require("../middleware/policy");
 
 // Generate unique ID
 function generateId() {
@@ -8,7 +9,7 @@ function generateId() {
 }
 
 // CREATE - Create a new seatmap for a venue
-router.post("/:venueId/seatmaps", async (req, res) => {
+router.post("/:venueId/seatmaps", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId } = req.params;
     const {
@@ -143,7 +144,7 @@ router.get("/:venueId/seatmaps/:seatmapId", async (req, res) => {
 });
 
 // UPDATE - Update seatmap by ID
-router.put("/:venueId/seatmaps/:seatmapId", async (req, res) => {
+router.put("/:venueId/seatmaps/:seatmapId", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId, seatmapId } = req.params;
     const {
@@ -196,7 +197,7 @@ router.put("/:venueId/seatmaps/:seatmapId", async (req, res) => {
 });
 
 // PATCH - Partially update seatmap by ID
-router.patch("/:venueId/seatmaps/:seatmapId", async (req, res) => {
+router.patch("/:venueId/seatmaps/:seatmapId", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId, seatmapId } = req.params;
     const updates = req.body;
@@ -244,7 +245,7 @@ router.patch("/:venueId/seatmaps/:seatmapId", async (req, res) => {
 });
 
 // DELETE - Delete seatmap by ID
-router.delete("/:venueId/seatmaps/:seatmapId", async (req, res) => {
+router.delete("/:venueId/seatmaps/:seatmapId", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId, seatmapId } = req.params;
 
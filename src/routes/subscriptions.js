@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { SubscriptionsController } = require("../controllers");
+const { authenticate, requireAdminRole, requireSelf } = require("../middleware/policy");
 
 // Get all subscription plans
 router.get("/plans", async (req, res) => {
@@ -44,7 +45,7 @@ router.get("/plans/:planId", async (req, res) => {
 });
 
 // Create a new subscription plan
-router.post("/plans", async (req, res) => {
+router.post("/plans", authenticate, requireAdminRole, async (req, res) => {
   try {
     
     const { name, price, ticketLimit, productionLimit, features, isActive, stripeProductId, stripePriceId } = req.body;
@@ -111,7 +112,7 @@ router.post("/plans", async (req, res) => {
 });
 
 // Update an existing subscription plan
-router.put("/plans/:planId", async (req, res) => {
+router.put("/plans/:planId", authenticate, requireAdminRole, async (req, res) => {
   try {
     
     const { planId } = req.params;
@@ -186,7 +187,7 @@ router.put("/plans/:planId", async (req, res) => {
 });
 
 // Delete a subscription plan
-router.delete("/plans/:planId", async (req, res) => {
+router.delete("/plans/:planId", authenticate, requireAdminRole, async (req, res) => {
   try {
     
     const { planId } = req.params;
@@ -212,7 +213,7 @@ router.delete("/plans/:planId", async (req, res) => {
 });
 
 // Get user's current subscription
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", authenticate, requireSelf('userId'), async (req, res) => {
   try {
     
     const { userId } = req.params;
@@ -230,7 +231,7 @@ router.get("/user/:userId", async (req, res) => {
 });
 
 // Create or update user subscription
-router.post("/user/:userId", async (req, res) => {
+router.post("/user/:userId", authenticate, requireAdminRole, async (req, res) => {
   try {
     
     const { userId } = req.params;
@@ -267,7 +268,7 @@ router.post("/user/:userId", async (req, res) => {
 });
 
 // Cancel user subscription
-router.delete("/user/:userId", async (req, res) => {
+router.delete("/user/:userId", authenticate, requireSelf('userId'), async (req, res) => {
   try {
     
     const { userId } = req.params;
@@ -0,0 +1,173 @@
+const express = require("express");
+const router = express.Router();
+const { TaxRatesController } = require("../controllers");
+const { verifyFirebaseIdToken, requireAdmin } = require("../middleware/auth");
+const { validateTaxRateFields } = require("../services/tax");
+
+// CREATE - Create a tax rate for a state or ZIP code (admin only)
+router.post("/", verifyFirebaseIdToken, requireAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      state,
+      zipCode,
+      rate,
+      appliesToFees = true,
+      active = true
+    } = req.body;
+
+    const validationError = validateTaxRateFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const taxRate = await TaxRatesController.createTaxRate({
+      name,
+      state,
+      zipCode: zipCode || null,
+      rate: Number(rate),
+      appliesToFees: appliesToFees !== false,
+      active: active !== false
+    });
+
+    res.status(201).json({
+      success: true,
+      taxRate
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create tax rate',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get tax rates, optionally for a state or ZIP code
+router.get("/", async (req, res) => {
+  try {
+    const { state, zipCode, active, limit = 100, offset = 0 } = req.query;
+
+    const filters = {
+      state,
+      zipCode,
+      ...(active !== undefined && { active: active === 'true' })
+    };
+    const result = await TaxRatesController.getTaxRates(
+      filters,
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.json({
+      success: true,
+      taxRates: result.data || result,
+      ...(result.pagination && { pagination: result.pagination })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve tax rates',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get tax rate by ID
+router.get("/:taxRateId", async (req, res) => {
+  try {
+    const { taxRateId } = req.params;
+
+    const taxRate = await TaxRatesController.getTaxRateById(taxRateId);
+    if (!taxRate) {
+      return res.status(404).json({
+        error: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      taxRate
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve tax rate',
+      message: error.message
+    });
+  }
+});
+
+// PATCH - Partially update tax rate by ID (admin only)
+router.patch("/:taxRateId", verifyFirebaseIdToken, requireAdmin, async (req, res) => {
+  try {
+    const { taxRateId } = req.params;
+    const { id, ...updates } = req.body;
+
+    const existingTaxRate = await TaxRatesController.getTaxRateById(taxRateId);
+    if (!existingTaxRate) {
+      return res.status(404).json({
+        error: 'Tax rate not found'
+      });
+    }
+
+    const validationError = validateTaxRateFields(updates, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    if (updates.rate !== undefined) {
+      updates.rate = Number(updates.rate);
+    }
+
+    // Remove undefined values
+    const cleanUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([_, value]) => value !== undefined)
+    );
+
+    const result = await TaxRatesController.updateTaxRate(taxRateId, cleanUpdates);
+
+    res.json({
+      success: true,
+      taxRate: { ...existingTaxRate, ...result }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update tax rate',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Delete tax rate by ID (admin only)
+router.delete("/:taxRateId", verifyFirebaseIdToken, requireAdmin, async (req, res) => {
+  try {
+    const { taxRateId } = req.params;
+
+    const existingTaxRate = await TaxRatesController.getTaxRateById(taxRateId);
+    if (!existingTaxRate) {
+      return res.status(404).json({
+        error: 'Tax rate not found'
+      });
+    }
+
+    await TaxRatesController.deleteTaxRate(taxRateId);
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete tax rate',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
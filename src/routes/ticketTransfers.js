@@ -0,0 +1,427 @@
+const express = require("express");
+const router = express.Router();
+const {
+  OrdersController,
+  TicketsController,
+  TicketTransfersController,
+  ProductionsController,
+  PerformancesController,
+  VenuesController
+} = require("../controllers");
+const { optionalAuth, verifyFirebaseIdToken } = require("../middleware/auth");
+const { forbidden, hasValidViewToken, isTicketHolder } = require("../middleware/policy");
+const { signTicket } = require("../services/ticketSigning");
+const { sendTransferOfferEmail, sendTicketEmail } = require("../services/email");
+const { refreshTicketPasses } = require("../services/walletPasses");
+const { emitSellerEvent } = require("../services/sellerWebhooks");
+
+const TRANSFER_TTL_DAYS = 7;
+
+// Simple email validation
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+// Link the recipient follows to accept the ticket
+function buildAcceptUrl(transferId, token) {
+  const baseUrl = (process.env.APP_BASE_URL || 'https://www.stagepasspro.com').replace(/\/$/, '');
+  return `${baseUrl}/transfers/${transferId}?token=${encodeURIComponent(token)}`;
+}
+
+// Seat fields shown to the recipient before they accept
+function toTransferTicket(ticket) {
+  if (!ticket) return null;
+  return {
+    id: ticket.id,
+    section: ticket.section || null,
+    row: ticket.row || null,
+    seatNumber: ticket.seatNumber || null,
+    priceCategory: ticket.priceCategory || null
+  };
+}
+
+// Load the performance and venue shown in transfer emails. Missing details don't block the transfer.
+async function getEventDetails(order) {
+  let performance = null;
+  let venue = null;
+  try {
+    if (order.productionId && order.performanceId) {
+      performance = await PerformancesController.getPerformanceById(order.productionId, order.performanceId);
+    }
+    const venueId = performance?.venueId || order.venueId;
+    if (venueId) {
+      venue = await VenuesController.getVenueById(venueId);
+    }
+  } catch (err) {
+    console.error('Failed to load event details for transfer email:', err.message);
+  }
+  return { performance, venue };
+}
+
+// CREATE - Start a transfer of a ticket to an email address
+router.post("/", optionalAuth, async (req, res) => {
+  try {
+    const { orderId, ticketId, toEmail, toName, message, viewToken } = req.body;
+
+    if (!orderId || !ticketId || !toEmail) {
+      return res.status(400).json({
+        error: "orderId, ticketId, and toEmail are required"
+      });
+    }
+
+    if (!isValidEmail(toEmail)) {
+      return res.status(400).json({
+        error: "toEmail must be a valid email address"
+      });
+    }
+
+    if (message !== undefined && message !== null && String(message).length > 500) {
+      return res.status(400).json({
+        error: "message cannot be longer than 500 characters"
+      });
+    }
+
+    const order = await OrdersController.getOrderById(orderId);
+    const ticket = order ? await TicketsController.getTicketById(orderId, ticketId) : null;
+    if (!order || !ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (!isTicketHolder(req, order, ticket, viewToken)) {
+      return res.status(403).json({
+        error: "Only the ticket holder can transfer this ticket"
+      });
+    }
+
+    if (ticket.status !== 'valid') {
+      return res.status(400).json({
+        error: `Ticket cannot be transferred while ${ticket.status}`
+      });
+    }
+
+    const recipientEmail = toEmail.trim().toLowerCase();
+    const holderEmail = (ticket.ownerEmail || order.customerEmail || '').toLowerCase();
+    if (recipientEmail === holderEmail) {
+      return res.status(400).json({
+        error: "You can't transfer a ticket to yourself"
+      });
+    }
+
+    // Sellers can turn transfers off or cap them per production
+    const production = order.productionId
+      ? await ProductionsController.getProductionById(order.productionId)
+      : null;
+    if (production?.transfersEnabled === false) {
+      return res.status(403).json({
+        error: "Transfers are not allowed for this production"
+      });
+    }
+    if (Number.isInteger(production?.maxTransfersPerTicket) &&
+        (ticket.transferCount || 0) >= production.maxTransfersPerTicket) {
+      return res.status(403).json({
+        error: "This ticket has reached its transfer limit"
+      });
+    }
+
+    const pendingTransfer = await TicketTransfersController.getPendingTransferForTicket(orderId, ticketId);
+    if (pendingTransfer) {
+      return res.status(409).json({
+        error: "This ticket already has a pending transfer",
+        transferId: pendingTransfer.id
+      });
+    }
+
+    const { transfer, token } = await TicketTransfersController.createTransfer({
+      orderId,
+      ticketId,
+      productionId: order.productionId || null,
+      performanceId: order.performanceId || null,
+      sellerId: order.sellerId || null,
+      fromUserId: req.user?.uid || null,
+      fromName: ticket.ownerName || order.customerName || null,
+      fromEmail: holderEmail || null,
+      toEmail: recipientEmail,
+      toName: toName ? String(toName).trim() : null,
+      message: message ? String(message).trim() : null,
+      // Lets acceptance detect a ticket that was reissued after the transfer started
+      ticketQrCodeHash: TicketTransfersController.hashToken(ticket.qrCode || ''),
+      expiresAt: new Date(Date.now() + TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    let emailSent = false;
+    try {
+      const { performance } = await getEventDetails(order);
+      await sendTransferOfferEmail({
+        to: recipientEmail,
+        transfer: { ...transfer, productionName: production?.title },
+        acceptUrl: buildAcceptUrl(transfer.id, token),
+        ticket,
+        performance: performance ? { ...performance, productionName: production?.title } : null
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send transfer email:', emailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      transfer,
+      emailSent,
+      message: emailSent
+        ? `Transfer sent to ${recipientEmail}`
+        : 'Transfer created, but the email to the recipient could not be sent'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to start ticket transfer',
+      message: error.message
+    });
+  }
+});
+
+// READ - Transfers sent or received by the signed-in user
+router.get("/", verifyFirebaseIdToken, async (req, res) => {
+  try {
+    const { direction = 'sent', status, limit, offset } = req.query;
+
+    if (!['sent', 'received'].includes(direction)) {
+      return res.status(400).json({
+        error: "direction must be one of: 'sent', 'received'"
+      });
+    }
+
+    if (direction === 'received' && !req.user.email) {
+      return res.status(400).json({
+        error: "Your account has no email address to receive transfers"
+      });
+    }
+
+    // Transfers are addressed to an email, so only its verified owner may list them
+    if (direction === 'received' && !req.user.emailVerified) {
+      return forbidden(res, "Verify your email address to see the transfers sent to it");
+    }
+
+    const filters = direction === 'sent'
+      ? { fromUserId: req.user.uid, status }
+      : { toEmail: req.user.email, status };
+    const result = await TicketTransfersController.getTransfers(filters, { limit, offset });
+
+    if (result.data) {
+      return res.json({
+        success: true,
+        transfers: result.data,
+        pagination: result.pagination
+      });
+    }
+
+    res.json({
+      success: true,
+      transfers: result,
+      count: result.length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve ticket transfers',
+      message: error.message
+    });
+  }
+});
+
+// READ - Transfer details for the recipient's acceptance page
+router.get("/:transferId", optionalAuth, async (req, res) => {
+  try {
+    const { transferId } = req.params;
+    const { token } = req.query;
+
+    const transfer = await TicketTransfersController.getTransferById(transferId);
+    const isSender = transfer && req.user?.uid && transfer.fromUserId === req.user.uid;
+    if (!transfer || (!isSender && !TicketTransfersController.isTokenValid(transfer, token))) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    const ticket = await TicketsController.getTicketById(transfer.orderId, transfer.ticketId);
+    const isExpired = transfer.status === 'pending' && new Date(transfer.expiresAt) <= new Date();
+    // The recipient's link keeps showing their ticket until they pass it on again
+    const isRecipientTicket = !isSender && transfer.status === 'accepted' && ticket?.ownerEmail === transfer.toEmail;
+
+    res.json({
+      success: true,
+      transfer: {
+        ...TicketTransfersController.toPublicTransfer(transfer),
+        status: isExpired ? 'expired' : transfer.status
+      },
+      ticket: ticket && {
+        ...toTransferTicket(ticket),
+        ...(isRecipientTicket && { status: ticket.status, qrCode: ticket.qrCode })
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve ticket transfer',
+      message: error.message
+    });
+  }
+});
+
+// ACCEPT - Recipient accepts the ticket; it is reissued to them with a new QR code
+router.post("/:transferId/accept", optionalAuth, async (req, res) => {
+  try {
+    const { transferId } = req.params;
+    const { token, name } = req.body;
+
+    const transfer = await TicketTransfersController.getTransferById(transferId);
+    if (!transfer || !TicketTransfersController.isTokenValid(transfer, token)) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    // A fresh payload (new issue time) replaces the holder's copy
+    const qrCode = signTicket({
+      ticketId: transfer.ticketId,
+      orderId: transfer.orderId,
+      performanceId: transfer.performanceId
+    });
+
+    // The ticket is tied to the caller's account only when they have verified the recipient's email;
+    // otherwise the emailed link alone holds it
+    const isVerifiedRecipient = !!req.user?.emailVerified && !!req.user.email &&
+      req.user.email.toLowerCase() === transfer.toEmail;
+
+    const result = await TicketTransfersController.acceptTransfer(transferId, {
+      recipient: { userId: isVerifiedRecipient ? req.user.uid : null, name: name ? String(name).trim() : null },
+      qrCode
+    });
+
+    if (!result.success) {
+      return res.status(result.reason === 'not_found' ? 404 : 409).json({
+        error: result.reason === 'not_found' ? 'Transfer not found' : result.reason
+      });
+    }
+
+    // The previous holder's wallet passes are voided
+    await refreshTicketPasses(transfer.orderId, [transfer.ticketId]);
+
+    await emitSellerEvent(transfer.sellerId, 'ticket.transferred', {
+      transfer: result.transfer,
+      ticket: {
+        ...toTransferTicket(result.ticket),
+        orderId: transfer.orderId,
+        status: result.ticket.status,
+        ownerName: result.ticket.ownerName || null
+      }
+    }, { idempotencyKey: `ticket.transferred:${transferId}` });
+
+    let emailSent = false;
+    try {
+      const order = await OrdersController.getOrderById(transfer.orderId);
+      const { performance, venue } = await getEventDetails(order || {});
+      await sendTicketEmail({
+        to: transfer.toEmail,
+        subject: "Your transferred ticket",
+        ticket: result.ticket,
+        order: { ...order, id: transfer.orderId },
+        performance,
+        venue,
+        qrContent: qrCode
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send transferred ticket email:', emailError.message);
+    }
+
+    res.json({
+      success: true,
+      transfer: result.transfer,
+      ticket: {
+        ...toTransferTicket(result.ticket),
+        orderId: transfer.orderId,
+        status: result.ticket.status,
+        ownerName: result.ticket.ownerName,
+        qrCode
+      },
+      emailSent,
+      message: 'Ticket transferred'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to accept ticket transfer',
+      message: error.message
+    });
+  }
+});
+
+// DECLINE - Recipient turns the transfer down; the holder keeps the ticket
+router.post("/:transferId/decline", async (req, res) => {
+  try {
+    const { transferId } = req.params;
+    const { token } = req.body;
+
+    const transfer = await TicketTransfersController.getTransferById(transferId);
+    if (!transfer || !TicketTransfersController.isTokenValid(transfer, token)) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    const result = await TicketTransfersController.closeTransfer(transferId, 'declined', transfer.toEmail);
+    if (!result.success) {
+      return res.status(409).json({ error: result.reason });
+    }
+
+    res.json({
+      success: true,
+      transfer: result.transfer,
+      message: 'Transfer declined'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to decline ticket transfer',
+      message: error.message
+    });
+  }
+});
+
+// CANCEL - Holder withdraws a pending transfer
+router.post("/:transferId/cancel", optionalAuth, async (req, res) => {
+  try {
+    const { transferId } = req.params;
+    const { viewToken } = req.body;
+
+    const transfer = await TicketTransfersController.getTransferById(transferId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    let isSender = !!req.user?.uid && transfer.fromUserId === req.user.uid;
+    if (!isSender && !transfer.fromUserId && viewToken) {
+      const order = await OrdersController.getOrderById(transfer.orderId);
+      isSender = !!order && hasValidViewToken(order, viewToken);
+    }
+    if (!isSender) {
+      return res.status(403).json({
+        error: "Only the sender can cancel this transfer"
+      });
+    }
+
+    const result = await TicketTransfersController.closeTransfer(transferId, 'cancelled', req.user?.uid || null);
+    if (!result.success) {
+      return res.status(409).json({ error: result.reason });
+    }
+
+    res.json({
+      success: true,
+      transfer: result.transfer,
+      message: 'Transfer cancelled'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to cancel ticket transfer',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
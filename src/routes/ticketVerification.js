@@ -0,0 +1,80 @@
+const express = require("express");
+const router = express.Router();
+const { TicketsController } = require("../controllers");
+const { getPublicKeys, verifyTicketQrCode } = require("../services/ticketSigning");
+const { isTicketToken } = require("../utils/ticketToken");
+
+// READ - Public keys for verifying ticket QR payloads offline
+router.get("/public-keys", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      algorithm: 'Ed25519',
+      keys: getPublicKeys()
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve ticket signing keys',
+      message: error.message
+    });
+  }
+});
+
+// VERIFY - Check a scanned QR payload's signature and look up the ticket
+router.post("/verify", async (req, res) => {
+  try {
+    const { qrCode } = req.body;
+
+    if (!qrCode || typeof qrCode !== 'string') {
+      return res.status(400).json({
+        error: "qrCode is required"
+      });
+    }
+
+    const result = verifyTicketQrCode(qrCode);
+    if (!result.valid) {
+      return res.status(400).json({
+        valid: false,
+        error: 'Invalid ticket QR code',
+        reason: result.reason
+      });
+    }
+
+    const ticket = await TicketsController.getTicketById(result.ticket.orderId, result.ticket.ticketId);
+    if (!ticket) {
+      return res.status(404).json({
+        valid: false,
+        error: 'Ticket not found'
+      });
+    }
+
+    // A reissued ticket carries a new payload, so older copies of its QR code no longer match.
+    // Tickets issued before signed payloads have no stored payload to compare against.
+    const isCurrentPayload = !isTicketToken(ticket.qrCode) || ticket.qrCode === qrCode;
+
+    res.json({
+      success: true,
+      valid: isCurrentPayload,
+      ...(!isCurrentPayload && { reason: 'superseded' }),
+      payload: result.ticket,
+      ticket: {
+        id: ticket.id,
+        orderId: result.ticket.orderId,
+        status: ticket.status,
+        section: ticket.section || null,
+        row: ticket.row || null,
+        seatNumber: ticket.seatNumber || null,
+        validatedAt: ticket.validatedAt || null
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to verify ticket',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
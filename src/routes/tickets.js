@@ -1,29 +1,62 @@
 const express = require("express");
 const router = express.Router();
-const { TicketsController, OrdersController } = require("../controllers");
+const { TicketsController, OrdersController, SeatInventoryController } = require("../controllers");
+const { signTicket } = require("../services/ticketSigning");
+const { refreshTicketPasses } = require("../services/walletPasses");
+const { emitSellerEvent } = require("../services/sellerWebhooks");
+const { authenticate, requireOrderSeller, requireOrderCheckIn, requireOrderAccess } = require("../middleware/policy");
 
 // Generate unique ID
 function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+// Return a ticket's seat to the performance inventory
+async function releaseTicketSeat(order, ticket) {
+  if (!order.productionId || !order.performanceId) return;
+  try {
+    await SeatInventoryController.releaseSeats(order.productionId, order.performanceId, [ticket], order.id);
+  } catch (inventoryError) {
+    console.error('Failed to release seat inventory:', inventoryError.message);
+  }
+}
+
 // VALIDATE - Validate and redeem a ticket
-router.post("/:orderId/tickets/:ticketId/validate", async (req, res) => {
+router.post("/:orderId/tickets/:ticketId/validate", authenticate, requireOrderCheckIn, async (req, res) => {
   try {
     const { orderId, ticketId } = req.params;
     const { validatedBy, validationLocation } = req.body;
 
-    // Validate the ticket
-    const validationResult = await TicketsController.validateTicket(orderId, ticketId);
-    
-    // Add validation metadata
-    const updateData = {
+    // Validate the ticket and record who checked it in and where
+    const validationResult = await TicketsController.validateTicket(orderId, ticketId, {
       validatedBy: validatedBy || 'system',
-      validationLocation: validationLocation || 'unknown',
-      validatedAt: new Date().toISOString()
-    };
-    
-    await TicketsController.updateTicket(orderId, ticketId, updateData);
+      validationLocation: validationLocation || 'unknown'
+    });
+
+    const ticket = validationResult.ticket;
+    await emitSellerEvent(req.authorized.sellerId, 'ticket.scanned', {
+      ticket: {
+        id: ticketId,
+        orderId,
+        status: ticket.status,
+        section: ticket.section || null,
+        row: ticket.row || null,
+        seatNumber: ticket.seatNumber || null,
+        priceCategory: ticket.priceCategory || null,
+        ownerName: ticket.ownerName || null,
+        reentryCount: ticket.reentryCount || 0
+      },
+      scan: {
+        id: null,
+        result: 'admitted',
+        performanceId: req.authorized.performanceId || null,
+        sessionId: null,
+        gate: validationLocation || null,
+        deviceName: null,
+        offline: false,
+        scannedAt: validationResult.validatedAt || new Date().toISOString()
+      }
+    });
 
     res.json({
       success: true,
@@ -40,6 +73,122 @@ router.post("/:orderId/tickets/:ticketId/validate", async (req, res) => {
   }
 });
 
+// CHECK OUT - Let a checked-in ticket holder leave and come back in
+router.post("/:orderId/tickets/:ticketId/check-out", authenticate, requireOrderCheckIn, async (req, res) => {
+  try {
+    const { orderId, ticketId } = req.params;
+    const { location } = req.body;
+
+    const order = req.authorized;
+
+    const outcome = await TicketsController.checkOutTicket(orderId, ticketId, {
+      gate: location || null,
+      performedBy: req.user.uid
+    });
+
+    if (outcome.result === 'not_found') {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (outcome.result !== 'checked_out') {
+      return res.status(409).json({
+        error: outcome.result === 'not_checked_in'
+          ? 'Ticket is not checked in'
+          : 'Ticket has no re-entries left',
+        result: outcome.result,
+        status: outcome.ticket.status
+      });
+    }
+
+    res.json({
+      success: true,
+      result: outcome.result,
+      reentriesRemaining: outcome.reentriesRemaining,
+      ticket: outcome.ticket
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to check out ticket',
+      message: error.message
+    });
+  }
+});
+
+// UNDO - Reverse the ticket's most recent check-in or check-out
+router.post("/:orderId/tickets/:ticketId/undo-check-in", authenticate, requireOrderCheckIn, async (req, res) => {
+  try {
+    const { orderId, ticketId } = req.params;
+    const { location } = req.body;
+
+    const order = req.authorized;
+
+    const outcome = await TicketsController.undoLastScan(orderId, ticketId, {
+      gate: location || null,
+      performedBy: req.user.uid
+    });
+
+    if (outcome.result === 'not_found') {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (outcome.result !== 'undone') {
+      return res.status(409).json({
+        error: outcome.result === 'nothing_to_undo'
+          ? 'Ticket has no scan to undo'
+          : 'Ticket status has changed since its last scan',
+        result: outcome.result,
+        status: outcome.ticket.status
+      });
+    }
+
+    res.json({
+      success: true,
+      result: outcome.result,
+      undone: outcome.undoneEntry,
+      ticket: outcome.ticket
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to undo check-in',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get a ticket's check-in history
+router.get("/:orderId/tickets/:ticketId/history", authenticate, requireOrderCheckIn, async (req, res) => {
+  try {
+    const { orderId, ticketId } = req.params;
+    const { limit, offset } = req.query;
+
+    const order = req.authorized;
+
+    const result = await TicketsController.getTicketHistory(orderId, ticketId, { limit, offset });
+
+    if (result.data) {
+      return res.json({
+        success: true,
+        history: result.data,
+        pagination: result.pagination
+      });
+    }
+
+    res.json({
+      success: true,
+      history: result,
+      count: result.length
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve ticket history',
+      message: error.message
+    });
+  }
+});
+
 // GET - Get ticket validation status
 router.get("/:orderId/tickets/:ticketId/status", async (req, res) => {
   try {
@@ -63,7 +212,10 @@ router.get("/:orderId/tickets/:ticketId/status", async (req, res) => {
         qrCodeGenerated: ticket.qrCodeGenerated || false,
         validatedAt: ticket.validatedAt,
         validatedBy: ticket.validatedBy,
-        validationLocation: ticket.validationLocation
+        validationLocation: ticket.validationLocation,
+        lastCheckedInAt: ticket.lastCheckedInAt || null,
+        checkedOutAt: ticket.checkedOutAt || null,
+        reentryCount: ticket.reentryCount || 0
       }
     });
 
@@ -77,7 +229,7 @@ router.get("/:orderId/tickets/:ticketId/status", async (req, res) => {
 });
 
 // CREATE - Create a new ticket for an order
-router.post("/:orderId/tickets", async (req, res) => {
+router.post("/:orderId/tickets", authenticate, requireOrderSeller, async (req, res) => {
   try {
     const { orderId } = req.params;
     const {
@@ -111,16 +263,25 @@ router.post("/:orderId/tickets", async (req, res) => {
       });
     }
 
+    // Claim the seat in the performance inventory
+    if (order.productionId && order.performanceId && ['valid', 'used'].includes(status)) {
+      const { conflicts } = await SeatInventoryController.markSeatsSold(
+        order.productionId,
+        order.performanceId,
+        [{ seatId, section, row, seatNumber }],
+        orderId
+      );
+      if (conflicts.length > 0) {
+        return res.status(409).json({ 
+          error: 'Seat is no longer available',
+          unavailableSeats: conflicts
+        });
+      }
+    }
+
     const ticketId = generateId();
     const now = new Date().toISOString();
 
-    // Generate order URL for QR code using order's viewToken and baseUrl
-    const orderBaseUrl = order?.baseUrl || process.env.APP_BASE_URL || "https://www.stagepasspro.com";
-    const viewToken = order?.viewToken || "";
-    const orderUrl = viewToken 
-      ? `${orderBaseUrl}/orders/${orderId}?token=${encodeURIComponent(viewToken)}`
-      : `${orderBaseUrl}/orders/${orderId}`;
-
     const ticket = {
       id: ticketId,
       seatId,
@@ -129,7 +290,7 @@ router.post("/:orderId/tickets", async (req, res) => {
       seatNumber,
       price: parseInt(price),
       status,
-      qrCode: orderUrl, // Store actual order URL with token for QR code
+      qrCode: signTicket({ ticketId, orderId, performanceId: order.performanceId }), // Signed per-ticket QR payload
       createdAt: now
     };
 
@@ -149,7 +310,7 @@ router.post("/:orderId/tickets", async (req, res) => {
 });
 
 // READ - Get all tickets for an order
-router.get("/:orderId/tickets", async (req, res) => {
+router.get("/:orderId/tickets", authenticate, requireOrderAccess, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { 
@@ -195,7 +356,7 @@ router.get("/:orderId/tickets", async (req, res) => {
 });
 
 // READ - Get ticket by ID
-router.get("/:orderId/tickets/:ticketId", async (req, res) => {
+router.get("/:orderId/tickets/:ticketId", authenticate, requireOrderAccess, async (req, res) => {
   try {
     const { orderId, ticketId } = req.params;
     
@@ -229,7 +390,7 @@ router.get("/:orderId/tickets/:ticketId", async (req, res) => {
 });
 
 // UPDATE - Update ticket by ID
-router.put("/:orderId/tickets/:ticketId", async (req, res) => {
+router.put("/:orderId/tickets/:ticketId", authenticate, requireOrderSeller, async (req, res) => {
   try {
     const { orderId, ticketId } = req.params;
     const {
@@ -277,6 +438,16 @@ router.put("/:orderId/tickets/:ticketId", async (req, res) => {
 
     const result = await TicketsController.upsertTicket(orderId, updatedTicket);
 
+    // Cancelled or refunded tickets give their seat back to the inventory
+    if (['canceled', 'refunded'].includes(updatedTicket.status) && !['canceled', 'refunded'].includes(existingTicket.status)) {
+      await releaseTicketSeat(order, existingTicket);
+    }
+
+    // Wallet passes show the new status
+    if (updatedTicket.status !== existingTicket.status) {
+      await refreshTicketPasses(orderId, [ticketId]);
+    }
+
     res.json({
       success: true,
       ticket: result
@@ -291,7 +462,7 @@ router.put("/:orderId/tickets/:ticketId", async (req, res) => {
 });
 
 // PATCH - Partially update ticket by ID
-router.patch("/:orderId/tickets/:ticketId", async (req, res) => {
+router.patch("/:orderId/tickets/:ticketId", authenticate, requireOrderSeller, async (req, res) => {
   try {
     const { orderId, ticketId } = req.params;
     const updates = req.body;
@@ -336,6 +507,16 @@ router.patch("/:orderId/tickets/:ticketId", async (req, res) => {
 
     const result = await TicketsController.upsertTicket(orderId, updatedTicket);
 
+    // Cancelled or refunded tickets give their seat back to the inventory
+    if (['canceled', 'refunded'].includes(updatedTicket.status) && !['canceled', 'refunded'].includes(existingTicket.status)) {
+      await releaseTicketSeat(order, existingTicket);
+    }
+
+    // Wallet passes show the new status
+    if (updatedTicket.status !== existingTicket.status) {
+      await refreshTicketPasses(orderId, [ticketId]);
+    }
+
     res.json({
       success: true,
       ticket: result
@@ -350,7 +531,7 @@ router.patch("/:orderId/tickets/:ticketId", async (req, res) => {
 });
 
 // DELETE - Delete ticket by ID
-router.delete("/:orderId/tickets/:ticketId", async (req, res) => {
+router.delete("/:orderId/tickets/:ticketId", authenticate, requireOrderSeller, async (req, res) => {
   try {
     const { orderId, ticketId } = req.params;
     
@@ -371,6 +552,7 @@ router.delete("/:orderId/tickets/:ticketId", async (req, res) => {
     }
 
     await TicketsController.deleteTicket(orderId, ticketId);
+    await releaseTicketSeat(order, existingTicket);
 
     res.json({
       success: true,
@@ -1,5 +1,6 @@
 const express = require('express');
 const { uploadPhoto, getPhotoUrl } = require('../utils/uploadPhoto');
+const { authenticate, canActAs, forbidden } = require('../middleware/policy');
 
 const router = express.Router();
 
@@ -69,8 +70,11 @@ router.get('/', async (req, res) => {
 // - Venue image: { fileName, uid, uri, category: 'venue_images', relatedEntityId: venueId }
 // - Seatmap image: { fileName, uid, uri, category: 'seatmap_images', relatedEntityId: venueId }
 // - Settings/Avatar: { fileName, uid, uri, category: 'settings_images' }
-router.post('/', async (req, res) => {
+router.post('/', authenticate, async (req, res) => {
   try {
+    if (!canActAs(req, req.body?.uid)) {
+      return forbidden(res, 'You can only upload photos to your own storage');
+    }
     const downloadURL = await uploadPhoto(req.body);
     console.log('Photo uploaded successfully:', downloadURL);
     res.json(downloadURL);
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const { UsersController } = require("../controllers");
 const { sendGreetingEmail } = require("../services/email");
+const { validateFeeRules } = require("../services/fees");
+const { authenticate, isAdmin, forbidden, requireAdminRole, requireSelf } = require("../middleware/policy");
 
 // Generate unique ID
 function generateId() {
@@ -9,7 +11,7 @@ function generateId() {
 }
 
 // CREATE - Create a new user
-router.post("/", async (req, res) => {
+router.post("/", authenticate, requireAdminRole, async (req, res) => {
   try {
     const {
       displayName,
@@ -71,7 +73,7 @@ router.post("/", async (req, res) => {
 });
 
 // EMAIL - Send welcome email (frontend-triggered)
-router.post("/send-welcome", async (req, res) => {
+router.post("/send-welcome", authenticate, async (req, res) => {
   try {
     const { to, name, role = 'customer', subject } = req.body || {};
 
@@ -81,6 +83,10 @@ router.post("/send-welcome", async (req, res) => {
       });
     }
 
+    if (!isAdmin(req) && to !== req.user.email) {
+      return forbidden(res, "You can only send the welcome email to yourself");
+    }
+
     // role validation to keep parity with allowed roles
     if (role && !['customer', 'seller', 'admin'].includes(role)) {
       return res.status(400).json({
@@ -102,7 +108,7 @@ router.post("/send-welcome", async (req, res) => {
 });
 
 // READ - Get all users
-router.get("/", async (req, res) => {
+router.get("/", authenticate, requireAdminRole, async (req, res) => {
   try {
     const { role, limit = 100, offset = 0 } = req.query;
 
@@ -138,7 +144,7 @@ router.get("/", async (req, res) => {
 });
 
 // READ - Get user by ID
-router.get("/:userId", async (req, res) => {
+router.get("/:userId", authenticate, requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -164,7 +170,7 @@ router.get("/:userId", async (req, res) => {
 });
 
 // UPDATE - Update user by ID
-router.put("/:userId", async (req, res) => {
+router.put("/:userId", authenticate, requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     const {
@@ -176,7 +182,8 @@ router.put("/:userId", async (req, res) => {
       address,
       city,
       state,
-      zipCode
+      zipCode,
+      feeRules
     } = req.body;
 
     // Check if user exists
@@ -194,6 +201,18 @@ router.put("/:userId", async (req, res) => {
       });
     }
 
+    if (role === 'admin' && !isAdmin(req)) {
+      return forbidden(res, "Only admins can grant the admin role");
+    }
+
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({
+        error: feeRulesError
+      });
+    }
+
     // Update only provided fields
     const updatedUser = {
       ...existingUser,
@@ -206,6 +225,7 @@ router.put("/:userId", async (req, res) => {
       ...(city !== undefined && { city }),
       ...(state !== undefined && { state }),
       ...(zipCode !== undefined && { zipCode }),
+      ...(feeRules !== undefined && { feeRules }),
       updatedAt: new Date().toISOString()
     };
 
@@ -225,7 +245,7 @@ router.put("/:userId", async (req, res) => {
 });
 
 // PATCH - Partially update user by ID
-router.patch("/:userId", async (req, res) => {
+router.patch("/:userId", authenticate, requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     const updates = req.body;
@@ -245,9 +265,22 @@ router.patch("/:userId", async (req, res) => {
       });
     }
 
-    // Remove undefined values and add updatedAt
+    if (updates.role === 'admin' && !isAdmin(req)) {
+      return forbidden(res, "Only admins can grant the admin role");
+    }
+
+    // Validate fee rules if provided
+    const feeRulesError = validateFeeRules(updates.feeRules);
+    if (feeRulesError) {
+      return res.status(400).json({
+        error: feeRulesError
+      });
+    }
+
+    // Remove undefined values and add updatedAt. Organisation roles only change through the
+    // organisation's member and invitation routes.
     const cleanUpdates = Object.fromEntries(
-      Object.entries(updates).filter(([_, value]) => value !== undefined)
+      Object.entries(updates).filter(([key, value]) => value !== undefined && key !== 'organizationRoles')
     );
     cleanUpdates.updatedAt = new Date().toISOString();
 
@@ -272,7 +305,7 @@ router.patch("/:userId", async (req, res) => {
 });
 
 // DELETE - Delete user by ID
-router.delete("/:userId", async (req, res) => {
+router.delete("/:userId", authenticate, requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
 
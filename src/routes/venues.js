@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const { VenuesController } = require("../controllers");
 const { uploadPhoto } = require("../utils/uploadPhoto");
+const { authenticate, requireSellerPermission, requireVenueOwner } = require("../middleware/policy");
 
 // Generate unique ID
 function generateId() {
@@ -9,7 +10,7 @@ function generateId() {
 }
 
 // CREATE - Create a new venue
-router.post("/", async (req, res) => {
+router.post("/", authenticate, requireSellerPermission('venues:write'), async (req, res) => {
   try {
     const {
       name,
@@ -189,7 +190,7 @@ router.get("/seller/:sellerId", async (req, res) => {
 });
 
 // UPDATE - Update venue by ID
-router.put("/:venueId", async (req, res) => {
+router.put("/:venueId", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId } = req.params;
     const {
@@ -257,7 +258,7 @@ router.put("/:venueId", async (req, res) => {
 });
 
 // PATCH - Partially update venue by ID
-router.patch("/:venueId", async (req, res) => {
+router.patch("/:venueId", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId } = req.params;
     const updates = req.body;
@@ -301,7 +302,7 @@ router.patch("/:venueId", async (req, res) => {
 // UPLOAD - Upload venue image (supports URI)
 // Note: For file uploads, use Content-Type: application/json and send uri as data URI or URL
 // For direct file uploads, use the /api/uploadPhoto endpoint instead
-router.post("/:venueId/image", async (req, res) => {
+router.post("/:venueId/image", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId } = req.params;
     const { uri, fileName, sellerId } = req.body;
@@ -365,7 +366,7 @@ router.post("/:venueId/image", async (req, res) => {
 });
 
 // DELETE - Delete venue by ID
-router.delete("/:venueId", async (req, res) => {
+router.delete("/:venueId", authenticate, requireVenueOwner, async (req, res) => {
   try {
     const { venueId } = req.params;
     
@@ -0,0 +1,213 @@
+const express = require("express");
+const router = express.Router();
+const { OrdersController, TicketsController, WalletRegistrationsController } = require("../controllers");
+const { optionalAuth } = require("../middleware/auth");
+const { isTicketHolder } = require("../middleware/policy");
+const {
+  getAppleConfig,
+  parseSerialNumber,
+  isPassAuthenticationTokenValid,
+  createApplePass,
+  getApplePassBySerialNumber,
+  createGoogleSaveUrl
+} = require("../services/walletPasses");
+
+// Ticket statuses a wallet pass can be issued for
+const PASSABLE_STATUSES = ['valid', 'used', 'checked_out'];
+
+// Load the order and ticket for a pass download. Sends the error response and returns null when
+// the caller may not have a pass for it.
+async function getPassTicket(req, res) {
+  const { orderId, ticketId } = req.params;
+  const order = await OrdersController.getOrderById(orderId);
+  const ticket = order ? await TicketsController.getTicketById(orderId, ticketId) : null;
+  if (!order || !ticket) {
+    res.status(404).json({ error: 'Ticket not found' });
+    return null;
+  }
+  if (!isTicketHolder(req, order, ticket, req.query.token)) {
+    res.status(403).json({ error: 'Not authorized to access this ticket' });
+    return null;
+  }
+  if (!PASSABLE_STATUSES.includes(ticket.status || 'valid')) {
+    res.status(409).json({ error: `Ticket is ${ticket.status}` });
+    return null;
+  }
+  return { order, ticket };
+}
+
+// Wallet web service requests carry "Authorization: ApplePass <authenticationToken>"
+function hasApplePassAuth(req, serialNumber) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'ApplePass' && isPassAuthenticationTokenValid(serialNumber, token);
+}
+
+function isKnownPassType(passTypeIdentifier) {
+  return passTypeIdentifier === getAppleConfig().passTypeIdentifier;
+}
+
+function sendPkpass(res, { buffer, serialNumber }, lastModified = null) {
+  res.set({
+    'Content-Type': 'application/vnd.apple.pkpass',
+    'Content-Disposition': `attachment; filename="ticket-${serialNumber}.pkpass"`
+  });
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  res.send(buffer);
+}
+
+// When a ticket last changed, for Wallet's If-Modified-Since checks
+function getTicketLastModified(ticket) {
+  const value = ticket.updatedAt || ticket.createdAt;
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  // HTTP dates have second precision
+  return new Date(Math.floor(date.getTime() / 1000) * 1000);
+}
+
+// READ - Download a ticket as an Apple Wallet pass (.pkpass)
+router.get("/orders/:orderId/tickets/:ticketId/apple", optionalAuth, async (req, res) => {
+  try {
+    const found = await getPassTicket(req, res);
+    if (!found) return;
+
+    const pass = await createApplePass(found.order, found.ticket);
+    sendPkpass(res, pass, getTicketLastModified(found.ticket));
+  } catch (error) {
+    console.error('Error creating Apple Wallet pass:', error);
+    res.status(500).json({ error: 'Failed to create Apple Wallet pass', message: error.message });
+  }
+});
+
+// READ - "Save to Google Wallet" link for a ticket (?redirect=true sends the browser straight there)
+router.get("/orders/:orderId/tickets/:ticketId/google", optionalAuth, async (req, res) => {
+  try {
+    const found = await getPassTicket(req, res);
+    if (!found) return;
+
+    const { saveUrl, objectId } = await createGoogleSaveUrl(found.order, found.ticket);
+    if (req.query.redirect === 'true') {
+      return res.redirect(saveUrl);
+    }
+    res.json({ success: true, saveUrl, objectId });
+  } catch (error) {
+    console.error('Error creating Google Wallet pass:', error);
+    res.status(500).json({ error: 'Failed to create Google Wallet pass', message: error.message });
+  }
+});
+
+// Apple Wallet web service (webServiceURL = {API_BASE_URL}/api/wallet/apple)
+
+// CREATE - Register a device to receive update pushes for a pass
+router.post("/apple/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber", async (req, res) => {
+  try {
+    const { deviceLibraryIdentifier, passTypeIdentifier, serialNumber } = req.params;
+    if (!isKnownPassType(passTypeIdentifier)) {
+      return res.sendStatus(404);
+    }
+    if (!hasApplePassAuth(req, serialNumber)) {
+      return res.sendStatus(401);
+    }
+    const pushToken = req.body?.pushToken;
+    if (!pushToken) {
+      return res.status(400).json({ error: 'pushToken is required' });
+    }
+
+    const { orderId, ticketId } = parseSerialNumber(serialNumber);
+    const { created } = await WalletRegistrationsController.registerDevice({
+      deviceLibraryIdentifier,
+      passTypeIdentifier,
+      serialNumber,
+      pushToken,
+      orderId,
+      ticketId
+    });
+    res.sendStatus(created ? 201 : 200);
+  } catch (error) {
+    console.error('Error registering wallet device:', error);
+    res.status(500).json({ error: 'Failed to register device', message: error.message });
+  }
+});
+
+// READ - Serial numbers of passes on a device that changed since passesUpdatedSince
+router.get("/apple/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier", async (req, res) => {
+  try {
+    const { deviceLibraryIdentifier, passTypeIdentifier } = req.params;
+    if (!isKnownPassType(passTypeIdentifier)) {
+      return res.sendStatus(404);
+    }
+
+    const { serialNumbers, lastUpdated } = await WalletRegistrationsController.getUpdatedSerialNumbers(
+      deviceLibraryIdentifier,
+      passTypeIdentifier,
+      req.query.passesUpdatedSince || null
+    );
+    if (serialNumbers.length === 0) {
+      return res.sendStatus(204);
+    }
+    res.json({ serialNumbers, lastUpdated });
+  } catch (error) {
+    console.error('Error fetching updated wallet passes:', error);
+    res.status(500).json({ error: 'Failed to fetch updated passes', message: error.message });
+  }
+});
+
+// DELETE - Stop sending updates for a pass to a device
+router.delete("/apple/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber", async (req, res) => {
+  try {
+    const { deviceLibraryIdentifier, passTypeIdentifier, serialNumber } = req.params;
+    if (!isKnownPassType(passTypeIdentifier)) {
+      return res.sendStatus(404);
+    }
+    if (!hasApplePassAuth(req, serialNumber)) {
+      return res.sendStatus(401);
+    }
+
+    await WalletRegistrationsController.unregisterDevice(deviceLibraryIdentifier, passTypeIdentifier, serialNumber);
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error unregistering wallet device:', error);
+    res.status(500).json({ error: 'Failed to unregister device', message: error.message });
+  }
+});
+
+// READ - Latest version of a pass
+router.get("/apple/v1/passes/:passTypeIdentifier/:serialNumber", async (req, res) => {
+  try {
+    const { passTypeIdentifier, serialNumber } = req.params;
+    if (!isKnownPassType(passTypeIdentifier)) {
+      return res.sendStatus(404);
+    }
+    if (!hasApplePassAuth(req, serialNumber)) {
+      return res.sendStatus(401);
+    }
+
+    const pass = await getApplePassBySerialNumber(serialNumber);
+    if (!pass) {
+      return res.sendStatus(404);
+    }
+
+    const lastModified = getTicketLastModified(pass.ticket);
+    const ifModifiedSince = req.get('If-Modified-Since');
+    if (lastModified && ifModifiedSince && new Date(ifModifiedSince) >= lastModified) {
+      return res.sendStatus(304);
+    }
+
+    sendPkpass(res, pass, lastModified);
+  } catch (error) {
+    console.error('Error fetching wallet pass:', error);
+    res.status(500).json({ error: 'Failed to fetch pass', message: error.message });
+  }
+});
+
+// CREATE - Error messages logged by Wallet on devices
+router.post("/apple/v1/log", async (req, res) => {
+  const logs = Array.isArray(req.body?.logs) ? req.body.logs : [];
+  logs.slice(0, 20).forEach(message => console.warn('Apple Wallet log:', String(message).slice(0, 500)));
+  res.sendStatus(200);
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require("express");
+const router = express.Router();
+const { WebhookEndpointsController, WebhookDeliveriesController, UsersController } = require("../controllers");
+const {
+  authenticate,
+  actingSellerId,
+  hasPermission,
+  forbidden,
+  requireSellerPermission,
+  requireResource
+} = require("../middleware/policy");
+const { SELLER_WEBHOOK_EVENTS, checkEndpointUrl, redeliver } = require("../services/sellerWebhooks");
+
+const ENDPOINT_STATUSES = ['active', 'disabled'];
+
+// Seller webhook endpoints need the webhooks:manage permission in the seller's organisation
+router.use(authenticate);
+
+const requireEndpointManager = requireResource({
+  name: "Webhook endpoint",
+  load: req => WebhookEndpointsController.getEndpointById(req.params.endpointId),
+  permission: "webhooks:manage",
+  message: "You can only manage your own webhook endpoints"
+});
+
+// Validate endpoint fields. Returns an error message, or null when valid.
+async function validateEndpointFields({ url, events, description, status }, { partial = false } = {}) {
+  if (url !== undefined || !partial) {
+    const urlError = await checkEndpointUrl(url);
+    if (urlError) return urlError;
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(type => type !== '*' && !SELLER_WEBHOOK_EVENTS.includes(type));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}. Valid events: ${SELLER_WEBHOOK_EVENTS.join(', ')} or '*'`;
+    }
+  }
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > 500)) {
+    return 'description must be a string of at most 500 characters';
+  }
+  if (status !== undefined && !ENDPOINT_STATUSES.includes(status)) {
+    return `status must be one of: ${ENDPOINT_STATUSES.map(s => `'${s}'`).join(', ')}`;
+  }
+  return null;
+}
+
+// CREATE - Register an endpoint for a seller (the caller's own unless sellerId names another they manage).
+// The signing secret is only returned in this response.
+router.post("/", requireSellerPermission('webhooks:manage'), async (req, res) => {
+  try {
+    const sellerId = req.body.sellerId || actingSellerId(req);
+    const { url, events = ['*'], description = null } = req.body;
+
+    const validationError = await validateEndpointFields({ url, events, description });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const seller = await UsersController.getUserById(sellerId);
+    if (!seller || seller.role !== 'seller') {
+      return res.status(400).json({
+        error: "Webhook endpoints can only be registered for seller accounts"
+      });
+    }
+
+    const { endpoint, secret } = await WebhookEndpointsController.createEndpoint({
+      sellerId,
+      url,
+      events: [...new Set(events)],
+      description,
+      createdBy: req.user.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      endpoint,
+      secret
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create webhook endpoint',
+      message: error.message
+    });
+  }
+});
+
+// READ - Event types endpoints can subscribe to
+router.get("/events", (req, res) => {
+  res.json({
+    success: true,
+    events: SELLER_WEBHOOK_EVENTS
+  });
+});
+
+// READ - A seller's endpoints (the caller's own unless sellerId names another they manage)
+router.get("/", async (req, res) => {
+  try {
+    const { status, sellerId = actingSellerId(req) } = req.query;
+
+    if (!hasPermission(req, sellerId, 'webhooks:manage')) {
+      return forbidden(res, 'You can only view your own webhook endpoints');
+    }
+
+    const endpoints = await WebhookEndpointsController.getEndpointsBySellerId(sellerId, { status });
+
+    res.json({
+      success: true,
+      endpoints
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve webhook endpoints',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get an endpoint
+router.get("/:endpointId", requireEndpointManager, (req, res) => {
+  res.json({
+    success: true,
+    endpoint: WebhookEndpointsController.toPublicEndpoint(req.authorized)
+  });
+});
+
+// UPDATE - Change an endpoint's url, events, description or status ('disabled' pauses deliveries)
+router.patch("/:endpointId", requireEndpointManager, async (req, res) => {
+  try {
+    const { endpointId } = req.params;
+    const { url, events, description, status } = req.body;
+
+    const validationError = await validateEndpointFields({ url, events, description, status }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = Object.fromEntries(
+      Object.entries({ url, events: events && [...new Set(events)], description, status })
+        .filter(([_, value]) => value !== undefined)
+    );
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: "Provide url, events, description or status to update"
+      });
+    }
+
+    await WebhookEndpointsController.updateEndpoint(endpointId, updates);
+    const endpoint = await WebhookEndpointsController.getEndpointById(endpointId);
+
+    res.json({
+      success: true,
+      endpoint: WebhookEndpointsController.toPublicEndpoint(endpoint)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update webhook endpoint',
+      message: error.message
+    });
+  }
+});
+
+// UPDATE - Replace an endpoint's signing secret. The new secret is only returned here.
+router.post("/:endpointId/rotate-secret", requireEndpointManager, async (req, res) => {
+  try {
+    const secret = await WebhookEndpointsController.rotateSecret(req.params.endpointId);
+
+    res.json({
+      success: true,
+      secret
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to rotate webhook endpoint secret',
+      message: error.message
+    });
+  }
+});
+
+// DELETE - Delete an endpoint. Queued retries stop; the delivery log is kept.
+router.delete("/:endpointId", requireEndpointManager, async (req, res) => {
+  try {
+    await WebhookEndpointsController.deleteEndpoint(req.params.endpointId);
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete webhook endpoint',
+      message: error.message
+    });
+  }
+});
+
+// READ - Delivery log for an endpoint, most recent first
+router.get("/:endpointId/deliveries", requireEndpointManager, async (req, res) => {
+  try {
+    const { status, eventType, limit = 100, offset = 0 } = req.query;
+
+    const result = await WebhookDeliveriesController.getDeliveriesByEndpointId(
+      req.params.endpointId,
+      { status, eventType },
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.json({
+      success: true,
+      deliveries: result.data || result,
+      ...(result.pagination && { pagination: result.pagination })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve webhook deliveries',
+      message: error.message
+    });
+  }
+});
+
+// Load a delivery of the route's endpoint. Sends a 404 and returns null when it doesn't exist.
+async function getDelivery(req, res) {
+  const delivery = await WebhookDeliveriesController.getDeliveryById(req.params.deliveryId);
+  if (!delivery || delivery.endpointId !== req.params.endpointId) {
+    res.status(404).json({ error: 'Webhook delivery not found' });
+    return null;
+  }
+  return delivery;
+}
+
+// READ - Get a delivery with its payload and attempts
+router.get("/:endpointId/deliveries/:deliveryId", requireEndpointManager, async (req, res) => {
+  try {
+    const delivery = await getDelivery(req, res);
+    if (!delivery) return;
+
+    res.json({
+      success: true,
+      delivery: { ...delivery, payload: JSON.parse(delivery.payload) }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve webhook delivery',
+      message: error.message
+    });
+  }
+});
+
+// REDELIVER - Send a delivery again now, even if it already succeeded
+router.post("/:endpointId/deliveries/:deliveryId/redeliver", requireEndpointManager, async (req, res) => {
+  try {
+    const delivery = await getDelivery(req, res);
+    if (!delivery) return;
+
+    if (req.authorized.status !== 'active') {
+      return res.status(409).json({
+        error: 'Enable the endpoint before redelivering'
+      });
+    }
+
+    const result = await redeliver(delivery.id);
+    if (result.skipped) {
+      return res.status(409).json({
+        error: 'Webhook delivery is already in progress'
+      });
+    }
+
+    res.json({
+      success: result.delivered,
+      deliveryId: delivery.id,
+      ...result
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to redeliver webhook',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require("express");
+const router = express.Router();
+const { WebhookEventsController } = require("../controllers");
+const { verifyFirebaseIdToken, requireAdmin } = require("../middleware/auth");
+const { replayEvent } = require("../services/webhookQueue");
+
+// Admin only
+router.use(verifyFirebaseIdToken, requireAdmin);
+
+// READ - Get failed webhook events
+router.get("/failed", async (req, res) => {
+  try {
+    const { type, limit = 100, offset = 0 } = req.query;
+
+    const result = await WebhookEventsController.getFailedEvents(
+      { type },
+      { limit: parseInt(limit), offset: parseInt(offset) }
+    );
+
+    res.json({
+      success: true,
+      events: result.data || result,
+      ...(result.pagination && { pagination: result.pagination })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve failed webhook events',
+      message: error.message
+    });
+  }
+});
+
+// READ - Get webhook event by ID
+router.get("/:eventId", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await WebhookEventsController.getEventById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event: { ...event, payload: JSON.parse(event.payload) }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve webhook event',
+      message: error.message
+    });
+  }
+});
+
+// REPLAY - Process a stored webhook event again
+router.post("/:eventId/replay", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await WebhookEventsController.getEventById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Webhook event not found'
+      });
+    }
+
+    const result = await replayEvent(eventId);
+    if (result.skipped) {
+      return res.status(409).json({
+        error: 'Webhook event is already being processed'
+      });
+    }
+
+    res.json({
+      success: result.processed,
+      eventId,
+      ...result
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to replay webhook event',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
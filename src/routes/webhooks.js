@@ -1,12 +1,67 @@
 const express = require("express");
 const router = express.Router();
 const Stripe = require("stripe");
-const { OrdersController, SubscriptionsController, TicketsController, UsersController, PerformancesController, VenuesController, SeatmapsController } = require("../controllers");
+const { OrdersController, SubscriptionsController, TicketsController, UsersController, PerformancesController, ProductionsController, VenuesController, SeatHoldsController, SeatInventoryController, PromoCodesController } = require("../controllers");
 const { sendReceiptEmail, sendTicketEmail, sendTicketsEmail } = require("../services/email");
+const { handleChargeRefunded } = require("../services/refunds");
+const { handleDisputeCreated, handleDisputeUpdated, handleDisputeClosed } = require("../services/disputes");
+const { setWebhookProcessor, recordIncomingEvent, processStoredEvent } = require("../services/webhookQueue");
+const { signTicket } = require("../services/ticketSigning");
+const { issueViewToken } = require("../utils/viewTokens");
+const { handleExchangePaymentSucceeded, handleExchangePaymentFailed } = require("../services/exchanges");
+const { emitSellerEvent, toEventOrder } = require("../services/sellerWebhooks");
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2024-06-20",
 });
 
+/**
+ * Signing secrets accepted for incoming webhooks.
+ * Platform and Connect endpoints have different secrets, and during rotation
+ * the old and new secret are both valid, so every configured secret is tried.
+ */
+function getWebhookSecrets() {
+  const secrets = [
+    ...(process.env.STRIPE_WEBHOOK_SECRETS || '').split(','),
+    process.env.STRIPE_WEBHOOK_SECRET,
+    process.env.STRIPE_CONNECT_WEBHOOK_SECRET
+  ]
+    .map(secret => (secret || '').trim())
+    .filter(Boolean);
+  return [...new Set(secrets)];
+}
+
+/**
+ * Verify the Stripe signature against each configured secret
+ */
+function constructVerifiedEvent(rawBody, sig) {
+  const secrets = getWebhookSecrets();
+  if (secrets.length === 0) {
+    throw new Error("No webhook signing secret configured. Set STRIPE_WEBHOOK_SECRET (or STRIPE_WEBHOOK_SECRETS for several). When using 'stripe listen', copy the webhook signing secret (whsec_...)");
+  }
+
+  if (!sig) {
+    throw new Error("No Stripe signature header present");
+  }
+
+  let lastError = null;
+  for (const secret of secrets) {
+    try {
+      return stripe.webhooks.constructEvent(rawBody, sig, secret);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Unsigned events are accepted only when STRIPE_WEBHOOK_ALLOW_UNSIGNED=true
+ * and never in production
+ */
+function allowUnsignedWebhooks() {
+  return process.env.STRIPE_WEBHOOK_ALLOW_UNSIGNED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
 /**
  * Helper function to resolve userId from stripeCustomerId
  * First checks customer metadata, then queries users collection
@@ -49,27 +104,49 @@ async function backfillStripeCustomerId(userId, stripeCustomerId) {
 }
 
 /**
- * Generate secure view token for public order access
+ * Issue the tickets of an order created unpaid through POST /api/orders: pending tickets become
+ * valid with a signed QR code. Safe to repeat; tickets already issued are left alone.
+ * Returns the number of tickets issued.
  */
-function generateViewToken() {
-  const crypto = require("crypto");
-  return crypto.randomBytes(32).toString('base64url');
+async function issuePendingTickets(order) {
+  const tickets = await TicketsController.getAllTickets(order.id);
+  const pending = tickets.filter(ticket => ticket.status === 'pending');
+  for (const ticket of pending) {
+    await TicketsController.updateTicket(order.id, ticket.id, {
+      status: 'valid',
+      qrCode: signTicket({ ticketId: ticket.id, orderId: order.id, performanceId: order.performanceId })
+    });
+  }
+  return pending.length;
 }
 
 /**
- * Calculate token expiration (2 years from now)
+ * Parse fee or tax line items stored as JSON in PaymentIntent metadata
  */
-function calculateTokenExpiration() {
-  const twoYearsFromNow = new Date();
-  twoYearsFromNow.setFullYear(twoYearsFromNow.getFullYear() + 2);
-  return twoYearsFromNow.toISOString();
+function parseLineItems(items) {
+  if (!items) return [];
+  try {
+    const parsed = typeof items === 'string' ? JSON.parse(items) : items;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (parseError) {
+    return [];
+  }
 }
 
 /**
- * Create an order from PaymentIntent metadata when orderId is missing
+ * Create an order from PaymentIntent metadata when orderId is missing.
+ *
+ * Idempotent per PaymentIntent: a retried event replays the original payload, whose metadata never
+ * gains the orderId, so the order and ticket IDs are derived from the PaymentIntent ID and the order
+ * document is written last. A retry after a partial run rewrites the same tickets; a retry after a
+ * complete run returns the existing order.
  */
 async function createOrderFromPaymentIntent(pi, getStripeOptions) {
   try {
+    const existingOrder = await OrdersController.getOrderByPaymentIntentId(pi.id);
+    if (existingOrder) {
+      return existingOrder;
+    }
 
     // Extract order data from PaymentIntent metadata
     const metadata = pi.metadata || {};
@@ -92,11 +169,10 @@ async function createOrderFromPaymentIntent(pi, getStripeOptions) {
       throw new Error(`Cannot create order: missing required fields in PaymentIntent metadata: ${missingFields.join(', ')}`);
     }
 
-    // Generate order ID and view token
+    // Derive the order ID from the PaymentIntent and generate the view token
     const crypto = require("crypto");
-    const orderId = crypto.randomBytes(16).toString('hex');
-    const viewToken = generateViewToken();
-    const viewTokenExpiresAt = calculateTokenExpiration();
+    const orderId = crypto.createHash('sha256').update(pi.id).digest('hex').slice(0, 32);
+    const { viewToken, viewTokenExpiresAt } = issueViewToken();
     const baseUrl = metadata.baseUrl || process.env.APP_BASE_URL || 'https://www.stagepasspro.com';
     const now = new Date().toISOString();
 
@@ -118,6 +194,7 @@ async function createOrderFromPaymentIntent(pi, getStripeOptions) {
     const order = {
       id: orderId,
       userId: sellerId, // For backward compatibility
+      buyerId: metadata.buyerId || null, // The signed-in customer who paid
       sellerId,
       productionId,
       performanceId,
@@ -140,13 +217,44 @@ async function createOrderFromPaymentIntent(pi, getStripeOptions) {
       performanceTime: metadata.performanceTime || null,
       // Add PaymentIntent ID for reference
       stripePaymentIntentId: pi.id,
+      holdId: metadata.holdId || null,
+      // Promo code applied when the PaymentIntent was created
+      subtotalAmount: metadata.subtotalAmount ? parseInt(metadata.subtotalAmount) : parseInt(totalAmount),
+      discountAmount: metadata.discountAmount ? parseInt(metadata.discountAmount) : 0,
+      promoCodeId: metadata.promoCodeId || null,
+      promoCode: metadata.promoCode || null,
+      // Booking fees charged to the buyer and the platform's application fee
+      fees: parseLineItems(metadata.fees),
+      feeAmount: metadata.feeAmount ? parseInt(metadata.feeAmount) : 0,
+      // Sales tax for the venue's jurisdiction
+      taxes: parseLineItems(metadata.taxes),
+      taxAmount: metadata.taxAmount ? parseInt(metadata.taxAmount) : 0,
+      taxJurisdiction: metadata.taxState
+        ? { state: metadata.taxState, zipCode: metadata.taxZipCode || null }
+        : null,
+      applicationFeeAmount: pi.application_fee_amount || 0,
       createdAt: now,
       updatedAt: now,
-      tickets: [] // Tickets are created via order creation endpoint, not webhook
+      tickets: [] // Filled in below once the tickets exist
     };
 
-    // Create the order
-    const createdOrder = await OrdersController.upsertOrder(order);
+    // Confirm the promo code use reserved when the PaymentIntent was created
+    if (metadata.promoCodeId) {
+      try {
+        const redemption = await PromoCodesController.confirmPromoReservation(metadata.promoCodeId, {
+          reservationId: pi.id,
+          paymentIntentId: pi.id,
+          orderId,
+          customerKey: PromoCodesController.buildCustomerKey({ userId: metadata.buyerId }),
+          discountAmount: order.discountAmount
+        });
+        if (redemption.overLimit) {
+          console.error(`Promo code ${metadata.promoCodeId} went over its usage limit for order ${orderId}: its reservation was released before payment succeeded`);
+        }
+      } catch (promoError) {
+        console.error('Failed to redeem promo code:', promoError.message);
+      }
+    }
 
     // Parse tickets from metadata if provided (tickets should be JSON string in metadata)
     let tickets = [];
@@ -165,30 +273,17 @@ async function createOrderFromPaymentIntent(pi, getStripeOptions) {
       }
     }
 
-    // Get performance to find venueId and seatmapId for seatmap updates
-    let venueId = null;
-    let seatmapId = null;
-    if (productionId && performanceId) {
-      try {
-        const performance = await PerformancesController.getPerformanceById(productionId, performanceId);
-        if (performance) {
-          venueId = performance.venueId;
-          seatmapId = performance.seatmapId;
-        }
-      } catch (perfError) {
-        // Continue without seatmap update if performance not found
-      }
-    }
-
     // Create tickets subcollection if tickets data is provided
     if (tickets && tickets.length > 0) {
 
-      const orderUrl = `${baseUrl}/orders/${orderId}?token=${encodeURIComponent(viewToken)}`;
       const ticketIds = [];
 
-      for (const ticketData of tickets) {
+      for (const [index, ticketData] of tickets.entries()) {
+        const ticketId = crypto.createHash('sha256').update(`${orderId}:${index}`).digest('hex').slice(0, 32);
+        // Signed per-ticket QR payload. A signing failure throws so the event is retried rather
+        // than leaving a paid order without tickets.
+        const qrCode = signTicket({ ticketId, orderId, performanceId });
         try {
-          const ticketId = crypto.randomBytes(16).toString('hex');
           const ticket = {
             id: ticketId,
             seatId: ticketData.seatId || null,
@@ -197,39 +292,46 @@ async function createOrderFromPaymentIntent(pi, getStripeOptions) {
             seatNumber: ticketData.seatNumber || null,
             price: parseInt(ticketData.price) || 0,
             status: 'valid',
-            qrCode: orderUrl, // Use order URL with token for QR code
+            qrCode,
             createdAt: now
           };
 
           await TicketsController.upsertTicket(orderId, ticket);
           ticketIds.push(ticketId);
-
-          // Update seatmap availability if we have the required info
-          if (venueId && seatmapId && ticketData.section && ticketData.seatNumber) {
-            try {
-              await SeatmapsController.updateSeatAvailability(
-                venueId,
-                seatmapId,
-                ticketData.section,
-                ticketData.seatNumber,
-                false // Mark seat as unavailable
-              );
-            } catch (seatmapError) {
-              // Log but don't fail ticket creation if seatmap update fails
-              console.error('Failed to update seatmap availability:', seatmapError.message);
-            }
-          }
         } catch (ticketError) {
         }
       }
 
-      // Update order with ticket IDs
-      if (ticketIds.length > 0) {
-        await OrdersController.updateOrder(orderId, { tickets: ticketIds });
+      order.tickets = ticketIds;
+
+      // Held seats are converted by the caller; otherwise claim them in the inventory here
+      const seatedTickets = tickets.filter(t => t && (t.seatId || t.seatNumber));
+      if (!metadata.holdId && productionId && performanceId && seatedTickets.length > 0) {
+        try {
+          const { conflicts } = await SeatInventoryController.markSeatsSold(
+            productionId,
+            performanceId,
+            seatedTickets,
+            orderId
+          );
+          if (conflicts.length > 0) {
+            order.seatConflicts = conflicts;
+          }
+        } catch (inventoryError) {
+          // Log but don't fail order creation if the inventory update fails
+          console.error('Failed to update seat inventory:', inventoryError.message);
+        }
       }
     } else {
     }
 
+    // Written last so the order is only found by a retry once it is complete
+    const createdOrder = await OrdersController.upsertOrder(order);
+
+    await emitSellerEvent(sellerId, 'order.created', {
+      order: toEventOrder(createdOrder)
+    }, { idempotencyKey: `order.created:${orderId}` });
+
     // Update PaymentIntent metadata with the new orderId
     try {
       await stripe.paymentIntents.update(pi.id, {
@@ -251,6 +353,28 @@ async function createOrderFromPaymentIntent(pi, getStripeOptions) {
 /**
  * Process webhook event asynchronously
  */
+// Free the seats and promo code use a failed or cancelled payment was holding, so other buyers
+// can have them
+async function releaseCheckout(pi, reason) {
+  if (pi.metadata?.holdId) {
+    try {
+      await SeatHoldsController.releaseHold(pi.metadata.holdId, reason);
+    } catch (error) {
+      console.error('Failed to release seat hold:', error.message);
+    }
+  }
+  if (pi.metadata?.promoCodeId) {
+    try {
+      await PromoCodesController.releasePromoReservation(pi.metadata.promoCodeId, {
+        reservationId: pi.id,
+        reason
+      });
+    } catch (error) {
+      console.error('Failed to release promo code reservation:', error.message);
+    }
+  }
+}
+
 async function processWebhookEvent(event) {
   const connectedAccount = event.account || "platform";
   const stripeAccount = event.account || null;
@@ -278,6 +402,12 @@ async function processWebhookEvent(event) {
           }
         }
 
+        // Exchange price differences complete the exchange instead of creating an order
+        if (pi.metadata?.type === 'exchange') {
+          await handleExchangePaymentSucceeded(pi);
+          break;
+        }
+
         // Check if orderId is missing or empty (not just falsy)
         let orderId = pi.metadata?.orderId;
         if (!orderId || orderId.trim() === '') {
@@ -293,16 +423,34 @@ async function processWebhookEvent(event) {
             } catch (err) {
             }
           } catch (createError) {
-
-            break;
+            // Let the webhook queue retry order creation
+            throw createError;
           }
         }
 
         // Update order payment status and lifecycle status
         if (orderId) {
           try {
+            // The PaymentIntent must pay exactly the order's stored total; anything else is held for
+            // review instead of marking the order paid
+            const unpaidOrder = await OrdersController.getOrderById(orderId);
+            if (unpaidOrder && pi.amount !== unpaidOrder.totalAmount) {
+              console.error(`PaymentIntent ${pi.id} amount ${pi.amount} does not match order ${orderId} total ${unpaidOrder.totalAmount}`);
+              await OrdersController.updateOrder(orderId, {
+                paymentMismatch: {
+                  paymentIntentId: pi.id,
+                  amount: pi.amount,
+                  expectedAmount: unpaidOrder.totalAmount,
+                  detectedAt: new Date().toISOString()
+                }
+              });
+              break;
+            }
+
             await OrdersController.updatePaymentStatus(orderId, 'paid');
             await OrdersController.updateOrderStatus(orderId, 'confirmed');
+            // Keep the PaymentIntent on the order so it can be refunded later
+            await OrdersController.updateOrder(orderId, { stripePaymentIntentId: pi.id });
 
             // Fetch order, user, and tickets to send emails
             let order = await OrdersController.getOrderById(orderId);
@@ -310,15 +458,50 @@ async function processWebhookEvent(event) {
               break;
             }
 
+            // Held seats become sold now that payment is confirmed
+            const holdId = pi.metadata?.holdId || order.holdId;
+            if (holdId) {
+              try {
+                const { conflicts } = await SeatHoldsController.convertHold(holdId, orderId);
+                if (conflicts.length > 0) {
+                  await OrdersController.updateOrder(orderId, { seatConflicts: conflicts });
+                }
+              } catch (holdError) {
+                console.error('Failed to convert seat hold:', holdError.message);
+              }
+            }
+
+            // Confirm the promo code use reserved when the unpaid order was created
+            if (order.promoCodeId && order.promoReservationId) {
+              try {
+                const redemption = await PromoCodesController.confirmPromoReservation(order.promoCodeId, {
+                  reservationId: order.promoReservationId,
+                  paymentIntentId: pi.id,
+                  orderId,
+                  customerKey: PromoCodesController.buildCustomerKey({ userId: order.buyerId }),
+                  discountAmount: order.discountAmount || 0
+                });
+                if (redemption.overLimit) {
+                  console.error(`Promo code ${order.promoCodeId} went over its usage limit for order ${orderId}: its reservation was released before payment succeeded`);
+                }
+              } catch (promoError) {
+                console.error('Failed to redeem promo code:', promoError.message);
+              }
+            }
+
+            // Tickets created with an unpaid order become valid and get their QR codes now
+            const issuedCount = await issuePendingTickets(order);
+            if (issuedCount > 0) {
+              order = await OrdersController.getOrderById(orderId);
+            }
+
+            await emitSellerEvent(order.sellerId, 'order.paid', {
+              order: toEventOrder(order)
+            }, { idempotencyKey: `order.paid:${orderId}` });
+
             // Ensure order has viewToken (for orders created before token system)
             if (!order.viewToken) {
-              const crypto = require("crypto");
-              const viewToken = crypto.randomBytes(32).toString('base64url');
-              const twoYearsFromNow = new Date();
-              twoYearsFromNow.setFullYear(twoYearsFromNow.getFullYear() + 2);
-              const viewTokenExpiresAt = twoYearsFromNow.toISOString();
-
-              await OrdersController.updateOrder(orderId, { viewToken, viewTokenExpiresAt });
+              await OrdersController.updateOrder(orderId, issueViewToken());
               order = await OrdersController.getOrderById(orderId);
             }
 
@@ -387,6 +570,7 @@ async function processWebhookEvent(event) {
               // Fetch performance and venue data if not already populated
               let performance = order.performance || null;
               let venue = order.venue || null;
+              let production = null;
 
               // If we have IDs but not full objects, fetch them
               if (!performance && order.performanceId) {
@@ -474,18 +658,19 @@ async function processWebhookEvent(event) {
                 };
               }
 
-              // Ensure performance has productionName - fetch if needed
-              if (performance && !performance.productionName && !performance.title && order.productionId) {
+              // Production title and running time (for the calendar invite)
+              if (order.productionId) {
                 try {
-                  const ProductionsController = require("../controllers").ProductionsController;
-                  const production = await ProductionsController.getProductionById(order.productionId);
-                  if (production) {
-                    performance.productionName = production.name || production.title;
-                  }
+                  production = await ProductionsController.getProductionById(order.productionId);
                 } catch (err) {
                 }
               }
 
+              // Ensure performance has productionName
+              if (performance && !performance.productionName && !performance.title && production) {
+                performance.productionName = production.name || production.title;
+              }
+
               // Use performance date/time from order if performance object doesn't have it
               // Combine date and time into proper ISO datetime string
               if (performance && !performance.startTime && !performance.dateTime && !performance.date) {
@@ -528,6 +713,7 @@ async function processWebhookEvent(event) {
                 performance,
                 venue,
                 seller,
+                production,
               });
             } catch (err) {
               if (err.response) {
@@ -537,8 +723,8 @@ async function processWebhookEvent(event) {
               }
             }
           } catch (error) {
-            if (error.stack) {
-            }
+            // Email failures are handled above; anything else is retried by the webhook queue
+            throw error;
           }
         }
         break;
@@ -552,10 +738,35 @@ async function processWebhookEvent(event) {
           } catch (error) {
           }
         }
+        if (pi.metadata.type === 'exchange') {
+          try {
+            await handleExchangePaymentFailed(pi);
+          } catch (error) {
+            console.error('Failed to update exchange:', error.message);
+          }
+        }
+        await releaseCheckout(pi, 'payment_failed');
+        break;
+      }
+      case "payment_intent.canceled": {
+        await releaseCheckout(event.data.object, 'payment_canceled');
+        break;
+      }
+      case "charge.refunded": {
+        // Errors propagate so the webhook queue can retry; refund handling is idempotent
+        await handleChargeRefunded(event.data.object);
         break;
       }
       case "charge.dispute.created": {
-        // TODO: notify theater to upload evidence
+        await handleDisputeCreated(event.data.object);
+        break;
+      }
+      case "charge.dispute.updated": {
+        await handleDisputeUpdated(event.data.object);
+        break;
+      }
+      case "charge.dispute.closed": {
+        await handleDisputeClosed(event.data.object);
         break;
       }
       case "account.updated": {
@@ -756,11 +967,13 @@ async function processWebhookEvent(event) {
     }
 
   } catch (error) {
-    if (error.stack) {
-    }
+    // Surface the failure to the webhook queue so the event is retried
+    throw error;
   }
 }
 
+setWebhookProcessor(processWebhookEvent);
+
 // Test endpoint to verify webhook route is accessible
 router.get("/stripe/test", async (req, res) => {
   try {
@@ -770,7 +983,9 @@ router.get("/stripe/test", async (req, res) => {
       status: "ok",
       message: "Webhook endpoint is accessible",
       timestamp: new Date().toISOString(),
-      webhookSecretSet: !!process.env.STRIPE_WEBHOOK_SECRET,
+      webhookSecretSet: getWebhookSecrets().length > 0,
+      webhookSecretCount: getWebhookSecrets().length,
+      allowUnsigned: allowUnsignedWebhooks(),
       stripeAccount: {
         id: acct.id,
         livemode: acct.livemode
@@ -782,7 +997,7 @@ router.get("/stripe/test", async (req, res) => {
       message: "Webhook endpoint is accessible but Stripe account retrieval failed",
       error: error.message,
       timestamp: new Date().toISOString(),
-      webhookSecretSet: !!process.env.STRIPE_WEBHOOK_SECRET
+      webhookSecretSet: getWebhookSecrets().length > 0
     });
   }
 });
@@ -797,27 +1012,14 @@ router.post(
 
       // Verify webhook signature
       try {
-        if (!process.env.STRIPE_WEBHOOK_SECRET) {
-          throw new Error("STRIPE_WEBHOOK_SECRET not set. When using 'stripe listen', copy the webhook signing secret (whsec_...) and set it as STRIPE_WEBHOOK_SECRET");
-        }
-
-        if (!sig) {
-          throw new Error("No Stripe signature header present");
-        }
-
-        event = stripe.webhooks.constructEvent(
-          req.body,
-          sig,
-          process.env.STRIPE_WEBHOOK_SECRET
-        );
+        event = constructVerifiedEvent(req.body, sig);
       } catch (err) {
-
-        // Only allow unverified events in non-production environments
-        if (process.env.NODE_ENV === 'production') {
+        // Unsigned events are only accepted with an explicit opt-in, and never in production
+        if (!allowUnsignedWebhooks()) {
           return res.status(400).send(`Webhook Error: ${err.message}`);
         }
 
-        // Fallback for testing/development only
+        // Fallback for local development only
         try {
           event = JSON.parse(req.body.toString());
         } catch (parseErr) {
@@ -825,16 +1027,34 @@ router.post(
         }
       }
 
-      // CRITICAL: Send 200 response IMMEDIATELY after signature verification
+      if (!event?.id) {
+        return res.status(400).send("Webhook Error: event has no id");
+      }
+
+      // Persist the event before acknowledging it. If this fails Stripe retries the delivery,
+      // so the event is never lost.
+      let stored;
+      try {
+        stored = await recordIncomingEvent(event);
+      } catch (recordError) {
+        console.error('Failed to persist webhook event:', recordError.message);
+        return res.sendStatus(500);
+      }
+
+      // CRITICAL: Send 200 response IMMEDIATELY after the event is stored
       // This prevents Stripe from retrying if processing takes too long
       res.sendStatus(200);
 
+      // Skip duplicate deliveries of events we have already processed
+      if (!stored.created && stored.record.status === 'processed') {
+        return;
+      }
+
       // Process the event asynchronously (after response is sent)
-      // Use setImmediate to ensure response is fully sent before processing
+      // Failures are recorded and retried with backoff by the webhook queue
       setImmediate(() => {
-        processWebhookEvent(event).catch(error => {
-          if (error.stack) {
-          }
+        processStoredEvent(event.id).catch(error => {
+          console.error(`Failed to process webhook event ${event.id}:`, error.message);
         });
       });
 
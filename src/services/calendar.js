@@ -0,0 +1,203 @@
+const { ProductionsController, PerformancesController, VenuesController, UsersController } = require("../controllers");
+const { buildCalendar, formatDateTime } = require("../utils/ical");
+
+// Used when a production has no duration (minutes)
+const DEFAULT_DURATION_MINUTES = 120;
+
+// Feeds keep recently finished performances so they don't vanish from calendars on the day
+const FEED_HISTORY_DAYS = 30;
+
+const CANCELLED_STATUSES = ['canceled', 'cancelled'];
+
+// Domain part of event UIDs, so calendars can match updates to the same event
+function getUidDomain() {
+  try {
+    return new URL(process.env.APP_BASE_URL || 'https://www.stagepasspro.com').hostname;
+  } catch (err) {
+    return 'stagepasspro.com';
+  }
+}
+
+// Performance start as a Date, or null
+function getPerformanceStart(performance, order = null) {
+  const value = performance?.startTime || performance?.dateTime || performance?.date
+    || (order?.performanceDate ? `${order.performanceDate}T${order.performanceTime || '00:00'}:00` : null);
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Running time in minutes from the production's duration
+function getDurationMinutes(production) {
+  const duration = Number(production?.duration);
+  return Number.isFinite(duration) && duration > 0 ? duration : DEFAULT_DURATION_MINUTES;
+}
+
+function getEventName({ order, production, performance }) {
+  return production?.title || performance?.productionName || performance?.title || order?.productionName || 'Performance';
+}
+
+function formatVenueLocation(venue) {
+  if (!venue) return null;
+  return [venue.name, venue.address, venue.city, venue.state, venue.zipCode].filter(Boolean).join(', ') || null;
+}
+
+function formatSeat(ticket) {
+  return [
+    ticket.section,
+    ticket.row && `Row ${ticket.row}`,
+    ticket.seatNumber && `Seat ${ticket.seatNumber}`
+  ].filter(Boolean).join(', ') || 'General admission';
+}
+
+/**
+ * Calendar event for a performance
+ * @param {Object} params - { production, performance, venue, order, uid, description }
+ * @returns {Object|null} Event for buildCalendar, or null when the start time is unknown
+ */
+function buildPerformanceEvent({ production = null, performance = null, venue = null, order = null, uid = null, description = null }) {
+  const start = getPerformanceStart(performance, order);
+  if (!start) return null;
+
+  const performanceId = performance?.id || order?.performanceId;
+  return {
+    uid: uid || `performance-${performanceId}@${getUidDomain()}`,
+    start,
+    end: new Date(start.getTime() + getDurationMinutes(production) * 60 * 1000),
+    summary: getEventName({ order, production, performance }),
+    description,
+    location: formatVenueLocation(venue || production?.venue),
+    status: CANCELLED_STATUSES.includes(performance?.status) ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: performance?.updatedAt || null
+  };
+}
+
+/**
+ * "Add to Google Calendar" link for an event from buildPerformanceEvent
+ */
+function buildGoogleCalendarUrl(event) {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.summary,
+    dates: `${formatDateTime(event.start)}/${formatDateTime(event.end)}`
+  });
+  if (event.description) params.set('details', event.description);
+  if (event.location) params.set('location', event.location);
+  return `https://calendar.google.com/calendar/render?${params.toString()}`;
+}
+
+/**
+ * Add-to-calendar details for an order confirmation: the .ics invite and a Google Calendar link
+ * @returns {Object|null} { ics, googleUrl }, or null when the performance time is unknown
+ */
+function buildOrderCalendar({ order, tickets = [], production = null, performance = null, venue = null, seller = null }) {
+  const organizer = seller?.companyName || seller?.displayName || null;
+  const description = [
+    `Order ${order.id}`,
+    organizer && `Presented by ${organizer}`,
+    tickets.length > 0 && `Tickets: ${tickets.map(formatSeat).join('; ')}`
+  ].filter(Boolean).join('\n');
+
+  const event = buildPerformanceEvent({
+    production,
+    performance,
+    venue,
+    order,
+    uid: `order-${order.id}@${getUidDomain()}`,
+    description
+  });
+  if (!event) return null;
+
+  return {
+    ics: buildCalendar({ events: [event] }),
+    googleUrl: buildGoogleCalendarUrl(event)
+  };
+}
+
+// Load venues once per feed; most performances share a handful
+function getVenueLoader() {
+  const venues = new Map();
+  return async (venueId) => {
+    if (!venueId) return null;
+    if (!venues.has(venueId)) {
+      try {
+        venues.set(venueId, await VenuesController.getVenueById(venueId));
+      } catch (err) {
+        console.error('Failed to load venue for calendar feed:', err.message);
+        venues.set(venueId, null);
+      }
+    }
+    return venues.get(venueId);
+  };
+}
+
+// Events for a production's performances, from FEED_HISTORY_DAYS ago onwards
+async function getProductionEvents(production, loadVenue) {
+  const since = Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  const performances = await PerformancesController.getAllPerformances(production.id);
+
+  const events = [];
+  for (const performance of performances) {
+    const start = getPerformanceStart(performance);
+    if (!start || start.getTime() < since) continue;
+    const venue = await loadVenue(performance.venueId);
+    events.push(buildPerformanceEvent({
+      production,
+      performance,
+      venue,
+      description: production.shortDescription || production.description || null
+    }));
+  }
+  return events;
+}
+
+/**
+ * Public iCalendar feed of a production's schedule
+ * @returns {Object|null} { production, calendar }, or null when the production doesn't exist or is a draft
+ */
+async function getProductionCalendar(productionId) {
+  const production = await ProductionsController.getProductionById(productionId);
+  if (!production || production.status === 'draft') return null;
+
+  const events = await getProductionEvents(production, getVenueLoader());
+  const calendar = buildCalendar({
+    name: production.title,
+    description: production.shortDescription || null,
+    events
+  });
+  return { production, calendar };
+}
+
+/**
+ * Public iCalendar feed of every published production a seller runs
+ * @returns {Object|null} { seller, calendar }, or null when the user doesn't exist or isn't a seller
+ */
+async function getSellerCalendar(sellerId) {
+  const seller = await UsersController.getUserById(sellerId);
+  if (!seller || seller.role === 'customer') return null;
+
+  const productions = (await ProductionsController.getProductionsBySellerId(sellerId))
+    .filter(production => production.status !== 'draft');
+
+  const loadVenue = getVenueLoader();
+  const events = [];
+  for (const production of productions) {
+    events.push(...await getProductionEvents(production, loadVenue));
+  }
+  events.sort((a, b) => a.start - b.start);
+
+  const calendar = buildCalendar({
+    name: seller.companyName || seller.displayName || 'Performances',
+    events
+  });
+  return { seller, calendar };
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  buildPerformanceEvent,
+  buildGoogleCalendarUrl,
+  buildOrderCalendar,
+  getProductionCalendar,
+  getSellerCalendar
+};
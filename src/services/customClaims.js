@@ -0,0 +1,131 @@
+// Firebase custom claims for roles and seller membership.
+//
+// A user's role and organisation roles are copied into their ID token as custom claims so the auth
+// middleware can authorize a request without reading their profile:
+//   { role, admin, sellerId, organizations: { [organizationId]: staffRole } }
+// Claims are synced whenever the users document's role or organizationRoles change (by the
+// controllers, and by the usersOnWrite trigger for writes made outside the API). A signed-in
+// user only sees new claims once their ID token is refreshed, so each sync stamps the user with
+// claimsUpdatedAt for clients to watch and call getIdToken(true). When a sync takes privileges
+// away, the user's refresh tokens are revoked too: the auth middleware verifies tokens with
+// checkRevoked, so ID tokens still carrying the old claims stop working straight away.
+//
+// This is the only copy of the module. The Cloud Functions build (functions/package.json, run
+// before every deploy) copies it into functions/services, so edit it here.
+
+const { auth, db } = require("../firebase");
+
+// Firebase rejects custom claims over 1000 bytes of JSON
+const CLAIMS_MAX_BYTES = 1000;
+
+// Claim keys this service owns; any other custom claims on the user are left alone
+const MANAGED_CLAIMS = ['role', 'admin', 'sellerId', 'organizations', 'organizationsTruncated'];
+
+// Platform roles from least to most privileged
+const ROLE_RANK = { customer: 0, seller: 1, admin: 2 };
+
+// Build the managed claims for a user document (null for a deleted user)
+function buildClaims(userId, user) {
+  if (!user) {
+    return {};
+  }
+  const role = user.role || 'customer';
+  const claims = {
+    role,
+    admin: role === 'admin',
+    sellerId: role === 'seller' ? userId : null,
+    organizations: user.organizationRoles || {}
+  };
+  // Too many memberships to fit: leave them out and let the middleware read the profile instead
+  if (Buffer.byteLength(JSON.stringify(claims)) > CLAIMS_MAX_BYTES) {
+    claims.organizations = null;
+    claims.organizationsTruncated = true;
+  }
+  return claims;
+}
+
+// Whether a change to a user document affects their claims
+function claimsChanged(before, after) {
+  const pick = user => user
+    ? JSON.stringify([user.role || 'customer', Object.entries(user.organizationRoles || {}).sort()])
+    : null;
+  return pick(before) !== pick(after);
+}
+
+// Whether moving from one set of claims to another takes any privilege away: a lower platform
+// role, or an organisation membership removed or changed. Truncated memberships can't be
+// compared, so any change to them counts.
+function claimsReduced(before, after) {
+  const role = claims => claims.role || 'customer';
+  if (role(before) !== role(after) && (ROLE_RANK[role(after)] || 0) < (ROLE_RANK[role(before)] || 0)) {
+    return true;
+  }
+  if (before.organizationsTruncated || after.organizationsTruncated) {
+    return JSON.stringify(before.organizations) !== JSON.stringify(after.organizations) ||
+      !!before.organizationsTruncated !== !!after.organizationsTruncated;
+  }
+  const afterOrganizations = after.organizations || {};
+  return Object.entries(before.organizations || {})
+    .some(([organizationId, staffRole]) => afterOrganizations[organizationId] !== staffRole);
+}
+
+// Write a user's managed claims, keeping any others. Pass the users document when the caller
+// already has it; otherwise it is read. Revokes the user's refresh tokens when privileges are
+// reduced. Returns { success: true, updated, revoked, claims } or { success: false, reason }
+// when the user has no Firebase Auth account.
+async function syncUserClaims(userId, user = undefined) {
+  if (user === undefined) {
+    const userDoc = await db.collection('users').doc(userId).get();
+    user = userDoc.exists ? userDoc.data() : null;
+  }
+
+  let record;
+  try {
+    record = await auth.getUser(userId);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return { success: false, reason: 'not_found' };
+    }
+    throw error;
+  }
+
+  const current = record.customClaims || {};
+  const others = Object.fromEntries(Object.entries(current).filter(([key]) => !MANAGED_CLAIMS.includes(key)));
+  const claims = { ...others, ...buildClaims(userId, user) };
+
+  if (JSON.stringify(Object.entries(claims).sort()) === JSON.stringify(Object.entries(current).sort())) {
+    return { success: true, updated: false, revoked: false, claims };
+  }
+
+  await auth.setCustomUserClaims(userId, claims);
+  // Revoke after the new claims are set, so the tokens the user refreshes into carry them
+  const revoked = claimsReduced(current, claims);
+  if (revoked) {
+    await auth.revokeRefreshTokens(userId);
+  }
+  if (user) {
+    await db.collection('users').doc(userId).set({ claimsUpdatedAt: new Date().toISOString() }, { merge: true });
+  }
+  return { success: true, updated: true, revoked, claims };
+}
+
+// Sync claims after an API write. Failures are logged rather than failing the request; the
+// middleware falls back to the profile for tokens without claims.
+async function syncUserClaimsSafely(userId, user = undefined) {
+  try {
+    return await syncUserClaims(userId, user);
+  } catch (error) {
+    console.error(`Failed to sync custom claims for user ${userId}:`, error.message);
+    return { success: false, reason: error.message };
+  }
+}
+
+module.exports = {
+  CLAIMS_MAX_BYTES,
+  MANAGED_CLAIMS,
+  buildClaims,
+  claimsChanged,
+  claimsReduced,
+  syncUserClaims,
+  syncUserClaimsSafely
+};
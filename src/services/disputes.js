@@ -0,0 +1,256 @@
+const Stripe = require("stripe");
+const { OrdersController, TicketsController, UsersController, DisputesController, SeatInventoryController } = require("../controllers");
+const { sendDisputeEmail } = require("./email");
+const { refreshTicketPasses } = require("./walletPasses");
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: "2024-06-20",
+});
+
+// Text evidence fields sellers may set directly when submitting evidence
+const EVIDENCE_TEXT_FIELDS = [
+  'access_activity_log',
+  'billing_address',
+  'cancellation_policy_disclosure',
+  'cancellation_rebuttal',
+  'customer_email_address',
+  'customer_name',
+  'product_description',
+  'refund_policy_disclosure',
+  'refund_refusal_explanation',
+  'service_date',
+  'uncategorized_text'
+];
+
+function toIso(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function paymentIntentIdOf(dispute) {
+  return typeof dispute.payment_intent === 'string'
+    ? dispute.payment_intent
+    : dispute.payment_intent?.id || null;
+}
+
+// Find the order paid for by the disputed PaymentIntent
+async function findOrderForDispute(dispute) {
+  const paymentIntentId = paymentIntentIdOf(dispute);
+  if (!paymentIntentId) return null;
+
+  const order = await OrdersController.getOrderByPaymentIntentId(paymentIntentId);
+  if (order) return order;
+
+  // Older orders may not have stripePaymentIntentId stored; fall back to PI metadata
+  try {
+    const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+    return pi.metadata?.orderId ? await OrdersController.getOrderById(pi.metadata.orderId) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function buildDisputeRecord(dispute, order) {
+  return {
+    id: dispute.id,
+    chargeId: typeof dispute.charge === 'string' ? dispute.charge : dispute.charge?.id || null,
+    paymentIntentId: paymentIntentIdOf(dispute),
+    orderId: order?.id || null,
+    sellerId: order?.sellerId || null,
+    amount: dispute.amount,
+    currency: dispute.currency,
+    reason: dispute.reason,
+    status: dispute.status,
+    evidenceDueBy: toIso(dispute.evidence_details?.due_by),
+    hasEvidence: !!dispute.evidence_details?.has_evidence,
+    isChargeRefundable: !!dispute.is_charge_refundable,
+    stripeCreatedAt: dispute.created
+  };
+}
+
+// Block valid tickets at the door while the dispute is open
+async function markTicketsDisputed(order) {
+  const tickets = await TicketsController.getAllTickets(order.id);
+  for (const ticket of tickets.filter(t => t.status === 'valid')) {
+    await TicketsController.updateTicket(order.id, ticket.id, {
+      status: 'disputed',
+      statusBeforeDispute: ticket.status
+    });
+  }
+  await refreshTicketPasses(order.id, tickets.filter(t => t.status === 'valid').map(t => t.id));
+}
+
+// Restore disputed tickets once the dispute is won, or cancel them if it is lost
+async function resolveDisputedTickets(order, won) {
+  const tickets = await TicketsController.getAllTickets(order.id, { status: 'disputed' });
+
+  if (won) {
+    for (const ticket of tickets) {
+      await TicketsController.updateTicket(order.id, ticket.id, {
+        status: ticket.statusBeforeDispute || 'valid',
+        statusBeforeDispute: null
+      });
+    }
+    await refreshTicketPasses(order.id, tickets.map(t => t.id));
+    return;
+  }
+
+  for (const ticket of tickets) {
+    await TicketsController.cancelTicket(order.id, ticket.id, 'dispute_lost');
+  }
+  await refreshTicketPasses(order.id, tickets.map(t => t.id));
+
+  const seatedTickets = tickets.filter(t => t.seatId || t.seatNumber);
+  if (order.productionId && order.performanceId && seatedTickets.length > 0) {
+    try {
+      await SeatInventoryController.releaseSeats(order.productionId, order.performanceId, seatedTickets, order.id);
+    } catch (inventoryError) {
+      console.error('Failed to release seat inventory:', inventoryError.message);
+    }
+  }
+}
+
+// charge.dispute.created
+async function handleDisputeCreated(dispute) {
+  const existing = await DisputesController.getDisputeById(dispute.id);
+  const order = await findOrderForDispute(dispute);
+  const record = await DisputesController.upsertDispute(buildDisputeRecord(dispute, order));
+
+  // Webhooks can be redelivered; only act on the first delivery
+  if (existing || !order) {
+    return record;
+  }
+
+  await OrdersController.updateOrder(order.id, {
+    disputed: true,
+    disputeId: dispute.id,
+    disputeStatus: dispute.status
+  });
+  await markTicketsDisputed(order);
+
+  try {
+    const seller = order.sellerId ? await UsersController.getUserById(order.sellerId) : null;
+    if (seller?.email) {
+      await sendDisputeEmail({ to: seller.email, dispute: record, order, seller });
+    }
+  } catch (emailError) {
+    // Log but don't fail dispute handling if the seller email fails
+    console.error('Failed to send dispute email:', emailError.message);
+  }
+
+  return record;
+}
+
+// charge.dispute.updated
+async function handleDisputeUpdated(dispute) {
+  const existing = await DisputesController.getDisputeById(dispute.id);
+  if (!existing) {
+    return await handleDisputeCreated(dispute);
+  }
+
+  const record = await DisputesController.upsertDispute({
+    ...buildDisputeRecord(dispute, null),
+    orderId: existing.orderId,
+    sellerId: existing.sellerId
+  });
+
+  if (existing.orderId) {
+    await OrdersController.updateOrder(existing.orderId, { disputeStatus: dispute.status });
+  }
+
+  return record;
+}
+
+// charge.dispute.closed
+async function handleDisputeClosed(dispute) {
+  const existing = await DisputesController.getDisputeById(dispute.id);
+  if (!existing) {
+    await handleDisputeCreated(dispute);
+  }
+  if (existing?.closedAt) {
+    return existing;
+  }
+
+  const record = await handleDisputeUpdated(dispute);
+  const closedAt = new Date().toISOString();
+  await DisputesController.updateDispute(dispute.id, { closedAt });
+
+  const orderId = existing?.orderId || record.orderId;
+  const order = orderId ? await OrdersController.getOrderById(orderId) : null;
+  if (!order) {
+    return { ...record, closedAt };
+  }
+
+  // warning_closed means an inquiry was closed without becoming a chargeback
+  const won = dispute.status === 'won' || dispute.status === 'warning_closed';
+  await resolveDisputedTickets(order, won);
+  await OrdersController.updateOrder(order.id, {
+    disputed: !won,
+    disputeStatus: dispute.status,
+    ...(!won && { paymentStatus: 'refunded', status: 'refunded' })
+  });
+
+  return { ...record, closedAt };
+}
+
+// Build dispute evidence from the order, its tickets and their scan history
+async function buildEvidence(dispute) {
+  const order = dispute.orderId ? await OrdersController.getOrderById(dispute.orderId) : null;
+  if (!order) {
+    return {};
+  }
+
+  const tickets = await TicketsController.getAllTickets(order.id);
+  const seatLabel = (ticket) => [ticket.section, ticket.row && `Row ${ticket.row}`, ticket.seatNumber && `Seat ${ticket.seatNumber}`]
+    .filter(Boolean)
+    .join(', ') || 'General admission';
+
+  const productDescription = [
+    `Order #${order.id}: ${tickets.length} ticket(s)`,
+    order.performanceDate && `for the performance on ${order.performanceDate}${order.performanceTime ? ` at ${order.performanceTime}` : ''}`,
+    order.venueName && `at ${order.venueName}`
+  ].filter(Boolean).join(' ');
+
+  const scanLines = tickets
+    .filter(t => t.validatedAt)
+    .map(t => `${seatLabel(t)}: scanned ${t.validatedAt} by ${t.validatedBy || 'staff'} at ${t.validationLocation || 'venue entrance'}`);
+
+  return {
+    customer_email_address: order.customerEmail || undefined,
+    product_description: productDescription,
+    service_date: order.performanceDate || undefined,
+    access_activity_log: scanLines.length > 0
+      ? scanLines.join('\n')
+      : 'No tickets from this order have been scanned at the venue.'
+  };
+}
+
+// Submit evidence to Stripe. Seller-provided fields override the generated ones.
+async function submitEvidence(dispute, { evidence = {}, submit = true } = {}) {
+  const generated = await buildEvidence(dispute);
+  const provided = Object.fromEntries(
+    Object.entries(evidence).filter(([key, value]) => EVIDENCE_TEXT_FIELDS.includes(key) && typeof value === 'string')
+  );
+  const merged = Object.fromEntries(
+    Object.entries({ ...generated, ...provided }).filter(([_, value]) => value !== undefined && value !== '')
+  );
+
+  const updated = await stripe.disputes.update(dispute.id, {
+    evidence: merged,
+    submit
+  });
+
+  return await DisputesController.updateDispute(dispute.id, {
+    status: updated.status,
+    evidence: merged,
+    hasEvidence: !!updated.evidence_details?.has_evidence,
+    ...(submit && { evidenceSubmittedAt: new Date().toISOString() })
+  });
+}
+
+module.exports = {
+  EVIDENCE_TEXT_FIELDS,
+  handleDisputeCreated,
+  handleDisputeUpdated,
+  handleDisputeClosed,
+  buildEvidence,
+  submitEvidence
+};
@@ -1,5 +1,8 @@
 const sgMail = require("@sendgrid/mail");
 const QRCode = require("qrcode");
+const { getTicketQrContent } = require("./ticketSigning");
+const { renderTicketsPdf, renderReceiptPdf } = require("./pdfDocuments");
+const { buildOrderCalendar } = require("./calendar");
 
 // Initialize SendGrid
 if (process.env.SENDGRID_API_KEY) {
@@ -109,7 +112,7 @@ function buildBasicHtmlWrapper(title, bodyHtml, seller = null) {
 }
 
 // Build Order Summary email template matching the design
-function buildOrderSummaryTemplate({ order, tickets = [], performance, venue, seller = null }) {
+function buildOrderSummaryTemplate({ order, tickets = [], performance, venue, seller = null, calendar = null }) {
   const orderId = order?.id || order?.orderId || "Unknown";
 
   // Use performance date/time instead of order creation date
@@ -180,13 +183,32 @@ function buildOrderSummaryTemplate({ order, tickets = [], performance, venue, se
 
   const totalAmount = order?.totalAmount != null ? (Number(order.totalAmount) / 100).toFixed(2) : "0.00";
 
+  // Price breakdown rows (subtotal, discount, booking fees, tax) shown above the total
+  const formatCents = (cents) => (Number(cents) / 100).toFixed(2);
+  const breakdownRows = [];
+  const fees = Array.isArray(order?.fees) ? order.fees : [];
+  const taxes = Array.isArray(order?.taxes) ? order.taxes : [];
+  if (order?.subtotalAmount != null && (fees.length > 0 || taxes.length > 0 || order?.discountAmount > 0)) {
+    breakdownRows.push({ label: "Subtotal", amount: `$${formatCents(order.subtotalAmount)}` });
+  }
+  if (order?.discountAmount > 0) {
+    const discountLabel = order.promoCode ? `Discount (${order.promoCode})` : "Discount";
+    breakdownRows.push({ label: discountLabel, amount: `-$${formatCents(order.discountAmount)}` });
+  }
+  fees.forEach(fee => {
+    const feeLabel = fee.type === 'per_ticket' && fee.quantity > 1 ? `${fee.name} (x${fee.quantity})` : fee.name;
+    breakdownRows.push({ label: feeLabel, amount: `$${formatCents(fee.amount)}` });
+  });
+  taxes.forEach(tax => {
+    breakdownRows.push({ label: `${tax.name} (${tax.rate}%)`, amount: `$${formatCents(tax.amount)}` });
+  });
+  const breakdownHtml = breakdownRows.map(row => `
+                    <tr>
+                      <td style="padding: 5px 0; font-size: 15px;">${row.label}:</td>
+                      <td style="padding: 5px 0; text-align: right; font-size: 15px;">${row.amount}</td>
+                    </tr>`).join("");
+
   // Build ticket entries with QR codes using table layout for email compatibility
-  // Use baseUrl from order (set by frontend) or fallback to production URL
-  const baseUrl = order?.baseUrl || process.env.APP_BASE_URL || "https://www.stagepasspro.com";
-  const viewToken = order?.viewToken || "";
-  const orderUrl = viewToken
-    ? `${baseUrl}/orders/${orderId}?token=${encodeURIComponent(viewToken)}`
-    : `${baseUrl}/orders/${orderId}`;
 
   let ticketsHtml = "";
   if (tickets && tickets.length > 0) {
@@ -210,9 +232,9 @@ function buildOrderSummaryTemplate({ order, tickets = [], performance, venue, se
                   <td class="ticket-qr-cell" style="padding-right: 15px; vertical-align: top; width: 100px; text-align: left;">
                     ${
                       qrCodeCid
-                        ? `<img class="ticket-qr" src="cid:${qrCodeCid}" alt="QR Code - ${orderUrl}" width="100" height="100" style="width: 100px; height: 100px; max-width: 100px; display: block; border: 1px solid #e0e0e0; border-radius: 4px;" border="0" />`
+                        ? `<img class="ticket-qr" src="cid:${qrCodeCid}" alt="Ticket QR Code" width="100" height="100" style="width: 100px; height: 100px; max-width: 100px; display: block; border: 1px solid #e0e0e0; border-radius: 4px;" border="0" />`
                         : (qrCodeBase64
-                            ? `<img class="ticket-qr" src="data:image/png;base64,${qrCodeBase64}" alt="QR Code - ${orderUrl}" width="100" height="100" style="width: 100px; height: 100px; max-width: 100px; display: block; border: 1px solid #e0e0e0; border-radius: 4px;" border="0" />`
+                            ? `<img class="ticket-qr" src="data:image/png;base64,${qrCodeBase64}" alt="Ticket QR Code" width="100" height="100" style="width: 100px; height: 100px; max-width: 100px; display: block; border: 1px solid #e0e0e0; border-radius: 4px;" border="0" />`
                             : '<div style="width: 100px; height: 100px; background-color: #f0f0f0; border: 1px solid #ddd; border-radius: 4px;"></div>')
                     }
                   </td>
@@ -227,6 +249,12 @@ function buildOrderSummaryTemplate({ order, tickets = [], performance, venue, se
                     </div>
                     ` : ""}
                     <div style="font-weight: bold; color: #000; font-size: 16px;">$${ticketPrice}</div>
+                    ${ticket?.walletLinks ? `
+                    <div style="margin-top: 8px; font-size: 14px; line-height: 1.4;">
+                      <a href="${ticket.walletLinks.apple}" style="color: #000; margin-right: 12px;">Add to Apple Wallet</a>
+                      <a href="${ticket.walletLinks.google}" style="color: #000;">Add to Google Wallet</a>
+                    </div>
+                    ` : ""}
                   </td>
                 </tr>
               </table>
@@ -354,6 +382,15 @@ function buildOrderSummaryTemplate({ order, tickets = [], performance, venue, se
                       <td style="padding: 5px 0; font-size: 15px;"><strong>When:</strong></td>
                       <td style="padding: 5px 0; text-align: right; font-size: 15px;">${formattedWhen}</td>
                     </tr>
+                    ${calendar ? `
+                    <tr>
+                      <td style="padding: 5px 0; font-size: 15px;"><strong>Calendar:</strong></td>
+                      <td style="padding: 5px 0; text-align: right; font-size: 14px;">
+                        <a href="${calendar.googleUrl}" style="color: #000;">Add to Google Calendar</a>
+                        ${calendar.attached ? `<div style="color: #666; font-size: 13px;">or open the attached event.ics</div>` : ""}
+                      </td>
+                    </tr>
+                    ` : ""}
                     ${locationHtml ? `
                     <tr>
                       <td style="padding: 5px 0; font-size: 15px;" valign="top"><strong>Location:</strong></td>
@@ -372,6 +409,7 @@ function buildOrderSummaryTemplate({ order, tickets = [], performance, venue, se
                   <!-- Total Section -->
                   <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
                   <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 20px;">
+                    ${breakdownHtml}
                     <tr>
                       <td style="padding: 10px 0; font-size: 18px; font-weight: bold;">Total:</td>
                       <td class="total-amount" style="padding: 10px 0; text-align: right; font-size: 24px; font-weight: bold;">$${totalAmount}</td>
@@ -576,6 +614,194 @@ async function sendReceiptEmail({ to, subject = "Thank you for your order!", ord
   }
 }
 
+async function sendRefundEmail({ to, subject = "Your refund has been processed", order, refund, tickets = [], seller = null, replyTo = null }) {
+  const orderNumber = order?.id || order?.orderId || "Unknown";
+  const refundAmount = refund?.amount != null ? (Number(refund.amount) / 100).toFixed(2) : "0.00";
+  const isFullRefund = order?.paymentStatus === 'refunded';
+
+  const ticketRows = tickets.map(ticket => {
+    const seatLabel = [ticket.section, ticket.row && `Row ${ticket.row}`, ticket.seatNumber && `Seat ${ticket.seatNumber}`]
+      .filter(Boolean)
+      .join(', ');
+    return `<li style="margin:4px 0;">${seatLabel || 'General admission'}</li>`;
+  }).join('');
+
+  const bodyHtml = `
+    <p>We've processed a ${isFullRefund ? 'full' : 'partial'} refund for order <strong>#${orderNumber}</strong>.</p>
+    <p style="font-size:18px; margin:16px 0;"><strong>Refund amount: $${refundAmount}</strong></p>
+    ${ticketRows ? `<p>The following tickets have been cancelled:</p><ul style="padding-left:20px;">${ticketRows}</ul>` : ''}
+    <p>Refunds usually appear on your statement within 5-10 business days, depending on your bank.</p>
+  `;
+
+  const senderName = buildSenderName(seller);
+  const msg = {
+    to,
+    from: {
+      email: DEFAULT_FROM_EMAIL,
+      name: senderName
+    },
+    subject: subject || "Your refund has been processed",
+    text: `We've processed a refund of $${refundAmount} for order #${orderNumber}.`,
+    html: buildBasicHtmlWrapper("Refund confirmation", bodyHtml, seller),
+  };
+
+  // Add replyTo if provided
+  if (replyTo && isValidEmail(replyTo)) {
+    msg.replyTo = replyTo;
+  } else if (DEFAULT_REPLY_TO_EMAIL && isValidEmail(DEFAULT_REPLY_TO_EMAIL)) {
+    msg.replyTo = DEFAULT_REPLY_TO_EMAIL;
+  } else if (seller?.email && isValidEmail(seller.email)) {
+    msg.replyTo = seller.email;
+  }
+
+  try {
+    await sgMail.send(msg);
+    return { success: true };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function sendDisputeEmail({ to, subject = "A payment has been disputed", dispute, order, seller = null }) {
+  const orderNumber = order?.id || dispute?.orderId || "Unknown";
+  const amount = dispute?.amount != null ? (Number(dispute.amount) / 100).toFixed(2) : "0.00";
+  const dueBy = dispute?.evidenceDueBy
+    ? new Date(dispute.evidenceDueBy).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : null;
+  const reason = (dispute?.reason || 'general').replace(/_/g, ' ');
+
+  const bodyHtml = `
+    <p>A customer has disputed the payment for order <strong>#${orderNumber}</strong>.</p>
+    <table cellpadding="0" cellspacing="0" style="margin:16px 0;">
+      <tr><td style="padding:4px 16px 4px 0; color:#666;">Amount</td><td style="padding:4px 0;"><strong>$${amount}</strong></td></tr>
+      <tr><td style="padding:4px 16px 4px 0; color:#666;">Reason</td><td style="padding:4px 0;">${reason}</td></tr>
+      ${order?.customerEmail ? `<tr><td style="padding:4px 16px 4px 0; color:#666;">Customer</td><td style="padding:4px 0;">${order.customerEmail}</td></tr>` : ''}
+      ${dueBy ? `<tr><td style="padding:4px 16px 4px 0; color:#666;">Evidence due</td><td style="padding:4px 0;"><strong>${dueBy}</strong></td></tr>` : ''}
+    </table>
+    <p>The tickets on this order have been blocked at the door while the dispute is open.</p>
+    <p>Submit evidence from your dashboard before the due date. Order details, ticket scan history and the customer's email are included automatically.</p>
+  `;
+
+  const msg = {
+    to,
+    from: {
+      email: DEFAULT_FROM_EMAIL,
+      name: "Stage Pass Pro"
+    },
+    subject: subject || "A payment has been disputed",
+    text: `A customer has disputed $${amount} for order #${orderNumber}.${dueBy ? ` Evidence is due by ${dueBy}.` : ''}`,
+    html: buildBasicHtmlWrapper("Payment disputed", bodyHtml, null),
+  };
+
+  if (DEFAULT_REPLY_TO_EMAIL && isValidEmail(DEFAULT_REPLY_TO_EMAIL)) {
+    msg.replyTo = DEFAULT_REPLY_TO_EMAIL;
+  }
+
+  try {
+    await sgMail.send(msg);
+    return { success: true };
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Escape user-entered text (names, messages) for HTML emails
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+async function sendTransferOfferEmail({ to, subject = "You've been sent a ticket", transfer, acceptUrl, ticket = null, performance = null, seller = null }) {
+  const fromName = transfer?.fromName ? escapeHtml(transfer.fromName) : 'Someone';
+  const showName = performance?.productionName || performance?.title || transfer?.productionName || 'a performance';
+  const seatLabel = [ticket?.section, ticket?.row && `Row ${ticket.row}`, ticket?.seatNumber && `Seat ${ticket.seatNumber}`]
+    .filter(Boolean)
+    .join(', ');
+  const expiresOn = transfer?.expiresAt
+    ? new Date(transfer.expiresAt).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : null;
+
+  const bodyHtml = `
+    <p><strong>${fromName}</strong> has sent you a ticket to <strong>${escapeHtml(showName)}</strong>.</p>
+    ${seatLabel ? `<p>Seat: ${escapeHtml(seatLabel)}</p>` : ''}
+    ${transfer?.message ? `<p style="padding:12px 16px; background:#f5f5f5; border-radius:6px;">${escapeHtml(transfer.message)}</p>` : ''}
+    <p style="margin:24px 0;">
+      <a href="${acceptUrl}" style="background:#111; color:#fff; padding:12px 20px; border-radius:6px; text-decoration:none; display:inline-block;">Accept ticket</a>
+    </p>
+    ${expiresOn ? `<p style="color:#666;">This link expires on ${expiresOn}.</p>` : ''}
+    <p style="color:#666;">Once you accept, you'll receive a new ticket QR code and the sender's copy will stop working.</p>
+  `;
+
+  const msg = {
+    to,
+    from: {
+      email: DEFAULT_FROM_EMAIL,
+      name: buildSenderName(seller)
+    },
+    subject: subject || "You've been sent a ticket",
+    text: `${transfer?.fromName || 'Someone'} has sent you a ticket to ${showName}. Accept it here: ${acceptUrl}`,
+    html: buildBasicHtmlWrapper("You've been sent a ticket", bodyHtml, seller),
+  };
+
+  if (DEFAULT_REPLY_TO_EMAIL && isValidEmail(DEFAULT_REPLY_TO_EMAIL)) {
+    msg.replyTo = DEFAULT_REPLY_TO_EMAIL;
+  } else if (seller?.email && isValidEmail(seller.email)) {
+    msg.replyTo = seller.email;
+  }
+
+  try {
+    await sgMail.send(msg);
+    return { success: true };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function sendStaffInvitationEmail({ to, subject = "You've been invited to join a team", organization, invitation, acceptUrl, roleLabel }) {
+  const orgName = organization?.name || 'a theatre';
+  const inviterName = invitation?.invitedByName ? escapeHtml(invitation.invitedByName) : 'Someone';
+  const expiresOn = invitation?.expiresAt
+    ? new Date(invitation.expiresAt).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : null;
+
+  const bodyHtml = `
+    <p><strong>${inviterName}</strong> has invited you to join <strong>${escapeHtml(orgName)}</strong> on Stage Pass Pro as <strong>${escapeHtml(roleLabel)}</strong>.</p>
+    <p style="margin:24px 0;">
+      <a href="${acceptUrl}" style="background:#111; color:#fff; padding:12px 20px; border-radius:6px; text-decoration:none; display:inline-block;">Accept invitation</a>
+    </p>
+    ${expiresOn ? `<p style="color:#666;">This invitation expires on ${expiresOn}.</p>` : ''}
+    <p style="color:#666;">Sign in with ${escapeHtml(to)} to accept. If you weren't expecting this, you can ignore this email.</p>
+  `;
+
+  const msg = {
+    to,
+    from: {
+      email: DEFAULT_FROM_EMAIL,
+      name: buildSenderName(organization?.name ? { companyName: organization.name } : null)
+    },
+    subject: subject || "You've been invited to join a team",
+    text: `${invitation?.invitedByName || 'Someone'} has invited you to join ${orgName} as ${roleLabel}. Accept it here: ${acceptUrl}`,
+    html: buildBasicHtmlWrapper("You've been invited to join a team", bodyHtml),
+  };
+
+  if (organization?.email && isValidEmail(organization.email)) {
+    msg.replyTo = organization.email;
+  } else if (DEFAULT_REPLY_TO_EMAIL && isValidEmail(DEFAULT_REPLY_TO_EMAIL)) {
+    msg.replyTo = DEFAULT_REPLY_TO_EMAIL;
+  }
+
+  try {
+    await sgMail.send(msg);
+    return { success: true };
+  } catch (error) {
+    throw error;
+  }
+}
+
 async function generateQrPngBase64(data) {
   // Increase scale and margin for better scannability and visibility
   const buffer = await QRCode.toBuffer(String(data || ""), {
@@ -587,6 +813,40 @@ async function generateQrPngBase64(data) {
   return buffer.toString("base64");
 }
 
+// Helper function to build a calendar invite attachment
+function icsAttachment(ics, filename) {
+  return {
+    content: Buffer.from(ics, 'utf8').toString('base64'),
+    filename,
+    type: 'text/calendar',
+    disposition: 'attachment'
+  };
+}
+
+// Helper function to build a downloadable PDF attachment
+function pdfAttachment(buffer, filename) {
+  return {
+    content: buffer.toString('base64'),
+    filename,
+    type: 'application/pdf',
+    disposition: 'attachment'
+  };
+}
+
+// Add-to-wallet links for a ticket; the order's viewToken authorizes the download.
+// Only available when the API's public URL is configured.
+function buildWalletLinks(order, ticket) {
+  const apiBaseUrl = (process.env.API_BASE_URL || '').replace(/\/$/, '');
+  const orderId = order?.id || order?.orderId;
+  if (!apiBaseUrl || !orderId || !ticket?.id || !order?.viewToken) return null;
+  const base = `${apiBaseUrl}/api/wallet/orders/${encodeURIComponent(orderId)}/tickets/${encodeURIComponent(ticket.id)}`;
+  const token = encodeURIComponent(order.viewToken);
+  return {
+    apple: `${base}/apple?token=${token}`,
+    google: `${base}/google?token=${token}&redirect=true`
+  };
+}
+
 // Helper function to build inline PNG attachment with CID for email clients
 function inlinePngAttachment(base64, cid, filename = 'qr.png') {
   return {
@@ -675,17 +935,11 @@ async function sendTicketEmail({
     ? `${ticket.row}${ticket.seatNumber}` 
     : ticket?.seatNumber || ticket?.row || "";
 
-  // Use order URL with token for QR code, fallback to provided qrContent or ticket data
-  // Use baseUrl from order (set by frontend) or fallback to production URL
+  // QR code carries the ticket's signed payload (never the order's viewToken)
   const orderId = order?.id || order?.orderId;
-  const viewToken = order?.viewToken || "";
-  const baseUrl = order?.baseUrl || process.env.APP_BASE_URL || "https://www.stagepasspro.com";
-  const orderUrl = orderId && viewToken
-    ? `${baseUrl}/orders/${orderId}?token=${encodeURIComponent(viewToken)}`
-    : orderId
-      ? `${baseUrl}/orders/${orderId}`
-      : null;
-  const qrData = qrContent || orderUrl || ticket?.qrCode || `${ticketId}`;
+  const qrData = qrContent || (orderId && ticket?.id
+    ? getTicketQrContent({ ...order, id: orderId }, ticket)
+    : ticket?.qrCode || `${ticketId}`);
 
   // Generate QR code and validate it was created
   let qrBase64;
@@ -710,7 +964,7 @@ async function sendTicketEmail({
     ${seat ? `<p style="font-size: 16px; line-height: 1.6; margin: 0 0 10px 0;"><strong>Seat:</strong> ${seat}</p>` : ""}
     <p style="margin-top: 20px; margin-bottom: 10px; font-size: 16px; line-height: 1.6;"><strong>Present this QR code at the venue for entry:</strong></p>
     <div style="text-align: center; margin: 20px 0; padding: 20px; background-color: #ffffff; border: 2px solid #e0e0e0; border-radius: 8px;">
-      <img src="${qrDataUri}" alt="Ticket QR Code - Contains: ${qrData}" width="300" height="300" style="max-width: 100%; width: 300px; height: auto; min-width: 200px; display: block; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 4px;" border="0" />
+      <img src="${qrDataUri}" alt="Ticket QR Code" width="300" height="300" style="max-width: 100%; width: 300px; height: auto; min-width: 200px; display: block; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 4px;" border="0" />
     </div>
     <p style="font-size: 12px; color: #666; margin-top: 10px; line-height: 1.5;">QR Code contains your ticket identifier: <code style="font-size: 11px; word-break: break-all;">${qrData}</code></p>
   `;
@@ -772,8 +1026,12 @@ async function sendTicketEmail({
 module.exports = {
   sendGreetingEmail,
   sendReceiptEmail,
+  sendRefundEmail,
+  sendDisputeEmail,
+  sendTransferOfferEmail,
+  sendStaffInvitationEmail,
   sendTicketEmail,
-  sendTicketsEmail: async function sendTicketsEmail({ to, subject = "Thank you for your order!", order, tickets = [], performance, venue, seller = null, replyTo = null }) {
+  sendTicketsEmail: async function sendTicketsEmail({ to, subject = "Thank you for your order!", order, tickets = [], performance, venue, seller = null, replyTo = null, production = null, attachPdf = process.env.TICKET_EMAIL_ATTACH_PDF === 'true' }) {
     // Validate email address
     if (!to || !isValidEmail(to)) {
       throw new Error(`Invalid 'to' email address: ${to}`);
@@ -784,14 +1042,8 @@ module.exports = {
       throw new Error(`Invalid 'from' email address: ${DEFAULT_FROM_EMAIL}. Please set SENDGRID_FROM_EMAIL in your environment variables.`);
     }
 
-    // Generate QR codes for all tickets using order URL with token
-    // Use baseUrl from order (set by frontend) or fallback to production URL
+    // Generate a QR code per ticket from its signed payload
     const orderId = order?.id || order?.orderId || "Unknown";
-    const viewToken = order?.viewToken || "";
-    const baseUrl = order?.baseUrl || process.env.APP_BASE_URL || "https://www.stagepasspro.com";
-    const orderUrl = viewToken
-      ? `${baseUrl}/orders/${orderId}?token=${encodeURIComponent(viewToken)}`
-      : `${baseUrl}/orders/${orderId}`;
 
     const ticketsWithQRCodes = [];
     const attachments = [];
@@ -801,13 +1053,14 @@ module.exports = {
 
       try {
         // Generate QR code as base64
-        const qrBase64 = await generateQrPngBase64(orderUrl);
+        const qrBase64 = await generateQrPngBase64(getTicketQrContent({ ...order, id: orderId }, ticket));
         // Use a simple, clean CID format - clean any special chars that might break CID matching
         const qrCid = `qr-${orderId}-${idx}`.replace(/[^a-zA-Z0-9-]/g, '-');
         attachments.push(inlinePngAttachment(qrBase64, qrCid, `ticket-${orderId}-${idx}.png`));
         ticketsWithQRCodes.push({
           ...ticket,
-          qrCodeCid: qrCid
+          qrCodeCid: qrCid,
+          walletLinks: buildWalletLinks({ ...order, id: orderId }, ticket)
         });
       } catch (qrError) {
         // Continue with ticket even if QR code generation fails
@@ -819,10 +1072,32 @@ module.exports = {
       }
     }
 
-    // Debug logging to see what data we have
+    // Printable tickets and receipt; the email still goes out if rendering fails
+    if (attachPdf && tickets.length > 0) {
+      try {
+        const documentOrder = { ...order, id: orderId };
+        const pdfContext = { order: documentOrder, tickets, production, performance, venue, seller };
+        attachments.push(pdfAttachment(renderTicketsPdf(pdfContext), `tickets-${orderId}.pdf`));
+        attachments.push(pdfAttachment(renderReceiptPdf(pdfContext), `receipt-${orderId}.pdf`));
+      } catch (pdfError) {
+        console.error('Failed to render order PDFs:', pdfError.message);
+      }
+    }
+
+    // Add-to-calendar invite for the performance
+    let calendar = null;
+    try {
+      const orderCalendar = buildOrderCalendar({ order: { ...order, id: orderId }, tickets, production, performance, venue, seller });
+      if (orderCalendar) {
+        attachments.push(icsAttachment(orderCalendar.ics, 'event.ics'));
+        calendar = { googleUrl: orderCalendar.googleUrl, attached: true };
+      }
+    } catch (calendarError) {
+      console.error('Failed to build calendar invite:', calendarError.message);
+    }
 
     // Use Order Summary template with tickets
-    const html = buildOrderSummaryTemplate({ order, tickets: ticketsWithQRCodes, performance, venue, seller });
+    const html = buildOrderSummaryTemplate({ order, tickets: ticketsWithQRCodes, performance, venue, seller, calendar });
 
     const senderName = buildSenderName(seller);
     const msg = {
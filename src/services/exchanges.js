@@ -0,0 +1,431 @@
+const crypto = require("crypto");
+const Stripe = require("stripe");
+const {
+  OrdersController,
+  TicketsController,
+  UsersController,
+  VenuesController,
+  PerformancesController,
+  ProductionsController,
+  SeatHoldsController,
+  SeatInventoryController,
+  ExchangesController
+} = require("../controllers");
+const { priceTickets } = require("./pricing");
+const { applyRefund, refundPaymentIntentId } = require("./refunds");
+const { signTicket } = require("./ticketSigning");
+const { issueViewToken } = require("../utils/viewTokens");
+const { sendTicketsEmail } = require("./email");
+const { refreshTicketPasses } = require("./walletPasses");
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: "2024-06-20",
+});
+
+/**
+ * Price an exchange of tickets on an order for seats on another performance of the same production.
+ * Only ticket prices are compared; booking fees and tax already paid are not recalculated.
+ * canExchange(ticket) says whether the caller may exchange a ticket; others are rejected with notHeld.
+ * Returns { valid: false, reason, ... } or
+ * { valid: true, performanceId, performance, oldTickets, newTickets, oldAmount, newAmount, difference }.
+ */
+async function quoteExchange(order, { ticketIds, performanceId, seats }, { canExchange }) {
+  if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+    return { valid: false, reason: 'ticketIds must be a non-empty array' };
+  }
+  if (!Array.isArray(seats) || seats.length !== ticketIds.length) {
+    return { valid: false, reason: 'seats must list one new seat for each exchanged ticket' };
+  }
+  if (new Set(ticketIds).size !== ticketIds.length) {
+    return { valid: false, reason: 'ticketIds contains duplicates' };
+  }
+  if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+    return { valid: false, reason: `Order cannot be exchanged (paymentStatus: ${order.paymentStatus})` };
+  }
+  if (!order.productionId || !order.performanceId) {
+    return { valid: false, reason: 'Order is not linked to a performance' };
+  }
+  if (performanceId === order.performanceId) {
+    return { valid: false, reason: 'Tickets are already for this performance' };
+  }
+
+  const tickets = await TicketsController.getAllTickets(order.id);
+  const ticketsById = new Map(tickets.map(ticket => [ticket.id, ticket]));
+  const invalidIds = ticketIds.filter(id => ticketsById.get(id)?.status !== 'valid');
+  if (invalidIds.length > 0) {
+    return { valid: false, reason: 'Some tickets cannot be exchanged', ticketIds: invalidIds };
+  }
+  const oldTickets = ticketIds.map(id => ticketsById.get(id));
+  const notHeldIds = oldTickets.filter(ticket => !canExchange(ticket)).map(ticket => ticket.id);
+  if (notHeldIds.length > 0) {
+    return { valid: false, reason: 'You can only exchange tickets you hold', ticketIds: notHeldIds, notHeld: true };
+  }
+
+  // Performances are looked up under the order's production, so the target must belong to it
+  const pricing = await priceTickets(order.productionId, performanceId, seats);
+  if (!pricing.valid) {
+    return pricing;
+  }
+  if (['cancelled', 'canceled'].includes(pricing.performance.status)) {
+    return { valid: false, reason: 'Performance has been cancelled' };
+  }
+
+  const seatStates = await SeatInventoryController.getSeats(order.productionId, performanceId, seats);
+  const unavailableSeats = seats.filter(seat => (
+    !SeatInventoryController.isSeatAvailable(seatStates[SeatInventoryController.buildSeatKey(seat)] || null)
+  ));
+  if (unavailableSeats.length > 0) {
+    return { valid: false, reason: 'Some seats are no longer available', unavailableSeats };
+  }
+
+  const oldAmount = oldTickets.reduce((sum, ticket) => sum + (parseInt(ticket.price) || 0), 0);
+  const newAmount = pricing.tickets.reduce((sum, ticket) => sum + ticket.price, 0);
+
+  return {
+    valid: true,
+    performanceId,
+    performance: pricing.performance,
+    oldTickets,
+    newTickets: pricing.tickets,
+    oldAmount,
+    newAmount,
+    difference: newAmount - oldAmount
+  };
+}
+
+/**
+ * Start an exchange from a quote. When the new seats cost more, they are held and a PaymentIntent
+ * for the difference is returned; the exchange completes when payment succeeds. Otherwise the
+ * exchange completes straight away and any difference is refunded to the original payment.
+ * Returns { success: false, reason, unavailableSeats? } or { success: true, exchange, clientSecret?, result? }.
+ */
+async function startExchange(order, quote, { seats, requestedBy = null, waiveDifference = false }) {
+  const amountDue = waiveDifference ? 0 : Math.max(quote.difference, 0);
+  const exchange = {
+    id: crypto.randomBytes(16).toString('hex'),
+    orderId: order.id,
+    sellerId: order.sellerId || null,
+    productionId: order.productionId,
+    fromPerformanceId: order.performanceId,
+    toPerformanceId: quote.performanceId,
+    ticketIds: quote.oldTickets.map(ticket => ticket.id),
+    seats: quote.newTickets.map(({ seatId, section, row, seatNumber, priceCategory, price }) => ({
+      seatId: seatId || null,
+      section: section || null,
+      row: row || null,
+      seatNumber: seatNumber || null,
+      priceCategory: priceCategory || null,
+      price
+    })),
+    oldAmount: quote.oldAmount,
+    newAmount: quote.newAmount,
+    difference: quote.difference,
+    amountDue,
+    creditAmount: quote.difference < 0 ? -quote.difference : 0,
+    waivedAmount: waiveDifference ? Math.max(quote.difference, 0) : 0,
+    requestedBy,
+    holdId: null,
+    paymentIntentId: null,
+    newOrderId: null,
+    status: amountDue > 0 ? 'pending_payment' : 'pending'
+  };
+
+  if (amountDue === 0) {
+    await ExchangesController.createExchange(exchange);
+    const result = await completeExchange(exchange.id);
+    return { success: true, exchange: result.exchange, result };
+  }
+
+  const seller = order.sellerId ? await UsersController.getUserById(order.sellerId) : null;
+  if (!seller?.stripeAccountId) {
+    return { success: false, reason: 'Seller is not connected to Stripe' };
+  }
+
+  // Hold the new seats while the customer pays the difference
+  const holdResult = await SeatHoldsController.createHold(order.productionId, exchange.toPerformanceId, seats, {
+    userId: requestedBy
+  });
+  if (!holdResult.success) {
+    return { success: false, reason: 'Some seats are no longer available', unavailableSeats: holdResult.unavailableSeats };
+  }
+  exchange.holdId = holdResult.hold.id;
+
+  const pi = await stripe.paymentIntents.create({
+    amount: amountDue,
+    currency: order.currency || 'usd',
+    payment_method_types: ['card'],
+    metadata: {
+      type: 'exchange',
+      exchangeId: exchange.id,
+      originalOrderId: order.id,
+      sellerId: order.sellerId || '',
+      holdId: exchange.holdId
+    },
+    transfer_data: {
+      destination: seller.stripeAccountId,
+    },
+  });
+  exchange.paymentIntentId = pi.id;
+
+  await SeatHoldsController.updateHold(exchange.holdId, { paymentIntentId: pi.id });
+  const created = await ExchangesController.createExchange(exchange);
+
+  return {
+    success: true,
+    exchange: created,
+    clientSecret: pi.client_secret,
+    paymentIntentId: pi.id,
+    stripeAccountId: seller.stripeAccountId,
+    holdExpiresAt: holdResult.hold.expiresAt
+  };
+}
+
+// Mark an exchange failed, undoing anything the customer paid for it
+async function failExchange(exchange, reason, extra = {}) {
+  let refundId = null;
+  if (exchange.paymentIntentId) {
+    try {
+      const refund = await stripe.refunds.create({
+        payment_intent: exchange.paymentIntentId,
+        reverse_transfer: true,
+        metadata: { exchangeId: exchange.id }
+      });
+      refundId = refund.id;
+    } catch (refundError) {
+      console.error('Failed to refund exchange payment:', refundError.message);
+    }
+  }
+  if (exchange.holdId) {
+    try {
+      await SeatHoldsController.releaseHold(exchange.holdId, 'exchange_failed');
+    } catch (holdError) {
+      console.error('Failed to release exchange seat hold:', holdError.message);
+    }
+  }
+
+  const updated = await ExchangesController.updateExchange(exchange.id, {
+    status: 'failed',
+    failureReason: reason,
+    paymentRefundId: refundId,
+    ...extra
+  });
+  return { success: false, reason, exchange: { ...exchange, ...updated } };
+}
+
+/**
+ * Complete an exchange: swap seat inventory atomically, issue the new tickets on a linked order,
+ * mark the old tickets exchanged, refund any credit and email the new tickets.
+ * Safe to call more than once; only the first call does the work.
+ */
+async function completeExchange(exchangeId) {
+  const exchange = await ExchangesController.claimExchange(exchangeId, ['pending', 'pending_payment']);
+  if (!exchange) {
+    const current = await ExchangesController.getExchangeById(exchangeId);
+    return { success: current?.status === 'completed', alreadyProcessed: true, exchange: current };
+  }
+
+  const order = await OrdersController.getOrderById(exchange.orderId);
+  if (!order) {
+    return await failExchange(exchange, 'Order not found');
+  }
+
+  // The tickets may have been used, refunded or exchanged since the exchange started
+  const tickets = await TicketsController.getAllTickets(order.id);
+  const oldTickets = exchange.ticketIds.map(id => tickets.find(ticket => ticket.id === id));
+  if (oldTickets.some(ticket => ticket?.status !== 'valid')) {
+    return await failExchange(exchange, 'Some tickets can no longer be exchanged');
+  }
+
+  const newOrderId = crypto.randomBytes(16).toString('hex');
+  const swap = await SeatInventoryController.swapSeats({
+    productionId: exchange.productionId,
+    fromPerformanceId: exchange.fromPerformanceId,
+    fromOrderId: order.id,
+    releaseSeats: oldTickets.filter(ticket => ticket.seatId || ticket.seatNumber),
+    toPerformanceId: exchange.toPerformanceId,
+    newOrderId,
+    claimSeats: exchange.seats.filter(seat => seat.seatId || seat.seatNumber),
+    holdId: exchange.holdId
+  });
+  if (!swap.success) {
+    return await failExchange(exchange, 'Some seats are no longer available', { seatConflicts: swap.conflicts });
+  }
+
+  const now = new Date().toISOString();
+  const newTickets = exchange.seats.map((seat, idx) => {
+    const oldTicket = oldTickets[idx];
+    const ticketId = crypto.randomBytes(16).toString('hex');
+    return {
+      id: ticketId,
+      seatId: seat.seatId,
+      section: seat.section,
+      row: seat.row,
+      seatNumber: seat.seatNumber,
+      priceCategory: seat.priceCategory,
+      price: seat.price,
+      status: 'valid',
+      qrCode: signTicket({ ticketId, orderId: newOrderId, performanceId: exchange.toPerformanceId }),
+      exchangedFromTicketId: oldTicket.id,
+      ownerId: oldTicket.ownerId || null,
+      ownerName: oldTicket.ownerName || null,
+      ownerEmail: oldTicket.ownerEmail || null,
+      createdAt: now
+    };
+  });
+
+  // The exchange order only carries what was charged for the swap, so revenue isn't counted twice
+  const newOrder = {
+    id: newOrderId,
+    userId: order.userId || null,
+    buyerId: order.buyerId || null,
+    sellerId: order.sellerId || null,
+    productionId: exchange.productionId,
+    performanceId: exchange.toPerformanceId,
+    totalAmount: exchange.amountDue,
+    subtotalAmount: exchange.amountDue,
+    discountAmount: 0,
+    feeAmount: 0,
+    taxAmount: 0,
+    status: 'confirmed',
+    paymentStatus: 'paid',
+    paymentMethod: exchange.paymentIntentId ? 'card' : (order.paymentMethod || null),
+    customerEmail: order.customerEmail || null,
+    customerName: order.customerName || null,
+    ...issueViewToken(),
+    // Only this order's own payment (the price difference, if any), so lookups by PaymentIntent
+    // never find it instead of the original order. Refunds go back to the original payment.
+    stripePaymentIntentId: exchange.paymentIntentId || null,
+    originalPaymentIntentId: refundPaymentIntentId(order),
+    exchangedFromOrderId: order.id,
+    exchangeId: exchange.id,
+    holdId: exchange.holdId || null,
+    tickets: newTickets.map(ticket => ticket.id),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await OrdersController.upsertOrder(newOrder);
+  for (const ticket of newTickets) {
+    await TicketsController.upsertTicket(newOrderId, ticket);
+  }
+  for (const [idx, oldTicket] of oldTickets.entries()) {
+    await TicketsController.updateTicket(order.id, oldTicket.id, {
+      status: 'exchanged',
+      exchangeId: exchange.id,
+      exchangedToOrderId: newOrderId,
+      exchangedToTicketId: newTickets[idx].id,
+      exchangedAt: now
+    });
+  }
+  await refreshTicketPasses(order.id, oldTickets.map(ticket => ticket.id));
+
+  if (exchange.holdId) {
+    try {
+      await SeatHoldsController.updateHold(exchange.holdId, { status: 'converted', orderId: newOrderId, convertedAt: now });
+    } catch (holdError) {
+      console.error('Failed to update exchange seat hold:', holdError.message);
+    }
+  }
+
+  // Cheaper seats: refund the difference to the original payment
+  let creditRefundId = null;
+  let creditError = null;
+  if (exchange.creditAmount > 0) {
+    if (!refundPaymentIntentId(order)) {
+      creditError = 'Order has no Stripe payment to refund';
+    } else {
+      try {
+        const refund = await stripe.refunds.create({
+          payment_intent: refundPaymentIntentId(order),
+          amount: exchange.creditAmount,
+          reverse_transfer: true,
+          metadata: { orderId: order.id, ticketIds: '', exchangeId: exchange.id }
+        });
+        creditRefundId = refund.id;
+        await applyRefund(order, refund, { ticketIds: [], source: 'exchange' });
+      } catch (refundError) {
+        creditError = refundError.message;
+        console.error('Failed to refund exchange credit:', refundError.message);
+      }
+    }
+  }
+
+  const completed = await ExchangesController.updateExchange(exchange.id, {
+    status: 'completed',
+    newOrderId,
+    newTicketIds: newTickets.map(ticket => ticket.id),
+    creditRefundId,
+    creditError,
+    completedAt: now
+  });
+
+  let emailSent = false;
+  if (order.customerEmail) {
+    try {
+      const seller = order.sellerId ? await UsersController.getUserById(order.sellerId) : null;
+      const performance = await PerformancesController.getPerformanceById(exchange.productionId, exchange.toPerformanceId);
+      const venue = performance?.venueId ? await VenuesController.getVenueById(performance.venueId) : null;
+      const production = await ProductionsController.getProductionById(exchange.productionId);
+      await sendTicketsEmail({
+        to: order.customerEmail,
+        subject: "Your exchanged tickets",
+        order: newOrder,
+        tickets: newTickets,
+        performance,
+        venue,
+        seller,
+        production
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send exchanged tickets email:', emailError.message);
+    }
+  }
+
+  return {
+    success: true,
+    exchange: { ...exchange, ...completed },
+    order: newOrder,
+    tickets: newTickets,
+    emailSent
+  };
+}
+
+// payment_intent.succeeded for an exchange's price difference. Only the PaymentIntent the exchange
+// created, for the amount it quoted, completes it: metadata alone proves nothing.
+async function handleExchangePaymentSucceeded(pi) {
+  const exchangeId = pi.metadata?.exchangeId;
+  if (!exchangeId) return null;
+
+  const exchange = await ExchangesController.getExchangeById(exchangeId);
+  if (!exchange) {
+    console.error(`Exchange ${exchangeId} for PaymentIntent ${pi.id} not found`);
+    return { success: false, reason: 'Exchange not found' };
+  }
+  if (exchange.status === 'completed' && exchange.paymentIntentId === pi.id) {
+    return { success: true, alreadyProcessed: true, exchange };
+  }
+  if (exchange.status !== 'pending_payment' ||
+      exchange.paymentIntentId !== pi.id ||
+      pi.amount !== exchange.amountDue) {
+    console.error(`PaymentIntent ${pi.id} does not pay for exchange ${exchangeId}; not completing it`);
+    return { success: false, reason: 'PaymentIntent does not match the exchange', exchange };
+  }
+  return await completeExchange(exchangeId);
+}
+
+// payment_intent.payment_failed for an exchange's price difference
+async function handleExchangePaymentFailed(pi) {
+  const exchangeId = pi.metadata?.exchangeId;
+  if (!exchangeId) return null;
+  const exchange = await ExchangesController.getExchangeById(exchangeId);
+  if (!exchange || exchange.status !== 'pending_payment' || exchange.paymentIntentId !== pi.id) return exchange;
+  return await ExchangesController.updateExchange(exchangeId, { status: 'payment_failed' });
+}
+
+module.exports = {
+  quoteExchange,
+  startExchange,
+  completeExchange,
+  handleExchangePaymentSucceeded,
+  handleExchangePaymentFailed
+};
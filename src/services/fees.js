@@ -0,0 +1,109 @@
+// Service and platform fee calculation.
+//
+// Fee rules can be set on the seller (user), production or performance as `feeRules`:
+//   [{ name, type: 'per_ticket' | 'per_order', amountType: 'fixed' | 'percent', amount }]
+// Fixed amounts are in cents; percent amounts are a percentage of the ticket price
+// (per_ticket) or of the discounted subtotal (per_order). The most specific level that
+// sets `feeRules` wins, so a performance can set `[]` to waive its production's fees.
+
+const FEE_TYPES = ['per_ticket', 'per_order'];
+const FEE_AMOUNT_TYPES = ['fixed', 'percent'];
+
+// Validate a feeRules array. Returns an error message or null.
+function validateFeeRules(feeRules) {
+  if (feeRules === undefined || feeRules === null) return null;
+  if (!Array.isArray(feeRules)) {
+    return "feeRules must be an array";
+  }
+
+  for (const rule of feeRules) {
+    if (!rule || typeof rule !== 'object') {
+      return "each fee rule must be an object";
+    }
+    if (!rule.name || typeof rule.name !== 'string') {
+      return "each fee rule requires a name";
+    }
+    if (!FEE_TYPES.includes(rule.type)) {
+      return `fee rule type must be one of: ${FEE_TYPES.map(t => `'${t}'`).join(', ')}`;
+    }
+    if (!FEE_AMOUNT_TYPES.includes(rule.amountType)) {
+      return `fee rule amountType must be one of: ${FEE_AMOUNT_TYPES.map(t => `'${t}'`).join(', ')}`;
+    }
+    const amount = Number(rule.amount);
+    if (rule.amountType === 'fixed' && (!Number.isInteger(amount) || amount < 0)) {
+      return "fixed fee amounts must be a non-negative integer (cents)";
+    }
+    if (rule.amountType === 'percent' && (isNaN(amount) || amount < 0 || amount > 100)) {
+      return "percent fee amounts must be between 0 and 100";
+    }
+  }
+
+  return null;
+}
+
+// Pick the fee rules that apply: performance, then production, then seller
+function resolveFeeRules({ seller = null, production = null, performance = null } = {}) {
+  const levels = [
+    ['performance', performance],
+    ['production', production],
+    ['seller', seller]
+  ];
+  for (const [level, source] of levels) {
+    if (Array.isArray(source?.feeRules)) {
+      return { level, rules: source.feeRules };
+    }
+  }
+  return { level: null, rules: [] };
+}
+
+// Calculate fee line items for priced tickets.
+// Returns [{ name, type, amountType, rate, quantity, amount, level }] with zero-amount fees omitted.
+function calculateFees({ rules = [], level = null }, tickets = [], discountAmount = 0) {
+  const subtotal = tickets.reduce((sum, ticket) => sum + ticket.price, 0);
+
+  return rules.map(rule => {
+    const rate = Number(rule.amount);
+    let amount;
+    let quantity = 1;
+    if (rule.type === 'per_ticket') {
+      quantity = tickets.length;
+      amount = rule.amountType === 'percent'
+        ? tickets.reduce((sum, ticket) => sum + Math.round(ticket.price * rate / 100), 0)
+        : rate * tickets.length;
+    } else {
+      amount = rule.amountType === 'percent'
+        ? Math.round(Math.max(subtotal - discountAmount, 0) * rate / 100)
+        : rate;
+    }
+
+    return {
+      name: rule.name,
+      type: rule.type,
+      amountType: rule.amountType,
+      rate,
+      quantity,
+      amount,
+      level
+    };
+  }).filter(fee => fee.amount > 0);
+}
+
+// Platform application fee taken from the seller's transfer.
+// Configured with PLATFORM_FEE_PERCENT and/or PLATFORM_FEE_FIXED_CENTS (per order); zero when unset.
+function calculateApplicationFee(totalAmount) {
+  const percent = parseFloat(process.env.PLATFORM_FEE_PERCENT || '0') || 0;
+  const fixed = parseInt(process.env.PLATFORM_FEE_FIXED_CENTS || '0') || 0;
+  if (totalAmount <= 0 || (percent <= 0 && fixed <= 0)) {
+    return 0;
+  }
+  return Math.min(Math.round(totalAmount * percent / 100) + fixed, totalAmount);
+}
+
+module.exports = {
+  FEE_TYPES,
+  FEE_AMOUNT_TYPES,
+  validateFeeRules,
+  resolveFeeRules,
+  calculateFees,
+  calculateApplicationFee
+};
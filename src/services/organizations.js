@@ -0,0 +1,71 @@
+// Staff roles and permissions for seller organisations.
+//
+// Every seller account is implicitly the owner of the organisation with its own user ID. Other
+// users join through an emailed invitation with one of the staff roles below; the auth middleware
+// checks the permission a route needs against the caller's role in the resource's organisation.
+
+const { OrganizationsController } = require("../controllers");
+
+const PERMISSIONS = [
+  'productions:write', // productions, performances and series
+  'venues:write',      // venues and seatmaps
+  'promo_codes:write',
+  'orders:read',
+  'orders:write',      // order edits, refunds and ticket changes
+  'tickets:check_in',  // door check-in and scanner sessions
+  'reports:read',      // tax reports and disputes
+  'webhooks:manage',   // outbound webhook endpoints and their delivery logs
+  'staff:manage'       // organisation settings, members, invitations and the audit log
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  box_office: ['orders:read', 'orders:write', 'tickets:check_in'],
+  door_scanner: ['tickets:check_in'],
+  marketing: ['productions:write', 'promo_codes:write']
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permissions a seller can grant to an API key. Keys can never manage staff or other keys.
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => permission !== 'staff:manage');
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  box_office: 'Box office',
+  door_scanner: 'Door scanner',
+  marketing: 'Marketing'
+};
+
+function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Record a staff action in the organisation's audit log. Logging must never fail the action.
+async function recordStaffAction(organizationId, req, { action, targetType = null, targetId = null, details = null, actorRole = null }) {
+  try {
+    await OrganizationsController.recordAuditEntry(organizationId, {
+      actorId: req.user?.uid || null,
+      actorEmail: req.user?.email || null,
+      actorRole: actorRole || (req.user?.uid === organizationId
+        ? 'owner'
+        : (req.user?.organizationRoles?.[organizationId] || req.user?.role || null)),
+      action,
+      targetType,
+      targetId,
+      details
+    });
+  } catch (error) {
+    console.error('Failed to record staff action:', error.message);
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  ROLE_LABELS,
+  API_KEY_SCOPES,
+  roleHasPermission,
+  recordStaffAction
+};
@@ -0,0 +1,242 @@
+const QRCode = require("qrcode");
+const { PdfDocument, wrapText, PAGE_WIDTH } = require("../utils/pdf");
+const { getTicketQrContent } = require("./ticketSigning");
+
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const MUTED = '#666666';
+const RULE = '#dddddd';
+
+function getEventName({ order, production, performance }) {
+  return production?.title || performance?.productionName || performance?.title || order?.productionName || 'Performance';
+}
+
+function getOrganizationName(seller) {
+  return seller?.companyName || seller?.displayName || 'Stage Pass Pro';
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// "Saturday, December 5, 2026 at 7:30 PM"
+function formatPerformanceDate(performance, order) {
+  const date = toDate(performance?.startTime || performance?.dateTime || performance?.date)
+    || toDate(order?.performanceDate ? `${order.performanceDate}T${order.performanceTime || '00:00'}:00` : null);
+  if (!date) return null;
+  const day = date.toLocaleString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const time = date.toLocaleString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+  return `${day} at ${time}`;
+}
+
+function formatDate(value) {
+  const date = toDate(value);
+  return date ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : null;
+}
+
+function formatMoney(cents, currency = 'usd') {
+  const amount = (Number(cents) || 0) / 100;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount);
+}
+
+function formatVenueAddress(venue) {
+  if (!venue) return null;
+  return [venue.address, venue.city, venue.state, venue.zipCode].filter(Boolean).join(', ') || null;
+}
+
+// Small label above a value
+function drawField(doc, label, value, x, y, { size = 14, width = null } = {}) {
+  doc.text(label.toUpperCase(), x, y, { size: 8, bold: true, color: MUTED });
+  const lines = width ? wrapText(value, width, size, true) : [String(value)];
+  lines.forEach((line, idx) => doc.text(line, x, y + size + 4 + idx * (size + 4), { size, bold: true }));
+  return y + size + 4 + lines.length * (size + 4);
+}
+
+/**
+ * Printable tickets: one page per ticket with the event, seat and QR code.
+ * @param {Object} params - { order, tickets, production, performance, venue, seller }
+ * @returns {Buffer} PDF document
+ */
+function renderTicketsPdf({ order, tickets = [], production = null, performance = null, venue = null, seller = null }) {
+  const eventName = getEventName({ order, production, performance });
+  const when = formatPerformanceDate(performance, order);
+  const address = formatVenueAddress(venue);
+  const doc = new PdfDocument({ title: `Tickets - ${eventName}` });
+
+  tickets.forEach((ticket, idx) => {
+    doc.addPage();
+
+    // Header band
+    doc.rect(0, 0, PAGE_WIDTH, 64, { fill: '#111111' });
+    doc.text(getOrganizationName(seller), MARGIN, 40, { size: 16, bold: true, color: '#ffffff' });
+    doc.text(`Ticket ${idx + 1} of ${tickets.length}`, PAGE_WIDTH - MARGIN, 40, { size: 11, color: '#ffffff', align: 'right' });
+
+    let y = 112;
+    wrapText(eventName, CONTENT_WIDTH, 26, true).forEach(line => {
+      doc.text(line, MARGIN, y, { size: 26, bold: true });
+      y += 32;
+    });
+    if (when) {
+      doc.text(when, MARGIN, y, { size: 14 });
+      y += 20;
+    }
+    if (venue?.name) {
+      doc.text(venue.name, MARGIN, y, { size: 14, bold: true });
+      y += 18;
+    }
+    if (address) {
+      doc.text(address, MARGIN, y, { size: 11, color: MUTED });
+      y += 16;
+    }
+
+    // Seat
+    y += 16;
+    doc.line(MARGIN, y, PAGE_WIDTH - MARGIN, y, { color: RULE });
+    y += 24;
+    const columnWidth = CONTENT_WIDTH / 3;
+    drawField(doc, 'Section', ticket.section || 'General', MARGIN, y, { size: 18, width: columnWidth - 12 });
+    drawField(doc, 'Row', ticket.row || '-', MARGIN + columnWidth, y, { size: 18 });
+    drawField(doc, 'Seat', ticket.seatNumber || '-', MARGIN + columnWidth * 2, y, { size: 18 });
+    y += 56;
+
+    const holderName = ticket.ownerName || order.customerName;
+    if (ticket.priceCategory || holderName) {
+      if (ticket.priceCategory) {
+        drawField(doc, 'Ticket type', ticket.priceCategory, MARGIN, y, { size: 12 });
+      }
+      if (holderName) {
+        drawField(doc, 'Ticket holder', holderName, MARGIN + columnWidth, y, { size: 12, width: columnWidth * 2 });
+      }
+      y += 44;
+    }
+    doc.line(MARGIN, y, PAGE_WIDTH - MARGIN, y, { color: RULE });
+
+    // QR code
+    const qrSize = 216;
+    const qrTop = y + 32;
+    const modules = QRCode.create(getTicketQrContent(order, ticket), { errorCorrectionLevel: 'M' }).modules;
+    doc.qrCode(modules, (PAGE_WIDTH - qrSize) / 2, qrTop, qrSize);
+    y = qrTop + qrSize + 24;
+    doc.text('Present this QR code at the door. Each code admits one person.', PAGE_WIDTH / 2, y, { size: 11, align: 'center' });
+    doc.text(`Ticket ${ticket.id}  |  Order ${order.id}`, PAGE_WIDTH / 2, y + 16, { size: 9, color: MUTED, align: 'center' });
+
+    // Footer
+    doc.line(MARGIN, 740, PAGE_WIDTH - MARGIN, 740, { color: RULE, dash: [4, 3] });
+    doc.text('Do not share or post this ticket. Anyone with its QR code can use it.', PAGE_WIDTH / 2, 758, {
+      size: 8,
+      color: MUTED,
+      align: 'center'
+    });
+  });
+
+  return doc.toBuffer();
+}
+
+/**
+ * Order receipt with line items, fees, tax, refunds and the amount paid.
+ * @param {Object} params - { order, tickets, production, performance, venue, seller }
+ * @returns {Buffer} PDF document
+ */
+function renderReceiptPdf({ order, tickets = [], production = null, performance = null, venue = null, seller = null }) {
+  const currency = order.currency || 'usd';
+  const eventName = getEventName({ order, production, performance });
+  const doc = new PdfDocument({ title: `Receipt - Order ${order.id}` });
+  doc.addPage();
+
+  doc.text(getOrganizationName(seller), MARGIN, 72, { size: 18, bold: true });
+  doc.text('RECEIPT', PAGE_WIDTH - MARGIN, 72, { size: 18, bold: true, color: MUTED, align: 'right' });
+
+  let y = 112;
+  const details = [
+    ['Order', order.id],
+    ['Date', formatDate(order.createdAt)],
+    ['Customer', [order.customerName, order.customerEmail].filter(Boolean).join(' - ')],
+    ['Payment', [order.paymentMethod, order.paymentStatus].filter(Boolean).join(', ')]
+  ].filter(([, value]) => value);
+  details.forEach(([label, value]) => {
+    doc.text(label, MARGIN, y, { size: 10, bold: true, color: MUTED });
+    doc.text(value, MARGIN + 80, y, { size: 10 });
+    y += 16;
+  });
+
+  y += 12;
+  wrapText(eventName, CONTENT_WIDTH, 14, true).forEach(line => {
+    doc.text(line, MARGIN, y, { size: 14, bold: true });
+    y += 18;
+  });
+  const when = formatPerformanceDate(performance, order);
+  const venueLine = [venue?.name, formatVenueAddress(venue)].filter(Boolean).join(', ');
+  if (when) {
+    doc.text(when, MARGIN, y, { size: 10 });
+    y += 14;
+  }
+  if (venueLine) {
+    doc.text(venueLine, MARGIN, y, { size: 10, color: MUTED });
+    y += 14;
+  }
+
+  // Line items
+  y += 18;
+  const amountX = PAGE_WIDTH - MARGIN;
+  doc.text('ITEM', MARGIN, y, { size: 8, bold: true, color: MUTED });
+  doc.text('STATUS', MARGIN + 300, y, { size: 8, bold: true, color: MUTED });
+  doc.text('AMOUNT', amountX, y, { size: 8, bold: true, color: MUTED, align: 'right' });
+  y += 8;
+  doc.line(MARGIN, y, amountX, y, { color: RULE });
+  y += 16;
+
+  tickets.forEach((ticket, idx) => {
+    // Continue long orders on a new page
+    if (y > 640) {
+      doc.addPage();
+      y = 72;
+    }
+    const seat = [
+      ticket.section,
+      ticket.row && `Row ${ticket.row}`,
+      ticket.seatNumber && `Seat ${ticket.seatNumber}`
+    ].filter(Boolean).join(', ') || 'General admission';
+    const label = `${idx + 1}. ${ticket.priceCategory ? `${ticket.priceCategory} - ` : ''}${seat}`;
+    doc.text(label, MARGIN, y, { size: 10 });
+    doc.text(ticket.status || 'valid', MARGIN + 300, y, { size: 10, color: MUTED });
+    doc.text(formatMoney(ticket.price, currency), amountX, y, { size: 10, align: 'right' });
+    y += 18;
+  });
+
+  y += 4;
+  doc.line(MARGIN, y, amountX, y, { color: RULE });
+  y += 20;
+
+  const subtotal = order.subtotalAmount ?? tickets.reduce((sum, ticket) => sum + (Number(ticket.price) || 0), 0);
+  const totals = [['Subtotal', formatMoney(subtotal, currency)]];
+  if (order.discountAmount) {
+    totals.push([`Discount${order.promoCode ? ` (${order.promoCode})` : ''}`, `-${formatMoney(order.discountAmount, currency)}`]);
+  }
+  if (order.feeAmount) totals.push(['Fees', formatMoney(order.feeAmount, currency)]);
+  if (order.taxAmount) totals.push(['Tax', formatMoney(order.taxAmount, currency)]);
+  totals.push(['Total', formatMoney(order.totalAmount, currency), true]);
+  if (order.refundedAmount) {
+    totals.push(['Refunded', `-${formatMoney(order.refundedAmount, currency)}`]);
+    totals.push(['Net paid', formatMoney((Number(order.totalAmount) || 0) - order.refundedAmount, currency), true]);
+  }
+
+  totals.forEach(([label, value, bold]) => {
+    doc.text(label, amountX - 140, y, { size: 11, bold: !!bold, align: 'right' });
+    doc.text(value, amountX, y, { size: 11, bold: !!bold, align: 'right' });
+    y += 18;
+  });
+
+  doc.text('Thank you for your order.', MARGIN, 740, { size: 10, color: MUTED });
+  if (seller?.email) {
+    doc.text(`Questions? Contact ${seller.email}`, MARGIN, 754, { size: 9, color: MUTED });
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  renderTicketsPdf,
+  renderReceiptPdf
+};
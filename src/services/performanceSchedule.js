@@ -0,0 +1,523 @@
+// Recurring performance schedules.
+//
+// A schedule rule describes a run in the venue's local time:
+//   { startDate: '2026-11-04', endDate: '2026-12-20', timeZone: 'America/New_York',
+//     slots: [{ days: ['wed', 'thu', 'fri', 'sat'], time: '19:30' }, { days: ['sun'], time: '14:00' }],
+//     excludeDates: ['2026-11-26'] }
+// Every matching day and slot becomes one performance. Performances created from a rule share a
+// seriesId, so the whole run can be edited or cancelled together.
+
+const {
+  PerformancesController,
+  PerformanceSeriesController,
+  SeatmapsController,
+  SeatInventoryController,
+  OrdersController
+} = require("../controllers");
+const { generateId } = require("../controllers/BaseController");
+const { validateFeeRules } = require("./fees");
+const { emitSellerEvent } = require("./sellerWebhooks");
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_SCHEDULE_DAYS = 366;
+const MAX_SERIES_PERFORMANCES = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Performance fields shared by every performance in a series
+const SERIES_TEMPLATE_FIELDS = ['sellerId', 'venueId', 'seatmapId', 'totalSeats', 'priceCategories', 'feeRules'];
+
+// Statuses a series edit or cancellation leaves alone
+const CLOSED_PERFORMANCE_STATUSES = ['canceled', 'cancelled', 'completed'];
+
+// Orders that hold seats for a performance, so it can't simply be deleted
+const SALE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'pending'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// 'Wednesday', 'WED' and 'wed' all mean 'wed'
+function normalizeDay(day) {
+  return typeof day === 'string' ? day.trim().toLowerCase().slice(0, 3) : null;
+}
+
+// Validate a schedule rule. Returns an error message or null.
+function validateScheduleRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return "rule is required";
+  }
+  if (!isValidDate(rule.startDate) || !isValidDate(rule.endDate)) {
+    return "rule.startDate and rule.endDate must be dates (YYYY-MM-DD)";
+  }
+  const days = (new Date(`${rule.endDate}T00:00:00Z`) - new Date(`${rule.startDate}T00:00:00Z`)) / DAY_MS;
+  if (days < 0) {
+    return "rule.endDate must not be before rule.startDate";
+  }
+  if (days >= MAX_SCHEDULE_DAYS) {
+    return `a schedule can span at most ${MAX_SCHEDULE_DAYS} days`;
+  }
+  if (!isValidTimeZone(rule.timeZone)) {
+    return "rule.timeZone must be an IANA time zone, e.g. 'America/New_York'";
+  }
+  if (!Array.isArray(rule.slots) || rule.slots.length === 0) {
+    return "rule.slots must be a non-empty array";
+  }
+  for (const slot of rule.slots) {
+    if (!slot || !Array.isArray(slot.days) || slot.days.length === 0) {
+      return "each slot requires days";
+    }
+    if (!slot.days.every(day => WEEKDAYS.includes(normalizeDay(day)))) {
+      return `slot days must be one of: ${WEEKDAYS.map(d => `'${d}'`).join(', ')}`;
+    }
+    if (typeof slot.time !== 'string' || !TIME_PATTERN.test(slot.time)) {
+      return "each slot requires a time (HH:mm, 24-hour)";
+    }
+  }
+  if (rule.excludeDates !== undefined && rule.excludeDates !== null) {
+    if (!Array.isArray(rule.excludeDates) || !rule.excludeDates.every(isValidDate)) {
+      return "rule.excludeDates must be an array of dates (YYYY-MM-DD)";
+    }
+  }
+  return null;
+}
+
+// Rule as stored on the series
+function normalizeScheduleRule(rule) {
+  return {
+    startDate: rule.startDate,
+    endDate: rule.endDate,
+    timeZone: rule.timeZone,
+    slots: rule.slots.map(slot => ({
+      days: [...new Set(slot.days.map(normalizeDay))],
+      time: slot.time
+    })),
+    excludeDates: [...new Set(rule.excludeDates || [])].sort()
+  };
+}
+
+// Validate the shared performance fields. Returns an error message or null.
+function validateSeriesTemplate(template, { requireAll = true } = {}) {
+  if (requireAll && (!template.sellerId || !template.venueId)) {
+    return "sellerId and venueId are required";
+  }
+  if (template.priceCategories !== undefined && !Array.isArray(template.priceCategories)) {
+    return "priceCategories must be an array";
+  }
+  return validateFeeRules(template.feeRules);
+}
+
+function pickTemplate(source) {
+  return Object.fromEntries(
+    SERIES_TEMPLATE_FIELDS
+      .filter(field => source[field] !== undefined)
+      .map(field => [field, source[field]])
+  );
+}
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+function getTimeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC instant of a local date and time in a time zone.
+ * Times skipped by a daylight saving change resolve to an adjacent hour.
+ */
+function zonedTimeToUtc(localDate, time, timeZone) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const adjustedOffset = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - adjustedOffset);
+}
+
+// Local date (YYYY-MM-DD) and time (HH:mm) of an instant in a time zone
+function getLocalDateTime(value, timeZone) {
+  const date = new Date(value);
+  const local = new Date(date.getTime() + getTimeZoneOffset(date, timeZone)).toISOString();
+  return { localDate: local.slice(0, 10), localTime: local.slice(11, 16) };
+}
+
+/**
+ * Every performance a rule describes, in date order
+ * @returns {Array} [{ date (ISO), localDate, localTime, day }]
+ */
+function expandScheduleRule(rule) {
+  const excluded = new Set(rule.excludeDates || []);
+  const occurrences = [];
+  const end = new Date(`${rule.endDate}T00:00:00Z`);
+
+  for (let day = new Date(`${rule.startDate}T00:00:00Z`); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    const localDate = day.toISOString().slice(0, 10);
+    if (excluded.has(localDate)) continue;
+    const weekday = WEEKDAYS[day.getUTCDay()];
+
+    const times = [...new Set(
+      rule.slots
+        .filter(slot => slot.days.map(normalizeDay).includes(weekday))
+        .map(slot => slot.time)
+    )].sort();
+    times.forEach(localTime => {
+      occurrences.push({
+        date: zonedTimeToUtc(localDate, localTime, rule.timeZone).toISOString(),
+        localDate,
+        localTime,
+        day: weekday
+      });
+    });
+  }
+
+  return occurrences;
+}
+
+function isUpcoming(performance, now = new Date()) {
+  return new Date(performance.date) > now;
+}
+
+function isOpen(performance) {
+  return !CLOSED_PERFORMANCE_STATUSES.includes(performance.status);
+}
+
+function buildSeriesPerformance(productionId, series, occurrence) {
+  const now = new Date().toISOString();
+  const { template } = series;
+  return {
+    id: generateId(),
+    date: occurrence.date,
+    productionId,
+    sellerId: template.sellerId,
+    venueId: template.venueId,
+    seatmapId: template.seatmapId || null,
+    status: 'scheduled',
+    totalSeats: template.totalSeats || 0,
+    soldSeats: 0,
+    priceCategories: template.priceCategories || [],
+    // Booking fee rules; null inherits from the production or seller
+    feeRules: template.feeRules !== undefined ? template.feeRules : null,
+    seriesId: series.id,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Seed a series performance's seat inventory, loading each seatmap once
+async function seedInventory(productionId, performance, seatmaps) {
+  if (!performance.venueId || !performance.seatmapId) return;
+  try {
+    const key = `${performance.venueId}/${performance.seatmapId}`;
+    if (!seatmaps.has(key)) {
+      seatmaps.set(key, await SeatmapsController.getSeatmapById(performance.venueId, performance.seatmapId));
+    }
+    const seatmap = seatmaps.get(key);
+    if (seatmap) {
+      await SeatInventoryController.seedFromSeatmap(productionId, performance.id, seatmap);
+    }
+  } catch (inventoryError) {
+    // Log but don't fail the schedule; inventory can be re-seeded per performance
+    console.error('Failed to seed seat inventory:', inventoryError.message);
+  }
+}
+
+async function hasSales(performanceId) {
+  const orders = await OrdersController.getOrdersByPerformanceId(performanceId);
+  return (orders.data || orders).some(order => SALE_PAYMENT_STATUSES.includes(order.paymentStatus));
+}
+
+// Existing performances at the same time and venue, which a new one would duplicate
+function findDuplicate(existing, occurrence, venueId) {
+  const time = new Date(occurrence.date).getTime();
+  return existing.find(performance =>
+    isOpen(performance) &&
+    performance.venueId === venueId &&
+    new Date(performance.date).getTime() === time
+  ) || null;
+}
+
+/**
+ * Performances a rule would create, flagging past dates and duplicates of existing performances
+ * @returns {Object} { rule, occurrences, total, creatable }
+ */
+async function previewSchedule(productionId, rule, template) {
+  const normalizedRule = normalizeScheduleRule(rule);
+  const existing = await PerformancesController.getAllPerformances(productionId);
+  const now = new Date();
+
+  const occurrences = expandScheduleRule(normalizedRule).map(occurrence => {
+    const duplicate = findDuplicate(existing, occurrence, template.venueId);
+    return {
+      ...occurrence,
+      past: new Date(occurrence.date) <= now,
+      conflictPerformanceId: duplicate ? duplicate.id : null
+    };
+  });
+
+  return {
+    rule: normalizedRule,
+    occurrences,
+    total: occurrences.length,
+    creatable: occurrences.filter(o => !o.past && !o.conflictPerformanceId).length
+  };
+}
+
+/**
+ * Create a series and its performances. Past dates and duplicates of existing performances
+ * are skipped.
+ * @returns {Object} { success: false, reason } or { success: true, series, performances, skipped }
+ */
+async function createSeries(productionId, { rule, template }) {
+  const preview = await previewSchedule(productionId, rule, template);
+  if (preview.creatable === 0) {
+    return { success: false, reason: 'The schedule has no upcoming performances to create' };
+  }
+  if (preview.creatable > MAX_SERIES_PERFORMANCES) {
+    return { success: false, reason: `A series can create at most ${MAX_SERIES_PERFORMANCES} performances` };
+  }
+
+  const series = await PerformanceSeriesController.createSeries(productionId, {
+    rule: preview.rule,
+    template: {
+      ...pickTemplate(template),
+      seatmapId: template.seatmapId || null,
+      totalSeats: template.totalSeats || 0,
+      priceCategories: template.priceCategories || [],
+      feeRules: template.feeRules !== undefined ? template.feeRules : null
+    },
+    status: 'active'
+  });
+
+  const seatmaps = new Map();
+  const performances = [];
+  const skipped = [];
+  for (const occurrence of preview.occurrences) {
+    if (occurrence.past || occurrence.conflictPerformanceId) {
+      skipped.push({
+        date: occurrence.date,
+        localDate: occurrence.localDate,
+        localTime: occurrence.localTime,
+        reason: occurrence.past ? 'past' : 'duplicate',
+        performanceId: occurrence.conflictPerformanceId
+      });
+      continue;
+    }
+    const performance = buildSeriesPerformance(productionId, series, occurrence);
+    await PerformancesController.upsertPerformance(productionId, performance);
+    await seedInventory(productionId, performance, seatmaps);
+    performances.push(performance);
+  }
+
+  const updatedSeries = await PerformanceSeriesController.updateSeries(productionId, series.id, {
+    performanceCount: performances.length
+  });
+
+  return { success: true, series: { ...series, ...updatedSeries }, performances, skipped };
+}
+
+/**
+ * Work out how an edit changes a series' upcoming, open performances.
+ * Performances are paired with the new rule's dates by local day, in time order, so changing a
+ * slot's time moves them rather than replacing them. Unpaired performances are removed unless
+ * they have sales, in which case they are kept (with the shared field changes) for the seller to
+ * cancel and refund.
+ */
+async function planSeriesUpdate(productionId, series, { rule = null, template = {} }) {
+  const now = new Date();
+  const nextRule = rule ? normalizeScheduleRule(rule) : series.rule;
+  const nextTemplate = { ...series.template, ...pickTemplate(template) };
+  const templateChanges = pickTemplate(template);
+
+  const performances = (await PerformancesController.getPerformancesBySeriesId(productionId, series.id))
+    .filter(performance => isUpcoming(performance, now) && isOpen(performance));
+
+  const plan = { rule: nextRule, template: nextTemplate, update: [], move: [], create: [], remove: [], keep: [] };
+
+  if (!rule) {
+    performances.forEach(performance => plan.update.push({ performance, changes: templateChanges }));
+    return plan;
+  }
+
+  const byDay = new Map();
+  performances.forEach(performance => {
+    const { localDate } = getLocalDateTime(performance.date, nextRule.timeZone);
+    if (!byDay.has(localDate)) byDay.set(localDate, []);
+    byDay.get(localDate).push(performance);
+  });
+
+  const occurrences = expandScheduleRule(nextRule).filter(occurrence => new Date(occurrence.date) > now);
+  occurrences.forEach(occurrence => {
+    const candidates = byDay.get(occurrence.localDate) || [];
+    const performance = candidates.shift();
+    if (!performance) {
+      plan.create.push(occurrence);
+    } else if (performance.date !== occurrence.date) {
+      plan.move.push({ performance, changes: { ...templateChanges, date: occurrence.date }, from: performance.date });
+    } else {
+      plan.update.push({ performance, changes: templateChanges });
+    }
+  });
+
+  for (const remaining of byDay.values()) {
+    for (const performance of remaining) {
+      if (await hasSales(performance.id)) {
+        plan.keep.push({ performance, changes: templateChanges, reason: 'has_sales' });
+      } else {
+        plan.remove.push({ performance });
+      }
+    }
+  }
+
+  return plan;
+}
+
+function summarizePlan(plan) {
+  const describe = ({ performance, from }) => ({
+    performanceId: performance.id,
+    date: performance.date,
+    ...(from && { from })
+  });
+  return {
+    rule: plan.rule,
+    template: plan.template,
+    update: plan.update.map(describe),
+    move: plan.move.map(({ performance, changes, from }) => ({ performanceId: performance.id, from, date: changes.date })),
+    create: plan.create.map(({ date, localDate, localTime }) => ({ date, localDate, localTime })),
+    remove: plan.remove.map(describe),
+    keep: plan.keep.map(({ performance, reason }) => ({ performanceId: performance.id, date: performance.date, reason }))
+  };
+}
+
+/**
+ * Edit a series: shared fields apply to every upcoming, open performance; a new rule moves,
+ * adds and removes performances to match it. With preview, only the plan is returned.
+ * @returns {Object} { success: false, reason } or { success: true, series, changes, performances }
+ */
+async function updateSeries(productionId, series, { rule = null, template = {}, preview = false }) {
+  const plan = await planSeriesUpdate(productionId, series, { rule, template });
+  if (plan.create.length > MAX_SERIES_PERFORMANCES) {
+    return { success: false, reason: `A series can create at most ${MAX_SERIES_PERFORMANCES} performances` };
+  }
+  const changes = summarizePlan(plan);
+  if (preview) {
+    return { success: true, series, changes, performances: [] };
+  }
+
+  const nextSeries = { ...series, rule: plan.rule, template: plan.template };
+  const seatmaps = new Map();
+  const performances = [];
+
+  for (const { performance, changes: performanceChanges } of [...plan.update, ...plan.move, ...plan.keep]) {
+    const updated = { ...performance, ...performanceChanges, updatedAt: new Date().toISOString() };
+    await PerformancesController.upsertPerformance(productionId, updated);
+    // Pick up seats from a newly assigned seatmap; existing held/sold seats are kept
+    if (updated.seatmapId && updated.seatmapId !== performance.seatmapId) {
+      await seedInventory(productionId, updated, seatmaps);
+    }
+    performances.push(updated);
+  }
+
+  for (const occurrence of plan.create) {
+    const performance = buildSeriesPerformance(productionId, nextSeries, occurrence);
+    await PerformancesController.upsertPerformance(productionId, performance);
+    await seedInventory(productionId, performance, seatmaps);
+    performances.push(performance);
+  }
+
+  for (const { performance } of plan.remove) {
+    await PerformancesController.deletePerformance(productionId, performance.id);
+  }
+
+  const allPerformances = await PerformancesController.getPerformancesBySeriesId(productionId, series.id);
+  const updatedSeries = await PerformanceSeriesController.updateSeries(productionId, series.id, {
+    rule: plan.rule,
+    template: plan.template,
+    performanceCount: allPerformances.length
+  });
+
+  performances.sort((a, b) => new Date(a.date) - new Date(b.date));
+  return { success: true, series: { ...series, ...updatedSeries }, changes, performances };
+}
+
+/**
+ * Cancel every upcoming, open performance in a series. Tickets already sold are not refunded
+ * here; the response lists the performances that had sales.
+ * @returns {Object} { series, cancelled, withSales }
+ */
+async function cancelSeries(productionId, series, reason = null) {
+  const now = new Date();
+  const performances = (await PerformancesController.getPerformancesBySeriesId(productionId, series.id))
+    .filter(performance => isUpcoming(performance, now) && isOpen(performance));
+
+  const cancelled = [];
+  const withSales = [];
+  for (const performance of performances) {
+    await PerformancesController.updatePerformance(productionId, performance.id, {
+      status: 'canceled',
+      cancelledAt: now.toISOString(),
+      cancellationReason: reason
+    });
+    cancelled.push(performance.id);
+    await emitSellerEvent(performance.sellerId, 'performance.canceled', {
+      performance: {
+        ...performance,
+        productionId,
+        status: 'canceled',
+        cancelledAt: now.toISOString(),
+        cancellationReason: reason
+      },
+      seriesId: series.id
+    });
+    if (await hasSales(performance.id)) {
+      withSales.push(performance.id);
+    }
+  }
+
+  const updatedSeries = await PerformanceSeriesController.updateSeries(productionId, series.id, {
+    status: 'canceled',
+    cancelledAt: now.toISOString(),
+    cancellationReason: reason
+  });
+
+  return { series: { ...series, ...updatedSeries }, cancelled, withSales };
+}
+
+module.exports = {
+  MAX_SERIES_PERFORMANCES,
+  validateScheduleRule,
+  validateSeriesTemplate,
+  normalizeScheduleRule,
+  expandScheduleRule,
+  zonedTimeToUtc,
+  getLocalDateTime,
+  previewSchedule,
+  createSeries,
+  updateSeries,
+  cancelSeries
+};
@@ -0,0 +1,193 @@
+const {
+  UsersController,
+  ProductionsController,
+  VenuesController,
+  PerformancesController,
+  SeatInventoryController,
+  PromoCodesController
+} = require("../controllers");
+const { resolveFeeRules, calculateFees, calculateApplicationFee } = require("./fees");
+const { calculateOrderTax } = require("./tax");
+
+// Find a performance price category by name (case-insensitive)
+function findPriceCategory(priceCategories, name) {
+  if (!name || !Array.isArray(priceCategories)) return null;
+  const target = String(name).trim().toLowerCase();
+  return priceCategories.find(category => String(category?.name || '').trim().toLowerCase() === target) || null;
+}
+
+// Work out the authoritative price of each ticket from the performance's
+// price categories, falling back to the price seeded from the seatmap.
+// Client-supplied ticket prices are ignored.
+async function priceTickets(productionId, performanceId, tickets = []) {
+  const performance = await PerformancesController.getPerformanceById(productionId, performanceId);
+  if (!performance) {
+    return { valid: false, reason: 'Performance not found' };
+  }
+
+  const [seats, hasInventory] = await Promise.all([
+    SeatInventoryController.getSeats(productionId, performanceId, tickets.filter(t => t.seatId || t.seatNumber)),
+    SeatInventoryController.hasInventory(productionId, performanceId)
+  ]);
+
+  // A performance with a seat inventory only sells seats from it. Otherwise a ticket that leaves out
+  // or alters its seat would be priced by whatever category the client sends.
+  if (hasInventory) {
+    const unknown = tickets.filter(t => !(t.seatId || t.seatNumber) || !seats[SeatInventoryController.buildSeatKey(t)]);
+    if (unknown.length > 0) {
+      return {
+        valid: false,
+        reason: 'Some of the selected seats do not exist for this performance',
+        unknown: unknown.map(t => ({
+          seatId: t.seatId || null,
+          section: t.section || null,
+          row: t.row || null,
+          seatNumber: t.seatNumber || null
+        }))
+      };
+    }
+  }
+
+  const pricedTickets = [];
+  const unpriced = [];
+  for (const ticket of tickets) {
+    const seat = (ticket.seatId || ticket.seatNumber)
+      ? seats[SeatInventoryController.buildSeatKey(ticket)] || null
+      : null;
+    // A seat in the inventory is priced only by its own category and section; what the client says
+    // about it is ignored. Tickets for performances without an inventory are priced from the ticket.
+    const source = seat || ticket;
+    const priceCategory = source.priceCategory || source.section || null;
+    const category = findPriceCategory(performance.priceCategories, priceCategory)
+      || findPriceCategory(performance.priceCategories, source.section);
+
+    let price = null;
+    if (category && Number.isInteger(Number(category.price))) {
+      price = Number(category.price);
+    } else if (seat?.price != null) {
+      price = parseInt(seat.price);
+    }
+
+    if (price === null || price < 0) {
+      unpriced.push({
+        seatId: ticket.seatId || null,
+        section: ticket.section || null,
+        row: ticket.row || null,
+        seatNumber: ticket.seatNumber || null
+      });
+      continue;
+    }
+
+    pricedTickets.push({
+      ...ticket,
+      // Show the seat as the inventory has it
+      ...(seat && {
+        section: seat.section || ticket.section || null,
+        row: seat.row || ticket.row || null,
+        seatNumber: seat.seatNumber || ticket.seatNumber || null
+      }),
+      priceCategory: category?.name || priceCategory,
+      price
+    });
+  }
+
+  if (unpriced.length > 0) {
+    return { valid: false, reason: 'No price is set for some of the selected seats', unpriced };
+  }
+
+  return { valid: true, performance, tickets: pricedTickets };
+}
+
+// Calculate the order total for a set of tickets.
+// Returns { valid: false, reason } or
+// { valid: true, tickets, subtotal, discountAmount, fees, feeAmount, taxes, taxAmount, taxJurisdiction,
+//   totalAmount, applicationFeeAmount, promo, venue }.
+async function calculateOrderPricing({
+  sellerId,
+  productionId,
+  performanceId,
+  tickets = [],
+  promoCode = null,
+  userId = null
+}) {
+  if (!productionId || !performanceId) {
+    return { valid: false, reason: 'productionId and performanceId are required to price an order' };
+  }
+  if (!Array.isArray(tickets) || tickets.length === 0 || tickets.some(t => !t || typeof t !== 'object')) {
+    return { valid: false, reason: 'tickets must be a non-empty array of seat objects' };
+  }
+
+  const priced = await priceTickets(productionId, performanceId, tickets);
+  if (!priced.valid) {
+    return priced;
+  }
+
+  const subtotal = priced.tickets.reduce((sum, ticket) => sum + ticket.price, 0);
+
+  let promo = null;
+  let discountAmount = 0;
+  if (promoCode) {
+    const promoResult = await PromoCodesController.checkPromoCode(sellerId, promoCode, {
+      productionId,
+      performanceId,
+      tickets: priced.tickets,
+      userId
+    });
+    if (!promoResult.valid) {
+      return { valid: false, reason: promoResult.reason };
+    }
+    promo = promoResult.promo;
+    discountAmount = promoResult.discountAmount;
+  }
+
+  // Booking fees passed on to the buyer
+  const [seller, production, venue] = await Promise.all([
+    sellerId ? UsersController.getUserById(sellerId) : null,
+    ProductionsController.getProductionById(productionId),
+    priced.performance.venueId ? VenuesController.getVenueById(priced.performance.venueId) : null
+  ]);
+  const fees = calculateFees(
+    resolveFeeRules({ seller, production, performance: priced.performance }),
+    priced.tickets,
+    discountAmount
+  );
+  const feeAmount = fees.reduce((sum, fee) => sum + fee.amount, 0);
+
+  // Sales tax for the venue's jurisdiction
+  const { taxes, taxAmount } = await calculateOrderTax(venue, { subtotal, discountAmount, feeAmount });
+  const taxJurisdiction = venue
+    ? { venueId: venue.id, state: venue.state || null, zipCode: venue.zipCode || null }
+    : null;
+
+  const totalAmount = subtotal - discountAmount + feeAmount + taxAmount;
+
+  return {
+    valid: true,
+    tickets: priced.tickets,
+    subtotal,
+    discountAmount,
+    fees,
+    feeAmount,
+    taxes,
+    taxAmount,
+    taxJurisdiction,
+    totalAmount,
+    applicationFeeAmount: calculateApplicationFee(totalAmount),
+    promo,
+    venue
+  };
+}
+
+// Whether a client-supplied amount (in cents) agrees with the calculated total.
+// A missing amount is accepted; the calculated total is used instead.
+function amountMatches(clientAmount, totalAmount) {
+  if (clientAmount === undefined || clientAmount === null || clientAmount === '') return true;
+  return Number(clientAmount) === totalAmount;
+}
+
+module.exports = {
+  findPriceCategory,
+  priceTickets,
+  calculateOrderPricing,
+  amountMatches
+};
@@ -0,0 +1,250 @@
+const Stripe = require("stripe");
+const { OrdersController, TicketsController, UsersController, SeatInventoryController } = require("../controllers");
+const { sendRefundEmail } = require("./email");
+const { refreshTicketPasses } = require("./walletPasses");
+const { emitSellerEvent, toEventOrder } = require("./sellerWebhooks");
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: "2024-06-20",
+});
+
+// Ticket statuses that can no longer be refunded. pending_refund tickets are part of a refund that
+// is being issued.
+const INACTIVE_TICKET_STATUSES = ['cancelled', 'canceled', 'refunded', 'exchanged', 'pending_refund'];
+
+function isRefundableTicket(ticket) {
+  return !INACTIVE_TICKET_STATUSES.includes(ticket.status);
+}
+
+// The payment an order's refunds are issued on. Tickets on an exchange order were paid for by the
+// order they were exchanged from, so its refunds go back to that payment.
+function refundPaymentIntentId(order) {
+  return order.originalPaymentIntentId || order.stripePaymentIntentId || null;
+}
+
+// Cancel refunded tickets, release their seats, notify the seller's webhooks and email the customer.
+// Safe to call from both the refund endpoint and the charge.refunded webhook:
+// side effects only run the first time a given Stripe refund is recorded.
+async function applyRefund(order, refund, { ticketIds = [], source = 'api', fullRefund = false } = {}) {
+  const allTickets = await TicketsController.getAllTickets(order.id);
+  const isPartOfRefund = t => isRefundableTicket(t) || t.status === 'pending_refund';
+  const tickets = fullRefund
+    ? allTickets.filter(isPartOfRefund)
+    : allTickets.filter(t => ticketIds.includes(t.id) && isPartOfRefund(t));
+
+  const updatedOrder = await OrdersController.recordRefund(order.id, {
+    id: refund.id,
+    amount: refund.amount,
+    currency: refund.currency,
+    status: refund.status,
+    reason: refund.reason || null,
+    ticketIds: tickets.map(t => t.id),
+    fullRefund,
+    source,
+    createdAt: new Date().toISOString()
+  });
+
+  if (!updatedOrder) {
+    return { order, refund, tickets: [], alreadyRecorded: true };
+  }
+
+  for (const ticket of tickets) {
+    await TicketsController.cancelTicket(order.id, ticket.id, 'refunded');
+  }
+  await refreshTicketPasses(order.id, tickets.map(t => t.id));
+
+  if (order.productionId && order.performanceId) {
+    const seatedTickets = tickets.filter(t => t.seatId || t.seatNumber);
+    if (seatedTickets.length > 0) {
+      try {
+        await SeatInventoryController.releaseSeats(order.productionId, order.performanceId, seatedTickets, order.id);
+      } catch (inventoryError) {
+        console.error('Failed to release seat inventory:', inventoryError.message);
+      }
+    }
+  }
+
+  await emitSellerEvent(order.sellerId, 'order.refunded', {
+    order: toEventOrder(updatedOrder),
+    refund: {
+      id: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      reason: refund.reason || null
+    },
+    ticketIds: tickets.map(t => t.id),
+    fullRefund,
+    source
+  }, { idempotencyKey: `order.refunded:${refund.id}` });
+
+  if (order.customerEmail) {
+    try {
+      const seller = order.sellerId ? await UsersController.getUserById(order.sellerId) : null;
+      await sendRefundEmail({
+        to: order.customerEmail,
+        order: updatedOrder,
+        refund,
+        tickets,
+        seller
+      });
+    } catch (emailError) {
+      // Log but don't fail the refund if the confirmation email fails
+      console.error('Failed to send refund email:', emailError.message);
+    }
+  }
+
+  return { order: updatedOrder, refund, tickets, alreadyRecorded: false };
+}
+
+function ticketPriceTotal(tickets) {
+  return tickets.reduce((sum, t) => sum + (parseInt(t.price) || 0), 0);
+}
+
+// Whether an order's payment is shared with another order: an exchange order refunds from the
+// original order's payment, and an order whose tickets were exchanged shares its payment with the
+// exchange order. Refunds on a shared payment must name an amount, or they would refund both orders.
+function sharesPayment(order, allTickets) {
+  return !!order.originalPaymentIntentId || allTickets.some(t => t.exchangedToOrderId);
+}
+
+// What the customer paid for an order's own tickets, and how much of it has been refunded
+function ownPayment(order, allTickets) {
+  // Exchange orders only record the price difference charged for the swap, but their tickets were
+  // paid for at their full price
+  if (order.exchangedFromOrderId) {
+    return { paidAmount: ticketPriceTotal(allTickets), refundedAmount: order.refundedAmount || 0 };
+  }
+
+  // Tickets exchanged away belong to the exchange order now, along with their share of the payment
+  // and the price difference refunded when they were exchanged
+  const totalAmount = order.totalAmount || 0;
+  const ticketTotal = ticketPriceTotal(allTickets);
+  const exchangedTotal = ticketPriceTotal(allTickets.filter(t => t.exchangedToOrderId));
+  const exchangedShare = ticketTotal > 0 ? Math.round(totalAmount * exchangedTotal / ticketTotal) : 0;
+  const exchangeRefunds = (order.refunds || [])
+    .filter(r => r.source === 'exchange')
+    .reduce((sum, r) => sum + (r.amount || 0), 0);
+  return {
+    paidAmount: totalAmount - exchangedShare,
+    refundedAmount: Math.max((order.refundedAmount || 0) - exchangeRefunds, 0)
+  };
+}
+
+// Amount to refund for some of an order's tickets: their share of what the customer paid, so the
+// discount, booking fees and tax are refunded in proportion to the ticket prices. Refunding the last
+// refundable tickets returns whatever is left, so refunding every ticket adds up to the order total.
+function prorateRefundAmount(order, allTickets, refundTickets) {
+  const { paidAmount: ownPaid, refundedAmount } = ownPayment(order, allTickets);
+  const paidAmount = order.exchangedFromOrderId ? ownPaid : (order.totalAmount || 0);
+  const remaining = Math.max(ownPaid - refundedAmount, 0);
+
+  const refundIds = new Set(refundTickets.map(t => t.id));
+  if (!allTickets.some(t => isRefundableTicket(t) && !refundIds.has(t.id))) {
+    return remaining;
+  }
+
+  const ticketTotal = ticketPriceTotal(allTickets);
+  if (ticketTotal === 0) return 0;
+  return Math.min(Math.round(paidAmount * ticketPriceTotal(refundTickets) / ticketTotal), remaining);
+}
+
+// Refund an order in full, or only the given tickets.
+// The transfer to the seller's connected account is reversed proportionally.
+// The tickets are marked pending_refund before the refund is issued, so concurrent requests can't
+// refund them twice. Returns { success: false, reason, ticketIds } when some of them are already
+// being refunded or can no longer be refunded.
+async function refundOrder(order, { ticketIds = null, reason = null } = {}) {
+  const fullRefund = !ticketIds || ticketIds.length === 0;
+
+  const allTickets = await TicketsController.getAllTickets(order.id);
+  const refundTickets = fullRefund
+    ? allTickets.filter(isRefundableTicket)
+    : allTickets.filter(t => ticketIds.includes(t.id));
+  const claimIds = fullRefund ? refundTickets.map(t => t.id) : ticketIds;
+
+  const claim = await TicketsController.markTicketsPendingRefund(order.id, claimIds, isRefundableTicket);
+  if (!claim.success) {
+    return { success: false, reason: 'Some tickets are already being refunded or cannot be refunded', ticketIds: claim.ticketIds };
+  }
+
+  // A full refund of an order with its own payment refunds whatever is left on it. On a shared
+  // payment it is limited to this order's share.
+  const amount = fullRefund && !sharesPayment(order, allTickets)
+    ? undefined
+    : prorateRefundAmount(order, allTickets, refundTickets);
+
+  let refund;
+  try {
+    if (amount === 0) {
+      throw new Error('Nothing was paid for these tickets');
+    }
+    refund = await stripe.refunds.create({
+      payment_intent: refundPaymentIntentId(order),
+      ...(amount !== undefined && { amount }),
+      ...(reason && { reason }),
+      reverse_transfer: true,
+      metadata: {
+        orderId: order.id,
+        ticketIds: fullRefund ? '' : ticketIds.join(',')
+      }
+    });
+  } catch (error) {
+    await TicketsController.restoreTicketsAfterFailedRefund(order.id, claimIds).catch(restoreError => {
+      console.error('Failed to restore tickets after failed refund:', restoreError.message);
+    });
+    throw error;
+  }
+
+  return { success: true, ...await applyRefund(order, refund, { ticketIds: ticketIds || [], fullRefund }) };
+}
+
+// Sync refunds issued outside the API (e.g. from the Stripe Dashboard)
+async function handleChargeRefunded(charge) {
+  const paymentIntentId = typeof charge.payment_intent === 'string'
+    ? charge.payment_intent
+    : charge.payment_intent?.id;
+
+  let order = null;
+  if (charge.metadata?.orderId) {
+    order = await OrdersController.getOrderById(charge.metadata.orderId);
+  }
+  if (!order && paymentIntentId) {
+    order = await OrdersController.getOrderByPaymentIntentId(paymentIntentId);
+  }
+  if (!order) {
+    return [];
+  }
+
+  // charge.refunds is not expanded on webhook payloads for this API version
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  const recordedIds = new Set((order.refunds || []).map(r => r.id));
+
+  const results = [];
+  for (const refund of refunds.data) {
+    if (recordedIds.has(refund.id) || refund.status === 'failed' || refund.status === 'canceled') {
+      continue;
+    }
+    // Refunds for an exchange order are issued on the original payment but belong to that order
+    if (refund.metadata?.orderId && refund.metadata.orderId !== order.id) {
+      continue;
+    }
+
+    const ticketIds = refund.metadata?.ticketIds ? refund.metadata.ticketIds.split(',') : [];
+    // A Dashboard refund carries no ticket list; only cancel tickets once the charge is fully refunded
+    const fullRefund = ticketIds.length === 0 && charge.refunded === true;
+
+    const result = await applyRefund(order, refund, { ticketIds, source: 'webhook', fullRefund });
+    order = result.order;
+    results.push(result);
+  }
+
+  return results;
+}
+
+module.exports = {
+  isRefundableTicket,
+  refundPaymentIntentId,
+  applyRefund,
+  refundOrder,
+  handleChargeRefunded
+};
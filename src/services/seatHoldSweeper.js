@@ -0,0 +1,47 @@
+const { SeatHoldsController, PromoCodesController } = require("../controllers");
+
+// How often expired seat holds and promo code reservations are swept (default: every minute)
+const SWEEP_INTERVAL_MS = parseInt(process.env.SEAT_HOLD_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+async function sweepExpiredHolds() {
+  if (sweepInProgress) return null;
+  sweepInProgress = true;
+  try {
+    const result = await SeatHoldsController.releaseExpiredHolds();
+    // Promo code uses reserved by checkouts that were never paid expire along with their seat holds
+    const promoReservations = await PromoCodesController.releaseExpiredReservations();
+    return { ...result, promoReservations };
+  } catch (error) {
+    console.error('Seat hold sweep failed:', error.message);
+    return null;
+  } finally {
+    sweepInProgress = false;
+  }
+}
+
+// Start the periodic sweeper. Set SEAT_HOLD_SWEEP_DISABLED=true when an external
+// scheduler calls POST /api/holds/release-expired instead.
+function startSeatHoldSweeper() {
+  if (sweepTimer || process.env.SEAT_HOLD_SWEEP_DISABLED === 'true') {
+    return;
+  }
+  sweepTimer = setInterval(sweepExpiredHolds, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+function stopSeatHoldSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  sweepExpiredHolds,
+  startSeatHoldSweeper,
+  stopSeatHoldSweeper
+};
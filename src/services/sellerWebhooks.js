@@ -0,0 +1,302 @@
+// Outbound webhooks to seller systems.
+//
+// Sellers register endpoints for the event types below. Emitting an event stores one delivery per
+// subscribed endpoint and sends it straight away; failed deliveries are retried with exponential
+// backoff by a periodic worker, and every attempt is logged with its response code.
+//
+// Each request is a JSON POST of { id, type, sellerId, createdAt, data } signed like Stripe's:
+//   StagePass-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+// Deliveries are at least once; receivers should ignore event IDs they have already handled.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { WebhookEndpointsController, WebhookDeliveriesController } = require("../controllers");
+
+const SELLER_WEBHOOK_EVENTS = [
+  'order.created',
+  'order.paid',
+  'order.refunded',
+  'ticket.scanned',
+  'ticket.transferred',
+  'performance.canceled'
+];
+
+const SIGNATURE_HEADER = 'StagePass-Signature';
+
+// Retry policy: exponential backoff from the base delay
+const MAX_ATTEMPTS = parseInt(process.env.SELLER_WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.SELLER_WEBHOOK_RETRY_BASE_DELAY_MS) || 60 * 1000;
+const RETRY_INTERVAL_MS = parseInt(process.env.SELLER_WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// How much of the receiver's response body is kept in the delivery log
+const MAX_LOGGED_RESPONSE_BYTES = 1000;
+
+// Addresses endpoints may never resolve to: private, shared, loopback, link-local (including cloud
+// metadata at 169.254.169.254), documentation, benchmarking, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Cloud metadata hostnames, blocked whatever they resolve to
+const BLOCKED_HOSTNAMES = ['metadata', 'metadata.google.internal', 'metadata.goog', 'instance-data', 'instance-data.ec2.internal'];
+
+let retryTimer = null;
+let retryInProgress = false;
+
+function nextAttemptAt(attempts, now = new Date()) {
+  if (attempts >= MAX_ATTEMPTS) {
+    return null;
+  }
+  const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+  return new Date(now.getTime() + delay).toISOString();
+}
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  return BLOCKED_ADDRESSES.check(address, family);
+}
+
+// Whether plain-HTTP localhost endpoints are allowed, for testing outside production
+function allowsLocalhost() {
+  return process.env.NODE_ENV !== 'production' && process.env.SELLER_WEBHOOK_ALLOW_LOCALHOST === 'true';
+}
+
+// Check an endpoint URL is safe to send to: HTTPS to a public host, where every address the host
+// resolves to is public. Run on registration and again before every request, because DNS can change.
+// Returns an error message, or null when the URL is allowed.
+async function checkEndpointUrl(url) {
+  if (typeof url !== 'string' || url.length > 2048) {
+    return 'url must be a valid https:// URL';
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be a valid https:// URL';
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (allowsLocalhost() && ['localhost', '127.0.0.1', '::1'].includes(hostname) &&
+      ['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:') {
+    return 'url must be a valid https:// URL';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal') ||
+      BLOCKED_HOSTNAMES.includes(hostname)) {
+    return 'url must point to a public host';
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return `url host ${hostname} could not be resolved`;
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return 'url must point to a public host, not a private, reserved or internal address';
+  }
+  return null;
+}
+
+// Signature header value for a request body
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Order fields sent in events; the view token stays private to the buyer
+function toEventOrder(order) {
+  if (!order) return null;
+  const { viewToken, viewTokenExpiresAt, ...eventOrder } = order;
+  return eventOrder;
+}
+
+// Send a claimed delivery and record the attempt
+async function sendDelivery(record, { manual = false } = {}) {
+  const attempt = {
+    attempt: record.attempts,
+    attemptedAt: new Date().toISOString(),
+    manual,
+    responseCode: null,
+    responseBody: null,
+    durationMs: null,
+    error: null
+  };
+
+  const endpoint = await WebhookEndpointsController.getEndpointById(record.endpointId);
+  if (!endpoint || endpoint.status !== 'active') {
+    // Nothing to retry against until the endpoint is re-enabled and the delivery redelivered
+    attempt.error = endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted';
+    await WebhookDeliveriesController.recordAttempt(record.id, attempt, { succeeded: false });
+    return { delivered: false, error: attempt.error, attempts: record.attempts, nextAttemptAt: null };
+  }
+
+  const urlError = await checkEndpointUrl(endpoint.url);
+  if (urlError) {
+    // The host now resolves somewhere deliveries must never go; retrying won't help
+    attempt.error = `Endpoint URL is not allowed: ${urlError}`;
+    await WebhookDeliveriesController.recordAttempt(record.id, attempt, { succeeded: false });
+    console.error(`Webhook delivery ${record.id} blocked:`, urlError);
+    return { delivered: false, error: attempt.error, attempts: record.attempts, nextAttemptAt: null };
+  }
+
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'StagePass-Webhooks/1.0',
+        'StagePass-Event': record.eventType,
+        'StagePass-Delivery': record.id,
+        [SIGNATURE_HEADER]: signPayload(endpoint.secret, record.payload)
+      },
+      body: record.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    attempt.responseCode = response.status;
+    attempt.responseBody = (await response.text().catch(() => '')).slice(0, MAX_LOGGED_RESPONSE_BYTES) || null;
+    if (!response.ok) {
+      attempt.error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+      : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const succeeded = !attempt.error;
+  const retryAt = succeeded ? null : nextAttemptAt(record.attempts);
+  await WebhookDeliveriesController.recordAttempt(record.id, attempt, { succeeded, nextAttemptAt: retryAt });
+  if (!succeeded) {
+    console.error(`Webhook delivery ${record.id} (${record.eventType}) failed on attempt ${record.attempts}:`, attempt.error);
+  }
+
+  return {
+    delivered: succeeded,
+    responseCode: attempt.responseCode,
+    attempts: record.attempts,
+    ...(!succeeded && { error: attempt.error, nextAttemptAt: retryAt })
+  };
+}
+
+// Claim and send a stored delivery (no-op if it already succeeded or is in progress)
+async function attemptDelivery(deliveryId, { force = false } = {}) {
+  const record = await WebhookDeliveriesController.claimDelivery(deliveryId, { force });
+  if (!record) {
+    return { delivered: false, skipped: true };
+  }
+  return await sendDelivery(record, { manual: force });
+}
+
+// Manually send a delivery again, even if it already succeeded
+async function redeliver(deliveryId) {
+  return await attemptDelivery(deliveryId, { force: true });
+}
+
+// Queue an event for every endpoint of the seller subscribed to its type, and start sending.
+// Pass an idempotencyKey when the calling code path can run more than once for the same change
+// (Stripe webhook retries, repeated syncs) so the event is only queued once. Never throws: a
+// webhook problem must not fail the order, scan or refund that caused it.
+async function emitSellerEvent(sellerId, type, data, { idempotencyKey = null } = {}) {
+  if (!sellerId) return [];
+  try {
+    const endpoints = await WebhookEndpointsController.getActiveEndpointsForEvent(sellerId, type);
+    if (endpoints.length === 0) return [];
+
+    const eventId = idempotencyKey
+      ? `evt_${crypto.createHash('sha256').update(`${sellerId}:${idempotencyKey}`).digest('hex').slice(0, 32)}`
+      : `evt_${crypto.randomBytes(16).toString('hex')}`;
+    const event = { id: eventId, type, sellerId, createdAt: new Date().toISOString(), data };
+    const payload = JSON.stringify(event);
+
+    const queued = [];
+    for (const endpoint of endpoints) {
+      const { created, record } = await WebhookDeliveriesController.createDelivery({
+        id: `${eventId}_${endpoint.id}`,
+        endpointId: endpoint.id,
+        sellerId,
+        eventId,
+        eventType: type,
+        payload
+      });
+      if (!created) continue;
+      queued.push(record.id);
+      attemptDelivery(record.id).catch(error => {
+        console.error(`Failed to send webhook delivery ${record.id}:`, error.message);
+      });
+    }
+    return queued;
+  } catch (error) {
+    console.error(`Failed to emit ${type} webhook for seller ${sellerId}:`, error.message);
+    return [];
+  }
+}
+
+async function retryDueDeliveries() {
+  if (retryInProgress) return null;
+  retryInProgress = true;
+  try {
+    const deliveries = await WebhookDeliveriesController.getDeliveriesDueForRetry();
+    let succeeded = 0;
+    for (const delivery of deliveries) {
+      const result = await attemptDelivery(delivery.id);
+      if (result.delivered) succeeded++;
+    }
+    return { scanned: deliveries.length, succeeded };
+  } catch (error) {
+    console.error('Seller webhook retry run failed:', error.message);
+    return null;
+  } finally {
+    retryInProgress = false;
+  }
+}
+
+// Start the periodic retry worker. Set SELLER_WEBHOOK_RETRY_DISABLED=true to turn it off.
+function startSellerWebhookWorker() {
+  if (retryTimer || process.env.SELLER_WEBHOOK_RETRY_DISABLED === 'true') {
+    return;
+  }
+  retryTimer = setInterval(retryDueDeliveries, RETRY_INTERVAL_MS);
+  // Don't keep the process alive just for the worker
+  retryTimer.unref();
+}
+
+function stopSellerWebhookWorker() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+module.exports = {
+  SELLER_WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  signPayload,
+  checkEndpointUrl,
+  toEventOrder,
+  emitSellerEvent,
+  redeliver,
+  retryDueDeliveries,
+  startSellerWebhookWorker,
+  stopSellerWebhookWorker
+};
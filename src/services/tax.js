@@ -0,0 +1,161 @@
+// Sales tax calculation and reporting.
+//
+// Tax rates are configured per venue jurisdiction in the `taxRates` collection: state-wide rates
+// (no zipCode) and local rates for a ZIP code stack. Each rate is a percentage applied to the
+// discounted ticket subtotal, plus booking fees when `appliesToFees` is set.
+
+const { TaxRatesController } = require("../controllers");
+
+// Validate tax rate fields. Returns an error message or null.
+function validateTaxRateFields(fields, { partial = false } = {}) {
+  const { name, state, zipCode, rate } = fields;
+
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string') {
+      return "name is required";
+    }
+  }
+  if (!partial || state !== undefined) {
+    if (!state || !/^[A-Za-z]{2}$/.test(String(state).trim())) {
+      return "state must be a two-letter state code";
+    }
+  }
+  if (zipCode !== undefined && zipCode !== null && zipCode !== '' && !/^\d{5}(-\d{4})?$/.test(String(zipCode).trim())) {
+    return "zipCode must be a 5-digit ZIP code";
+  }
+  if (!partial || rate !== undefined) {
+    const value = Number(rate);
+    if (rate === null || rate === '' || isNaN(value) || value < 0 || value > 100) {
+      return "rate must be a percentage between 0 and 100";
+    }
+  }
+
+  return null;
+}
+
+// Calculate tax line items for an order.
+// Returns { taxes: [{ taxRateId, name, state, zipCode, rate, taxableAmount, amount }], taxAmount }.
+function calculateTaxes(taxRates = [], { subtotal = 0, discountAmount = 0, feeAmount = 0 } = {}) {
+  const ticketAmount = Math.max(subtotal - discountAmount, 0);
+
+  const taxes = taxRates.map(taxRate => {
+    const taxableAmount = ticketAmount + (taxRate.appliesToFees !== false ? feeAmount : 0);
+    return {
+      taxRateId: taxRate.id,
+      name: taxRate.name,
+      state: taxRate.state,
+      zipCode: taxRate.zipCode || null,
+      rate: Number(taxRate.rate),
+      taxableAmount,
+      amount: Math.round(taxableAmount * Number(taxRate.rate) / 100)
+    };
+  }).filter(tax => tax.amount > 0);
+
+  return { taxes, taxAmount: taxes.reduce((sum, tax) => sum + tax.amount, 0) };
+}
+
+// Look up the venue's rates and calculate tax for an order
+async function calculateOrderTax(venue, amounts) {
+  if (!venue?.state) {
+    return { taxes: [], taxAmount: 0 };
+  }
+  const taxRates = await TaxRatesController.getTaxRatesForJurisdiction(venue.state, venue.zipCode);
+  return calculateTaxes(taxRates, amounts);
+}
+
+// Orders that count towards a tax report (payment was taken)
+const REPORTABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Summarise tax collected on a seller's orders between two dates (inclusive)
+function buildTaxReport(orders = [], { from = null, to = null } = {}) {
+  const rows = orders
+    .filter(order => REPORTABLE_PAYMENT_STATUSES.includes(order.paymentStatus))
+    .map(order => ({ order, createdAt: toDate(order.createdAt) }))
+    .filter(({ createdAt }) => createdAt && (!from || createdAt >= from) && (!to || createdAt <= to))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(({ order, createdAt }) => ({
+      orderId: order.id,
+      createdAt: createdAt.toISOString(),
+      paymentStatus: order.paymentStatus,
+      venueState: order.taxJurisdiction?.state || order.venueState || null,
+      venueZipCode: order.taxJurisdiction?.zipCode || order.venueZipCode || null,
+      subtotalAmount: order.subtotalAmount ?? order.totalAmount ?? 0,
+      discountAmount: order.discountAmount || 0,
+      feeAmount: order.feeAmount || 0,
+      taxAmount: order.taxAmount || 0,
+      totalAmount: order.totalAmount || 0,
+      refundedAmount: order.refundedAmount || 0,
+      taxes: order.taxes || []
+    }));
+
+  const byRate = new Map();
+  rows.forEach(row => {
+    row.taxes.forEach(tax => {
+      const key = tax.taxRateId || `${tax.state}-${tax.zipCode || ''}-${tax.name}`;
+      const entry = byRate.get(key) || {
+        taxRateId: tax.taxRateId || null,
+        name: tax.name,
+        state: tax.state,
+        zipCode: tax.zipCode || null,
+        rate: tax.rate,
+        orders: 0,
+        taxableAmount: 0,
+        taxAmount: 0
+      };
+      entry.orders++;
+      entry.taxableAmount += tax.taxableAmount || 0;
+      entry.taxAmount += tax.amount || 0;
+      byRate.set(key, entry);
+    });
+  });
+
+  const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+
+  return {
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    summary: {
+      orders: rows.length,
+      subtotalAmount: sum('subtotalAmount'),
+      discountAmount: sum('discountAmount'),
+      feeAmount: sum('feeAmount'),
+      taxAmount: sum('taxAmount'),
+      totalAmount: sum('totalAmount'),
+      refundedAmount: sum('refundedAmount')
+    },
+    byRate: [...byRate.values()],
+    orders: rows
+  };
+}
+
+// Render a tax report's order rows as CSV (amounts in cents)
+function taxReportToCsv(report) {
+  const columns = [
+    'orderId', 'createdAt', 'paymentStatus', 'venueState', 'venueZipCode',
+    'subtotalAmount', 'discountAmount', 'feeAmount', 'taxAmount', 'totalAmount', 'refundedAmount'
+  ];
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...report.orders.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  validateTaxRateFields,
+  calculateTaxes,
+  calculateOrderTax,
+  buildTaxReport,
+  taxReportToCsv
+};
@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { encodeTicketToken, verifyTicketToken, isTicketToken } = require("../utils/ticketToken");
+
+// Signing key state, loaded on first use (or at startup by loadSigningKeys)
+let signingKey = null;
+let previousKeys = null;
+
+// Key id for a public key: a hash of the key unless one is configured
+function keyIdFor(publicKey) {
+  return crypto
+    .createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Env PEM values may use "\n" escapes
+function parsePem(pem) {
+  return pem.replace(/\\n/g, '\n');
+}
+
+/**
+ * Load the Ed25519 signing key from TICKET_SIGNING_PRIVATE_KEY (PEM).
+ * A temporary key is only generated when TICKET_SIGNING_ALLOW_TEMPORARY_KEY=true outside
+ * production; tickets signed with it stop verifying after a restart.
+ */
+function getSigningKey() {
+  if (signingKey) return signingKey;
+
+  let privateKey;
+  const pem = process.env.TICKET_SIGNING_PRIVATE_KEY;
+  if (pem) {
+    privateKey = crypto.createPrivateKey(parsePem(pem));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('TICKET_SIGNING_PRIVATE_KEY must be an Ed25519 private key');
+    }
+  } else if (process.env.NODE_ENV !== 'production' && process.env.TICKET_SIGNING_ALLOW_TEMPORARY_KEY === 'true') {
+    console.warn('TICKET_SIGNING_PRIVATE_KEY is not set; using a temporary ticket signing key');
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+  } else {
+    throw new Error('TICKET_SIGNING_PRIVATE_KEY is not configured');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = process.env.TICKET_SIGNING_KEY_ID || keyIdFor(publicKey);
+
+  signingKey = { keyId, privateKey, publicKey };
+  return signingKey;
+}
+
+/**
+ * Keys that signed tickets before the current one, from TICKET_SIGNING_PREVIOUS_KEYS: a JSON
+ * object of key id to PEM (public or private). Tickets they signed keep verifying after rotation.
+ */
+function getPreviousKeys() {
+  if (previousKeys) return previousKeys;
+
+  const value = process.env.TICKET_SIGNING_PREVIOUS_KEYS;
+  let entries = {};
+  if (value) {
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      throw new Error('TICKET_SIGNING_PREVIOUS_KEYS must be a JSON object of key id to PEM');
+    }
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error('TICKET_SIGNING_PREVIOUS_KEYS must be a JSON object of key id to PEM');
+    }
+  }
+
+  previousKeys = Object.entries(entries).map(([keyId, pem]) => {
+    const publicKey = crypto.createPublicKey(parsePem(String(pem)));
+    if (publicKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`TICKET_SIGNING_PREVIOUS_KEYS key ${keyId} must be an Ed25519 key`);
+    }
+    return { keyId, publicKey };
+  });
+  return previousKeys;
+}
+
+/**
+ * Load the current and previous keys, throwing when they are missing or invalid.
+ * Called at startup so a misconfigured server fails to start instead of failing to issue tickets.
+ */
+function loadSigningKeys() {
+  getSigningKey();
+  getPreviousKeys();
+}
+
+// Every key a ticket may have been signed with, current first, without duplicate key ids
+function getVerificationKeys() {
+  const current = getSigningKey();
+  return [current, ...getPreviousKeys().filter(key => key.keyId !== current.keyId)];
+}
+
+/**
+ * Public keys scanners use to verify tickets offline: the current key and any previous ones
+ */
+function getPublicKeys() {
+  return getVerificationKeys().map(({ keyId, publicKey }) => ({
+    kid: keyId,
+    alg: 'EdDSA',
+    crv: 'Ed25519',
+    pem: publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'EdDSA', use: 'sig' }
+  }));
+}
+
+/**
+ * Build the signed QR payload for a ticket
+ */
+function signTicket({ ticketId, orderId, performanceId, issuedAt = new Date() }) {
+  const { keyId, privateKey } = getSigningKey();
+  return encodeTicketToken({ ticketId, orderId, performanceId, issuedAt }, privateKey, keyId);
+}
+
+/**
+ * QR content for a ticket: its stored signed payload, or a freshly signed one for
+ * tickets issued before payloads were signed
+ */
+function getTicketQrContent(order, ticket) {
+  if (isTicketToken(ticket?.qrCode)) {
+    return ticket.qrCode;
+  }
+  return signTicket({
+    ticketId: ticket.id,
+    orderId: order.id,
+    performanceId: order.performanceId
+  });
+}
+
+/**
+ * Check a scanned QR payload's signature
+ */
+function verifyTicketQrCode(token) {
+  const keys = Object.fromEntries(getVerificationKeys().map(({ keyId, publicKey }) => [keyId, publicKey]));
+  return verifyTicketToken(token, keys);
+}
+
+module.exports = {
+  loadSigningKeys,
+  getPublicKeys,
+  signTicket,
+  getTicketQrContent,
+  verifyTicketQrCode
+};
@@ -0,0 +1,712 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http2 = require("http2");
+const path = require("path");
+const axios = require("axios");
+const forge = require("node-forge");
+const jwt = require("jsonwebtoken");
+const {
+  OrdersController,
+  TicketsController,
+  ProductionsController,
+  PerformancesController,
+  VenuesController,
+  UsersController,
+  WalletRegistrationsController
+} = require("../controllers");
+const { getTicketQrContent } = require("./ticketSigning");
+const { createZip } = require("../utils/zip");
+
+const PASS_IMAGE_PATH = path.join(__dirname, "..", "..", "assets", "logo.png");
+const GOOGLE_SAVE_URL = 'https://pay.google.com/gp/v/save/';
+const GOOGLE_WALLET_API = 'https://walletobjects.googleapis.com/walletobjects/v1';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_WALLET_SCOPE = 'https://www.googleapis.com/auth/wallet_object.issuer';
+
+// Statuses whose pass still gets the holder in; the barcode is only shown for these
+const ACTIVE_PASS_STATUSES = ['valid', 'used', 'checked_out'];
+// Statuses that end the ticket for good; the pass is voided
+const VOID_PASS_STATUSES = ['cancelled', 'canceled', 'refunded', 'exchanged', 'superseded'];
+
+const STATUS_LABELS = {
+  valid: 'Valid',
+  used: 'Checked in',
+  checked_out: 'Checked out',
+  disputed: 'On hold',
+  cancelled: 'Cancelled',
+  canceled: 'Cancelled',
+  refunded: 'Refunded',
+  exchanged: 'Exchanged',
+  superseded: 'Transferred'
+};
+
+// Certificate and key state, loaded on first use
+let appleConfig = null;
+let googleConfig = null;
+let googleAccessToken = null;
+let passAuthSecret = null;
+
+function readPem(value) {
+  return value ? value.replace(/\\n/g, '\n') : null;
+}
+
+/**
+ * Self-signed certificates that stand in for Apple's WWDR intermediate and a Pass Type ID
+ * certificate, so passes can be generated and verified without an Apple developer account.
+ * Wallet will not install passes signed with them.
+ */
+function createTestAppleCertificates({ passTypeIdentifier = 'pass.com.stagepasspro.test', teamIdentifier = 'TESTTEAM00' } = {}) {
+  const generateKey = () => forge.pki.privateKeyFromPem(crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  }).privateKey);
+
+  const createCertificate = (key, subject, issuer, signingKey, isCA) => {
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+    certificate.serialNumber = crypto.randomBytes(8).toString('hex').replace(/^[89a-f]/, '1');
+    certificate.validity.notBefore = new Date(Date.now() - 60 * 1000);
+    certificate.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+    certificate.setSubject(subject);
+    certificate.setIssuer(issuer);
+    certificate.setExtensions([{ name: 'basicConstraints', cA: isCA }]);
+    certificate.sign(signingKey, forge.md.sha256.create());
+    return certificate;
+  };
+
+  const wwdrKey = generateKey();
+  const wwdrSubject = [
+    { name: 'commonName', value: 'Test Worldwide Developer Relations Certification Authority' },
+    { name: 'organizationName', value: 'Stage Pass Pro Test' }
+  ];
+  const wwdrCertificate = createCertificate(wwdrKey, wwdrSubject, wwdrSubject, wwdrKey, true);
+
+  const privateKey = generateKey();
+  const certificate = createCertificate(privateKey, [
+    { name: 'commonName', value: `Pass Type ID: ${passTypeIdentifier}` },
+    { name: 'organizationalUnitName', value: teamIdentifier },
+    { name: 'organizationName', value: 'Stage Pass Pro Test' }
+  ], wwdrSubject, wwdrKey, false);
+
+  return {
+    passTypeIdentifier,
+    teamIdentifier,
+    certificate,
+    privateKey,
+    wwdrCertificate,
+    certificatePem: forge.pki.certificateToPem(certificate),
+    privateKeyPem: forge.pki.privateKeyToPem(privateKey),
+    isTest: true
+  };
+}
+
+/**
+ * Load the Apple Wallet signing setup:
+ * APPLE_PASS_TYPE_IDENTIFIER, APPLE_TEAM_IDENTIFIER, APPLE_PASS_CERTIFICATE and APPLE_PASS_PRIVATE_KEY (PEM,
+ * optionally encrypted with APPLE_PASS_PRIVATE_KEY_PASSPHRASE) and APPLE_WWDR_CERTIFICATE (PEM).
+ * Outside production temporary test certificates are generated when none are configured.
+ */
+function getAppleConfig() {
+  if (appleConfig) return appleConfig;
+
+  const certificatePem = readPem(process.env.APPLE_PASS_CERTIFICATE);
+  const keyPem = readPem(process.env.APPLE_PASS_PRIVATE_KEY);
+  const wwdrPem = readPem(process.env.APPLE_WWDR_CERTIFICATE);
+
+  if (certificatePem && keyPem && wwdrPem) {
+    const passTypeIdentifier = process.env.APPLE_PASS_TYPE_IDENTIFIER;
+    const teamIdentifier = process.env.APPLE_TEAM_IDENTIFIER;
+    if (!passTypeIdentifier || !teamIdentifier) {
+      throw new Error('APPLE_PASS_TYPE_IDENTIFIER and APPLE_TEAM_IDENTIFIER must be set');
+    }
+
+    const passphrase = process.env.APPLE_PASS_PRIVATE_KEY_PASSPHRASE;
+    const privateKey = passphrase
+      ? forge.pki.decryptRsaPrivateKey(keyPem, passphrase)
+      : forge.pki.privateKeyFromPem(keyPem);
+    if (!privateKey) {
+      throw new Error('APPLE_PASS_PRIVATE_KEY could not be decrypted');
+    }
+
+    appleConfig = {
+      passTypeIdentifier,
+      teamIdentifier,
+      certificate: forge.pki.certificateFromPem(certificatePem),
+      privateKey,
+      wwdrCertificate: forge.pki.certificateFromPem(wwdrPem),
+      certificatePem,
+      privateKeyPem: forge.pki.privateKeyToPem(privateKey),
+      isTest: false
+    };
+  } else if (process.env.NODE_ENV !== 'production') {
+    console.warn('Apple Wallet certificates are not configured; using temporary test certificates');
+    appleConfig = createTestAppleCertificates({
+      passTypeIdentifier: process.env.APPLE_PASS_TYPE_IDENTIFIER || undefined,
+      teamIdentifier: process.env.APPLE_TEAM_IDENTIFIER || undefined
+    });
+  } else {
+    throw new Error('Apple Wallet certificates are not configured');
+  }
+
+  return appleConfig;
+}
+
+/**
+ * Load the Google Wallet issuer setup: GOOGLE_WALLET_ISSUER_ID, GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL and
+ * GOOGLE_WALLET_PRIVATE_KEY (the service account's PEM key).
+ * Outside production a temporary test key is generated when none is configured.
+ */
+function getGoogleConfig() {
+  if (googleConfig) return googleConfig;
+
+  const issuerId = process.env.GOOGLE_WALLET_ISSUER_ID;
+  const serviceAccountEmail = process.env.GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL;
+  const privateKey = readPem(process.env.GOOGLE_WALLET_PRIVATE_KEY);
+
+  if (issuerId && serviceAccountEmail && privateKey) {
+    googleConfig = { issuerId, serviceAccountEmail, privateKey, isTest: false };
+  } else if (process.env.NODE_ENV !== 'production') {
+    console.warn('Google Wallet is not configured; using a temporary test issuer key');
+    googleConfig = {
+      issuerId: issuerId || '3388000000000000000',
+      serviceAccountEmail: serviceAccountEmail || 'wallet-test@stagepasspro-test.iam.gserviceaccount.com',
+      privateKey: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+        .export({ type: 'pkcs8', format: 'pem' }),
+      isTest: true
+    };
+  } else {
+    throw new Error('Google Wallet is not configured');
+  }
+
+  return googleConfig;
+}
+
+// Secret behind each pass's web service authentication token
+function getPassAuthSecret() {
+  if (passAuthSecret) return passAuthSecret;
+  if (process.env.WALLET_PASS_AUTH_SECRET) {
+    passAuthSecret = process.env.WALLET_PASS_AUTH_SECRET;
+  } else if (process.env.NODE_ENV !== 'production') {
+    console.warn('WALLET_PASS_AUTH_SECRET is not set; using a temporary secret');
+    passAuthSecret = crypto.randomBytes(32).toString('hex');
+  } else {
+    throw new Error('WALLET_PASS_AUTH_SECRET is not configured');
+  }
+  return passAuthSecret;
+}
+
+function getApiBaseUrl() {
+  return (process.env.API_BASE_URL || '').replace(/\/$/, '');
+}
+
+/**
+ * Passes are versioned by the ticket's transfer count, so a reissued ticket gets a new pass
+ * and the previous holder's pass can be voided without receiving the new QR payload.
+ */
+function buildSerialNumber(orderId, ticket) {
+  return `${orderId}.${ticket.id}.${ticket.transferCount || 0}`;
+}
+
+function parseSerialNumber(serialNumber) {
+  const [orderId, ticketId, version] = String(serialNumber || '').split('.');
+  if (!orderId || !ticketId || !/^\d+$/.test(version || '')) return null;
+  return { orderId, ticketId, version: parseInt(version) };
+}
+
+// Authentication token Wallet sends back with web service requests for a pass
+function getPassAuthenticationToken(serialNumber) {
+  return crypto.createHmac('sha256', getPassAuthSecret()).update(String(serialNumber)).digest('base64url');
+}
+
+function isPassAuthenticationTokenValid(serialNumber, token) {
+  if (!token) return false;
+  const expected = Buffer.from(getPassAuthenticationToken(serialNumber));
+  const actual = Buffer.from(String(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Ticket status as shown on a pass; older versions of a reissued ticket read as 'superseded'
+ */
+function getPassStatus(ticket, version = ticket.transferCount || 0) {
+  if (version !== (ticket.transferCount || 0)) return 'superseded';
+  return ticket.status || 'valid';
+}
+
+// Performance start as an ISO string, or null
+function getPerformanceStart(performance, order) {
+  const value = performance?.startTime || performance?.dateTime || performance?.date
+    || (order?.performanceDate ? `${order.performanceDate}T${order.performanceTime || '00:00'}:00` : null);
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Load the production, performance, venue and seller shown on a ticket's passes.
+ * Missing details don't block pass generation.
+ */
+async function loadPassContext(order) {
+  const context = { order, production: null, performance: null, venue: null, seller: null };
+  try {
+    if (order.productionId) {
+      context.production = await ProductionsController.getProductionById(order.productionId);
+    }
+    if (order.productionId && order.performanceId) {
+      context.performance = await PerformancesController.getPerformanceById(order.productionId, order.performanceId);
+    }
+    const venueId = context.performance?.venueId || order.venueId;
+    if (venueId) {
+      context.venue = await VenuesController.getVenueById(venueId);
+    }
+    if (order.sellerId) {
+      context.seller = await UsersController.getUserById(order.sellerId);
+    }
+  } catch (err) {
+    console.error('Failed to load event details for wallet pass:', err.message);
+  }
+  return context;
+}
+
+function getEventName({ order, production, performance }) {
+  return production?.title || performance?.productionName || performance?.title || order?.productionName || 'Performance';
+}
+
+function getOrganizationName(seller) {
+  return seller?.companyName || seller?.displayName || 'Stage Pass Pro';
+}
+
+function formatVenueAddress(venue) {
+  if (!venue) return null;
+  return [venue.address, venue.city, venue.state, venue.zipCode].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * pass.json for an Apple Wallet event ticket
+ */
+function buildApplePassJson(context, ticket, { version = ticket.transferCount || 0 } = {}) {
+  const config = getAppleConfig();
+  const { order, venue, seller } = context;
+  const serialNumber = buildSerialNumber(order.id, { ...ticket, transferCount: version });
+  const status = getPassStatus(ticket, version);
+  const eventName = getEventName(context);
+  const startsAt = getPerformanceStart(context.performance, order);
+  const organizationName = getOrganizationName(seller);
+
+  const secondaryFields = [];
+  if (startsAt) {
+    secondaryFields.push({
+      key: 'date',
+      label: 'DATE',
+      value: startsAt,
+      dateStyle: 'PKDateStyleMedium',
+      timeStyle: 'PKDateStyleShort',
+      changeMessage: 'Your performance time changed to %@'
+    });
+  }
+  if (venue?.name) {
+    secondaryFields.push({ key: 'venue', label: 'VENUE', value: venue.name });
+  }
+
+  const auxiliaryFields = [
+    { key: 'section', label: 'SECTION', value: ticket.section || 'General' }
+  ];
+  if (ticket.row) auxiliaryFields.push({ key: 'row', label: 'ROW', value: String(ticket.row) });
+  if (ticket.seatNumber) auxiliaryFields.push({ key: 'seat', label: 'SEAT', value: String(ticket.seatNumber) });
+  auxiliaryFields.push({
+    key: 'status',
+    label: 'STATUS',
+    value: STATUS_LABELS[status] || status,
+    changeMessage: 'Your ticket is now %@'
+  });
+
+  const backFields = [
+    { key: 'order', label: 'Order', value: order.id },
+    { key: 'ticket', label: 'Ticket', value: ticket.id }
+  ];
+  // A superseded pass must not show who the ticket went to
+  const holderName = status !== 'superseded' && (ticket.ownerName || order.customerName);
+  if (holderName) backFields.push({ key: 'holder', label: 'Ticket holder', value: holderName });
+  const address = formatVenueAddress(venue);
+  if (address) backFields.push({ key: 'address', label: 'Venue address', value: address });
+
+  const pass = {
+    formatVersion: 1,
+    passTypeIdentifier: config.passTypeIdentifier,
+    teamIdentifier: config.teamIdentifier,
+    serialNumber,
+    organizationName,
+    description: `Ticket for ${eventName}`,
+    logoText: organizationName,
+    foregroundColor: 'rgb(255, 255, 255)',
+    backgroundColor: 'rgb(17, 17, 17)',
+    labelColor: 'rgb(190, 190, 190)',
+    eventTicket: {
+      primaryFields: [{ key: 'event', label: 'EVENT', value: eventName }],
+      secondaryFields,
+      auxiliaryFields,
+      backFields
+    },
+    voided: VOID_PASS_STATUSES.includes(status)
+  };
+
+  // Only a current, usable pass carries the ticket's QR payload
+  if (ACTIVE_PASS_STATUSES.includes(status)) {
+    pass.barcodes = [{
+      format: 'PKBarcodeFormatQR',
+      message: getTicketQrContent(order, ticket),
+      messageEncoding: 'iso-8859-1',
+      altText: ticket.id
+    }];
+  }
+  if (startsAt) {
+    pass.relevantDate = startsAt;
+  }
+  if (venue?.latitude != null && venue?.longitude != null) {
+    pass.locations = [{ latitude: Number(venue.latitude), longitude: Number(venue.longitude), relevantText: eventName }];
+  }
+
+  // Without a public API URL, Wallet can't fetch updates, so the pass is static
+  const apiBaseUrl = getApiBaseUrl();
+  if (apiBaseUrl) {
+    pass.webServiceURL = `${apiBaseUrl}/api/wallet/apple`;
+    pass.authenticationToken = getPassAuthenticationToken(serialNumber);
+  }
+
+  return pass;
+}
+
+// Detached PKCS #7 signature of manifest.json, as Wallet requires
+function signManifest(manifest, config) {
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(manifest.toString('binary'));
+  p7.addCertificate(config.wwdrCertificate);
+  p7.addCertificate(config.certificate);
+  p7.addSigner({
+    key: config.privateKey,
+    certificate: config.certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  });
+  p7.sign({ detached: true });
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+}
+
+/**
+ * Build a signed .pkpass bundle for a ticket.
+ * @returns {{ buffer: Buffer, serialNumber: string, pass: Object }}
+ */
+function buildApplePass(context, ticket, options = {}) {
+  const config = getAppleConfig();
+  const pass = buildApplePassJson(context, ticket, options);
+  const image = fs.readFileSync(PASS_IMAGE_PATH);
+
+  const files = [
+    { name: 'pass.json', data: Buffer.from(JSON.stringify(pass)) },
+    { name: 'icon.png', data: image },
+    { name: 'icon@2x.png', data: image },
+    { name: 'logo.png', data: image }
+  ];
+  const manifest = Buffer.from(JSON.stringify(Object.fromEntries(
+    files.map(file => [file.name, crypto.createHash('sha1').update(file.data).digest('hex')])
+  )));
+
+  files.push(
+    { name: 'manifest.json', data: manifest },
+    { name: 'signature', data: signManifest(manifest, config) }
+  );
+
+  return { buffer: createZip(files), serialNumber: pass.serialNumber, pass };
+}
+
+/**
+ * Load a ticket and build its Apple Wallet pass
+ */
+async function createApplePass(order, ticket) {
+  const context = await loadPassContext(order);
+  return buildApplePass(context, ticket);
+}
+
+/**
+ * Current pass for a serial number, as fetched by Wallet's update requests.
+ * Returns null when the order or ticket no longer exists.
+ */
+async function getApplePassBySerialNumber(serialNumber) {
+  const parsed = parseSerialNumber(serialNumber);
+  if (!parsed) return null;
+
+  const order = await OrdersController.getOrderById(parsed.orderId);
+  if (!order) return null;
+  const ticket = await TicketsController.getTicketById(parsed.orderId, parsed.ticketId);
+  if (!ticket || parsed.version > (ticket.transferCount || 0)) return null;
+
+  const context = await loadPassContext(order);
+  return { ...buildApplePass(context, ticket, { version: parsed.version }), order, ticket };
+}
+
+function sanitizeGoogleId(value) {
+  return String(value).replace(/[^\w.-]/g, '_');
+}
+
+function buildGoogleClassId(config, order) {
+  return `${config.issuerId}.${sanitizeGoogleId(`performance-${order.performanceId || order.id}`)}`;
+}
+
+function buildGoogleObjectId(config, orderId, ticket, version = ticket.transferCount || 0) {
+  return `${config.issuerId}.${sanitizeGoogleId(`${orderId}-${ticket.id}-${version}`)}`;
+}
+
+function localized(value) {
+  return { defaultValue: { language: 'en-US', value: String(value) } };
+}
+
+/**
+ * Google Wallet EventTicketClass for the ticket's performance
+ */
+function buildGoogleEventTicketClass(context) {
+  const config = getGoogleConfig();
+  const { order, venue, seller } = context;
+  const startsAt = getPerformanceStart(context.performance, order);
+
+  const ticketClass = {
+    id: buildGoogleClassId(config, order),
+    issuerName: getOrganizationName(seller),
+    reviewStatus: 'UNDER_REVIEW',
+    eventName: localized(getEventName(context))
+  };
+  if (venue?.name) {
+    ticketClass.venue = {
+      name: localized(venue.name),
+      address: localized(formatVenueAddress(venue) || venue.name)
+    };
+  }
+  if (startsAt) {
+    ticketClass.dateTime = { start: startsAt };
+  }
+  const apiBaseUrl = getApiBaseUrl();
+  if (apiBaseUrl) {
+    ticketClass.logo = { sourceUri: { uri: `${apiBaseUrl}/assets/logo.png` } };
+  }
+  return ticketClass;
+}
+
+/**
+ * Google Wallet EventTicketObject for a ticket
+ */
+function buildGoogleEventTicketObject(context, ticket, { version = ticket.transferCount || 0 } = {}) {
+  const config = getGoogleConfig();
+  const { order } = context;
+  const status = getPassStatus(ticket, version);
+  const active = ACTIVE_PASS_STATUSES.includes(status);
+
+  const ticketObject = {
+    id: buildGoogleObjectId(config, order.id, ticket, version),
+    classId: buildGoogleClassId(config, order),
+    state: active ? 'ACTIVE' : 'INACTIVE',
+    ticketNumber: ticket.id,
+    seatInfo: {
+      section: localized(ticket.section || 'General'),
+      ...(ticket.row && { row: localized(ticket.row) }),
+      ...(ticket.seatNumber && { seat: localized(ticket.seatNumber) })
+    },
+    textModulesData: [{ id: 'status', header: 'Status', body: STATUS_LABELS[status] || status }]
+  };
+
+  const holderName = status !== 'superseded' && (ticket.ownerName || order.customerName);
+  if (holderName) {
+    ticketObject.ticketHolderName = holderName;
+  }
+  if (ticket.price != null) {
+    ticketObject.faceValue = { micros: Number(ticket.price) * 10000, currencyCode: (order.currency || 'usd').toUpperCase() };
+  }
+  if (active) {
+    ticketObject.barcode = {
+      type: 'QR_CODE',
+      value: getTicketQrContent(order, ticket),
+      alternateText: ticket.id
+    };
+  }
+  return ticketObject;
+}
+
+/**
+ * Signed "Save to Google Wallet" link for a ticket.
+ * The class and object are embedded in the JWT, so Google creates them when the pass is saved.
+ */
+function buildGoogleSaveUrl(context, ticket) {
+  const config = getGoogleConfig();
+  const ticketClass = buildGoogleEventTicketClass(context);
+  const ticketObject = buildGoogleEventTicketObject(context, ticket);
+  const origins = (process.env.GOOGLE_WALLET_ORIGINS || process.env.APP_BASE_URL || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  const token = jwt.sign({
+    iss: config.serviceAccountEmail,
+    aud: 'google',
+    typ: 'savetowallet',
+    origins,
+    payload: {
+      eventTicketClasses: [ticketClass],
+      eventTicketObjects: [ticketObject]
+    }
+  }, config.privateKey, { algorithm: 'RS256' });
+
+  return { saveUrl: `${GOOGLE_SAVE_URL}${token}`, token, objectId: ticketObject.id, classId: ticketClass.id };
+}
+
+/**
+ * Load a ticket's event details and build its Google Wallet save link
+ */
+async function createGoogleSaveUrl(order, ticket) {
+  const context = await loadPassContext(order);
+  return buildGoogleSaveUrl(context, ticket);
+}
+
+// OAuth access token for the Google Wallet REST API, cached until shortly before it expires
+async function getGoogleAccessToken(config) {
+  if (googleAccessToken && googleAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return googleAccessToken.token;
+  }
+
+  const assertion = jwt.sign({
+    iss: config.serviceAccountEmail,
+    scope: GOOGLE_WALLET_SCOPE,
+    aud: GOOGLE_TOKEN_URL
+  }, config.privateKey, { algorithm: 'RS256', expiresIn: 3600 });
+
+  const response = await axios.post(GOOGLE_TOKEN_URL, new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion
+  }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+
+  googleAccessToken = {
+    token: response.data.access_token,
+    expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+  };
+  return googleAccessToken.token;
+}
+
+// Patch a saved Google Wallet object. Objects that were never saved return 404 and are skipped.
+async function patchGoogleObject(config, objectId, updates) {
+  const accessToken = await getGoogleAccessToken(config);
+  try {
+    await axios.patch(`${GOOGLE_WALLET_API}/eventTicketObject/${encodeURIComponent(objectId)}`, updates, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return true;
+  } catch (error) {
+    if (error.response?.status === 404) return false;
+    throw error;
+  }
+}
+
+// Ask devices to fetch updated passes. Wallet pushes carry an empty payload.
+function sendApplePushes(config, pushTokens) {
+  if (pushTokens.length === 0) return Promise.resolve([]);
+
+  const host = process.env.APPLE_APNS_HOST || 'api.push.apple.com';
+  return new Promise((resolve) => {
+    const client = http2.connect(`https://${host}`, {
+      key: config.privateKeyPem,
+      cert: config.certificatePem
+    });
+    const results = [];
+    let pending = pushTokens.length;
+    const done = (pushToken, status) => {
+      results.push({ pushToken, status });
+      if (--pending === 0) {
+        client.close();
+        resolve(results);
+      }
+    };
+
+    client.on('error', (error) => {
+      console.error('Apple push connection failed:', error.message);
+      client.destroy();
+      resolve(results);
+    });
+
+    pushTokens.forEach(pushToken => {
+      const request = client.request({
+        ':method': 'POST',
+        ':path': `/3/device/${pushToken}`,
+        'apns-topic': config.passTypeIdentifier,
+        'content-type': 'application/json'
+      });
+      request.setTimeout(10000, () => request.close());
+      request.on('response', headers => done(pushToken, headers[':status']));
+      request.on('error', () => done(pushToken, null));
+      request.end('{}');
+    });
+  });
+}
+
+/**
+ * Bring a ticket's wallet passes up to date after its status changed (cancelled, refunded, exchanged,
+ * reissued, ...): Apple devices are told to fetch the pass again and saved Google objects are patched.
+ * Errors are logged and never thrown, so the ticket change itself is never rolled back.
+ */
+async function refreshTicketPasses(orderId, ticketIds = []) {
+  for (const ticketId of ticketIds) {
+    try {
+      const registrations = await WalletRegistrationsController.getRegistrationsForTicket(orderId, ticketId);
+      if (registrations.length > 0) {
+        await WalletRegistrationsController.markPassesUpdated(registrations);
+        const config = getAppleConfig();
+        if (!config.isTest) {
+          const pushTokens = [...new Set(registrations.map(registration => registration.pushToken).filter(Boolean))];
+          await sendApplePushes(config, pushTokens);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to refresh Apple Wallet pass:', error.message);
+    }
+
+    try {
+      // Nothing can have been saved to Google Wallet without an issuer account
+      if (!process.env.GOOGLE_WALLET_ISSUER_ID) continue;
+      const config = getGoogleConfig();
+      if (config.isTest) continue;
+
+      const order = await OrdersController.getOrderById(orderId);
+      const ticket = order ? await TicketsController.getTicketById(orderId, ticketId) : null;
+      if (!ticket) continue;
+
+      const context = await loadPassContext(order);
+      const currentVersion = ticket.transferCount || 0;
+      await patchGoogleObject(config, buildGoogleObjectId(config, orderId, ticket), buildGoogleEventTicketObject(context, ticket));
+      // Earlier holders' passes of a reissued ticket
+      for (let version = 0; version < currentVersion; version++) {
+        await patchGoogleObject(config, buildGoogleObjectId(config, orderId, ticket, version), buildGoogleEventTicketObject(context, ticket, { version }));
+      }
+    } catch (error) {
+      console.error('Failed to refresh Google Wallet pass:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  createTestAppleCertificates,
+  getAppleConfig,
+  getGoogleConfig,
+  buildSerialNumber,
+  parseSerialNumber,
+  isPassAuthenticationTokenValid,
+  loadPassContext,
+  buildApplePassJson,
+  buildApplePass,
+  createApplePass,
+  getApplePassBySerialNumber,
+  buildGoogleEventTicketClass,
+  buildGoogleEventTicketObject,
+  buildGoogleSaveUrl,
+  createGoogleSaveUrl,
+  refreshTicketPasses
+};
@@ -0,0 +1,108 @@
+const { WebhookEventsController } = require("../controllers");
+
+// Retry policy for failed webhook events: exponential backoff from the base delay
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000;
+const RETRY_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000;
+
+// The event processor is registered by routes/webhooks.js
+let processor = null;
+let retryTimer = null;
+let retryInProgress = false;
+
+function setWebhookProcessor(fn) {
+  processor = fn;
+}
+
+function nextAttemptAt(attempts, now = new Date()) {
+  if (attempts >= MAX_ATTEMPTS) {
+    return null;
+  }
+  const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+  return new Date(now.getTime() + delay).toISOString();
+}
+
+// Claim and run a stored event, recording the outcome
+async function runEvent(eventId, options = {}) {
+  if (!processor) {
+    throw new Error('No webhook processor registered');
+  }
+
+  const record = await WebhookEventsController.claimEvent(eventId, options);
+  if (!record) {
+    return { processed: false, skipped: true };
+  }
+
+  try {
+    await processor(JSON.parse(record.payload));
+    await WebhookEventsController.markProcessed(eventId);
+    return { processed: true, attempts: record.attempts };
+  } catch (error) {
+    const retryAt = nextAttemptAt(record.attempts);
+    await WebhookEventsController.markFailed(eventId, error.message, retryAt);
+    console.error(`Webhook event ${eventId} (${record.type}) failed on attempt ${record.attempts}:`, error.message);
+    return { processed: false, error: error.message, attempts: record.attempts, nextAttemptAt: retryAt };
+  }
+}
+
+// Persist a newly received event. Returns { created, record }; record.status tells
+// the caller whether a redelivered event still needs processing.
+async function recordIncomingEvent(event) {
+  return await WebhookEventsController.recordEvent(event);
+}
+
+// Process a stored event (no-op if it is already processed or in progress)
+async function processStoredEvent(eventId) {
+  return await runEvent(eventId);
+}
+
+// Manually replay a stored event, even if it already succeeded
+async function replayEvent(eventId) {
+  return await runEvent(eventId, { force: true });
+}
+
+async function retryDueEvents() {
+  if (retryInProgress) return null;
+  retryInProgress = true;
+  try {
+    const events = await WebhookEventsController.getEventsDueForRetry();
+    let succeeded = 0;
+    for (const event of events) {
+      const result = await runEvent(event.id);
+      if (result.processed) succeeded++;
+    }
+    return { scanned: events.length, succeeded };
+  } catch (error) {
+    console.error('Webhook retry run failed:', error.message);
+    return null;
+  } finally {
+    retryInProgress = false;
+  }
+}
+
+// Start the periodic retry worker. Set WEBHOOK_RETRY_DISABLED=true to turn it off.
+function startWebhookRetryWorker() {
+  if (retryTimer || process.env.WEBHOOK_RETRY_DISABLED === 'true') {
+    return;
+  }
+  retryTimer = setInterval(retryDueEvents, RETRY_INTERVAL_MS);
+  // Don't keep the process alive just for the worker
+  retryTimer.unref();
+}
+
+function stopWebhookRetryWorker() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+module.exports = {
+  setWebhookProcessor,
+  recordIncomingEvent,
+  processStoredEvent,
+  replayEvent,
+  retryDueEvents,
+  startWebhookRetryWorker,
+  stopWebhookRetryWorker
+};
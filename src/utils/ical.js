@@ -0,0 +1,111 @@
+// Minimal iCalendar (RFC 5545) writer for event feeds and invites
+
+const PRODUCT_ID = '-//Stage Pass Pro//Performances//EN';
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    // First line holds 75 octets; continuation lines 74 plus the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * UTC date-time in iCalendar form, e.g. 20261205T003000Z
+ */
+function formatDateTime(value) {
+  const date = toDate(value);
+  if (!date) return null;
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function property(name, value) {
+  return foldLine(`${name}:${value}`);
+}
+
+/**
+ * VEVENT lines for one event.
+ * @param {Object} event - { uid, start, end, summary, description, location, url, status, sequence, lastModified }
+ */
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    property('UID', event.uid),
+    property('DTSTAMP', formatDateTime(new Date())),
+    property('DTSTART', formatDateTime(event.start))
+  ];
+  if (event.end) lines.push(property('DTEND', formatDateTime(event.end)));
+  lines.push(property('SUMMARY', escapeText(event.summary)));
+  if (event.description) lines.push(property('DESCRIPTION', escapeText(event.description)));
+  if (event.location) lines.push(property('LOCATION', escapeText(event.location)));
+  if (event.url) lines.push(property('URL', event.url));
+  if (event.status) lines.push(property('STATUS', event.status));
+  if (event.sequence != null) lines.push(property('SEQUENCE', event.sequence));
+  if (event.lastModified && formatDateTime(event.lastModified)) {
+    lines.push(property('LAST-MODIFIED', formatDateTime(event.lastModified)));
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Full VCALENDAR document. Events without a valid start are skipped.
+ * @param {Object} params - { name, description, events, method }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar({ name = null, description = null, events = [], method = 'PUBLISH' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    property('PRODID', PRODUCT_ID),
+    'CALSCALE:GREGORIAN',
+    property('METHOD', method)
+  ];
+  if (name) lines.push(property('X-WR-CALNAME', escapeText(name)));
+  if (description) lines.push(property('X-WR-CALDESC', escapeText(description)));
+
+  events
+    .filter(event => formatDateTime(event.start))
+    .forEach(event => lines.push(...buildEvent(event)));
+
+  lines.push('END:VCALENDAR');
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildCalendar,
+  buildEvent,
+  escapeText,
+  foldLine,
+  formatDateTime
+};
@@ -0,0 +1,227 @@
+const zlib = require("zlib");
+
+// Glyph widths (1/1000 em) for printable ASCII (32-126) in the standard Helvetica fonts
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_GLYPH_WIDTH = 556;
+
+// US Letter in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Standard fonts only cover WinAnsi; anything outside Latin-1 is replaced
+function toWinAnsi(text) {
+  return String(text ?? '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function escapePdfString(text) {
+  return toWinAnsi(text).replace(/([\\()])/g, '\\$1');
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+// "#rrggbb" to PDF RGB operands
+function toRgb(color = '#000000') {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(i => formatNumber(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Width of a string in points when set in Helvetica (or Helvetica-Bold) at the given size
+ */
+function measureText(text, size = 12, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_GLYPH_WIDTH;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ */
+function wrapText(text, maxWidth, size = 12, bold = false) {
+  const lines = [];
+  let current = '';
+  for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && measureText(candidate, size, bold) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Minimal PDF writer for documents built from text, lines and filled rectangles.
+ * Coordinates are in points from the top-left corner of the page.
+ */
+class PdfDocument {
+  constructor({ title = null, width = PAGE_WIDTH, height = PAGE_HEIGHT } = {}) {
+    this.title = title;
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+  }
+
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  get currentPage() {
+    if (this.pages.length === 0) this.addPage();
+    return this.pages[this.pages.length - 1];
+  }
+
+  // Draw text with its baseline at y. align: 'left' | 'center' | 'right' relative to x.
+  text(value, x, y, { size = 12, bold = false, color = '#000000', align = 'left' } = {}) {
+    const width = measureText(value, size, bold);
+    const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+    this.currentPage.push(
+      `BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${toRgb(color)} rg ` +
+      `${formatNumber(left)} ${formatNumber(this.height - y)} Td (${escapePdfString(value)}) Tj ET`
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, { fill = '#000000' } = {}) {
+    this.currentPage.push(
+      `${toRgb(fill)} rg ${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re f`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 1, color = '#000000', dash = null } = {}) {
+    this.currentPage.push(
+      `${formatNumber(width)} w ${toRgb(color)} RG ${dash ? `[${dash.join(' ')}] 0 d ` : ''}` +
+      `${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S` +
+      `${dash ? ' [] 0 d' : ''}`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a QR code from a module matrix (as produced by the qrcode package's QRCode.create)
+   */
+  qrCode(modules, x, y, size, { color = '#000000' } = {}) {
+    const count = modules.size;
+    const moduleSize = size / count;
+    const ops = [`${toRgb(color)} rg`];
+    for (let row = 0; row < count; row++) {
+      let col = 0;
+      while (col < count) {
+        if (!modules.get(row, col)) {
+          col++;
+          continue;
+        }
+        // Merge runs of dark modules into one rectangle
+        const start = col;
+        while (col < count && modules.get(row, col)) col++;
+        ops.push(
+          `${formatNumber(x + start * moduleSize)} ${formatNumber(this.height - y - (row + 1) * moduleSize)} ` +
+          `${formatNumber((col - start) * moduleSize)} ${formatNumber(moduleSize)} re`
+        );
+      }
+    }
+    ops.push('f');
+    this.currentPage.push(ops.join('\n'));
+    return this;
+  }
+
+  toBuffer() {
+    if (this.pages.length === 0) this.addPage();
+
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+    const boldFontId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'));
+
+    const pageIds = this.pages.map(ops => {
+      const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      const contentId = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+        content,
+        Buffer.from('\nendstream')
+      ]));
+      return addObject(Buffer.from(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      ));
+    });
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    objects[pagesId - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const infoId = addObject(Buffer.from(
+      `<< /Producer (Stage Pass Pro) /CreationDate (D:${now}Z)${this.title ? ` /Title (${escapePdfString(this.title)})` : ''} >>`
+    ));
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((body, idx) => {
+      const object = Buffer.concat([Buffer.from(`${idx + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+      offsets.push(length);
+      chunks.push(object);
+      length += object.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  measureText,
+  wrapText,
+  PAGE_WIDTH,
+  PAGE_HEIGHT
+};
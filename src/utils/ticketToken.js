@@ -0,0 +1,96 @@
+// Signed ticket QR payloads.
+//
+// A ticket token looks like `SPT1.<payload>.<signature>`, where the payload is base64url JSON
+//   { tid: ticketId, oid: orderId, pid: performanceId, iat: issued-at (unix seconds), kid: key id }
+// and the signature is an Ed25519 signature over `SPT1.<payload>`.
+//
+// This module has no database or environment dependencies so scanner apps can use it to verify
+// tickets offline with the public keys from GET /api/tickets/public-keys.
+
+const crypto = require("crypto");
+
+const TOKEN_PREFIX = 'SPT1';
+
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function isTicketToken(value) {
+  return typeof value === 'string' && value.startsWith(`${TOKEN_PREFIX}.`) && value.split('.').length === 3;
+}
+
+// Sign a ticket payload with an Ed25519 private key (KeyObject or PEM)
+function encodeTicketToken({ ticketId, orderId, performanceId, issuedAt = new Date() }, privateKey, keyId) {
+  const payload = {
+    tid: ticketId,
+    oid: orderId,
+    pid: performanceId || null,
+    iat: Math.floor(new Date(issuedAt).getTime() / 1000),
+    kid: keyId
+  };
+  const signingInput = `${TOKEN_PREFIX}.${toBase64Url(JSON.stringify(payload))}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${toBase64Url(signature)}`;
+}
+
+// Split a token into its parts without checking the signature. Returns null when malformed.
+function decodeTicketToken(token) {
+  if (!isTicketToken(token)) return null;
+  const [prefix, encodedPayload, encodedSignature] = token.split('.');
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!payload || !payload.tid || !payload.oid) return null;
+    return {
+      payload,
+      signingInput: `${prefix}.${encodedPayload}`,
+      signature: Buffer.from(encodedSignature, 'base64url')
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Verify a token against public keys keyed by key id ({ [kid]: KeyObject | PEM }).
+// Returns { valid: true, ticket: { ticketId, orderId, performanceId, issuedAt, keyId } }
+// or { valid: false, reason } with reason 'malformed', 'unknown_key' or 'invalid_signature'.
+function verifyTicketToken(token, publicKeys = {}) {
+  const decoded = decodeTicketToken(token);
+  if (!decoded) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const { payload, signingInput, signature } = decoded;
+  const publicKey = publicKeys[payload.kid];
+  if (!publicKey) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  let verified = false;
+  try {
+    verified = crypto.verify(null, Buffer.from(signingInput), publicKey, signature);
+  } catch (error) {
+    verified = false;
+  }
+  if (!verified) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return {
+    valid: true,
+    ticket: {
+      ticketId: payload.tid,
+      orderId: payload.oid,
+      performanceId: payload.pid || null,
+      issuedAt: new Date(payload.iat * 1000).toISOString(),
+      keyId: payload.kid
+    }
+  };
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  isTicketToken,
+  encodeTicketToken,
+  decodeTicketToken,
+  verifyTicketToken
+};
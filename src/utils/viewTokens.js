@@ -0,0 +1,38 @@
+// Order view tokens: the secret in a guest's order link that lets them view their order and
+// tickets without signing in. Tokens are random, URL-safe and expire 2 years after they are issued.
+
+const crypto = require("crypto");
+
+const VIEW_TOKEN_LIFETIME_YEARS = 2;
+
+// Secure random token for order viewing (32 bytes, base64url so it is URL-safe)
+function generateViewToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Expiry for a token issued now (ISO 8601)
+function calculateTokenExpiration() {
+  const expiresAt = new Date();
+  expiresAt.setFullYear(expiresAt.getFullYear() + VIEW_TOKEN_LIFETIME_YEARS);
+  return expiresAt.toISOString();
+}
+
+// Fields for a new view token on an order
+function issueViewToken() {
+  return {
+    viewToken: generateViewToken(),
+    viewTokenExpiresAt: calculateTokenExpiration()
+  };
+}
+
+// Whether an order's view token has expired (tokens without an expiry never do)
+function isViewTokenExpired(order) {
+  return !!order.viewTokenExpiresAt && new Date(order.viewTokenExpiresAt) <= new Date();
+}
+
+module.exports = {
+  generateViewToken,
+  calculateTokenExpiration,
+  issueViewToken,
+  isViewTokenExpired
+};